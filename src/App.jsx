@@ -1,533 +1,989 @@
-import { useMemo, useState, useCallback } from "react";
+import { useMemo, useState, useCallback, useEffect, useId } from "react";
 import {
-  ResponsiveContainer,
-  ComposedChart,
-  Bar,
-  Line,
-  CartesianGrid,
-  XAxis,
-  YAxis,
-  Tooltip,
-  Cell
-} from "recharts";
-
-// CFA-branded color palette
-const COLORS = {
-  primary: "#4476ff",
-  dark: "#06005a",
-  darkAlt: "#38337b",
-  positive: "#6991ff",
-  negative: "#ea792d",
-  purple: "#7a46ff",
-  purpleAlt: "#50037f",
-  lightBlue: "#4476ff",
-  orange: "#ea792d",
-  darkText: "#06005a",
-};
-
-function Card({ title, children, className = "" }) {
-  return (
-    <div className={`bg-white rounded-2xl shadow-md p-5 border border-gray-100 ${className}`}>
-      <h2 className="font-serif text-xl text-slate-800 mb-3">{title}</h2>
-      <div className="font-sans text-sm text-black/80">{children}</div>
-    </div>
-  );
-}
-
-function InfoIcon({ children, id }) {
-  const [showTooltip, setShowTooltip] = useState(false);
-  
-  return (
-    <div className="relative inline-block ml-1">
-      <button
-        type="button"
-        className="w-4 h-4 rounded-full bg-gray-400 text-white text-xs font-bold hover:bg-gray-500 focus:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
-        onMouseEnter={() => setShowTooltip(true)}
-        onMouseLeave={() => setShowTooltip(false)}
-        onFocus={() => setShowTooltip(true)}
-        onBlur={() => setShowTooltip(false)}
-        aria-describedby={`${id}-tooltip`}
-        aria-label="More information"
-      >
-        ?
-      </button>
-      
-      {showTooltip && (
-        <div
-          id={`${id}-tooltip`}
-          role="tooltip"
-          className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded whitespace-nowrap z-10 max-w-xs"
-        >
-          {children}
-          <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-gray-800"></div>
-        </div>
-      )}
-    </div>
-  );
-}
-
-function ValidationMessage({ errors }) {
-  if (!errors || Object.keys(errors).length === 0) return null;
-  
-  return (
-    <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg" role="alert">
-      <h3 className="text-red-800 font-semibold text-sm mb-2">Please correct the following:</h3>
-      <ul className="text-red-800 text-sm space-y-1">
-        {Object.entries(errors).map(([field, error]) => (
-          <li key={field}>• {error}</li>
-        ))}
-      </ul>
-    </div>
-  );
-}
+  COMPOUNDING_OPTIONS,
+  CURRENCIES,
+  DAY_COUNT_OPTIONS,
+  EXPOSURE_TYPES,
+  INTERPOLATION_OPTIONS,
+  SOLVE_FOR_OPTIONS,
+  TENOR_UNITS,
+  calculateCrossRates,
+  calculateForwardExchangeRate,
+  checkInputs,
+  deriveCrossSpot,
+  getCurrencyPair,
+  solveForUnknown,
+  validateInputs
+} from "./pricing/index.js";
+import { LOCALES } from "./i18n/index.js";
+import { PALETTES, PALETTE_STORAGE_KEY, PaletteContext, loadPalette } from "./components/theme.js";
+import { LOCALE_STORAGE_KEY, createI18n, I18nContext, loadLocale } from "./components/i18nContext.js";
+import {
+  NumberInput,
+  Card,
+  RequiredMark,
+  InfoIcon,
+  CurveEditor,
+  BidAskInput,
+  ValidationMessage
+} from "./components/controls.jsx";
+import { validationMessageId } from "./components/utils.js";
+import { parseScenarioQuery, useScenarioHistory } from "./scenarioState.js";
+import { ResultsSection } from "./components/ResultsSection.jsx";
+import { WorkedSolution } from "./components/WorkedSolution.jsx";
+import { ForwardExchangeChart } from "./components/ForwardExchangeChart.jsx";
+import { SpotFanChart } from "./components/SpotFanChart.jsx";
+import { HedgingPanel } from "./components/HedgingPanel.jsx";
+import { ForwardValuationPanel } from "./components/ForwardValuationPanel.jsx";
+import { ArbitrageSection } from "./components/ArbitrageSection.jsx";
+import { CrossRatesPanel } from "./components/CrossRatesPanel.jsx";
+import { ExportPanel, ReportHeader } from "./components/ExportPanel.jsx";
+import { MarketDataPanel } from "./components/MarketDataPanel.jsx";
+import { ScenarioManager } from "./components/ScenarioManager.jsx";
+import { ComparisonPanel } from "./components/ComparisonPanel.jsx";
+import { HistoricalReplay } from "./components/HistoricalReplay.jsx";
+import { PracticePanel } from "./components/PracticePanel.jsx";
+import { SensitivityPanel } from "./components/SensitivityPanel.jsx";
 
-function CustomBarLabel(props) {
-  const { x, y, width, height, value } = props;
+export default function App() {
+  const [inputs, setInputs] = useState(() => parseScenarioQuery(window.location.search));
+  const [streaming, setStreaming] = useState(false);
+  useScenarioHistory(inputs, setInputs, streaming);
+  const [compareMode, setCompareMode] = useState(false);
+  const [locale, setLocale] = useState(loadLocale);
+  const i18n = useMemo(() => createI18n(locale), [locale]);
+  const { t, fmt } = i18n;
   
-  if (!value || Math.abs(value) < 0.0001) return null;
+  useEffect(() => {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+  const [palette, setPalette] = useState(loadPalette);
   
-  return (
-    <text
-      x={x + width / 2}
-      y={y - 30}
-      textAnchor="middle"
-      fill={COLORS.darkText}
-      fontSize="11"
-      fontWeight="bold"
-    >
-      {value.toFixed(4)}
-    </text>
-  );
-}
-
-function calculateForwardExchangeRate({ spotRate, domesticRate, foreignRate }) {
-  const r_d = domesticRate / 100;
-  const r_f = foreignRate / 100;
-  const initialInvestment = 1000;
+  useEffect(() => {
+    window.localStorage.setItem(PALETTE_STORAGE_KEY, palette);
+  }, [palette]);
   
-  const forwardRate = spotRate * Math.exp(r_f - r_d);
+  // Three-currency mode derives its spot from the legs and curve mode keeps its curves, so
+  // those inputs are left alone
+  const handleMarketQuote = useCallback((quote) => {
+    setInputs(prev => ({
+      ...prev,
+      ...(prev.crossMode ? {} : { spotRate: quote.spotRate }),
+      ...(prev.rateMode === "curve" ? {} : { domesticRate: quote.domesticRate, foreignRate: quote.foreignRate })
+    }));
+  }, []);
   
-  const domesticEndingValue = initialInvestment * (1 + r_d);
-  const foreignCurrencyAmount = initialInvestment * spotRate;
-  const foreignEndingValue = foreignCurrencyAmount * (1 + r_f);
-  const domesticEquivalent = foreignEndingValue / forwardRate;
+  // Blank fields are stored as null and unreadable text as NaN, so validation can report a
+  // missing required value instead of pricing a silent zero, and skip a blank optional one
+  const handleInputChange = useCallback((field, value) => {
+    setInputs(prev => ({ ...prev, [field]: value === '' ? null : +value }));
+  }, []);
   
-  const arbitrageDiff = Math.abs(domesticEndingValue - domesticEquivalent);
-  const noArbitrage = arbitrageDiff < 0.01;
+  // Switching quote style re-expresses the same market: invert rates and swap bid/ask sides
+  const handleQuoteStyleChange = useCallback((quoteStyle) => {
+    setInputs(prev => {
+      if (prev.quoteStyle === quoteStyle) return prev;
+      const invert = value => (value ? Number((1 / value).toFixed(6)) : value);
+      return {
+        ...prev,
+        quoteStyle,
+        spotRate: invert(prev.spotRate),
+        marketForward: invert(prev.marketForward),
+        expectedSpot: invert(prev.expectedSpot),
+        // Points change sign and scale with the quote, so only an outright carries over
+        givenForward: prev.givenForwardType === "outright" ? invert(prev.givenForward) : null,
+        spotBid: invert(prev.spotAsk),
+        spotAsk: invert(prev.spotBid),
+        forwardBid: invert(prev.forwardAsk),
+        forwardAsk: invert(prev.forwardBid),
+        // Cross legs stay in market convention; only the direct cross quotes follow the pair
+        crossSpotQuote: invert(prev.crossSpotQuote),
+        crossForwardQuote: invert(prev.crossForwardQuote)
+      };
+    });
+  }, []);
   
-  const chartData = [
-    {
-      name: "t = 0",
-      exchangeRate: spotRate,
-      domesticRate: domesticRate,
-      foreignRate: foreignRate,
-      type: "Spot Rate"
-    },
-    {
-      name: "t = 1", 
-      exchangeRate: forwardRate,
-      domesticRate: domesticRate,
-      foreignRate: foreignRate,
-      type: "Forward Rate"
-    }
-  ];
+  const handleSelectChange = useCallback((field, value) => {
+    setInputs(prev => ({ ...prev, [field]: value }));
+  }, []);
   
-  return {
-    forwardRate,
-    domesticEndingValue,
-    foreignEndingValue,
-    domesticEquivalent,
-    arbitrageDiff,
-    noArbitrage,
-    chartData,
-    isValid: spotRate > 0 && r_d > -1 && r_f > -1
-  };
-}
-
-function ResultsSection({ model, inputs }) {
-  return (
-    <div className="space-y-6">
-      {/* Forward Rate Result */}
-      <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
-        <div className="text-3xl font-serif text-blue-600 mb-2">{model.forwardRate.toFixed(4)}</div>
-        <div className="text-sm text-gray-700">
-          <div><strong>Implied Forward Exchange Rate</strong> - the no-arbitrage forward rate</div>
-          <div className="mt-2">
-            <div className="mb-2 text-xs">Using Covered Interest Rate Parity:</div>
-            <div className="font-mono text-xs bg-white px-2 py-1 rounded border">
-              F = S × e<sup>(r<sub>f</sub> - r<sub>d</sub>)</sup>
-            </div>
-          </div>
-        </div>
-      </div>
-
-      {/* Strategy Comparison */}
-      <div className="space-y-4">
-        <div className="p-4 bg-green-50 rounded-lg border border-green-200">
-          <div className="font-semibold text-green-800 mb-2 text-sm">Domestic Investment</div>
-          <div className="text-xs text-green-700 space-y-1">
-            <div>Invest $1,000 at {inputs.domesticRate.toFixed(3)}%</div>
-            <div className="font-semibold pt-1 border-t border-green-300">Final: ${model.domesticEndingValue.toFixed(2)}</div>
-          </div>
-        </div>
-        
-        <div className="p-4 bg-purple-50 rounded-lg border border-purple-200">
-          <div className="font-semibold text-purple-800 mb-2 text-sm">Foreign Investment</div>
-          <div className="text-xs text-purple-700 space-y-1">
-            <div>Convert → invest at {inputs.foreignRate.toFixed(3)}% → convert back</div>
-            <div className="font-semibold pt-1 border-t border-purple-300">Final: ${model.domesticEquivalent.toFixed(2)}</div>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
-}
-
-function ForwardExchangeChart({ model, inputs }) {
-  // Calculate Y-axis range for interest rates
-  const minRate = Math.min(inputs.domesticRate, inputs.foreignRate);
-  const maxRate = Math.max(inputs.domesticRate, inputs.foreignRate);
-  const ratePadding = Math.max((maxRate - minRate) * 0.5, 0.5);
-  const rateMin = Math.max(0, minRate - ratePadding);
-  const rateMax = maxRate + ratePadding;
-
-  // Calculate Y-axis range for exchange rates
-  const minExRate = Math.min(inputs.spotRate, model.forwardRate);
-  const maxExRate = Math.max(inputs.spotRate, model.forwardRate);
-  const exRatePadding = Math.max((maxExRate - minExRate) * 0.3, 0.2);
-  const exRateMin = Math.max(0, minExRate - exRatePadding);
-  const exRateMax = maxExRate + exRatePadding;
-
-  // Custom label component for domestic rate (renders below the line)
-  const DomesticLabel = (props) => {
-    const { x, y, value, index } = props;
-    if (!value || index !== 0) return null; // Only show label on first point
-    
-    const centerX = x + 100;
-    const labelY = y + 35; // Below the point
-    
-    return (
-      <g>
-        {/* Leader line */}
-        <line
-          x1={centerX}
-          y1={labelY - 8}
-          x2={x}
-          y2={y}
-          stroke={COLORS.purple}
-          strokeWidth={1}
-          opacity={0.7}
-          strokeDasharray="2,2"
-        />
-        {/* Label text */}
-        <text
-          x={centerX}
-          y={labelY}
-          textAnchor="middle"
-          fill={COLORS.darkText}
-          fontSize="11"
-          fontWeight="bold"
-        >
-          Domestic: {value.toFixed(3)}%
-        </text>
-      </g>
-    );
-  };
-
-  // Custom label component for foreign rate (renders above the line)
-  const ForeignLabel = (props) => {
-    const { x, y, value, index } = props;
-    if (!value || index !== 0) return null; // Only show label on first point
-    
-    const centerX = x + 100;
-    const labelY = y - 25; // Above the point
-    
-    return (
-      <g>
-        {/* Leader line */}
-        <line
-          x1={centerX}
-          y1={labelY + 8}
-          x2={x}
-          y2={y}
-          stroke={COLORS.orange}
-          strokeWidth={1}
-          opacity={0.7}
-          strokeDasharray="2,2"
-        />
-        {/* Label text */}
-        <text
-          x={centerX}
-          y={labelY}
-          textAnchor="middle"
-          fill={COLORS.darkText}
-          fontSize="11"
-          fontWeight="bold"
-        >
-          Foreign: {value.toFixed(3)}%
-        </text>
-      </g>
-    );
-  };
-
-  return (
-    <>
-      {/* Legends */}
-      <div className="mb-4 space-y-2">
-        <div className="text-sm text-gray-600 flex items-center gap-3 flex-wrap">
-          <span className="inline-flex items-center">
-            <span className="w-4 h-4 mr-2 rounded border-2" style={{backgroundColor: '#00bbff', borderColor: '#06005a'}}></span>
-            Spot Rate: {inputs.spotRate.toFixed(4)} (t=0)
-          </span>
-          <span className="inline-flex items-center">
-            <span className="w-4 h-4 mr-2 rounded border-2" style={{backgroundColor: '#50037f', borderColor: '#06005a'}}></span>
-            Forward Rate: {model.forwardRate.toFixed(4)} (t=1)
-          </span>
-        </div>
-        <div className="text-xs text-gray-600 flex items-center gap-3 flex-wrap">
-          <span className="inline-flex items-center">
-            <span className="w-2 h-2 mr-2 rounded-full" style={{backgroundColor: COLORS.purple}}></span>
-            Domestic: {inputs.domesticRate.toFixed(3)}%
-          </span>
-          <span className="inline-flex items-center">
-            <span className="w-2 h-2 mr-2 rounded-full" style={{backgroundColor: COLORS.orange}}></span>
-            Foreign: {inputs.foreignRate.toFixed(3)}%
-          </span>
-        </div>
-      </div>
-
-      {/* Chart */}
-      <div className="h-[450px]" role="img" aria-labelledby="chart-title" aria-describedby="chart-description">
-        <div className="sr-only">
-          <h3 id="chart-title">Exchange Rate and Interest Rate Data</h3>
-          <p id="chart-description">
-            Bar chart comparing spot exchange rate (cyan bar with dark blue border at t=0, value {inputs.spotRate.toFixed(4)}) 
-            versus forward exchange rate (purple bar with dark blue border at t=1, value {model.forwardRate.toFixed(4)}), 
-            alongside domestic interest rate (purple line, {inputs.domesticRate.toFixed(3)}%) and 
-            foreign interest rate (orange line, {inputs.foreignRate.toFixed(3)}%).
-            {model.forwardRate > inputs.spotRate 
-              ? ' The forward rate is higher, indicating the foreign currency is expected to strengthen.'
-              : ' The forward rate is lower, indicating the foreign currency is expected to weaken.'}
-          </p>
-        </div>
-
-        <ResponsiveContainer width="100%" height={450}>
-          <ComposedChart data={model.chartData} margin={{ top: 60, right: 120, left: 20, bottom: 50 }}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="name" label={{ value: 'Time Periods', position: 'insideBottom', offset: -10 }} />
-            <YAxis 
-              yAxisId="left"
-              label={{ value: 'Exchange Rate', angle: -90, position: 'insideLeft' }}
-              domain={[exRateMin, exRateMax]}
-              tickFormatter={(value) => value.toFixed(2)}
-            />
-            <YAxis 
-              yAxisId="right"
-              orientation="right"
-              label={{ value: 'Interest Rate', angle: 90, position: 'insideRight',dx: 25 }}
-              domain={[rateMin, rateMax]}
-              tickFormatter={(value) => `${value.toFixed(2)}%`}
-            />
-            <Tooltip 
-              formatter={(value, name) => {
-                if (name === 'Exchange Rate') return [value.toFixed(4), name];
-                if (name.includes('Rate')) return [`${value.toFixed(3)}%`, name];
-                return [value, name];
-              }}
-              labelFormatter={(label) => `Time: ${label}`}
-            />
-            
-            <Bar yAxisId="left" dataKey="exchangeRate" barSize={60} label={<CustomBarLabel />}>
-              <Cell fill="#00bbff" stroke="#06005a" strokeWidth={2} />
-              <Cell fill="#50037f" stroke="#06005a" strokeWidth={2} />
-            </Bar>
-            
-            <Line 
-              yAxisId="right"
-              type="monotone" 
-              dataKey="domesticRate" 
-              stroke={COLORS.purple} 
-              strokeWidth={3}
-              dot={{ fill: COLORS.purple, strokeWidth: 2, r: 5 }}
-              name="Domestic Rate"
-              label={<DomesticLabel />}
-            />
-            
-            <Line 
-              yAxisId="right"
-              type="monotone" 
-              dataKey="foreignRate" 
-              stroke={COLORS.orange} 
-              strokeWidth={3}
-              dot={{ fill: COLORS.orange, strokeWidth: 2, r: 5 }}
-              name="Foreign Rate"
-              label={<ForeignLabel />}
-            />
-          </ComposedChart>
-        </ResponsiveContainer>
-      </div>
-
-      {/* Educational note */}
-      <div className="mt-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
-        <strong>Covered Interest Rate Parity:</strong> The forward rate prevents arbitrage by ensuring both strategies yield identical returns when currency risk is hedged.
-      </div>
-    </>
-  );
-}
-
-export default function App() {
-  const [inputs, setInputs] = useState({ 
-    spotRate: 1.2602,
-    domesticRate: 2.360,
-    foreignRate: 2.430
-  });
+  const handleCurveChange = useCallback((curveKey, index, field, value) => {
+    setInputs(prev => ({
+      ...prev,
+      [curveKey]: prev[curveKey].map((pillar, i) => (i === index ? { ...pillar, [field]: value === '' ? null : +value } : pillar))
+    }));
+  }, []);
   
-  const validateInputs = useCallback((inputs) => {
-    const errors = {};
-    
-    if (!inputs.spotRate || inputs.spotRate <= 0) {
-      errors.spotRate = "Spot exchange rate must be positive";
-    } else if (inputs.spotRate > 10) {
-      errors.spotRate = "Spot exchange rate seems unrealistically high";
-    }
-    
-    if (inputs.domesticRate <= -100) {
-      errors.domesticRate = "Domestic interest rate must be greater than -100%";
-    } else if (inputs.domesticRate > 50) {
-      errors.domesticRate = "Domestic interest rate cannot exceed 50%";
-    }
-    
-    if (inputs.foreignRate <= -100) {
-      errors.foreignRate = "Foreign interest rate must be greater than -100%";
-    } else if (inputs.foreignRate > 50) {
-      errors.foreignRate = "Foreign interest rate cannot exceed 50%";
-    }
-    
-    return errors;
+  const handleAddPillar = useCallback((curveKey) => {
+    setInputs(prev => {
+      const last = prev[curveKey][prev[curveKey].length - 1];
+      return { ...prev, [curveKey]: [...prev[curveKey], { years: last.years + 1, rate: last.rate }] };
+    });
   }, []);
   
-  const handleInputChange = useCallback((field, value) => {
-    setInputs(prev => ({ ...prev, [field]: +value }));
+  const handleRemovePillar = useCallback((curveKey, index) => {
+    setInputs(prev => ({ ...prev, [curveKey]: prev[curveKey].filter((_, i) => i !== index) }));
   }, []);
   
-  const inputErrors = validateInputs(inputs);
+  // Everything downstream prices the solved inputs; the form keeps editing the raw ones.
+  // Three-currency mode replaces the spot with the cross implied by the two legs.
+  const marketInputs = useMemo(
+    () => (inputs.crossMode ? { ...inputs, spotRate: deriveCrossSpot(inputs) } : inputs),
+    [inputs]
+  );
+  const solution = useMemo(() => solveForUnknown(marketInputs), [marketInputs]);
+  const pricedInputs = solution.inputs;
+  const validation = useMemo(() => checkInputs(solution.inputs), [solution]);
+  const inputErrors = useMemo(() => ({ ...validation.errors, ...solution.errors }), [validation, solution]);
+  const inputWarnings = validation.warnings;
   const model = useMemo(() => {
     if (Object.keys(inputErrors).length > 0) return null;
-    return calculateForwardExchangeRate(inputs);
-  }, [inputs, inputErrors]);
+    return calculateForwardExchangeRate(pricedInputs);
+  }, [pricedInputs, inputErrors]);
+  const crossRates = useMemo(
+    () => (model && pricedInputs.crossMode ? calculateCrossRates(pricedInputs) : null),
+    [model, pricedInputs]
+  );
+  
+  // While an input is blank, half typed or invalid the last priced results stay on screen
+  // (marked as stale) rather than the whole results block disappearing between keystrokes
+  const [lastResults, setLastResults] = useState(null);
+  const currentResults = model && model.isValid
+    ? { model, inputs: pricedInputs, pair: getCurrencyPair(pricedInputs), solved: solution.solved, crossRates }
+    : null;
+  if (currentResults && lastResults?.model !== model) setLastResults(currentResults);
+  const results = currentResults || lastResults;
+  
+  const messageIdPrefix = useId();
+  const fieldBorder = field => (inputErrors[field] ? 'border-red-300' : inputWarnings[field] ? 'border-amber-300' : 'border-gray-300');
+  const fieldAria = field => ({
+    'aria-invalid': inputErrors[field] ? 'true' : 'false',
+    'aria-describedby': inputErrors[field] || inputWarnings[field] ? validationMessageId(messageIdPrefix, field) : undefined
+  });
+  const pair = getCurrencyPair(inputs);
+  const legPairs = [inputs.domesticCurrency, inputs.foreignCurrency].map(currency => (
+    getCurrencyPair({ domesticCurrency: currency, foreignCurrency: inputs.commonCurrency, quoteStyle: "indirect" }).marketLabel
+  ));
+  // Solved fields show the solution (blank until it exists) in place of the user's value
+  const solvedDisplay = (field) => (solution.solved ? +solution.solved.value.toFixed(field === "spotRate" ? 6 : 4) : '');
+  const derivedSpot = inputs.crossMode && marketInputs.spotRate > 0 ? +marketInputs.spotRate.toFixed(6) : '';
 
   return (
-    <div className="min-h-screen bg-gray-50 p-6 font-sans">
-      <main className="max-w-7xl mx-auto space-y-6">
-
-        {/* RESULTS AND CHART */}
-        {model && model.isValid && (
-          <>
-            {/* MOBILE */}
-            <div className="lg:hidden space-y-6">
-              <Card title="Results">
-                <ResultsSection model={model} inputs={inputs} />
-              </Card>
-              <Card title="Forward Exchange Rate Analysis">
-                <ForwardExchangeChart model={model} inputs={inputs} />
-              </Card>
+    <I18nContext.Provider value={i18n}>
+      <PaletteContext.Provider value={PALETTES[palette]}>
+        <div className="min-h-screen bg-gray-50 p-6 font-sans print:bg-white print:p-0">
+          <header className="max-w-7xl mx-auto mb-6 flex flex-wrap items-center justify-between gap-3 print:hidden">
+            <h1 className="font-serif text-2xl text-slate-800">{t("app.title")}</h1>
+            <div className="flex items-center gap-2 text-sm">
+              <label htmlFor="language" className="text-gray-700">{t("app.language")}</label>
+              <select
+                id="language"
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                className="rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+              >
+                {LOCALES.map(option => (
+                  <option key={option.value} value={option.value} lang={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <label htmlFor="palette" className="ml-2 text-gray-700">{t("app.palette")}</label>
+              <select
+                id="palette"
+                value={palette}
+                onChange={(e) => setPalette(e.target.value)}
+                className="rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+              >
+                {Object.keys(PALETTES).map(name => (
+                  <option key={name} value={name}>{t(`app.palette.${name}`)}</option>
+                ))}
+              </select>
             </div>
+          </header>
+          <main className="max-w-7xl mx-auto space-y-6">
 
-            {/* DESKTOP */}
-            <div className="hidden lg:grid lg:grid-cols-5 gap-6">
-              <div className="lg:col-span-1">
-                <Card title="Results">
-                  <ResultsSection model={model} inputs={inputs} />
+            {/* RESULTS AND CHART */}
+            {results && (
+              <>
+                {!currentResults && (
+                  <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-900 print:hidden" role="status">
+                    {t("validation.stale")}
+                  </div>
+                )}
+
+                {/* PRINTED REPORT HEADER */}
+                <Card title={t("card.report", { pair: results.pair.label })} className="hidden print:block">
+                  <ReportHeader model={results.model} inputs={results.inputs} />
                 </Card>
-              </div>
-              <div className="lg:col-span-4">
-                <Card title="Forward Exchange Rate Analysis">
-                  <ForwardExchangeChart model={model} inputs={inputs} />
+
+                {/* MOBILE (also the printed layout) */}
+                <div className="lg:hidden print:block space-y-6">
+                  <Card title={t("card.results")}>
+                    <ResultsSection model={results.model} inputs={results.inputs} solved={results.solved} />
+                  </Card>
+                  <Card title={t("card.chart")}>
+                    <ForwardExchangeChart model={results.model} inputs={results.inputs} />
+                  </Card>
+                </div>
+
+                {/* DESKTOP */}
+                <div className="hidden lg:grid lg:grid-cols-5 gap-6 print:hidden">
+                  <div className="lg:col-span-1">
+                    <Card title={t("card.results")}>
+                      <ResultsSection model={results.model} inputs={results.inputs} solved={results.solved} />
+                    </Card>
+                  </div>
+                  <div className="lg:col-span-4">
+                    <Card title={t("card.chart")}>
+                      <ForwardExchangeChart model={results.model} inputs={results.inputs} />
+                    </Card>
+                  </div>
+                </div>
+
+                {/* TRIANGULAR CROSS RATES */}
+                {results.crossRates && (
+                  <Card title={t("card.crossRates", { pair: results.pair.label, common: results.inputs.commonCurrency })}>
+                    <CrossRatesPanel crossRates={results.crossRates} inputs={results.inputs} />
+                  </Card>
+                )}
+
+                {/* EXPORT */}
+                <Card title={t("card.export")} className="print:hidden">
+                  <ExportPanel model={results.model} inputs={results.inputs} />
+                </Card>
+
+                {/* WORKED SOLUTION */}
+                <Card title={t("card.workedSolution")} className="print:hidden">
+                  <WorkedSolution model={results.model} inputs={results.inputs} />
+                </Card>
+
+                {/* ARBITRAGE */}
+                {results.model.marketQuote && (
+                  <Card title={t("card.arbitrage")} className="print:hidden">
+                    <ArbitrageSection model={results.model} inputs={results.inputs} />
+                  </Card>
+                )}
+
+                {/* HEDGING */}
+                {results.model.hedge && (
+                  <Card
+                    title={t(results.inputs.exposureType === "payable" ? "card.payableHedge" : "card.receivableHedge", { currency: results.inputs.foreignCurrency })}
+                    className="print:hidden"
+                  >
+                    <HedgingPanel model={results.model} inputs={results.inputs} />
+                  </Card>
+                )}
+
+                {/* VALUATION */}
+                <Card title={t("card.valuation")} className="print:hidden">
+                  <ForwardValuationPanel model={results.model} inputs={results.inputs} />
                 </Card>
+
+                {/* UNCOVERED PARITY */}
+                {results.model.uip && (
+                  <Card title={t("card.spotRisk")} className="print:hidden">
+                    <SpotFanChart model={results.model} inputs={results.inputs} />
+                  </Card>
+                )}
+
+                {/* SENSITIVITY */}
+                <Card title={t("card.sensitivity")} className="print:hidden">
+                  <SensitivityPanel inputs={results.inputs} model={results.model} />
+                </Card>
+              </>
+            )}
+
+            {/* MARKET DATA */}
+            <Card title={t("card.marketData")} className="print:hidden">
+              <MarketDataPanel
+                inputs={inputs}
+                streaming={streaming}
+                onStreamingChange={setStreaming}
+                onQuote={handleMarketQuote}
+              />
+            </Card>
+
+            {/* INPUTS */}
+            <Card title={t("card.inputs")} className="print:hidden">
+              <div className="flex flex-wrap items-end gap-x-6 gap-y-4 mb-4">
+                {[
+                  { field: 'domesticCurrency', id: 'domestic-currency', label: t("inputs.domestic"), info: t("inputs.domesticInfo") },
+                  { field: 'foreignCurrency', id: 'foreign-currency', label: t("inputs.foreign"), info: t("inputs.foreignInfo") },
+                ].map(({ field, id, label, info }) => (
+                  <div key={field} className="flex items-center gap-2">
+                    <label htmlFor={id} className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                      {label}
+                      <InfoIcon id={id}>{info}</InfoIcon>
+                    </label>
+                    <div className="w-24">
+                      <select
+                        id={id}
+                        value={inputs[field]}
+                        onChange={(e) => handleSelectChange(field, e.target.value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder(field)} focus:border-blue-500 focus:ring-blue-500`}
+                        {...fieldAria(field)}
+                      >
+                        {CURRENCIES.map(currency => (
+                          <option key={currency.code} value={currency.code} title={currency.name}>{currency.code}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                ))}
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="quote-style" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.quote")}
+                    <InfoIcon id="quote-style">{t("inputs.quoteInfo")}</InfoIcon>
+                  </label>
+                  <div className="w-56">
+                    <select
+                      id="quote-style"
+                      value={inputs.quoteStyle}
+                      onChange={(e) => handleQuoteStyleChange(e.target.value)}
+                      className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                    >
+                      <option value="indirect">{t("inputs.indirectOption", { foreign: inputs.foreignCurrency, domestic: inputs.domesticCurrency })}</option>
+                      <option value="direct">{t("inputs.directOption", { foreign: inputs.foreignCurrency, domestic: inputs.domesticCurrency })}</option>
+                    </select>
+                  </div>
+                </div>
+
+                {!inputErrors.foreignCurrency && (
+                  <div className="text-xs text-gray-600 flex items-center gap-2 py-2">
+                    <span>{t("inputs.marketConvention")} <strong>{pair.marketLabel}</strong></span>
+                    {!pair.isMarketConvention && (
+                      <button
+                        type="button"
+                        onClick={() => handleQuoteStyleChange(pair.marketQuoteStyle)}
+                        className="text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                      >
+                        {t("inputs.quoteAs", { pair: pair.marketLabel })}
+                      </button>
+                    )}
+                  </div>
+                )}
               </div>
-            </div>
-          </>
-        )}
 
-        {/* INPUTS */}
-        <Card title="Forward Exchange Rate Calculator">
-          <div className="flex flex-wrap items-end gap-x-6 gap-y-4">
+              <div className="flex flex-wrap items-end gap-x-6 gap-y-4">
             
-            <div className="flex items-center gap-2">
-              <label htmlFor="spot-rate" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                Spot Exchange Rate
-                <span className="text-red-500 ml-1" aria-label="required">*</span>
-                <InfoIcon id="spot-rate">Foreign currency per 1 domestic</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="spot-rate"
-                  type="number"
-                  step="0.0001"
-                  min="0.0001"
-                  max="10"
-                  value={inputs.spotRate}
-                  onChange={(e) => handleInputChange('spotRate', e.target.value)}
-                  className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
-                    inputErrors.spotRate ? 'border-red-300' : 'border-gray-300'
-                  } focus:border-blue-500 focus:ring-blue-500`}
-                  aria-invalid={inputErrors.spotRate ? 'true' : 'false'}
-                />
-              </div>
-            </div>
+                <div className="flex items-center gap-2">
+                  <label htmlFor="solve-for" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.solveFor")}
+                    <InfoIcon id="solve-for">{t("inputs.solveForInfo")}</InfoIcon>
+                  </label>
+                  <div className="w-36">
+                    <select
+                      id="solve-for"
+                      value={inputs.solveFor}
+                      onChange={(e) => handleSelectChange('solveFor', e.target.value)}
+                      className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('solveFor')} focus:border-blue-500 focus:ring-blue-500`}
+                      {...fieldAria('solveFor')}
+                    >
+                      {SOLVE_FOR_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.value === "domesticRate" ? t("inputs.solveRate", { currency: inputs.domesticCurrency })
+                            : option.value === "foreignRate" ? t("inputs.solveRate", { currency: inputs.foreignCurrency })
+                            : option.value === "spotRate" ? t("inputs.solveSpot")
+                            : t("inputs.solveForward")}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
 
-            <div className="flex items-center gap-2">
-              <label htmlFor="domestic-rate" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                Domestic Rate (%)
-                <span className="text-red-500 ml-1" aria-label="required">*</span>
-                <InfoIcon id="domestic-rate">Annual rate for domestic currency</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="domestic-rate"
-                  type="number"
-                  step="0.001"
-                  min="-99"
-                  max="50"
-                  value={inputs.domesticRate}
-                  onChange={(e) => handleInputChange('domesticRate', e.target.value)}
-                  className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
-                    inputErrors.domesticRate ? 'border-red-300' : 'border-gray-300'
-                  } focus:border-blue-500 focus:ring-blue-500`}
-                  aria-invalid={inputErrors.domesticRate ? 'true' : 'false'}
-                />
-              </div>
-            </div>
+                {inputs.solveFor !== "forward" && (
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="given-forward" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.givenForward", { pair: pair.label })}
+                      <RequiredMark />
+                      <InfoIcon id="given-forward">{t("inputs.givenForwardInfo", { tenor: model ? model.tenorLabel : '' })}</InfoIcon>
+                    </label>
+                    <div className="w-24">
+                      <NumberInput
+                        id="given-forward"
+                        step={inputs.givenForwardType === "points" ? "0.01" : "0.0001"}
+                        value={inputs.givenForward ?? ''}
+                        onChange={(value) => handleInputChange('givenForward', value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('givenForward')} focus:border-blue-500 focus:ring-blue-500`}
+                        {...fieldAria('givenForward')}
+                      />
+                    </div>
+                    <div className="w-24">
+                      <select
+                        value={inputs.givenForwardType}
+                        onChange={(e) => handleSelectChange('givenForwardType', e.target.value)}
+                        className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                        aria-label={t("inputs.forwardQuotedAs")}
+                      >
+                        <option value="outright">{t("inputs.outright")}</option>
+                        <option value="points">{t("inputs.points")}</option>
+                      </select>
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="spot-rate" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.spot", { pair: pair.label })}
+                    <RequiredMark />
+                    <InfoIcon id="spot-rate">
+                      {inputs.crossMode
+                        ? t("inputs.derivedSpotInfo", { legs: legPairs.join(" / ") })
+                        : t("inputs.spotInfo", { quote: pair.quote, base: pair.base })}
+                    </InfoIcon>
+                  </label>
+                  <div className="w-24">
+                    <NumberInput
+                      id="spot-rate"
+                      step="0.0001"
+                      value={inputs.crossMode ? derivedSpot : inputs.solveFor === 'spotRate' ? solvedDisplay('spotRate') : inputs.spotRate}
+                      disabled={inputs.crossMode || inputs.solveFor === 'spotRate'}
+                      onChange={(value) => handleInputChange('spotRate', value)}
+                      className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm disabled:bg-gray-100 disabled:text-gray-700 ${fieldBorder('spotRate')} focus:border-blue-500 focus:ring-blue-500`}
+                      {...fieldAria('spotRate')}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="notional" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.notional", { currency: inputs.domesticCurrency })}
+                    <InfoIcon id="notional">{t("inputs.notionalInfo")}</InfoIcon>
+                  </label>
+                  <div className="w-28">
+                    <NumberInput
+                      id="notional"
+                      step="1000"
+                      value={inputs.notional}
+                      onChange={(value) => handleInputChange('notional', value)}
+                      className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('notional')} focus:border-blue-500 focus:ring-blue-500`}
+                      {...fieldAria('notional')}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="exposure-type" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.exposure")}
+                    <InfoIcon id="exposure-type">{t("inputs.exposureInfo", { currency: inputs.foreignCurrency })}</InfoIcon>
+                  </label>
+                  <div className="w-32">
+                    <select
+                      id="exposure-type"
+                      value={inputs.exposureType}
+                      onChange={(e) => handleSelectChange('exposureType', e.target.value)}
+                      className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                    >
+                      {EXPOSURE_TYPES.map(option => (
+                        <option key={option.value} value={option.value}>{t(`exposure.${option.value}`)}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {inputs.exposureType !== "none" && (
+                    <div className="w-32">
+                      <NumberInput
+                        id="exposure-amount"
+                        step="1000"
+                        value={inputs.exposureAmount}
+                        onChange={(value) => handleInputChange('exposureAmount', value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('exposureAmount')} focus:border-blue-500 focus:ring-blue-500`}
+                        aria-label={t("inputs.exposureAmount", { currency: inputs.foreignCurrency })}
+                        {...fieldAria('exposureAmount')}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="rate-mode" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.rates")}
+                    <InfoIcon id="rate-mode">{t("inputs.ratesInfo")}</InfoIcon>
+                  </label>
+                  <div className="w-28">
+                    <select
+                      id="rate-mode"
+                      value={inputs.rateMode}
+                      onChange={(e) => handleSelectChange('rateMode', e.target.value)}
+                      className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                    >
+                      <option value="flat">{t("inputs.flat")}</option>
+                      <option value="curve">{t("inputs.curve")}</option>
+                    </select>
+                  </div>
+                </div>
+
+                {inputs.rateMode === "flat" ? (
+                  <>
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="domestic-rate" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.rate", { currency: inputs.domesticCurrency })}
+                      <RequiredMark />
+                      <InfoIcon id="domestic-rate">{t("inputs.domesticRateInfo", { currency: inputs.domesticCurrency })}</InfoIcon>
+                    </label>
+                    <div className="w-24">
+                      <NumberInput
+                        id="domestic-rate"
+                        step="0.001"
+                        value={inputs.solveFor === 'domesticRate' ? solvedDisplay('domesticRate') : inputs.domesticRate}
+                        disabled={inputs.solveFor === 'domesticRate'}
+                        onChange={(value) => handleInputChange('domesticRate', value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm disabled:bg-gray-100 disabled:text-gray-700 ${fieldBorder('domesticRate')} focus:border-blue-500 focus:ring-blue-500`}
+                        {...fieldAria('domesticRate')}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="foreign-rate" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.rate", { currency: inputs.foreignCurrency })}
+                      <RequiredMark />
+                      <InfoIcon id="foreign-rate">{t("inputs.foreignRateInfo", { currency: inputs.foreignCurrency })}</InfoIcon>
+                    </label>
+                    <div className="w-24">
+                      <NumberInput
+                        id="foreign-rate"
+                        step="0.001"
+                        value={inputs.solveFor === 'foreignRate' ? solvedDisplay('foreignRate') : inputs.foreignRate}
+                        disabled={inputs.solveFor === 'foreignRate'}
+                        onChange={(value) => handleInputChange('foreignRate', value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm disabled:bg-gray-100 disabled:text-gray-700 ${fieldBorder('foreignRate')} focus:border-blue-500 focus:ring-blue-500`}
+                        {...fieldAria('foreignRate')}
+                      />
+                    </div>
+                  </div>
+                  </>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="interpolation" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.interpolation")}
+                      <InfoIcon id="interpolation">{t("inputs.interpolationInfo")}</InfoIcon>
+                    </label>
+                    <div className="w-56">
+                      <select
+                        id="interpolation"
+                        value={inputs.interpolation}
+                        onChange={(e) => handleSelectChange('interpolation', e.target.value)}
+                        className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                      >
+                        {INTERPOLATION_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{t(`interpolation.${option.value}`)}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex items-center gap-2">
+                  <input
+                    id="two-way"
+                    type="checkbox"
+                    checked={inputs.twoWay}
+                    onChange={(e) => handleSelectChange('twoWay', e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <label htmlFor="two-way" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.twoWay")}
+                    <InfoIcon id="two-way">{t("inputs.twoWayInfo")}</InfoIcon>
+                  </label>
+                </div>
+
+                {!inputs.twoWay && (
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="market-forward" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.marketForward")}
+                      <InfoIcon id="market-forward">{t("inputs.marketForwardInfo", { pair: pair.label })}</InfoIcon>
+                    </label>
+                    <div className="w-24">
+                      <NumberInput
+                        id="market-forward"
+                        step="0.0001"
+                        placeholder={t("common.optional")}
+                        value={inputs.marketForward ?? ''}
+                        onChange={(value) => handleInputChange('marketForward', value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('marketForward')} focus:border-blue-500 focus:ring-blue-500`}
+                        {...fieldAria('marketForward')}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex items-center gap-2">
+                  <input
+                    id="uip-mode"
+                    type="checkbox"
+                    checked={inputs.uipMode}
+                    onChange={(e) => handleSelectChange('uipMode', e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <label htmlFor="uip-mode" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.uip")}
+                    <InfoIcon id="uip-mode">{t("inputs.uipInfo")}</InfoIcon>
+                  </label>
+                </div>
+
+                {inputs.uipMode && (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="expected-spot" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                        {t("inputs.expectedSpot")}
+                        <InfoIcon id="expected-spot">{t("inputs.expectedSpotInfo", { pair: pair.label })}</InfoIcon>
+                      </label>
+                      <div className="w-24">
+                        <NumberInput
+                          id="expected-spot"
+                          step="0.0001"
+                          placeholder={model ? fmt.number(model.forwardRate, 4) : t("inputs.forwardPlaceholder")}
+                          value={inputs.expectedSpot ?? ''}
+                          onChange={(value) => handleInputChange('expectedSpot', value)}
+                          className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('expectedSpot')} focus:border-blue-500 focus:ring-blue-500`}
+                          {...fieldAria('expectedSpot')}
+                        />
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <label htmlFor="spot-volatility" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                        {t("inputs.spotVolatility")}
+                        <InfoIcon id="spot-volatility">{t("inputs.spotVolatilityInfo")}</InfoIcon>
+                      </label>
+                      <div className="w-20">
+                        <NumberInput
+                          id="spot-volatility"
+                          step="0.5"
+                          value={inputs.spotVolatility}
+                          onChange={(value) => handleInputChange('spotVolatility', value)}
+                          className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('spotVolatility')} focus:border-blue-500 focus:ring-blue-500`}
+                          {...fieldAria('spotVolatility')}
+                        />
+                      </div>
+                    </div>
+                  </>
+                )}
+
+                <div className="flex items-center gap-2">
+                  <input
+                    id="cross-mode"
+                    type="checkbox"
+                    checked={inputs.crossMode}
+                    onChange={(e) => handleSelectChange('crossMode', e.target.checked)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    {...fieldAria('crossMode')}
+                  />
+                  <label htmlFor="cross-mode" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.crossMode")}
+                    <InfoIcon id="cross-mode">{t("inputs.crossModeInfo")}</InfoIcon>
+                  </label>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="compounding" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.compounding")}
+                    <InfoIcon id="compounding">{t("inputs.compoundingInfo")}</InfoIcon>
+                  </label>
+                  <div className="w-32">
+                    <select
+                      id="compounding"
+                      value={inputs.compounding}
+                      onChange={(e) => handleSelectChange('compounding', e.target.value)}
+                      className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                    >
+                      {COMPOUNDING_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{t(`compounding.${option.value}`)}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="tenor-value" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.tenor")}
+                    <RequiredMark />
+                    <InfoIcon id="tenor-value">{t("inputs.tenorInfo")}</InfoIcon>
+                  </label>
+                  <div className="w-16">
+                    <NumberInput
+                      id="tenor-value"
+                      step="1"
+                      value={inputs.tenorValue}
+                      onChange={(value) => handleInputChange('tenorValue', value)}
+                      className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('tenorValue')} focus:border-blue-500 focus:ring-blue-500`}
+                      {...fieldAria('tenorValue')}
+                    />
+                  </div>
+                  <div className="w-24">
+                    <select
+                      id="tenor-unit"
+                      value={inputs.tenorUnit}
+                      onChange={(e) => handleSelectChange('tenorUnit', e.target.value)}
+                      className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                      aria-label={t("inputs.tenorUnit")}
+                    >
+                      {TENOR_UNITS.map(option => (
+                        <option key={option.value} value={option.value}>{t(`tenorUnit.${option.value}`)}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="day-count" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.dayCount")}
+                    <InfoIcon id="day-count">{t("inputs.dayCountInfo")}</InfoIcon>
+                  </label>
+                  <div className="w-24">
+                    <select
+                      id="day-count"
+                      value={inputs.dayCount}
+                      onChange={(e) => handleSelectChange('dayCount', e.target.value)}
+                      className="block w-full rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                    >
+                      {DAY_COUNT_OPTIONS.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label htmlFor="valuation-date" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                    {t("inputs.valuationDate")}
+                    <RequiredMark />
+                    <InfoIcon id="valuation-date">{t("inputs.valuationDateInfo")}</InfoIcon>
+                  </label>
+                  <div className="w-40">
+                    <input
+                      type="date"
+                      id="valuation-date"
+                      value={inputs.valuationDate}
+                      onChange={(e) => handleSelectChange('valuationDate', e.target.value)}
+                      className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('valuationDate')} focus:border-blue-500 focus:ring-blue-500`}
+                      {...fieldAria('valuationDate')}
+                    />
+                  </div>
+                </div>
 
-            <div className="flex items-center gap-2">
-              <label htmlFor="foreign-rate" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
-                Foreign Rate (%)
-                <span className="text-red-500 ml-1" aria-label="required">*</span>
-                <InfoIcon id="foreign-rate">Annual rate for foreign currency</InfoIcon>
-              </label>
-              <div className="w-24">
-                <input
-                  id="foreign-rate"
-                  type="number"
-                  step="0.001"
-                  min="-99"
-                  max="50"
-                  value={inputs.foreignRate}
-                  onChange={(e) => handleInputChange('foreignRate', e.target.value)}
-                  className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
-                    inputErrors.foreignRate ? 'border-red-300' : 'border-gray-300'
-                  } focus:border-blue-500 focus:ring-blue-500`}
-                  aria-invalid={inputErrors.foreignRate ? 'true' : 'false'}
-                />
               </div>
-            </div>
 
-          </div>
+              {inputs.twoWay && (
+                <div className="mt-4 flex flex-wrap items-end gap-x-6 gap-y-4">
+                  <BidAskInput
+                    id="spot-quote"
+                    label={t("inputs.spotQuote")}
+                    info={t("inputs.spotQuoteInfo", { pair: pair.label })}
+                    fields={['spotBid', 'spotAsk']}
+                    values={inputs}
+                    step="0.0001"
+                    placeholder={inputs.spotRate ?? ''}
+                    errors={inputErrors}
+                    warnings={inputWarnings}
+                    messageIdPrefix={messageIdPrefix}
+                    onChange={handleInputChange}
+                  />
+                  <BidAskInput
+                    id="forward-quote"
+                    label={t("inputs.marketForward")}
+                    info={t("inputs.forwardQuoteInfo", { pair: pair.label })}
+                    fields={['forwardBid', 'forwardAsk']}
+                    values={inputs}
+                    step="0.0001"
+                    placeholder={t("inputs.optionalPlaceholder")}
+                    errors={inputErrors}
+                    warnings={inputWarnings}
+                    messageIdPrefix={messageIdPrefix}
+                    onChange={handleInputChange}
+                  />
+                  <BidAskInput
+                    id="domestic-quote"
+                    label={t("inputs.rateQuote", { currency: inputs.domesticCurrency })}
+                    info={t("inputs.rateQuoteInfo", { currency: inputs.domesticCurrency })}
+                    bidLabel={t("inputs.deposit")}
+                    askLabel={t("inputs.borrow")}
+                    fields={['domesticDepositRate', 'domesticBorrowRate']}
+                    values={inputs}
+                    step="0.001"
+                    placeholder={model ? fmt.number(model.domesticZeroRate, 3) : ''}
+                    errors={inputErrors}
+                    warnings={inputWarnings}
+                    messageIdPrefix={messageIdPrefix}
+                    onChange={handleInputChange}
+                  />
+                  <BidAskInput
+                    id="foreign-quote"
+                    label={t("inputs.rateQuote", { currency: inputs.foreignCurrency })}
+                    info={t("inputs.rateQuoteInfo", { currency: inputs.foreignCurrency })}
+                    bidLabel={t("inputs.deposit")}
+                    askLabel={t("inputs.borrow")}
+                    fields={['foreignDepositRate', 'foreignBorrowRate']}
+                    values={inputs}
+                    step="0.001"
+                    placeholder={model ? fmt.number(model.foreignZeroRate, 3) : ''}
+                    errors={inputErrors}
+                    warnings={inputWarnings}
+                    messageIdPrefix={messageIdPrefix}
+                    onChange={handleInputChange}
+                  />
+                </div>
+              )}
+
+              {inputs.crossMode && (
+                <div className="mt-4 flex flex-wrap items-end gap-x-6 gap-y-4">
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="common-currency" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.commonCurrency")}
+                      <InfoIcon id="common-currency">{t("inputs.commonCurrencyInfo")}</InfoIcon>
+                    </label>
+                    <div className="w-24">
+                      <select
+                        id="common-currency"
+                        value={inputs.commonCurrency}
+                        onChange={(e) => handleSelectChange('commonCurrency', e.target.value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('commonCurrency')} focus:border-blue-500 focus:ring-blue-500`}
+                        {...fieldAria('commonCurrency')}
+                      >
+                        {CURRENCIES.map(currency => (
+                          <option key={currency.code} value={currency.code} title={currency.name}>{currency.code}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  {[
+                    { field: 'domesticLegSpot', id: 'domestic-leg-spot', label: legPairs[0] },
+                    { field: 'foreignLegSpot', id: 'foreign-leg-spot', label: legPairs[1] },
+                  ].map(({ field, id, label }) => {
+                    const [base, quote] = label.split("/");
+                    return (
+                      <div key={field} className="flex items-center gap-2">
+                        <label htmlFor={id} className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                          {t("inputs.spot", { pair: label })}
+                          <RequiredMark />
+                          <InfoIcon id={id}>{t("inputs.spotInfo", { quote, base })}</InfoIcon>
+                        </label>
+                        <div className="w-24">
+                          <NumberInput
+                            id={id}
+                            step="0.0001"
+                            value={inputs[field]}
+                            onChange={(value) => handleInputChange(field, value)}
+                            className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder(field)} focus:border-blue-500 focus:ring-blue-500`}
+                            {...fieldAria(field)}
+                          />
+                        </div>
+                      </div>
+                    );
+                  })}
+
+                  <div className="flex items-center gap-2">
+                    <label htmlFor="common-rate" className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                      {t("inputs.rate", { currency: inputs.commonCurrency })}
+                      <RequiredMark />
+                      <InfoIcon id="common-rate">{t("inputs.commonRateInfo", { currency: inputs.commonCurrency })}</InfoIcon>
+                    </label>
+                    <div className="w-24">
+                      <NumberInput
+                        id="common-rate"
+                        step="0.001"
+                        value={inputs.commonRate}
+                        onChange={(value) => handleInputChange('commonRate', value)}
+                        className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder('commonRate')} focus:border-blue-500 focus:ring-blue-500`}
+                        {...fieldAria('commonRate')}
+                      />
+                    </div>
+                  </div>
+
+                  {[
+                    { field: 'crossSpotQuote', id: 'cross-spot-quote', label: t("inputs.crossSpotQuote"), info: t("inputs.crossSpotQuoteInfo", { pair: pair.label }) },
+                    { field: 'crossForwardQuote', id: 'cross-forward-quote', label: t("inputs.crossForwardQuote"), info: t("inputs.crossForwardQuoteInfo", { pair: pair.label }) },
+                  ].map(({ field, id, label, info }) => (
+                    <div key={field} className="flex items-center gap-2">
+                      <label htmlFor={id} className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm">
+                        {label}
+                        <InfoIcon id={id}>{info}</InfoIcon>
+                      </label>
+                      <div className="w-24">
+                        <NumberInput
+                          id={id}
+                          step="0.0001"
+                          placeholder={t("common.optional")}
+                          value={inputs[field] ?? ''}
+                          onChange={(value) => handleInputChange(field, value)}
+                          className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${fieldBorder(field)} focus:border-blue-500 focus:ring-blue-500`}
+                          {...fieldAria(field)}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {inputs.rateMode === "curve" && (
+                <div className="mt-4 flex flex-wrap gap-x-10 gap-y-4">
+                  <CurveEditor
+                    id="domestic-curve"
+                    title={t("inputs.curveTitle", { currency: inputs.domesticCurrency })}
+                    pillars={inputs.domesticCurve}
+                    describedBy={fieldAria('domesticCurve')['aria-describedby']}
+                    onChange={(index, field, value) => handleCurveChange('domesticCurve', index, field, value)}
+                    onAdd={() => handleAddPillar('domesticCurve')}
+                    onRemove={(index) => handleRemovePillar('domesticCurve', index)}
+                  />
+                  <CurveEditor
+                    id="foreign-curve"
+                    title={t("inputs.curveTitle", { currency: inputs.foreignCurrency })}
+                    pillars={inputs.foreignCurve}
+                    describedBy={fieldAria('foreignCurve')['aria-describedby']}
+                    onChange={(index, field, value) => handleCurveChange('foreignCurve', index, field, value)}
+                    onAdd={() => handleAddPillar('foreignCurve')}
+                    onRemove={(index) => handleRemovePillar('foreignCurve', index)}
+                  />
+                </div>
+              )}
           
-          <ValidationMessage errors={inputErrors} />
-        </Card>
+              <ValidationMessage errors={inputErrors} warnings={inputWarnings} idPrefix={messageIdPrefix} />
+            </Card>
 
-      </main>
-    </div>
+            {/* COMPARISON */}
+            <Card title={t("card.comparison")} className="print:hidden">
+              {compareMode ? (
+                <>
+                  <ComparisonPanel inputs={pricedInputs} validate={validateInputs} />
+                  <button
+                    type="button"
+                    onClick={() => setCompareMode(false)}
+                    className="mt-4 text-sm text-gray-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                  >
+                    {t("comparison.close")}
+                  </button>
+                </>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => setCompareMode(true)}
+                  className="px-3 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+                >
+                  {t("comparison.open")}
+                </button>
+              )}
+            </Card>
+
+            {/* HISTORICAL REPLAY */}
+            <Card title={t("card.replay")} className="print:hidden">
+              <HistoricalReplay inputs={pricedInputs} inputsValid={Boolean(model && model.isValid)} />
+            </Card>
+
+            {/* PRACTICE */}
+            <Card title={t("card.practice")} className="print:hidden">
+              <PracticePanel />
+            </Card>
+
+            {/* SCENARIOS */}
+            <Card title={t("card.scenarios")} className="print:hidden">
+              <ScenarioManager inputs={inputs} onLoad={setInputs} />
+            </Card>
+
+          </main>
+        </div>
+      </PaletteContext.Provider>
+    </I18nContext.Provider>
   );
-}
\ No newline at end of file
+}
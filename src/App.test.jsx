@@ -0,0 +1,715 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import axe from "axe-core";
+import App from "./App.jsx";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+// Recharts sizes its charts with ResizeObserver, which jsdom does not provide
+globalThis.ResizeObserver ??= class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+const WCAG_22_AA = ["wcag2a", "wcag2aa", "wcag21a", "wcag21aa", "wcag22aa"];
+
+let container;
+let root;
+
+async function render() {
+  container = document.createElement("div");
+  document.body.appendChild(container);
+  root = createRoot(container);
+  await act(async () => root.render(<App />));
+}
+
+// React tracks an input's value itself, so typing goes through the native setter
+const setInputValue = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set;
+
+const type = (input, value) => act(() => {
+  setInputValue.call(input, value);
+  input.dispatchEvent(new Event("input", { bubbles: true }));
+});
+
+const choose = (select, value) => act(() => {
+  select.value = value;
+  select.dispatchEvent(new Event("change", { bubbles: true }));
+});
+
+// Summarises violations so a failure names the rule and the offending markup
+async function axeViolations() {
+  const { violations } = await axe.run(container, { runOnly: { type: "tag", values: WCAG_22_AA } });
+  return violations.map(violation => `${violation.id}: ${violation.nodes.map(node => node.html).join(" | ")}`);
+}
+
+const press = (target, key) => act(() => {
+  target.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true }));
+});
+
+const clickButton = (scope, name) => act(async () => {
+  [...scope.querySelectorAll("button")].find(button => button.textContent === name).click();
+});
+
+const card = title => [...container.querySelectorAll("h2")].find(heading => heading.textContent === title).parentElement;
+const forwardRate = () => container.querySelector(".text-3xl.text-blue-600").textContent;
+const yearFractionLine = () => [...container.querySelectorAll("div")].find(line => line.textContent.startsWith("T = ")).textContent;
+
+beforeEach(async () => {
+  window.localStorage.clear();
+  // Inputs live in the URL, so each test opens a fresh link; the valuation date is
+  // pinned there because it otherwise defaults to the day the page loads
+  window.history.replaceState(null, "", "/?valuationDate=2025-01-15");
+  await render();
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+});
+
+describe("compounding", () => {
+  it("prices the forward with the selected convention", async () => {
+    expect(forwardRate()).toBe("1.2611");
+
+    await type(container.querySelector("#foreign-rate"), "20");
+    expect(forwardRate()).toBe("1.5033");
+
+    const compounding = container.querySelector("#compounding");
+    await choose(compounding, "simple");
+    expect(forwardRate()).toBe("1.4774");
+    await choose(compounding, "monthly");
+    expect(forwardRate()).toBe("1.5009");
+  });
+
+  it("grows both investment legs at the same convention so they end level", async () => {
+    await choose(container.querySelector("#compounding"), "annual");
+    const finals = [...container.querySelectorAll(".font-semibold.pt-1")].slice(0, 2).map(line => line.textContent);
+    expect(finals).toEqual(["Final: $1,023.60", "Final: $1,023.60"]);
+  });
+});
+
+describe("tenor and day count", () => {
+  it("counts actual days from the valuation date", async () => {
+    expect(container.querySelector("#valuation-date").value).toBe("2025-01-15");
+    await type(container.querySelector("#tenor-value"), "6");
+    await choose(container.querySelector("#tenor-unit"), "months");
+    expect(yearFractionLine()).toBe("T = 0.4959 years (6M, ACT/365)");
+    expect(forwardRate()).toBe("1.2606");
+
+    // The same six months span a leap day when they start in 2024
+    await type(container.querySelector("#valuation-date"), "2024-01-15");
+    expect(yearFractionLine()).toBe("T = 0.4986 years (6M, ACT/365)");
+    await choose(container.querySelector("#day-count"), "30/360");
+    expect(yearFractionLine()).toBe("T = 0.5000 years (6M, 30/360)");
+  });
+
+  it("reports an invalid valuation date and keeps the last valid results", async () => {
+    const date = container.querySelector("#valuation-date");
+    await type(date, "");
+    expect(date.getAttribute("aria-invalid")).toBe("true");
+    expect(container.textContent).toContain("Enter a valid valuation date");
+    expect(container.textContent).toContain("The results below are for the last valid inputs.");
+    expect(forwardRate()).toBe("1.2611");
+  });
+});
+
+describe("yield curves", () => {
+  it("prices with zero rates interpolated from each currency's curve", async () => {
+    await choose(container.querySelector("#rate-mode"), "curve");
+    await type(container.querySelector("#tenor-value"), "6");
+    await choose(container.querySelector("#tenor-unit"), "months");
+
+    expect(container.textContent).toContain("Invest $1,000.00 at 2.198% for 6M");
+    expect(container.textContent).toContain("invest at 2.379% for 6M");
+    expect(forwardRate()).toBe("1.2613");
+  });
+
+  it("accepts negative curve rates", async () => {
+    await choose(container.querySelector("#rate-mode"), "curve");
+    for (let index = 0; index < 5; index++) {
+      await type(container.querySelector(`#domestic-curve-rate-${index}`), "-0.75");
+    }
+
+    expect(container.textContent).toContain("Invest $1,000.00 at -0.750% for 1Y");
+    expect(forwardRate()).toBe("1.3009");
+  });
+});
+
+describe("covered interest arbitrage", () => {
+  it("borrows foreign and invests at home when the quoted forward is above parity", async () => {
+    await type(container.querySelector("#market-forward"), "1.27");
+
+    const arbitrage = card("Covered Interest Arbitrage");
+    expect(arbitrage.textContent).toContain("Borrow CAD, convert at spot, invest in USD, buy CAD forward");
+    expect(arbitrage.textContent).toContain("Riskless profit: $7.19 at t = 1Y");
+  });
+
+  it("reverses the trade below parity and finds none at parity", async () => {
+    const quote = container.querySelector("#market-forward");
+    await type(quote, "1.25");
+    expect(card("Covered Interest Arbitrage").textContent).toContain("Borrow USD, convert at spot, invest in CAD, sell CAD forward");
+    expect(card("Covered Interest Arbitrage").textContent).toContain("Riskless profit: $9.08 at t = 1Y");
+
+    await type(quote, "1.26108");
+    expect(card("Covered Interest Arbitrage").textContent).toContain("no covered interest arbitrage is available");
+  });
+});
+
+describe("bid/ask quotes", () => {
+  async function enterQuotes(forwardBid, forwardAsk) {
+    await act(() => container.querySelector("#two-way").click());
+    const quotes = {
+      "spot-quote-bid": "1.26",
+      "spot-quote-ask": "1.2604",
+      "domestic-quote-bid": "2.3",
+      "domestic-quote-ask": "2.42",
+      "foreign-quote-bid": "2.38",
+      "foreign-quote-ask": "2.48",
+      "forward-quote-bid": forwardBid,
+      "forward-quote-ask": forwardAsk
+    };
+    for (const [id, value] of Object.entries(quotes)) {
+      await type(container.querySelector(`#${id}`), value);
+    }
+  }
+
+  it("finds no arbitrage for a forward quote inside the transaction-cost band", async () => {
+    await enterQuotes("1.26", "1.262");
+
+    expect(container.textContent).toContain("Lower: 1.2595");
+    expect(container.textContent).toContain("Upper: 1.2627");
+    expect(card("Covered Interest Arbitrage").textContent).toContain("lies inside the no-arbitrage band of 1.2595 to 1.2627");
+  });
+
+  it("trades on the executable sides when the quote leaves the band", async () => {
+    await enterQuotes("1.264", "1.2645");
+
+    const arbitrage = card("Covered Interest Arbitrage").textContent;
+    expect(arbitrage).toContain("Borrow CAD, convert at spot, invest in USD, buy CAD forward");
+    expect(arbitrage).toContain("Riskless profit: $1.08 at t = 1Y");
+  });
+
+  it("rejects a bid above the ask", async () => {
+    await enterQuotes("1.265", "1.264");
+    expect(container.querySelector("#forward-quote-bid").getAttribute("aria-invalid")).toBe("true");
+    expect(container.textContent).toContain("Forward quote: bid cannot exceed the ask");
+  });
+});
+
+describe("quote conventions", () => {
+  it("inverts the spot and the forward when the quote switches to direct", async () => {
+    await choose(container.querySelector("#quote-style"), "direct");
+
+    expect(container.querySelector("#spot-rate").value).toBe("0.793525");
+    expect(forwardRate()).toBe("0.7930");
+    expect(container.textContent).toContain("Market convention: USD/CAD");
+
+    await clickButton(container, "Quote as USD/CAD");
+    expect(container.querySelector("#quote-style").value).toBe("indirect");
+    expect(container.querySelector("#spot-rate").value).toBe("1.2602");
+  });
+
+  it("requires two different currencies", async () => {
+    await choose(container.querySelector("#foreign-currency"), "USD");
+    expect(container.querySelector("#foreign-currency").getAttribute("aria-invalid")).toBe("true");
+    expect(container.textContent).toContain("Domestic and foreign currencies must differ");
+  });
+});
+
+describe("forward points", () => {
+  const pointsPanel = () => [...container.querySelectorAll("div")].find(panel => panel.firstChild?.textContent?.endsWith("Forward Points"));
+
+  it("quotes the forward in pips with the annualized premium", () => {
+    const panel = pointsPanel().textContent;
+    expect(panel).toContain("1Y points+8.82");
+    expect(panel).toContain("Annualized+0.070% p.a.");
+    expect(panel).toContain("1 pip = 0.0001 CAD");
+    expect(panel).toContain("USD trades at a forward premium of 0.070% p.a. against CAD, so CAD trades at a forward discount.");
+  });
+
+  it("quotes the points of a direct quote from the other side", async () => {
+    await choose(container.querySelector("#quote-style"), "direct");
+
+    const panel = pointsPanel().textContent;
+    expect(panel).toContain("1Y points-5.55");
+    expect(panel).toContain("CAD trades at a forward discount of 0.070% p.a. against USD, so USD trades at a forward premium.");
+  });
+
+  it("prices USD/JPY at its usual level in pips of 0.01 JPY", async () => {
+    await choose(container.querySelector("#foreign-currency"), "JPY");
+    await type(container.querySelector("#spot-rate"), "150");
+    await type(container.querySelector("#foreign-rate"), "0.5");
+
+    // A spot near 150 is normal for the pair, so it is neither rejected nor flagged
+    expect(card("Inputs").querySelector('[role="alert"], [role="status"]')).toBeNull();
+    expect(forwardRate()).toBe("147.2358");
+    const panel = pointsPanel().textContent;
+    expect(panel).toContain("1Y points-276.42");
+    expect(panel).toContain("1 pip = 0.01 JPY");
+  });
+});
+
+
+describe("scenarios", () => {
+  it("mirrors the inputs into the URL so a shared link reopens them", async () => {
+    await type(container.querySelector("#foreign-rate"), "20");
+    const params = new URLSearchParams(window.location.search);
+    expect(params.get("foreignRate")).toBe("20");
+    expect(params.get("valuationDate")).toBe("2025-01-15");
+
+    act(() => root.unmount());
+    container.remove();
+    await render();
+    expect(container.querySelector("#foreign-rate").value).toBe("20");
+    expect(forwardRate()).toBe("1.5033");
+  });
+
+  it("saves, loads and deletes named scenarios", async () => {
+    const manager = card("Saved Scenarios");
+    await type(container.querySelector("#scenario-name"), "Stressed CAD");
+    await type(container.querySelector("#foreign-rate"), "20");
+    await clickButton(manager, "Save current inputs");
+    expect(manager.textContent).toContain('Saved "Stressed CAD"');
+    expect(JSON.parse(window.localStorage.getItem("fx-forward-scenarios"))[0].inputs.foreignRate).toBe(20);
+
+    await type(container.querySelector("#foreign-rate"), "2.43");
+    expect(forwardRate()).toBe("1.2611");
+    await clickButton(manager, "Load Stressed CAD");
+    expect(forwardRate()).toBe("1.5033");
+
+    await clickButton(manager, "Delete Stressed CAD");
+    expect(manager.textContent).toContain("No saved scenarios yet.");
+  });
+});
+
+describe("scenario comparison", () => {
+  const row = (panel, label) => [...panel.querySelectorAll("tbody tr")]
+    .find(line => line.querySelector("th").textContent === label)
+    .querySelectorAll("td");
+
+  it("shifts a variant's rates and highlights how far it moves from the base", async () => {
+    const panel = card("Scenario Comparison");
+    await clickButton(panel, "Compare scenarios against these inputs");
+    const headings = [...panel.querySelectorAll("thead th")].map(cell => cell.textContent);
+    expect(headings).toEqual(["Metric", "Base (base)", "CAD +50bp"]);
+
+    const [base, shifted] = row(panel, "Forward (USD/CAD)");
+    expect(base.textContent).toBe("1.2611");
+    expect(shifted.textContent).toBe("1.2674(+0.0063)");
+    expect(shifted.className).toContain("bg-amber-50");
+
+    // The USD rate is untouched by a CAD shift, so its cell is not highlighted
+    const [, usdRate] = row(panel, "USD rate (%)");
+    expect(usdRate.textContent).toBe("2.360");
+    expect(usdRate.className).not.toContain("bg-amber-50");
+  });
+
+  it("reports a variant that cannot be priced and leaves it out of the table", async () => {
+    const panel = card("Scenario Comparison");
+    await clickButton(panel, "Compare scenarios against these inputs");
+    await type(panel.querySelector('fieldset input[inputmode="decimal"]'), "-1");
+    expect(panel.textContent).toContain("CAD +50bp:");
+    expect([...panel.querySelectorAll("thead th")].map(cell => cell.textContent)).toEqual(["Metric", "Base (base)"]);
+  });
+});
+
+describe("sensitivity analysis", () => {
+  it("marks the current scenario in the forward points heatmap", async () => {
+    const current = [...card("Sensitivity Analysis").querySelectorAll("td")].find(cell => cell.textContent.endsWith("(current)"));
+    expect(current.textContent).toBe("+8.82 (current)");
+  });
+
+  it("describes the sweep and rejects an inverted range", async () => {
+    const panel = card("Sensitivity Analysis");
+    expect(panel.querySelector("#sensitivity-chart-description").textContent).toBe(
+      "Line chart of the 1Y forward outright as the CAD − USD rate differential (%) moves from -1.93 to 2.07: " +
+      "1.2361 to 1.2866. The current input 0.070 gives 1.2611."
+    );
+
+    const [from] = panel.querySelectorAll('input[inputmode="decimal"]');
+    await type(from, "5");
+    expect(panel.textContent).toContain("The sweep start must be below the sweep end.");
+    expect(panel.querySelector("#sensitivity-chart-description")).toBeNull();
+  });
+});
+
+describe("historical replay", () => {
+  const upload = (input, name, text) => act(async () => {
+    Object.defineProperty(input, "files", { value: [new File([text], name, { type: "text/csv" })], configurable: true });
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+  });
+
+  it("prices each row and scores the forward and spot against the realized spot", async () => {
+    await type(container.querySelector("#tenor-value"), "1");
+    await choose(container.querySelector("#tenor-unit"), "months");
+    const panel = card("Historical Replay");
+    await upload(panel.querySelector('input[type="file"]'), "replay.csv", [
+      "Date,Spot,Domestic_Rate,Foreign Rate",
+      "2024-01-02,1.30,5,4",
+      "2024-13-01,1.31,5,4",
+      "2024-02-02,1.32,5,4"
+    ].join("\n"));
+
+    expect(panel.textContent).toContain("replay.csv: 2 valid rows");
+    expect(panel.textContent).toContain('Line 3: date "2024-13-01" is not YYYY-MM-DD');
+    expect(panel.querySelector("#replay-chart-description").textContent).toContain("1 of 2 dates have a realized spot");
+    const errors = [...panel.querySelectorAll("tbody tr")].map(line => [...line.children].map(cell => cell.textContent));
+    expect(errors).toEqual([
+      ["Implied 1M forward", "+1.62%", "1.62%"],
+      ["Today's spot", "+1.54%", "1.54%"]
+    ]);
+  });
+
+  it("names the missing columns", async () => {
+    const panel = card("Historical Replay");
+    await upload(panel.querySelector('input[type="file"]'), "bad.csv", "date,spot\n2024-01-02,1.3");
+    expect(panel.textContent).toContain("Missing columns: domestic rate, foreign rate.");
+  });
+});
+
+describe("uncovered interest parity", () => {
+  const uipPanel = () => [...container.querySelectorAll("div")].find(panel => panel.firstChild?.textContent === "Uncovered Interest Parity");
+  const enableUip = () => act(async () => container.querySelector("#uip-mode").click());
+
+  it("takes the forward as the expected spot until one is entered", async () => {
+    await enableUip();
+    expect(uipPanel().textContent).toContain("UIP holds: the expected spot equals the forward");
+
+    await type(container.querySelector("#expected-spot"), "1.3");
+    // A weaker CAD than the forward implies costs the unhedged CAD leg
+    expect(uipPanel().textContent).toContain("Unhedged, expected$993.23FX risk premium-2.994% p.a.");
+    expect(uipPanel().textContent).toContain("Leaving the CAD leg unhedged is expected to lose 2.994% p.a.");
+    const outcomes = [...card("Unhedged Spot Risk").querySelectorAll("tbody tr")].map(line => [...line.children].map(cell => cell.textContent));
+    expect(outcomes.map(([percentile]) => percentile)).toEqual(["5th", "25th", "50th", "75th", "95th"]);
+    expect(outcomes[2]).toEqual(["50th", "1.3000", "993.23"]);
+    expect(outcomes[4]).toEqual(["95th", "1.4828", "870.76"]);
+  });
+
+  it("rejects a non-positive expected spot", async () => {
+    await enableUip();
+    const expected = container.querySelector("#expected-spot");
+    await type(expected, "-1");
+    expect(expected.getAttribute("aria-invalid")).toBe("true");
+    expect(container.textContent).toContain("Expected future spot USD/CAD must be positive");
+  });
+});
+
+describe("hedging", () => {
+  it("locks in the forward for a receivable and shows where the hedge pays off", async () => {
+    await choose(container.querySelector("#exposure-type"), "receivable");
+    const panel = card("CAD Receivable Hedge");
+    expect(panel.textContent).toContain("Receive CA$1,000,000 in 1Y. Selling it forward at 1.2611 locks in $792,970.");
+    const [unchanged] = [...panel.querySelectorAll("tbody tr")].map(line => [...line.children].map(cell => cell.textContent));
+    expect(unchanged).toEqual(["Spot unchanged at 1.2602", "$793,525", "-$555"]);
+    expect(panel.textContent).toContain("the hedge gains when USD/CAD ends above the forward and costs when it ends below");
+  });
+
+  it("keeps the last valid spot range while the field is blank", async () => {
+    await choose(container.querySelector("#exposure-type"), "payable");
+    const panel = card("CAD Payable Hedge");
+    const description = () => panel.querySelector("#hedging-chart-description").textContent;
+    const range = panel.querySelector('input[inputmode="decimal"]');
+    await type(range, "10");
+    const tenPercent = description();
+    await type(range, "");
+    expect(range.value).toBe("");
+    expect(description()).toBe(tenPercent);
+  });
+});
+
+describe("forward valuation", () => {
+  const terms = panel => Object.fromEntries([...panel.querySelectorAll("dt")].map(term => [term.textContent, term.nextElementSibling.textContent]));
+
+  it("marks an existing forward to market over its remaining tenor", async () => {
+    const panel = card("Forward Valuation and FX Swaps");
+    // Bought at the 1Y forward, then valued six months on against a lower fair forward
+    expect(terms(panel)).toMatchObject({
+      "Elapsed": "0.5041 of 1.0000 years",
+      "Fair 6M forward": "1.2606",
+      "Value at maturity": "-CA$462.48",
+      "CAD discount factor": "0.988022",
+      "MTM today (CAD)": "-CA$456.94",
+      "MTM today (USD)": "-$362.59"
+    });
+
+    await clickButton(panel, "Sold USD");
+    expect(terms(panel)["MTM today (USD)"]).toBe("$362.59");
+  });
+
+  it("lays out the FX swap legs at spot and the forward", async () => {
+    const panel = card("Forward Valuation and FX Swaps");
+    const legs = [...panel.querySelectorAll("tbody tr")].map(line => [...line.children].map(cell => cell.textContent));
+    expect(legs).toEqual([
+      ["Near (spot)", "1.2602", "$1,000,000.00", "-CA$1,260,200.00"],
+      ["Far (1Y)", "1.2611", "-$1,000,000.00", "CA$1,261,082.45"]
+    ]);
+    expect(terms(panel)["Net CAD across both legs"]).toBe("CA$882.45");
+  });
+
+  it("rejects a remaining tenor longer than the original", async () => {
+    const panel = card("Forward Valuation and FX Swaps");
+    const remaining = container.querySelector("#valuation-remainingValue");
+    await type(remaining, "18");
+    expect(remaining.getAttribute("aria-invalid")).toBe("true");
+    expect(panel.textContent).toContain("Remaining tenor cannot exceed the original tenor");
+  });
+});
+
+describe("solve for", () => {
+  it("backs out the foreign rate that reproduces a quoted forward", async () => {
+    await choose(container.querySelector("#solve-for"), "foreignRate");
+    await type(container.querySelector("#given-forward"), "1.27");
+    const foreignRate = container.querySelector("#foreign-rate");
+    expect(foreignRate.disabled).toBe(true);
+    expect(foreignRate.value).toBe("3.1346");
+    expect(forwardRate()).toBe("1.2700");
+  });
+
+  it("solves the spot from forward points", async () => {
+    await choose(container.querySelector("#solve-for"), "spotRate");
+    await type(container.querySelector("#given-forward"), "8.82");
+    await choose(container.querySelector('select[aria-label="Forward quoted as"]'), "points");
+    // 8.82 pips is the default forward's points rounded, so the spot lands just under 1.2602
+    expect(container.querySelector("#spot-rate").value).toBe("1.259559");
+  });
+});
+
+describe("worked solution", () => {
+  afterEach(() => {
+    delete navigator.clipboard;
+  });
+
+  it("copies the numbered steps as plain text", async () => {
+    const writeText = vi.fn(() => Promise.resolve());
+    Object.defineProperty(navigator, "clipboard", { value: { writeText }, configurable: true });
+    const panel = card("Worked Solution");
+    await clickButton(panel, "Copy as text");
+
+    const [text] = writeText.mock.calls[0];
+    expect(text.split("\n\n").slice(0, 2)).toEqual([
+      "1. Convert the rates to decimals\n   r_CAD = 2.430% = 0.024300\n   r_USD = 2.360% = 0.023600",
+      "2. Convert the tenor to years (1Y tenor, ACT/365 day count)\n   T = 365 / 365 = 1.000000"
+    ]);
+    expect(panel.textContent).toContain("Copied as plain text");
+  });
+
+  it("reports a copy failure when the clipboard API is missing", async () => {
+    const panel = card("Worked Solution");
+    await clickButton(panel, "Copy as LaTeX");
+    expect(panel.textContent).toContain("Could not copy to the clipboard");
+  });
+});
+
+describe("practice mode", () => {
+  const answerForwardQuestion = async (panel, value) => {
+    await type(panel.querySelector("#quiz-answer"), value);
+    await clickButton(panel, "Check answer");
+  };
+
+  it("grades a forward answer by covered parity and keeps score", async () => {
+    const panel = card("Practice Mode");
+    await clickButton(panel, "Forward rate");
+    const prompt = panel.querySelector("#quiz-prompt").textContent;
+    const [, spot, days, baseRate, quoteRate] = prompt.match(/spot rate is ([\d.]+) .*?the (\d+)-day \w+ rate is ([\d.]+)% and the \d+-day \w+ rate is ([\d.]+)%/);
+    const forward = spot * (1 + quoteRate / 100 * days / 360) / (1 + baseRate / 100 * days / 360);
+
+    await answerForwardQuestion(panel, String(forward));
+    expect(panel.querySelector('[role="status"]').textContent).toMatch(/^Correct\. The answer is /);
+    expect(panel.textContent).toContain("Score: 1 / 1 (100%)");
+
+    await clickButton(panel, "Next problem");
+    await answerForwardQuestion(panel, String(forward * 2));
+    expect(panel.querySelector('[role="status"]').textContent).toMatch(/^Not quite\. The answer is /);
+    expect(panel.textContent).toContain("Score: 1 / 2 (50%)");
+    expect(JSON.parse(window.localStorage.getItem("fx-forward-quiz-score"))).toEqual({ correct: 1, attempted: 2 });
+  });
+});
+
+describe("export", () => {
+  it("downloads through a link in the document and frees the file URL afterwards", async () => {
+    vi.useFakeTimers();
+    URL.createObjectURL = vi.fn(() => "blob:report");
+    URL.revokeObjectURL = vi.fn();
+    const clicked = [];
+    const click = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+      clicked.push({ download: this.download, connected: this.isConnected, revoked: URL.revokeObjectURL.mock.calls.length });
+    });
+    try {
+      const group = container.querySelector('[role="group"][aria-label="Download inputs and results"]');
+      await clickButton(group, "CSV");
+      expect(clicked).toEqual([{ download: "fx-forward-USDCAD-1Y.csv", connected: true, revoked: 0 }]);
+      expect(document.querySelector('a[href="blob:report"]')).toBeNull();
+
+      vi.runAllTimers();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith("blob:report");
+    } finally {
+      click.mockRestore();
+      vi.useRealTimers();
+    }
+  });
+
+  it("writes the inputs, including the valuation date, and the priced results", async () => {
+    URL.createObjectURL = vi.fn(() => "blob:report");
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(() => {});
+    try {
+      const group = container.querySelector('[role="group"][aria-label="Download inputs and results"]');
+      await clickButton(group, "CSV");
+      const lines = (await URL.createObjectURL.mock.calls[0][0].text()).split("\n");
+      expect(lines[0]).toBe("section,item,value");
+      expect(lines).toContain("inputs,Valuation date,2025-01-15");
+      expect(lines).toContain("results,Forward rate (CAD per USD),1.261082");
+      expect(lines).toContain("results,Forward points (pips of CAD),8.82");
+    } finally {
+      click.mockRestore();
+    }
+  });
+});
+
+describe("validation messages", () => {
+  it("points each input at its own message when panels validate the same field", async () => {
+    const input = container.querySelector("#notional");
+    await type(input, "");
+
+    const describedBy = input.getAttribute("aria-describedby");
+    expect(container.querySelectorAll(`[id="${describedBy}"]`)).toHaveLength(1);
+    expect(document.getElementById(describedBy).textContent).toBe("• Enter the notional");
+  });
+
+  it("warns about an unusual spot but still prices it", async () => {
+    await type(container.querySelector("#spot-rate"), "3");
+    expect(card("Inputs").querySelector('[role="status"]').textContent).toContain("USD/CAD spot rate of 3 is unusual");
+    expect(forwardRate()).toBe("3.0021");
+  });
+
+  it("checks the valuation panel against its schema and links the message to the input", async () => {
+    const input = container.querySelector("#valuation-remainingValue");
+    await type(input, "18");
+
+    expect(input.getAttribute("aria-invalid")).toBe("true");
+    const describedBy = input.getAttribute("aria-describedby");
+    expect(container.querySelectorAll(`[id="${describedBy}"]`)).toHaveLength(1);
+    expect(document.getElementById(describedBy).textContent).toBe("• Remaining tenor cannot exceed the original tenor");
+  });
+});
+
+describe("language switch", () => {
+  it("translates default scenario names that were created before the switch", async () => {
+    await clickButton(container, "Compare scenarios against these inputs");
+    const names = () => [...container.querySelectorAll('fieldset > input[type="text"]')].map(input => input.value);
+    expect(names()).toEqual(["CAD +50bp"]);
+
+    await choose(container.querySelector("#language"), "fr");
+    expect(names()).toEqual(["CAD +50 pb"]);
+  });
+});
+
+describe("accessibility", () => {
+  it("has no WCAG 2.2 AA violations with the default inputs", async () => {
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  it("has no violations with the forward chart shown as a table", async () => {
+    const display = container.querySelector('[role="group"][aria-label="Display"]');
+    await clickButton(display, "Table");
+
+    const table = display.parentElement.nextElementSibling.querySelector("table");
+    expect(table.querySelector("caption").textContent).toContain("USD/CAD");
+    expect([...table.querySelectorAll("tbody th")].map(cell => cell.textContent)).toEqual(["t = 0", "t = 1Y"]);
+    expect(await axeViolations()).toEqual([]);
+  });
+
+  it("has no violations in the high-contrast palette", async () => {
+    const select = container.querySelector("#palette");
+    await act(() => {
+      select.value = "accessible";
+      select.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+    expect(await axeViolations()).toEqual([]);
+  });
+});
+
+describe("forward chart keyboard navigation", () => {
+  it("announces each point as the arrow keys move through the series", async () => {
+    const chart = container.querySelector('[data-export="forward-chart"]');
+    const liveRegion = chart.querySelector('[aria-live="polite"]');
+    chart.focus();
+
+    await press(chart, "ArrowRight");
+    expect(liveRegion.textContent).toBe("Exchange Rate at t = 0: 1.2602 (point 1 of 2)");
+    await press(chart, "End");
+    expect(liveRegion.textContent).toMatch(/^Exchange Rate at t = 1Y: 1\.\d{4} \(point 2 of 2\)$/);
+    await press(chart, "ArrowDown");
+    expect(liveRegion.textContent).toBe("USD Rate at t = 1Y: 2.360% (point 2 of 2)");
+    await press(chart, "ArrowUp");
+    await press(chart, "ArrowUp");
+    expect(liveRegion.textContent).toBe("CAD Rate at t = 1Y: 2.430% (point 2 of 2)");
+  });
+});
+
+describe("InfoIcon", () => {
+  it("closes its tooltip on Escape", async () => {
+    const tooltip = container.querySelector("#spot-rate-tooltip");
+    const button = container.querySelector('[aria-describedby="spot-rate-tooltip"]');
+    expect(tooltip.hidden).toBe(true);
+
+    await act(() => button.focus());
+    expect(tooltip.hidden).toBe(false);
+    await press(document.body, "Escape");
+    expect(tooltip.hidden).toBe(true);
+  });
+});
+
+describe("chart palette", () => {
+  it("switches the chart colours and remembers the choice", async () => {
+    const spotSwatch = () => container.querySelector('[data-export="forward-chart"]').previousElementSibling.querySelector("span > span");
+    expect(spotSwatch().style.backgroundColor).toBe("rgb(0, 187, 255)");
+
+    const select = container.querySelector("#palette");
+    await act(() => {
+      select.value = "accessible";
+      select.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+    expect(spotSwatch().style.backgroundColor).toBe("rgb(86, 180, 233)");
+    expect(window.localStorage.getItem("fx-forward-palette")).toBe("accessible");
+  });
+});
+
+describe("market data", () => {
+  const card = () => container.querySelector("#market-provider").closest(".space-y-3");
+  const spotInput = () => container.querySelector("#spot-rate");
+
+  it("fills the inputs from the bundled snapshot and labels it as static data", async () => {
+    await clickButton(card(), "Refresh USD/CAD");
+
+    expect(spotInput().value).toBe("1.437");
+    expect(card().textContent).toContain("USD/CAD quote from the static offline snapshot dated");
+    expect(card().querySelector(".bg-amber-50")).toBeNull();
+  });
+
+  afterEach(() => {
+    vi.clearAllTimers();
+    vi.useRealTimers();
+  });
+
+  it("streams quotes from the local mock feed", async () => {
+    vi.useFakeTimers();
+    const select = container.querySelector("#market-provider");
+    await act(() => {
+      select.value = "mock";
+      select.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+    await act(() => container.querySelector("#market-stream").click());
+    // The mock opens the stream after its latency and sends the first quote straight away
+    await act(() => vi.advanceTimersByTimeAsync(200));
+
+    expect(card().textContent).toContain("Live");
+    expect(Number(spotInput().value)).toBeCloseTo(1.437, 2);
+    expect(card().querySelector(".bg-amber-50")).toBeNull();
+    // axe schedules its own timers
+    vi.useRealTimers();
+    expect(await axeViolations()).toEqual([]);
+  });
+});
@@ -0,0 +1,101 @@
+import { useI18n } from "./i18nContext.js";
+import { formatQuote } from "./utils.js";
+import { CashFlowChart } from "./ForwardValuationPanel.jsx";
+
+export function ArbitrageSection({ model, inputs }) {
+  const { t, tm, fmt } = useI18n();
+  const { arbitrage, marketQuote, forwardBand } = model;
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = inputs;
+  
+  if (!arbitrage) {
+    return (
+      <div className="p-4 bg-green-50 rounded-lg border border-green-200 text-sm text-green-800">
+        {forwardBand
+          ? t("arbitrage.insideBand", {
+              quote: formatQuote(marketQuote, fmt),
+              lower: fmt.number(forwardBand.lower, 4),
+              upper: fmt.number(forwardBand.upper, 4)
+            })
+          : t("arbitrage.atParity", { quote: formatQuote(marketQuote, fmt), forward: fmt.number(model.forwardRate, 4) })}
+      </div>
+    );
+  }
+  
+  const netFlows = [domestic, foreign].flatMap(currency => (
+    [...new Set(arbitrage.cashFlows.map(flow => flow.time))].map(time => ({
+      time,
+      currency,
+      amount: arbitrage.cashFlows
+        .filter(flow => flow.time === time && flow.currency === currency)
+        .reduce((sum, flow) => sum + flow.amount, 0)
+    }))
+  ));
+  
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-orange-50 rounded-lg border border-orange-200 text-sm text-orange-900">
+        <div>
+          {t(marketQuote.mid < model.forwardRate ? "arbitrage.belowParity" : "arbitrage.aboveParity", {
+            quote: formatQuote(marketQuote, fmt),
+            forward: fmt.number(model.forwardRate, 4)
+          })}
+        </div>
+        {forwardBand && (
+          <div className="mt-1">
+            {t("arbitrage.outsideBand", { lower: fmt.number(forwardBand.lower, 4), upper: fmt.number(forwardBand.upper, 4) })}
+          </div>
+        )}
+        <div className="mt-1"><strong>{t("arbitrage.strategy")}</strong> {tm(arbitrage.strategy)}</div>
+        <div className="mt-1 font-semibold">
+          {t("arbitrage.profit", {
+            profit: fmt.currency(arbitrage.profit, domestic),
+            tenor: model.tenorLabel,
+            notional: fmt.currency(inputs.notional, domestic, 0)
+          })}
+        </div>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <caption className="sr-only">{t("arbitrage.caption", { notional: fmt.currency(inputs.notional, domestic, 0) })}</caption>
+            <thead>
+              <tr className="border-b border-gray-300 text-left text-gray-600">
+                <th scope="col" className="py-1 pr-2">#</th>
+                <th scope="col" className="py-1 pr-2">{t("arbitrage.time")}</th>
+                <th scope="col" className="py-1 pr-2">{t("arbitrage.stepHeader")}</th>
+                <th scope="col" className="py-1 pr-2">{t("arbitrage.currency")}</th>
+                <th scope="col" className="py-1 text-right">{t("cashFlow.amount")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {arbitrage.cashFlows.map((flow, index) => (
+                <tr key={index} className="border-b border-gray-100">
+                  <td className="py-1 pr-2">{index + 1}</td>
+                  <td className="py-1 pr-2 whitespace-nowrap">{flow.time}</td>
+                  <td className="py-1 pr-2">{tm(flow.step)}</td>
+                  <td className="py-1 pr-2">{flow.currency}</td>
+                  <td className={`py-1 text-right font-mono ${flow.amount < 0 ? 'text-red-700' : 'text-green-700'}`}>
+                    {fmt.signed(flow.amount, 2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              {netFlows.map(net => (
+                <tr key={`${net.time}-${net.currency}`} className="font-semibold">
+                  <td></td>
+                  <td className="py-1 pr-2 whitespace-nowrap">{net.time}</td>
+                  <td className="py-1 pr-2">{t("arbitrage.net")}</td>
+                  <td className="py-1 pr-2">{net.currency}</td>
+                  <td className="py-1 text-right font-mono">{fmt.number(Math.abs(net.amount) < 0.005 ? 0 : net.amount, 2)}</td>
+                </tr>
+              ))}
+            </tfoot>
+          </table>
+        </div>
+        <CashFlowChart cashFlows={arbitrage.cashFlows} domesticCurrency={domestic} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,252 @@
+import { useState } from "react";
+import {
+  ResponsiveContainer,
+  Bar,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  BarChart,
+  Legend
+} from "recharts";
+import { calculateForwardExchangeRate, getCurrencyPair } from "../pricing/index.js";
+import { usePalette } from "./theme.js";
+import { useI18n } from "./i18nContext.js";
+import { NumberInput, ValidationMessage } from "./controls.jsx";
+import { createScenarioId, scenarioName } from "../scenarioState.js";
+
+const MAX_COMPARISON_SCENARIOS = 4;
+
+const comparisonColors = colors => [colors.dark, colors.primary, colors.secondary, colors.accent];
+
+// A comparison variant overrides spot (null keeps the base spot) and shifts
+// both rate inputs in parallel by basis points, flat rates and curve pillars alike
+function applyScenarioVariant(inputs, variant) {
+  const shiftCurve = (curve, shift) => curve.map(pillar => ({ ...pillar, rate: pillar.rate + shift / 100 }));
+  return {
+    ...inputs,
+    spotRate: variant.spotRate ?? inputs.spotRate,
+    domesticRate: inputs.domesticRate + variant.domesticShift / 100,
+    foreignRate: inputs.foreignRate + variant.foreignShift / 100,
+    domesticCurve: shiftCurve(inputs.domesticCurve, variant.domesticShift),
+    foreignCurve: shiftCurve(inputs.foreignCurve, variant.foreignShift)
+  };
+}
+
+function ForwardComparisonChart({ scenarios, pair }) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const data = [
+    { name: t("comparison.spot"), ...Object.fromEntries(scenarios.map((scenario, index) => [`s${index}`, scenario.inputs.spotRate])) },
+    {
+      name: t("comparison.forward", { tenor: scenarios[0].model.tenorLabel }),
+      ...Object.fromEntries(scenarios.map((scenario, index) => [`s${index}`, scenario.model.forwardRate]))
+    }
+  ];
+  const values = scenarios.flatMap(scenario => [scenario.inputs.spotRate, scenario.model.forwardRate]);
+  const padding = Math.max((Math.max(...values) - Math.min(...values)) * 0.3, Math.max(...values) * 0.002);
+  
+  return (
+    <div className="h-[360px]" role="img" aria-labelledby="comparison-chart-title" aria-describedby="comparison-chart-description">
+      <div className="sr-only">
+        <h3 id="comparison-chart-title">{t("comparison.chartTitle", { pair: pair.label })}</h3>
+        <p id="comparison-chart-description">
+          {t("comparison.chartDescription", {
+            scenarios: scenarios.map(scenario => t("comparison.chartScenario", {
+              name: scenario.name,
+              spot: fmt.number(scenario.inputs.spotRate, 4),
+              forward: fmt.number(scenario.model.forwardRate, 4)
+            })).join('; ')
+          })}
+        </p>
+      </div>
+      <ResponsiveContainer width="100%" height={360}>
+        <BarChart data={data} margin={{ top: 20, right: 20, left: 20, bottom: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" />
+          <YAxis
+            label={{ value: t("comparison.axis", { pair: pair.label }), angle: -90, position: 'insideLeft', dy: 60 }}
+            domain={[Math.max(0, Math.min(...values) - padding), Math.max(...values) + padding]}
+            tickFormatter={(value) => fmt.number(value, 4)}
+            width={80}
+          />
+          <Tooltip formatter={(value, name) => [fmt.number(value, 4), name]} />
+          <Legend />
+          {scenarios.map((scenario, index) => (
+            <Bar
+              key={scenario.id}
+              dataKey={`s${index}`}
+              name={scenario.name}
+              fill={comparisonColors(colors)[index]}
+              stroke={colors.outline}
+              strokeWidth={1}
+            />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+export function ComparisonPanel({ inputs, validate }) {
+  const colors = usePalette();
+  const { t, tm, fmt } = useI18n();
+  const [variants, setVariants] = useState(() => [
+    { id: createScenarioId(), name: { key: "comparison.shiftName", values: { currency: inputs.foreignCurrency } }, spotRate: null, domesticShift: 0, foreignShift: 50 }
+  ]);
+  const pair = getCurrencyPair(inputs);
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = inputs;
+  
+  const scenarios = [{ id: "base", name: t("comparison.base"), variant: null }, ...variants.map(variant => ({ id: variant.id, name: scenarioName(variant.name, tm), variant }))]
+    .map(scenario => {
+      const scenarioInputs = scenario.variant ? applyScenarioVariant(inputs, scenario.variant) : inputs;
+      const errors = validate(scenarioInputs);
+      const model = Object.keys(errors).length === 0 ? calculateForwardExchangeRate(scenarioInputs) : null;
+      return { ...scenario, inputs: scenarioInputs, errors, model: model && model.isValid ? model : null };
+    });
+  const [base] = scenarios;
+  const computed = scenarios.filter(scenario => scenario.model);
+  
+  const updateVariant = (id, field, value) => {
+    setVariants(prev => prev.map(variant => (variant.id === id ? { ...variant, [field]: value } : variant)));
+  };
+  
+  const addVariant = () => {
+    setVariants(prev => [
+      ...prev,
+      { id: createScenarioId(), name: { key: "scenarios.defaultName", values: { number: prev.length + 2 } }, spotRate: null, domesticShift: 0, foreignShift: 0 }
+    ]);
+  };
+  
+  const metrics = [
+    { label: t("comparison.metricSpot", { pair: pair.label }), value: scenario => scenario.inputs.spotRate, digits: 4 },
+    { label: t("comparison.metricRate", { currency: domestic }), value: scenario => scenario.model.domesticZeroRate, digits: 3 },
+    { label: t("comparison.metricRate", { currency: foreign }), value: scenario => scenario.model.foreignZeroRate, digits: 3 },
+    { label: t("comparison.metricForward", { pair: pair.label }), value: scenario => scenario.model.forwardRate, digits: 4 },
+    { label: t("comparison.metricPoints"), value: scenario => scenario.model.forwardPoints, digits: 2, signed: true },
+    { label: t("comparison.metricPremium", { currency: pair.base }), value: scenario => scenario.model.forwardPremium, digits: 3, signed: true },
+    { label: t("comparison.metricDomesticLeg", { currency: domestic }), value: scenario => scenario.model.domesticEndingValue, digits: 2 },
+    { label: t("comparison.metricForeignLeg", { foreign, domestic }), value: scenario => scenario.model.domesticEquivalent, digits: 2 },
+  ];
+  
+  if (!base.model) {
+    return <p className="text-sm text-gray-600">{t("comparison.invalidBase")}</p>;
+  }
+  
+  return (
+    <div className="space-y-6">
+      {/* Variant editors */}
+      <div className="space-y-3">
+        {variants.map(variant => (
+          <fieldset key={variant.id} className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+            <legend className="sr-only">{t("comparison.variantLegend", { name: scenarioName(variant.name, tm) })}</legend>
+            <input
+              type="text"
+              value={scenarioName(variant.name, tm)}
+              onChange={(e) => updateVariant(variant.id, 'name', e.target.value)}
+              className="block w-40 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+              aria-label={t("scenarios.nameLabel")}
+            />
+            <label className="flex items-center gap-2 text-gray-700">
+              {t("comparison.spot")}
+              <NumberInput
+                step="0.0001"
+                value={variant.spotRate ?? ''}
+                placeholder={fmt.input(inputs.spotRate)}
+                onChange={(value) => updateVariant(variant.id, 'spotRate', value === '' ? null : +value)}
+                className="block w-24 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+              />
+            </label>
+            <label className="flex items-center gap-2 text-gray-700">
+              {t("comparison.shift", { currency: domestic })}
+              <NumberInput
+                step="5"
+                value={variant.domesticShift}
+                onChange={(value) => updateVariant(variant.id, 'domesticShift', +value)}
+                className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+              />
+            </label>
+            <label className="flex items-center gap-2 text-gray-700">
+              {t("comparison.shift", { currency: foreign })}
+              <NumberInput
+                step="5"
+                value={variant.foreignShift}
+                onChange={(value) => updateVariant(variant.id, 'foreignShift', +value)}
+                className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+              />
+            </label>
+            <button
+              type="button"
+              onClick={() => setVariants(prev => prev.filter(item => item.id !== variant.id))}
+              className="text-red-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+            >
+              {t("comparison.remove")}<span className="sr-only"> {scenarioName(variant.name, tm)}</span>
+            </button>
+          </fieldset>
+        ))}
+        {variants.length < MAX_COMPARISON_SCENARIOS - 1 && (
+          <button
+            type="button"
+            onClick={addVariant}
+            className="text-sm text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+          >
+            {t("comparison.add")}
+          </button>
+        )}
+      </div>
+
+      {scenarios.some(scenario => !scenario.model) && (
+        <ValidationMessage
+          errors={Object.fromEntries(scenarios
+            .filter(scenario => !scenario.model)
+            .map(scenario => [scenario.id, `${scenario.name}: ${Object.values(scenario.errors).map(tm).join('; ') || t("comparison.cannotPrice")}`]))}
+        />
+      )}
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        {/* Comparison table */}
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <caption className="sr-only">{t("comparison.caption")}</caption>
+            <thead>
+              <tr className="border-b border-gray-300 text-left text-gray-600">
+                <th scope="col" className="py-1 pr-2">{t("comparison.metric")}</th>
+                {computed.map((scenario, index) => (
+                  <th key={scenario.id} scope="col" className="py-1 pr-2 text-right">
+                    <span className="inline-block w-2 h-2 mr-1 rounded-full" style={{ backgroundColor: comparisonColors(colors)[scenarios.indexOf(scenario)] }}></span>
+                    {scenario.name}
+                    {index === 0 && <span className="sr-only"> {t("comparison.baseMarker")}</span>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {metrics.map(metric => (
+                <tr key={metric.label} className="border-b border-gray-100">
+                  <th scope="row" className="py-1 pr-2 text-left font-normal text-gray-700">{metric.label}</th>
+                  {computed.map(scenario => {
+                    const value = metric.value(scenario);
+                    const diff = value - metric.value(base);
+                    const changed = scenario !== base && Math.abs(diff) >= 0.5 * Math.pow(10, -metric.digits);
+                    return (
+                      <td key={scenario.id} className={`py-1 pr-2 text-right font-mono ${changed ? 'bg-amber-50' : ''}`}>
+                        <div>{metric.signed ? fmt.signed(value, metric.digits) : fmt.number(value, metric.digits)}</div>
+                        {changed && (
+                          <div className={diff > 0 ? 'text-green-700' : 'text-red-700'}>
+                            ({fmt.signed(diff, metric.digits)})
+                          </div>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <ForwardComparisonChart scenarios={computed} pair={pair} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import { getPipSize } from "../pricing/index.js";
+import { usePalette } from "./theme.js";
+import { useI18n } from "./i18nContext.js";
+
+// Corners of the triangle diagram: the pair across the top, the common currency below
+const TRIANGLE_POINTS = [{ x: 70, y: 60 }, { x: 330, y: 60 }, { x: 200, y: 230 }];
+
+const TRIANGLE_RADIUS = 24;
+
+function CrossRateTriangle({ crossRates, currencies }) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const { legs, cross, spotArbitrage, forwardArbitrage } = crossRates;
+  const loop = spotArbitrage || forwardArbitrage;
+  const point = currency => TRIANGLE_POINTS[currencies.indexOf(currency)];
+  const centroid = { x: 200, y: 350 / 3 };
+  // Each edge joins the two currencies of its pair; the label sits outside the triangle
+  const edges = [cross, legs[0], legs[1]].map(quote => {
+    const step = loop && loop.steps.find(candidate => candidate.label === quote.label);
+    const [from, to] = step ? [point(step.from), point(step.to)] : [point(quote.base), point(quote.quote)];
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    const unit = { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+    const mid = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+    const away = Math.hypot(mid.x - centroid.x, mid.y - centroid.y);
+    return {
+      quote,
+      inLoop: Boolean(step),
+      x1: from.x + unit.x * TRIANGLE_RADIUS,
+      y1: from.y + unit.y * TRIANGLE_RADIUS,
+      x2: to.x - unit.x * (TRIANGLE_RADIUS + (step ? 4 : 0)),
+      y2: to.y - unit.y * (TRIANGLE_RADIUS + (step ? 4 : 0)),
+      labelX: mid.x + (mid.x - centroid.x) / away * 26,
+      labelY: mid.y + (mid.y - centroid.y) / away * 26
+    };
+  });
+  
+  return (
+    <svg
+      viewBox="0 0 400 290"
+      className="w-full max-w-md mx-auto"
+      role="img"
+      aria-label={t("cross.diagram", {
+        currencies: currencies.join(", "),
+        legs: edges.map(({ quote }) => `${quote.label} ${fmt.number(quote.spot, 4)}`).join(", ")
+      })}
+    >
+      <defs>
+        <marker id="cross-arrow" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill={colors.accent} />
+        </marker>
+      </defs>
+      {edges.map(edge => (
+        <g key={edge.quote.label}>
+          <line
+            x1={edge.x1}
+            y1={edge.y1}
+            x2={edge.x2}
+            y2={edge.y2}
+            stroke={edge.inLoop ? colors.accent : colors.darkAlt}
+            strokeWidth={edge.inLoop ? 3 : 2}
+            markerEnd={edge.inLoop ? "url(#cross-arrow)" : undefined}
+          />
+          <text x={edge.labelX} y={edge.labelY - 6} textAnchor="middle" fontSize="12" fontWeight="600" fill={colors.text}>
+            {edge.quote.label}
+          </text>
+          <text x={edge.labelX} y={edge.labelY + 9} textAnchor="middle" fontSize="11" fill="#4b5563">
+            {fmt.number(edge.quote.spot, 4)} → {fmt.number(edge.quote.forward, 4)}
+          </text>
+        </g>
+      ))}
+      {currencies.map((currency, index) => (
+        <g key={currency}>
+          <circle cx={TRIANGLE_POINTS[index].x} cy={TRIANGLE_POINTS[index].y} r={TRIANGLE_RADIUS} fill={index === 2 ? colors.secondary : colors.primary} />
+          <text x={TRIANGLE_POINTS[index].x} y={TRIANGLE_POINTS[index].y + 4} textAnchor="middle" fontSize="12" fontWeight="700" fill="#ffffff">
+            {currency}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+function CrossArbitrageCheck({ crossRates, side, inputs }) {
+  const { t, fmt } = useI18n();
+  const { cross } = crossRates;
+  const quoted = crossRates.quoted[side];
+  const loop = side === "spot" ? crossRates.spotArbitrage : crossRates.forwardArbitrage;
+  const derived = cross[side];
+  const sideLabel = t(side === "spot" ? "cross.sideSpot" : "cross.sideForward", { tenor: crossRates.tenorLabel });
+  const comparison = t("cross.comparison", {
+    pair: cross.label,
+    side: sideLabel,
+    quoted: fmt.number(quoted, 4),
+    derived: fmt.number(derived, 4),
+    common: inputs.commonCurrency,
+    pips: fmt.signed((quoted - derived) / getPipSize(cross), 1)
+  });
+  
+  if (!loop) {
+    return (
+      <div className="p-4 bg-green-50 rounded-lg border border-green-200 text-sm text-green-800">
+        {comparison} {t("cross.noArbitrage")}
+      </div>
+    );
+  }
+  
+  return (
+    <div className="p-4 bg-orange-50 rounded-lg border border-orange-200 text-sm text-orange-900">
+      <div>{comparison}</div>
+      <div className="mt-1"><strong>{t("cross.loop", { side: sideLabel })}</strong> {loop.path.join(" → ")}</div>
+      <ol className="mt-2 list-decimal list-inside space-y-1 text-xs">
+        {loop.steps.map((step, index) => (
+          <li key={index}>
+            {t("cross.step", {
+              amountIn: fmt.currency(step.amountIn, step.from),
+              amountOut: fmt.currency(step.amountOut, step.to),
+              pair: step.label,
+              rate: fmt.number(step.rate, 4)
+            })}
+          </li>
+        ))}
+      </ol>
+      <div className="mt-2 font-semibold">
+        {t("cross.profit", {
+          profit: fmt.currency(loop.profit, inputs.domesticCurrency),
+          time: loop.time,
+          notional: fmt.currency(inputs.notional, inputs.domesticCurrency, 0)
+        })}
+      </div>
+    </div>
+  );
+}
+
+export function CrossRatesPanel({ crossRates, inputs }) {
+  const { t, fmt } = useI18n();
+  const { legs, cross, quoted, tenorLabel } = crossRates;
+  const currencies = [inputs.domesticCurrency, inputs.foreignCurrency, inputs.commonCurrency];
+  const rows = [
+    ...legs.map(leg => ({ ...leg, name: leg.label })),
+    { ...cross, name: t("cross.derived", { pair: cross.label, common: inputs.commonCurrency }), isCross: true }
+  ];
+  
+  return (
+    <div className="grid gap-6 lg:grid-cols-2">
+      <CrossRateTriangle crossRates={crossRates} currencies={currencies} />
+      <div className="space-y-4">
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <caption className="sr-only">{t("cross.caption", { tenor: tenorLabel })}</caption>
+            <thead>
+              <tr className="border-b border-gray-300 text-left text-gray-600">
+                <th scope="col" className="py-1 pr-2">{t("cross.pair")}</th>
+                <th scope="col" className="py-1 pr-2 text-right">{t("results.spot")}</th>
+                <th scope="col" className="py-1 pr-2 text-right">{t("results.tenorPoints", { tenor: tenorLabel })}</th>
+                <th scope="col" className="py-1 text-right">{t("cross.forward", { tenor: tenorLabel })}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.name} className={`border-b border-gray-100 ${row.isCross ? 'font-semibold' : ''}`}>
+                  <th scope="row" className="py-1 pr-2 text-left font-normal">{row.name}</th>
+                  <td className="py-1 pr-2 text-right font-mono">{fmt.number(row.spot, 4)}</td>
+                  <td className="py-1 pr-2 text-right font-mono">{fmt.signed(row.forwardPoints, 2)}</td>
+                  <td className="py-1 text-right font-mono">{fmt.number(row.forward, 4)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {quoted.spot === null && quoted.forward === null ? (
+          <p className="text-xs text-gray-600">{t("cross.noQuote", { pair: cross.label })}</p>
+        ) : (
+          ["spot", "forward"]
+            .filter(side => quoted[side] !== null)
+            .map(side => <CrossArbitrageCheck key={side} crossRates={crossRates} side={side} inputs={inputs} />)
+        )}
+      </div>
+    </div>
+  );
+}
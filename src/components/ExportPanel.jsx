@@ -0,0 +1,229 @@
+import { useState } from "react";
+import { getCompounding, getCurrencyPair } from "../pricing/index.js";
+import { getLocale } from "../i18n/index.js";
+import { useI18n } from "./i18nContext.js";
+import { formatQuote, downloadFile } from "./utils.js";
+
+// Rounds exported figures to a readable precision without turning them into strings
+const roundTo = (value, decimals) => (Number.isFinite(value) ? Number(value.toFixed(decimals)) : value);
+
+// Input and result rows shared by the CSV and JSON downloads and the printed report;
+// labels follow the interface language, values stay machine-readable
+function buildReportRows(model, inputs, { t, tm }) {
+  const pair = getCurrencyPair(inputs);
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = inputs;
+  const curveText = curve => curve.map(pillar => `${pillar.years}Y ${pillar.rate}%`).join("; ");
+  
+  const inputRows = [
+    { key: "pair", label: t("report.pair"), value: pair.label },
+    {
+      key: "quoteStyle",
+      label: t("report.quoteStyle"),
+      value: t("report.quoteStyleValue", { quote: pair.quote, base: pair.base, style: t(`quoteStyle.${inputs.quoteStyle}`) })
+    },
+    { key: "spotRate", label: t("report.spotRate"), value: roundTo(inputs.spotRate, 6) },
+    ...(inputs.rateMode === "curve"
+      ? [
+          { key: "domesticCurve", label: t("report.zeroCurve", { currency: domestic }), value: curveText(inputs.domesticCurve) },
+          { key: "foreignCurve", label: t("report.zeroCurve", { currency: foreign }), value: curveText(inputs.foreignCurve) },
+          { key: "interpolation", label: t("report.interpolation"), value: t(`interpolation.${inputs.interpolation}`) }
+        ]
+      : [
+          { key: "domesticRate", label: t("report.interestRate", { currency: domestic }), value: roundTo(inputs.domesticRate, 4) },
+          { key: "foreignRate", label: t("report.interestRate", { currency: foreign }), value: roundTo(inputs.foreignRate, 4) }
+        ]),
+    { key: "compounding", label: t("report.compounding"), value: t(`compounding.${getCompounding(inputs.compounding).value}`) },
+    { key: "tenor", label: t("report.tenor"), value: model.tenorLabel },
+    { key: "dayCount", label: t("report.dayCount"), value: inputs.dayCount },
+    { key: "valuationDate", label: t("report.valuationDate"), value: inputs.valuationDate },
+    { key: "notional", label: t("report.notional", { currency: domestic }), value: inputs.notional }
+  ];
+  if (model.marketQuote) {
+    inputRows.push({ key: "marketForward", label: t("report.marketForward"), value: formatQuote(model.marketQuote) });
+  }
+  
+  const resultRows = [
+    { key: "years", label: t("report.years"), value: roundTo(model.years, 6) },
+    { key: "forwardRate", label: t("report.forwardRate", { quote: pair.quote, base: pair.base }), value: roundTo(model.forwardRate, 6) },
+    { key: "forwardPoints", label: t("report.forwardPoints", { quote: pair.quote }), value: roundTo(model.forwardPoints, 2) },
+    { key: "forwardPremium", label: t("report.forwardPremium", { base: pair.base }), value: roundTo(model.forwardPremium, 4) },
+    { key: "domesticZeroRate", label: t("report.zeroRate", { currency: domestic }), value: roundTo(model.domesticZeroRate, 4) },
+    { key: "foreignZeroRate", label: t("report.zeroRate", { currency: foreign }), value: roundTo(model.foreignZeroRate, 4) },
+    { key: "domesticDiscountFactor", label: t("report.discountFactor", { currency: domestic }), value: roundTo(model.discountFactors.domestic, 8) },
+    { key: "foreignDiscountFactor", label: t("report.discountFactor", { currency: foreign }), value: roundTo(model.discountFactors.foreign, 8) }
+  ];
+  if (model.marketQuote) {
+    resultRows.push(
+      {
+        key: "arbitrageStrategy",
+        label: t("report.arbitrageStrategy"),
+        value: model.arbitrage ? tm(model.arbitrage.strategy) : t("report.arbitrageNone")
+      },
+      {
+        key: "arbitrageProfit",
+        label: t("report.arbitrageProfit", { currency: domestic }),
+        value: model.arbitrage ? roundTo(model.arbitrage.profit, 2) : 0
+      }
+    );
+  }
+  return { inputs: inputRows, results: resultRows };
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function reportAsCsv(rows) {
+  const lines = [["section", "item", "value"]];
+  Object.entries(rows).forEach(([section, entries]) => {
+    entries.forEach(row => lines.push([section, row.label, row.value]));
+  });
+  return lines.map(line => line.map(csvCell).join(",")).join("\n");
+}
+
+function reportAsJson(rows) {
+  const byKey = entries => Object.fromEntries(entries.map(row => [row.key, row.value]));
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    inputs: byKey(rows.inputs),
+    results: byKey(rows.results)
+  }, null, 2);
+}
+
+// Standalone SVG of a rendered chart: explicit size, the page font and a white
+// background, so it looks the same outside the page
+function chartSvgMarkup(svg) {
+  const { width, height } = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  clone.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  clone.setAttribute("font-family", window.getComputedStyle(svg).fontFamily);
+  const background = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  background.setAttribute("width", "100%");
+  background.setAttribute("height", "100%");
+  background.setAttribute("fill", "#ffffff");
+  clone.insertBefore(background, clone.firstChild);
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+// Rasterizes the SVG at twice its size so the PNG stays sharp on slides and handouts
+function chartPngBlob(svg) {
+  const { markup, width, height } = chartSvgMarkup(svg);
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml;charset=utf-8" }));
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * 2;
+      canvas.height = height * 2;
+      const context = canvas.getContext("2d");
+      context.scale(2, 2);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Canvas export failed"))), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not load the chart image"));
+    };
+    image.src = url;
+  });
+}
+
+// The chart renders twice (mobile and desktop layouts); export whichever one is visible
+function findVisibleChartSvg() {
+  return [...document.querySelectorAll('[data-export="forward-chart"] svg.recharts-surface')]
+    .find(svg => svg.getBoundingClientRect().width > 0) || null;
+}
+
+export function ExportPanel({ model, inputs }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [message, setMessage] = useState(null);
+  const pair = getCurrencyPair(inputs);
+  const fileStem = `fx-forward-${pair.base}${pair.quote}-${model.tenorLabel}`;
+  
+  const handleData = (format) => {
+    const rows = buildReportRows(model, inputs, i18n);
+    if (format === "csv") {
+      downloadFile(reportAsCsv(rows), `${fileStem}.csv`, "text/csv");
+    } else {
+      downloadFile(reportAsJson(rows), `${fileStem}.json`, "application/json");
+    }
+    setMessage(null);
+  };
+  
+  const handleChart = (format) => {
+    const svg = findVisibleChartSvg();
+    if (!svg) {
+      setMessage({ type: "error", key: "export.notRendered" });
+      return;
+    }
+    if (format === "svg") {
+      downloadFile(chartSvgMarkup(svg).markup, `${fileStem}-chart.svg`, "image/svg+xml");
+      setMessage(null);
+      return;
+    }
+    chartPngBlob(svg)
+      .then(blob => {
+        downloadFile(blob, `${fileStem}-chart.png`);
+        setMessage(null);
+      })
+      .catch(() => setMessage({ type: "error", key: "export.pngFailed" }));
+  };
+  
+  const buttonClass = "px-3 py-1 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500";
+  
+  return (
+    <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+      <div className="flex items-center gap-2" role="group" aria-label={t("export.dataGroup")}>
+        <span className="text-sm text-gray-600">{t("export.data")}</span>
+        <button type="button" onClick={() => handleData("csv")} className={buttonClass}>CSV</button>
+        <button type="button" onClick={() => handleData("json")} className={buttonClass}>JSON</button>
+      </div>
+      <div className="flex items-center gap-2" role="group" aria-label={t("export.chartGroup")}>
+        <span className="text-sm text-gray-600">{t("export.chart")}</span>
+        <button type="button" onClick={() => handleChart("svg")} className={buttonClass}>SVG</button>
+        <button type="button" onClick={() => handleChart("png")} className={buttonClass}>PNG</button>
+      </div>
+      <button
+        type="button"
+        onClick={() => window.print()}
+        className="px-3 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+      >
+        {t("export.print")}
+      </button>
+      {message && (
+        <span role="status" className={`text-sm ${message.type === "error" ? "text-red-700" : "text-green-700"}`}>
+          {t(message.key)}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// Shown only when printing: the inputs behind the results and chart that follow
+export function ReportHeader({ model, inputs }) {
+  const i18n = useI18n();
+  const { t, fmt, locale } = i18n;
+  const { inputs: rows } = buildReportRows(model, inputs, i18n);
+  
+  return (
+    <div className="space-y-3">
+      <p className="text-gray-600">{t("report.prepared", { date: new Date().toLocaleString(getLocale(locale).intlLocale) })}</p>
+      <table className="w-full text-sm">
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.key} className="border-b border-gray-200">
+              <th scope="row" className="py-1 pr-4 text-left font-medium text-gray-700">{row.label}</th>
+              <td className="py-1 font-mono">{typeof row.value === "number" ? fmt.input(row.value) : row.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
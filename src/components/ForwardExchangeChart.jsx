@@ -0,0 +1,475 @@
+import { useState, useId } from "react";
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Cell,
+  ReferenceArea,
+  ReferenceDot
+} from "recharts";
+import { getCurrencyPair } from "../pricing/index.js";
+import { usePalette, mixWithWhite } from "./theme.js";
+import { useI18n } from "./i18nContext.js";
+import { ToggleGroup } from "./controls.jsx";
+
+function CustomBarLabel(props) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const { x, y, width, value, index, labelMode = "outright", spotRate, pipSize, spotIndex = 0 } = props;
+  
+  if (!value || Math.abs(value) < 0.0001) return null;
+  
+  let text = fmt.number(value, 4);
+  if (labelMode === "points") {
+    text = index === spotIndex ? t("chart.spotLabel") : t("chart.pointsLabel", { points: fmt.signed((value - spotRate) / pipSize, 2) });
+  }
+  
+  return (
+    <text
+      x={x + width / 2}
+      y={y - 30}
+      textAnchor="middle"
+      fill={colors.text}
+      fontSize="11"
+      fontWeight="bold"
+    >
+      {text}
+    </text>
+  );
+}
+
+// Table alternative to the forward chart: the plotted values plus the forward points and
+// rate differential a reader would otherwise estimate from the bars and lines
+function ChartDataTable({ caption, data, isCurve, band, inputs, model, series }) {
+  const { t, fmt } = useI18n();
+  
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <caption className="text-left text-sm font-medium text-gray-700 mb-2">{caption}</caption>
+          <thead>
+            <tr className="border-b border-gray-300 text-left text-gray-600">
+              <th scope="col" className="py-1 pr-3">{t(isCurve ? "chart.xTenor" : "chart.xTime")}</th>
+              {series.map(({ key, name }) => (
+                <th key={key} scope="col" className="py-1 pr-3 text-right">{name}</th>
+              ))}
+              <th scope="col" className="py-1 pr-3 text-right">{t("chart.tablePoints")}</th>
+              <th scope="col" className="py-1 text-right">{t("chart.tableDifferential")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.map(point => (
+              <tr key={point.name} className="border-b border-gray-100">
+                <th scope="row" className="py-1 pr-3 text-left font-normal">{point.name}</th>
+                {series.map(({ key, format }) => (
+                  <td key={key} className="py-1 pr-3 text-right font-mono">{format(point[key])}</td>
+                ))}
+                <td className="py-1 pr-3 text-right font-mono">{fmt.signed((point.exchangeRate - inputs.spotRate) / model.pipSize, 2)}</td>
+                <td className="py-1 text-right font-mono">{fmt.signed(point.domesticRate - point.foreignRate, 3)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-600">
+        {t("chart.tableNote", { domestic: inputs.domesticCurrency, foreign: inputs.foreignCurrency })}
+        {band && ` ${t("chart.legendBand", { lower: fmt.number(band.lower, 4), upper: fmt.number(band.upper, 4) })}`}
+      </p>
+    </div>
+  );
+}
+
+export function ForwardExchangeChart({ model, inputs }) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const pair = getCurrencyPair(inputs);
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = inputs;
+  const [view, setView] = useState("spot");
+  const [labelMode, setLabelMode] = useState("outright");
+  const [display, setDisplay] = useState("chart");
+  const [active, setActive] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+  // The chart is mounted in both the mobile and desktop layouts, so its ids must be unique
+  const idPrefix = useId();
+  const isCurve = view === "curve";
+  const data = isCurve ? model.curveData : model.chartData;
+  const band = isCurve ? null : model.forwardBand;
+  const series = [
+    { key: "exchangeRate", axis: "left", name: t("chart.exchangeRate"), format: value => fmt.number(value, 4) },
+    { key: "domesticRate", axis: "right", name: t("chart.rateSeries", { currency: domestic }), format: value => fmt.percent(value, 3) },
+    { key: "foreignRate", axis: "right", name: t("chart.rateSeries", { currency: foreign }), format: value => fmt.percent(value, 3) }
+  ];
+  const activePoint = active && data[active.index] ? { ...active, point: data[active.index], series: series[active.series] } : null;
+
+  // Calculate Y-axis range for interest rates
+  const interestRates = data.flatMap(point => [point.domesticRate, point.foreignRate]);
+  const minRate = Math.min(...interestRates);
+  const maxRate = Math.max(...interestRates);
+  const ratePadding = Math.max((maxRate - minRate) * 0.5, 0.5);
+  // Padding stops at zero unless the curves themselves go negative
+  const rateMin = minRate < 0 ? minRate - ratePadding : Math.max(0, minRate - ratePadding);
+  const rateMax = maxRate + ratePadding;
+
+  // Calculate Y-axis range for exchange rates
+  const exchangeRates = data.map(point => point.exchangeRate).concat(band ? [band.lower, band.upper] : []);
+  const minExRate = Math.min(...exchangeRates);
+  const maxExRate = Math.max(...exchangeRates);
+  const exRatePadding = Math.max((maxExRate - minExRate) * 0.3, 0.2);
+  const exRateMin = Math.max(0, minExRate - exRatePadding);
+  const exRateMax = maxExRate + exRatePadding;
+
+  // Custom label component for domestic rate (renders below the line)
+  const DomesticLabel = (props) => {
+    const { x, y, value, index } = props;
+    if (!value || index !== 0) return null; // Only show label on first point
+    
+    const centerX = x + 100;
+    const labelY = y + 35; // Below the point
+    
+    return (
+      <g>
+        {/* Leader line */}
+        <line
+          x1={centerX}
+          y1={labelY - 8}
+          x2={x}
+          y2={y}
+          stroke={colors.secondary}
+          strokeWidth={1}
+          opacity={0.7}
+          strokeDasharray="2,2"
+        />
+        {/* Label text */}
+        <text
+          x={centerX}
+          y={labelY}
+          textAnchor="middle"
+          fill={colors.text}
+          fontSize="11"
+          fontWeight="bold"
+        >
+          {domestic}: {fmt.percent(value, 3)}
+        </text>
+      </g>
+    );
+  };
+
+  // Custom label component for foreign rate (renders above the line)
+  const ForeignLabel = (props) => {
+    const { x, y, value, index } = props;
+    if (!value || index !== 0) return null; // Only show label on first point
+    
+    const centerX = x + 100;
+    const labelY = y - 25; // Above the point
+    
+    return (
+      <g>
+        {/* Leader line */}
+        <line
+          x1={centerX}
+          y1={labelY + 8}
+          x2={x}
+          y2={y}
+          stroke={colors.accent}
+          strokeWidth={1}
+          opacity={0.7}
+          strokeDasharray="2,2"
+        />
+        {/* Label text */}
+        <text
+          x={centerX}
+          y={labelY}
+          textAnchor="middle"
+          fill={colors.text}
+          fontSize="11"
+          fontWeight="bold"
+        >
+          {foreign}: {fmt.percent(value, 3)}
+        </text>
+      </g>
+    );
+  };
+
+  const changeView = (value) => {
+    setView(value);
+    setActive(null);
+  };
+
+  // Arrow keys walk the points of a series and switch between series; each move is announced
+  const moveTo = (index, seriesIndex) => {
+    const point = data[index];
+    const { name, key, format } = series[seriesIndex];
+    setActive({ index, series: seriesIndex });
+    setAnnouncement(t("chart.pointAnnouncement", {
+      series: name,
+      label: point.name,
+      value: format(point[key]),
+      position: index + 1,
+      count: data.length
+    }));
+  };
+
+  const handleChartKeyDown = (event) => {
+    const index = active ? Math.min(active.index, data.length - 1) : 0;
+    const seriesIndex = active ? active.series : 0;
+    const moves = {
+      ArrowRight: () => moveTo(active ? Math.min(index + 1, data.length - 1) : 0, seriesIndex),
+      ArrowLeft: () => moveTo(Math.max(index - 1, 0), seriesIndex),
+      Home: () => moveTo(0, seriesIndex),
+      End: () => moveTo(data.length - 1, seriesIndex),
+      ArrowDown: () => moveTo(index, active ? (seriesIndex + 1) % series.length : 0),
+      ArrowUp: () => moveTo(index, active ? (seriesIndex + series.length - 1) % series.length : 0)
+    };
+    if (event.key === "Escape" && active) {
+      setActive(null);
+      setAnnouncement("");
+      return;
+    }
+    if (!moves[event.key]) return;
+    event.preventDefault();
+    moves[event.key]();
+  };
+
+  return (
+    <>
+      {/* View and label toggles */}
+      <div className="mb-4 flex flex-wrap gap-3 print:hidden">
+        <ToggleGroup
+          label={t("chart.view")}
+          value={view}
+          onChange={changeView}
+          options={[
+            { value: "spot", label: t("chart.spotVsForward") },
+            { value: "curve", label: t("chart.forwardCurve") },
+          ]}
+        />
+        <ToggleGroup
+          label={t("chart.barLabels")}
+          value={labelMode}
+          onChange={setLabelMode}
+          options={[
+            { value: "outright", label: t("chart.outright") },
+            { value: "points", label: t("chart.points") },
+          ]}
+        />
+        <ToggleGroup
+          label={t("chart.display")}
+          value={display}
+          onChange={setDisplay}
+          options={[
+            { value: "chart", label: t("chart.displayChart") },
+            { value: "table", label: t("chart.displayTable") },
+          ]}
+        />
+      </div>
+
+      {display === "table" ? (
+        <ChartDataTable
+          caption={t("chart.title", { pair: pair.label })}
+          data={data}
+          isCurve={isCurve}
+          band={band}
+          inputs={inputs}
+          model={model}
+          series={series}
+        />
+      ) : (
+        <>
+          {/* Legends */}
+          <div className="mb-4 space-y-2">
+            <div className="text-sm text-gray-600 flex items-center gap-3 flex-wrap">
+              {!isCurve && (
+                <span className="inline-flex items-center">
+                  <span className="w-4 h-4 mr-2 rounded border-2" style={{backgroundColor: colors.spot, borderColor: colors.outline}}></span>
+                  {t("chart.legendSpot", { pair: pair.label, value: fmt.number(inputs.spotRate, 4) })}
+                </span>
+              )}
+              <span className="inline-flex items-center">
+                <span className="w-4 h-4 mr-2 rounded border-2" style={{backgroundColor: colors.forward, borderColor: colors.outline}}></span>
+                {isCurve
+                  ? t("chart.legendCurve", { pair: pair.label, dayCount: inputs.dayCount })
+                  : t("chart.legendForward", { pair: pair.label, value: fmt.number(model.forwardRate, 4), tenor: model.tenorLabel })}
+              </span>
+              {band && (
+                <span className="inline-flex items-center">
+                  <span className="w-4 h-4 mr-2 rounded border border-dashed" style={{backgroundColor: mixWithWhite(colors.accent, 0.25), borderColor: colors.accent}}></span>
+                  {t("chart.legendBand", { lower: fmt.number(band.lower, 4), upper: fmt.number(band.upper, 4) })}
+                </span>
+              )}
+            </div>
+            <div className="text-xs text-gray-600 flex items-center gap-3 flex-wrap">
+              <span className="inline-flex items-center">
+                <span className="w-2 h-2 mr-2 rounded-full" style={{backgroundColor: colors.secondary}}></span>
+                {domestic}: {fmt.percent(model.domesticZeroRate, 3)}{inputs.rateMode === "curve" && t("chart.zeroAt", { tenor: model.tenorLabel })}
+              </span>
+              <span className="inline-flex items-center">
+                <span className="w-2 h-2 mr-2 rounded-full" style={{backgroundColor: colors.accent}}></span>
+                {foreign}: {fmt.percent(model.foreignZeroRate, 3)}{inputs.rateMode === "curve" && t("chart.zeroAt", { tenor: model.tenorLabel })}
+              </span>
+            </div>
+          </div>
+
+          {/* Chart */}
+          <div
+            className="h-[450px] print:h-auto rounded-md focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+            data-export="forward-chart"
+            role="group"
+            tabIndex={0}
+            aria-labelledby={`${idPrefix}-title`}
+            aria-describedby={`${idPrefix}-description ${idPrefix}-instructions`}
+            onKeyDown={handleChartKeyDown}
+            onBlur={() => setActive(null)}
+          >
+            <div className="sr-only">
+              <h3 id={`${idPrefix}-title`}>{t("chart.title", { pair: pair.label })}</h3>
+              {isCurve ? (
+                <p id={`${idPrefix}-description`}>
+                  {t("chart.descriptionCurve", {
+                    pair: pair.label,
+                    quote: pair.quote,
+                    base: pair.base,
+                    domestic,
+                    foreign,
+                    forwards: model.curveData.map(point => `${point.name} ${fmt.number(point.exchangeRate, 4)}`).join(', '),
+                    domesticRates: model.curveData.map(point => `${point.name} ${fmt.percent(point.domesticRate, 3)}`).join(', '),
+                    foreignRates: model.curveData.map(point => `${point.name} ${fmt.percent(point.foreignRate, 3)}`).join(', ')
+                  })}
+                </p>
+              ) : (
+                <p id={`${idPrefix}-description`}>
+                  {t("chart.descriptionSpot", {
+                    pair: pair.label,
+                    quote: pair.quote,
+                    base: pair.base,
+                    domestic,
+                    foreign,
+                    spot: fmt.number(inputs.spotRate, 4),
+                    forward: fmt.number(model.forwardRate, 4),
+                    tenor: model.tenorLabel,
+                    domesticRate: fmt.percent(model.domesticZeroRate, 3),
+                    foreignRate: fmt.percent(model.foreignZeroRate, 3)
+                  })}
+                  {' '}{t(model.forwardRate > inputs.spotRate ? "chart.descriptionHigher" : "chart.descriptionLower", { base: pair.base, quote: pair.quote })}
+                  {' '}{t("chart.descriptionParity")}
+                  {band && ` ${t("chart.descriptionBand", { lower: fmt.number(band.lower, 4), upper: fmt.number(band.upper, 4) })}`}
+                </p>
+              )}
+              <p id={`${idPrefix}-instructions`}>{t("chart.keyboardInstructions")}</p>
+              <p aria-live="polite">{announcement}</p>
+            </div>
+
+            {/* Recharts' own keyboard layer is off; the wrapper above provides navigation instead */}
+            <div aria-hidden="true">
+              <ResponsiveContainer width="100%" height={450}>
+                <ComposedChart data={data} margin={{ top: 60, right: 120, left: 20, bottom: 50 }} accessibilityLayer={false}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" label={{ value: t(isCurve ? "chart.xTenor" : "chart.xTime"), position: 'insideBottom', offset: -10 }} />
+                  <YAxis 
+                    yAxisId="left"
+                    label={{ value: t("chart.yExchange", { pair: pair.label }), angle: -90, position: 'insideLeft' }}
+                    domain={[exRateMin, exRateMax]}
+                    tickFormatter={(value) => fmt.number(value, 2)}
+                  />
+                  <YAxis 
+                    yAxisId="right"
+                    orientation="right"
+                    label={{ value: t("chart.yInterest"), angle: 90, position: 'insideRight',dx: 25 }}
+                    domain={[rateMin, rateMax]}
+                    tickFormatter={(value) => fmt.percent(value, 2)}
+                  />
+                  <Tooltip 
+                    formatter={(value, name, item) => {
+                      if (item.dataKey === 'exchangeRate') return [fmt.number(value, 4), name];
+                      return [fmt.percent(value, 3), name];
+                    }}
+                    labelFormatter={(label) => t(isCurve ? "chart.tooltipTenor" : "chart.tooltipTime", { label })}
+                  />
+              
+                  <Bar
+                    yAxisId="left"
+                    dataKey="exchangeRate"
+                    name={t("chart.exchangeRate")}
+                    barSize={isCurve ? 36 : 60}
+                    label={isCurve && labelMode === "outright"
+                      ? false
+                      : <CustomBarLabel labelMode={labelMode} spotRate={inputs.spotRate} pipSize={model.pipSize} spotIndex={isCurve ? -1 : 0} />}
+                  >
+                    {data.map((point, index) => (
+                      <Cell
+                        key={point.name}
+                        fill={!isCurve && index === 0 ? colors.spot : colors.forward}
+                        stroke={colors.outline}
+                        strokeWidth={2}
+                      />
+                    ))}
+                  </Bar>
+
+                  {/* Drawn after the bar so the band stays visible on top of it */}
+                  {band && (
+                    <ReferenceArea
+                      yAxisId="left"
+                      x1={data[1].name}
+                      x2={data[1].name}
+                      y1={band.lower}
+                      y2={band.upper}
+                      fill={colors.accent}
+                      fillOpacity={0.25}
+                      stroke={colors.accent}
+                      strokeDasharray="4 2"
+                    />
+                  )}
+              
+                  <Line 
+                    yAxisId="right"
+                    type="monotone" 
+                    dataKey="domesticRate" 
+                    stroke={colors.secondary} 
+                    strokeWidth={3}
+                    dot={{ fill: colors.secondary, strokeWidth: 2, r: 5 }}
+                    name={t("chart.rateSeries", { currency: domestic })}
+                    label={<DomesticLabel />}
+                  />
+              
+                  <Line 
+                    yAxisId="right"
+                    type="monotone" 
+                    dataKey="foreignRate" 
+                    stroke={colors.accent} 
+                    strokeWidth={3}
+                    dot={{ fill: colors.accent, strokeWidth: 2, r: 5 }}
+                    name={t("chart.rateSeries", { currency: foreign })}
+                    label={<ForeignLabel />}
+                  />
+
+                  {activePoint && (
+                    <ReferenceDot
+                      yAxisId={activePoint.series.axis}
+                      x={activePoint.point.name}
+                      y={activePoint.point[activePoint.series.key]}
+                      r={9}
+                      fill="none"
+                      stroke={colors.text}
+                      strokeWidth={3}
+                      ifOverflow="extendDomain"
+                    />
+                  )}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Educational note */}
+      <div className="mt-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+        <strong>{t("chart.noteTitle")}</strong> {t("chart.noteBody")}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,284 @@
+import { useState, useId } from "react";
+import {
+  ResponsiveContainer,
+  Bar,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Cell,
+  BarChart,
+  ReferenceLine
+} from "recharts";
+import {
+  TENOR_UNITS,
+  checkValuationInputs,
+  formatTenor,
+  getCurrencyPair,
+  valueForwardContract,
+  yearFraction
+} from "../pricing/index.js";
+import { usePalette } from "./theme.js";
+import { useI18n } from "./i18nContext.js";
+import { NumberInput, ToggleGroup, ValidationMessage } from "./controls.jsx";
+import { validationMessageId } from "./utils.js";
+
+const POSITIONS = ["buy", "sell"];
+
+export function ForwardValuationPanel({ model, inputs }) {
+  const { t, fmt } = useI18n();
+  const messageIdPrefix = useId();
+  const pair = getCurrencyPair(inputs);
+  const [contract, setContract] = useState({
+    position: "buy",
+    contractRate: Math.round(model.forwardRate * 1e4) / 1e4,
+    notional: 1000000,
+    originalValue: 1,
+    originalUnit: "years",
+    remainingValue: 6,
+    remainingUnit: "months"
+  });
+  const [swap, setSwap] = useState({ direction: "buy-sell", notional: 1000000 });
+  
+  const updateContract = (field, value) => setContract(prev => ({ ...prev, [field]: value }));
+  
+  const { errors, warnings } = checkValuationInputs({
+    ...contract,
+    swapNotional: swap.notional,
+    dayCount: inputs.dayCount,
+    valuationDate: inputs.valuationDate
+  });
+  const fieldBorder = field => (errors[field] ? 'border-red-300' : warnings[field] ? 'border-amber-300' : 'border-gray-300');
+  const fieldAria = field => ({
+    'aria-invalid': errors[field] ? 'true' : 'false',
+    'aria-describedby': errors[field] || warnings[field] ? validationMessageId(messageIdPrefix, field) : undefined
+  });
+  const originalYears = yearFraction(contract.originalValue, contract.originalUnit, inputs.dayCount, inputs.valuationDate);
+  const remainingYears = yearFraction(contract.remainingValue, contract.remainingUnit, inputs.dayCount, inputs.valuationDate);
+  
+  const valuation = errors.contractRate || errors.notional || errors.originalValue || errors.remainingValue
+    ? null
+    : valueForwardContract({
+        inputs,
+        position: contract.position,
+        contractRate: contract.contractRate,
+        notional: contract.notional,
+        remainingTenor: { value: contract.remainingValue, unit: contract.remainingUnit }
+      });
+  const remainingLabel = formatTenor(contract.remainingValue, contract.remainingUnit);
+  const formatAmount = (value, currency) => fmt.currency(value, currency);
+  
+  // Buy/sell: buy the base currency at spot on the near date and sell it back at the forward on the far date
+  const nearSign = swap.direction === "buy-sell" ? 1 : -1;
+  const swapLegs = [
+    { name: t("valuation.nearLeg"), rate: inputs.spotRate, sign: nearSign },
+    { name: t("valuation.farLeg", { tenor: model.tenorLabel }), rate: model.forwardRate, sign: -nearSign }
+  ];
+  
+  const numberInput = (id, value, onChange, props = {}) => (
+    <NumberInput
+      id={id}
+      value={value}
+      onChange={(value) => onChange(+value)}
+      className={`block w-28 rounded-md shadow-sm px-2 py-1 text-sm ${fieldBorder(props.errorKey)} focus:border-blue-500 focus:ring-blue-500`}
+      {...fieldAria(props.errorKey)}
+      step={props.step}
+    />
+  );
+  const tenorInput = (label, valueField, unitField) => (
+    <div className="flex items-center gap-2">
+      <label htmlFor={`valuation-${valueField}`} className="text-gray-700 whitespace-nowrap">{label}</label>
+      <NumberInput
+        id={`valuation-${valueField}`}
+        step="1"
+        value={contract[valueField]}
+        onChange={(value) => updateContract(valueField, +value)}
+        className={`block w-16 rounded-md shadow-sm px-2 py-1 text-sm ${fieldBorder(valueField)} focus:border-blue-500 focus:ring-blue-500`}
+        {...fieldAria(valueField)}
+      />
+      <select
+        value={contract[unitField]}
+        onChange={(e) => updateContract(unitField, e.target.value)}
+        className="block w-24 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+        aria-label={t("valuation.unit", { label })}
+      >
+        {TENOR_UNITS.map(option => (
+          <option key={option.value} value={option.value}>{t(`tenorUnit.${option.value}`)}</option>
+        ))}
+      </select>
+    </div>
+  );
+  
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-6 lg:grid-cols-2">
+        {/* Mark-to-market of an existing forward */}
+        <div className="space-y-3 text-sm">
+          <h3 className="font-semibold text-gray-800">{t("valuation.existingTitle")}</h3>
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+            <ToggleGroup
+              label={t("valuation.position", { currency: pair.base })}
+              options={POSITIONS.map(value => ({ value, label: t(`valuation.position.${value}`, { currency: pair.base }) }))}
+              value={contract.position}
+              onChange={(value) => updateContract('position', value)}
+            />
+            <div className="flex items-center gap-2">
+              <label htmlFor="valuation-notional" className="text-gray-700 whitespace-nowrap">{t("valuation.notional", { currency: pair.base })}</label>
+              {numberInput("valuation-notional", contract.notional, (value) => updateContract('notional', value), { step: "1000", min: "1", errorKey: "notional" })}
+            </div>
+            <div className="flex items-center gap-2">
+              <label htmlFor="valuation-rate" className="text-gray-700 whitespace-nowrap">{t("valuation.contractRate")}</label>
+              {numberInput("valuation-rate", contract.contractRate, (value) => updateContract('contractRate', value), { step: "0.0001", min: "0.0001", errorKey: "contractRate" })}
+            </div>
+            {tenorInput(t("valuation.originalTenor"), "originalValue", "originalUnit")}
+            {tenorInput(t("valuation.remaining"), "remainingValue", "remainingUnit")}
+          </div>
+          
+          {valuation && (
+            <div className="p-4 bg-white rounded-lg border border-gray-200">
+              <dl className="text-xs text-gray-700 grid grid-cols-2 gap-y-1">
+                <dt>{t("valuation.elapsed")}</dt>
+                <dd className="text-right font-mono">
+                  {t("valuation.elapsedValue", { elapsed: fmt.number(originalYears - remainingYears, 4), total: fmt.number(originalYears, 4) })}
+                </dd>
+                <dt>{t("valuation.fairForward", { tenor: remainingLabel })}</dt>
+                <dd className="text-right font-mono">{fmt.number(valuation.fair.forwardRate, 4)}</dd>
+                <dt>{t("valuation.contractRate")}</dt>
+                <dd className="text-right font-mono">{fmt.number(contract.contractRate, 4)}</dd>
+                <dt>{t("valuation.maturityValue")}</dt>
+                <dd className="text-right font-mono">{formatAmount(valuation.maturityValue, pair.quote)}</dd>
+                <dt>{t("valuation.discountFactor", { currency: pair.quote })}</dt>
+                <dd className="text-right font-mono">{fmt.number(valuation.quoteDiscount, 6)}</dd>
+                <dt className="font-semibold pt-1 border-t border-gray-200">{t("valuation.mtm", { currency: pair.quote })}</dt>
+                <dd className={`text-right font-mono font-semibold pt-1 border-t border-gray-200 ${valuation.quoteValue >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                  {formatAmount(valuation.quoteValue, pair.quote)}
+                </dd>
+                <dt className="font-semibold">{t("valuation.mtm", { currency: pair.base })}</dt>
+                <dd className={`text-right font-mono font-semibold ${valuation.baseValue >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                  {formatAmount(valuation.baseValue, pair.base)}
+                </dd>
+              </dl>
+              <p className="text-xs text-gray-600 mt-2">
+                {t("valuation.mtmNote", { quote: pair.quote, base: pair.base, tenor: remainingLabel, spot: fmt.number(inputs.spotRate, 4) })}
+              </p>
+            </div>
+          )}
+        </div>
+        
+        {/* FX swap at the calculator tenor */}
+        <div className="space-y-3 text-sm">
+          <h3 className="font-semibold text-gray-800">{t("valuation.swapTitle", { tenor: model.tenorLabel })}</h3>
+          <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+            <ToggleGroup
+              label={t("valuation.swapDirection")}
+              options={[
+                { value: "buy-sell", label: t("valuation.buySell", { currency: pair.base }) },
+                { value: "sell-buy", label: t("valuation.sellBuy", { currency: pair.base }) }
+              ]}
+              value={swap.direction}
+              onChange={(value) => setSwap(prev => ({ ...prev, direction: value }))}
+            />
+            <div className="flex items-center gap-2">
+              <label htmlFor="swap-notional" className="text-gray-700 whitespace-nowrap">{t("valuation.notional", { currency: pair.base })}</label>
+              {numberInput("swap-notional", swap.notional, (value) => setSwap(prev => ({ ...prev, notional: value })), { step: "1000", min: "1", errorKey: "swapNotional" })}
+            </div>
+          </div>
+          
+          {swap.notional > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-xs">
+                <caption className="sr-only">{t("valuation.swapCaption")}</caption>
+                <thead>
+                  <tr className="border-b border-gray-300 text-left text-gray-600">
+                    <th scope="col" className="py-1 pr-2">{t("valuation.leg")}</th>
+                    <th scope="col" className="py-1 pr-2 text-right">{t("valuation.rate")}</th>
+                    <th scope="col" className="py-1 pr-2 text-right">{pair.base}</th>
+                    <th scope="col" className="py-1 text-right">{pair.quote}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {swapLegs.map(leg => (
+                    <tr key={leg.name} className="border-b border-gray-100">
+                      <th scope="row" className="py-1 pr-2 text-left font-normal text-gray-700">{leg.name}</th>
+                      <td className="py-1 pr-2 text-right font-mono">{fmt.number(leg.rate, 4)}</td>
+                      <td className={`py-1 pr-2 text-right font-mono ${leg.sign > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                        {formatAmount(leg.sign * swap.notional, pair.base)}
+                      </td>
+                      <td className={`py-1 text-right font-mono ${leg.sign < 0 ? 'text-green-700' : 'text-red-700'}`}>
+                        {formatAmount(-leg.sign * swap.notional * leg.rate, pair.quote)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <dl className="mt-3 text-xs text-gray-700 grid grid-cols-2 gap-y-1">
+                <dt>{t("valuation.swapPoints")}</dt>
+                <dd className="text-right font-mono">{fmt.signed(model.forwardPoints, 2)}</dd>
+                <dt>{t("valuation.net", { currency: pair.quote })}</dt>
+                <dd className="text-right font-mono">
+                  {formatAmount(nearSign * swap.notional * (model.forwardRate - inputs.spotRate), pair.quote)}
+                </dd>
+              </dl>
+              <p className="text-xs text-gray-600 mt-2">
+                {t("valuation.swapNote", { quote: pair.quote, base: pair.base })}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+      
+      <ValidationMessage errors={errors} warnings={warnings} idPrefix={messageIdPrefix} />
+    </div>
+  );
+}
+
+export function CashFlowChart({ cashFlows, domesticCurrency }) {
+  const colors = usePalette();
+  const { t, tm, fmt } = useI18n();
+  const data = cashFlows.map((flow, index) => ({
+    name: `${index + 1}`,
+    label: `${flow.time}: ${tm(flow.step)}`,
+    value: flow.domesticValue,
+    currency: flow.currency,
+    isDomestic: flow.isDomestic
+  }));
+  
+  return (
+    <div className="h-[300px]" role="img" aria-labelledby="cash-flow-title" aria-describedby="cash-flow-description">
+      <div className="sr-only">
+        <h3 id="cash-flow-title">{t("cashFlow.title")}</h3>
+        <p id="cash-flow-description">
+          {t("cashFlow.description", {
+            currency: domesticCurrency,
+            flows: data.map(point => `${point.label} ${fmt.number(point.value, 2)}`).join(', ')
+          })}
+        </p>
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <BarChart data={data} margin={{ top: 20, right: 20, left: 20, bottom: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="name" label={{ value: t("cashFlow.step"), position: 'insideBottom', offset: -10 }} />
+          <YAxis tickFormatter={(value) => fmt.number(value, 0)} />
+          <Tooltip
+            formatter={(value, name, item) => [
+              t("cashFlow.tooltip", { value: fmt.number(value, 2), domestic: domesticCurrency, currency: item.payload.currency }),
+              t("cashFlow.amount")
+            ]}
+            labelFormatter={(label, payload) => (payload && payload[0] ? payload[0].payload.label : label)}
+          />
+          <ReferenceLine y={0} stroke={colors.dark} />
+          <Bar dataKey="value" name={t("cashFlow.amount")}>
+            {data.map(point => (
+              <Cell
+                key={point.name}
+                fill={point.isDomestic ? colors.secondary : colors.accent}
+                stroke={colors.outline}
+                strokeWidth={1}
+              />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState } from "react";
+import {
+  ResponsiveContainer,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  LineChart,
+  Legend,
+  ReferenceLine
+} from "recharts";
+import { exposureCashFlow, getCurrencyPair } from "../pricing/index.js";
+import { usePalette } from "./theme.js";
+import { useI18n } from "./i18nContext.js";
+import { NumberInput } from "./controls.jsx";
+
+export function HedgingPanel({ model, inputs }) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const [rangePercent, setRangePercent] = useState(15);
+  const pair = getCurrencyPair(inputs);
+  const { domesticCurrency: domestic, foreignCurrency: foreign, exposureType, exposureAmount, quoteStyle } = inputs;
+  const { hedgedValue, unhedgedAtSpot, breakEvenSpot } = model.hedge;
+  const isPayable = exposureType === "payable";
+  // Receivables lose value as the foreign currency weakens; which way that moves the quote depends on the convention
+  const gainsAbove = isPayable === (quoteStyle === "direct");
+  const span = Math.min(Math.max(rangePercent, 1), 90) / 100;
+  const data = Array.from({ length: 41 }, (_, i) => {
+    const spot = breakEvenSpot * (1 - span + 2 * span * i / 40);
+    const unhedged = exposureCashFlow(exposureType, exposureAmount, spot, quoteStyle);
+    return { spot, hedged: hedgedValue, unhedged, hedgePnl: hedgedValue - unhedged };
+  });
+  const scenarios = [
+    { label: t("hedging.spotUnchanged", { spot: fmt.number(inputs.spotRate, 4) }), spot: inputs.spotRate },
+    ...(model.uip ? [{ label: t("hedging.expectedSpot", { spot: fmt.number(model.uip.expectedSpot, 4) }), spot: model.uip.expectedSpot }] : [])
+  ];
+  const formatAmount = value => fmt.currency(value, domestic, 0);
+  const edges = { above: t("hedging.above"), below: t("hedging.below") };
+  
+  return (
+    <div className="space-y-4">
+      <div className="grid gap-6 lg:grid-cols-3">
+        <div className="text-sm space-y-3">
+          <p className="text-gray-700">
+            {t(isPayable ? "hedging.summaryPayable" : "hedging.summaryReceivable", {
+              amount: fmt.currency(exposureAmount, foreign, 0),
+              tenor: model.tenorLabel,
+              rate: fmt.number(breakEvenSpot, 4),
+              value: formatAmount(Math.abs(hedgedValue))
+            })}
+          </p>
+          <table className="w-full text-xs">
+            <caption className="sr-only">{t("hedging.caption", { currency: domestic })}</caption>
+            <thead>
+              <tr className="border-b border-gray-300 text-left text-gray-600">
+                <th scope="col" className="py-1 pr-2">{t("hedging.spotAtMaturity")}</th>
+                <th scope="col" className="py-1 pr-2 text-right">{t("hedging.unhedged")}</th>
+                <th scope="col" className="py-1 text-right">{t("hedging.pnl")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {scenarios.map(scenario => {
+                const unhedged = exposureCashFlow(exposureType, exposureAmount, scenario.spot, quoteStyle);
+                const pnl = hedgedValue - unhedged;
+                return (
+                  <tr key={scenario.label} className="border-b border-gray-100">
+                    <th scope="row" className="py-1 pr-2 text-left font-normal text-gray-700">{scenario.label}</th>
+                    <td className="py-1 pr-2 text-right font-mono">{formatAmount(unhedged)}</td>
+                    <td className={`py-1 text-right font-mono ${pnl >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                      {pnl >= 0 ? '+' : ''}{formatAmount(pnl)}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-700">
+            <strong>{t("hedging.breakEven", { spot: fmt.number(breakEvenSpot, 4) })}</strong>
+            {' '}{t("hedging.breakEvenNote", {
+              pair: pair.label,
+              gains: gainsAbove ? edges.above : edges.below,
+              costs: gainsAbove ? edges.below : edges.above,
+              amount: formatAmount(unhedgedAtSpot)
+            })}
+          </p>
+          <label className="flex items-center gap-2 text-gray-700 text-xs">
+            {t("hedging.range")}
+            <NumberInput
+              value={rangePercent}
+              onChange={(value) => {
+                // A blank or half-typed entry keeps the last valid range
+                if (value !== '' && Number.isFinite(+value)) setRangePercent(+value);
+              }}
+              className="block w-16 rounded-md shadow-sm px-2 py-1 text-xs border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+            />
+          </label>
+        </div>
+        
+        <div className="lg:col-span-2 h-[340px]" role="img" aria-labelledby="hedging-chart-description">
+          <p id="hedging-chart-description" className="sr-only">
+            {t(isPayable ? "hedging.descriptionPayable" : "hedging.descriptionReceivable", {
+              domestic,
+              amount: fmt.currency(exposureAmount, foreign, 0),
+              pair: pair.label,
+              from: fmt.number(data[0].spot, 4),
+              to: fmt.number(data[data.length - 1].spot, 4),
+              hedged: formatAmount(hedgedValue),
+              breakEven: fmt.number(breakEvenSpot, 4)
+            })}
+          </p>
+          <ResponsiveContainer width="100%" height={340}>
+            <LineChart data={data} margin={{ top: 20, right: 20, left: 30, bottom: 30 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                type="number"
+                dataKey="spot"
+                domain={['dataMin', 'dataMax']}
+                tickFormatter={(value) => fmt.number(value, 4)}
+                label={{ value: t("hedging.spotAxis", { pair: pair.label }), position: 'insideBottom', dy: 20 }}
+              />
+              <YAxis tickFormatter={(value) => fmt.number(value, 0)} width={90} />
+              <Tooltip
+                formatter={(value, name) => [formatAmount(value), name]}
+                labelFormatter={(label) => t("hedging.tooltipSpot", { spot: fmt.number(label, 4) })}
+              />
+              <Legend />
+              <ReferenceLine y={0} stroke="#9ca3af" />
+              <ReferenceLine
+                x={breakEvenSpot}
+                stroke={colors.text}
+                strokeDasharray="4 2"
+                label={{ value: t("hedging.breakEvenLabel"), position: 'top', fontSize: 12 }}
+              />
+              <Line dataKey="hedged" name={t("hedging.hedged")} stroke={colors.secondary} strokeWidth={3} dot={false} />
+              <Line dataKey="unhedged" name={t("hedging.unhedged")} stroke={colors.accent} strokeWidth={3} dot={false} />
+              <Line dataKey="hedgePnl" name={t("hedging.pnl")} stroke={colors.primary} strokeWidth={2} strokeDasharray="5 3" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
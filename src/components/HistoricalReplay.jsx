@@ -0,0 +1,262 @@
+import { useMemo, useState } from "react";
+import {
+  ResponsiveContainer,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  LineChart,
+  Legend
+} from "recharts";
+import {
+  addTenor,
+  calculateForwardExchangeRate,
+  formatIsoDate,
+  formatTenor,
+  getCurrencyPair,
+  parseIsoDate
+} from "../pricing/index.js";
+import { usePalette } from "./theme.js";
+import { useI18n } from "./i18nContext.js";
+import { ValidationMessage } from "./controls.jsx";
+
+const REPLAY_COLUMNS = [
+  { key: "date", label: "date" },
+  { key: "spotRate", label: "spot" },
+  { key: "domesticRate", label: "domestic rate" },
+  { key: "foreignRate", label: "foreign rate" }
+];
+
+const MAX_REPLAY_ROWS = 5000;
+
+const MAX_REPLAY_ERRORS = 8;
+
+// A realized spot counts if it is the first observation on or after maturity within this many days
+const MAX_REALIZED_GAP_DAYS = 7;
+
+// Parses "date,spot,domestic rate,foreign rate" rows (rates in %, ISO dates).
+// Header names are matched ignoring case, spaces and underscores; invalid rows
+// are reported by file line number and left out of the replay. Errors are message keys so
+// they follow the locale after the file is loaded.
+function parseMarketDataCsv(text) {
+  const lines = text.split(/\r?\n/).map((line, index) => ({ line: index + 1, text: line.trim() })).filter(line => line.text);
+  if (lines.length === 0) return { rows: [], errors: { file: { key: "replay.emptyFile" } } };
+  
+  const normalize = value => value.replace(/^"|"$/g, '').toLowerCase().replace(/[^a-z]/g, '');
+  const header = lines[0].text.split(',').map(normalize);
+  const columns = REPLAY_COLUMNS.map(column => header.indexOf(normalize(column.label)));
+  const missing = REPLAY_COLUMNS.filter((_, i) => columns[i] === -1).map(column => column.label);
+  if (missing.length > 0) {
+    return { rows: [], errors: { header: { key: missing.length === 1 ? "replay.missingColumn" : "replay.missingColumns", values: { columns: missing.join(', ') } } } };
+  }
+  if (lines.length - 1 > MAX_REPLAY_ROWS) {
+    return { rows: [], errors: { file: { key: "replay.tooManyRows", values: { rows: lines.length - 1, limit: MAX_REPLAY_ROWS } } } };
+  }
+  
+  const rows = [];
+  const rowErrors = [];
+  const seen = new Set();
+  lines.slice(1).forEach(({ line, text: rowText }) => {
+    const cells = rowText.split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const [dateText, spotText, domesticText, foreignText] = columns.map(index => cells[index] ?? '');
+    const date = parseIsoDate(dateText);
+    const numbers = [spotText, domesticText, foreignText].map(value => (value === '' ? NaN : Number(value)));
+    const problems = [];
+    
+    if (!date) problems.push({ key: "replay.badDate", values: { date: dateText } });
+    else if (seen.has(dateText)) problems.push({ key: "replay.duplicateDate", values: { date: dateText } });
+    if (!(numbers[0] > 0)) problems.push({ key: "replay.badSpot" });
+    ["domestic", "foreign"].forEach((side, i) => {
+      const rate = numbers[i + 1];
+      if (Number.isNaN(rate)) problems.push({ key: `replay.${side}NotNumber` });
+      else if (rate <= -100 || rate > 50) problems.push({ key: `replay.${side}OutOfRange` });
+    });
+    
+    if (problems.length > 0) {
+      // Chains the row's problems into one message: "first; second; …"
+      const joined = problems.reduce((first, next) => ({ key: "replay.problemList", values: { first, next } }));
+      rowErrors.push({ key: "replay.lineError", values: { line, problems: joined } });
+      return;
+    }
+    seen.add(dateText);
+    rows.push({ date, label: dateText, spotRate: numbers[0], domesticRate: numbers[1], foreignRate: numbers[2] });
+  });
+  
+  const errors = Object.fromEntries(rowErrors.slice(0, MAX_REPLAY_ERRORS).map((error, i) => [`row${i}`, error]));
+  if (rowErrors.length > MAX_REPLAY_ERRORS) {
+    errors.more = { key: "replay.moreErrors", values: { count: rowErrors.length - MAX_REPLAY_ERRORS } };
+  }
+  if (rows.length === 0 && rowErrors.length === 0) errors.file = { key: "replay.noRows" };
+  return { rows: rows.sort((a, b) => a.date - b.date), errors };
+}
+
+// Prices each row on flat rates with the calculator's conventions and pairs the
+// implied forward with the spot observed at that row's maturity
+function replayMarketData(rows, inputs) {
+  let cursor = 0;
+  return rows.map(row => {
+    const model = calculateForwardExchangeRate({
+      ...inputs,
+      rateMode: "flat",
+      spotRate: row.spotRate,
+      domesticRate: row.domesticRate,
+      foreignRate: row.foreignRate,
+      marketForward: null,
+      twoWay: false,
+      valuationDate: row.date
+    });
+    const maturity = addTenor(row.date, inputs.tenorValue, inputs.tenorUnit);
+    while (cursor < rows.length && rows[cursor].date < maturity) cursor++;
+    const realized = cursor < rows.length && (rows[cursor].date - maturity) / 86400000 <= MAX_REALIZED_GAP_DAYS
+      ? rows[cursor]
+      : null;
+    return {
+      date: row.label,
+      spot: row.spotRate,
+      forward: model.isValid ? model.forwardRate : null,
+      maturity: formatIsoDate(maturity),
+      realized: realized ? realized.spotRate : null
+    };
+  });
+}
+
+function forecastErrorStats(points, forecastKey) {
+  const errors = points.map(point => (point.realized / point[forecastKey] - 1) * 100);
+  const mean = errors.reduce((sum, error) => sum + error, 0) / errors.length;
+  const rmse = Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length);
+  return { mean, rmse };
+}
+
+export function HistoricalReplay({ inputs, inputsValid }) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const [dataset, setDataset] = useState(null);
+  const pair = getCurrencyPair(inputs);
+  const tenorLabel = formatTenor(inputs.tenorValue, inputs.tenorUnit);
+  const replay = useMemo(
+    () => (dataset && inputsValid ? replayMarketData(dataset.rows, inputs) : []),
+    [dataset, inputs, inputsValid]
+  );
+  const matched = replay.filter(point => point.realized !== null && point.forward !== null);
+  const forwardStats = matched.length > 0 ? forecastErrorStats(matched, "forward") : null;
+  const spotStats = matched.length > 0 ? forecastErrorStats(matched, "spot") : null;
+  
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    
+    file.text()
+      .then(text => setDataset({ name: file.name, ...parseMarketDataCsv(text) }))
+      .catch(error => setDataset({ name: file.name, rows: [], errors: { file: { key: "replay.readFailed", values: { error: error.message } } } }));
+  };
+  
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+        <label className="px-3 py-2 rounded-md border border-gray-300 bg-white hover:bg-gray-100 cursor-pointer focus-within:ring-2 focus-within:ring-blue-500">
+          {t("replay.load")}
+          <input type="file" accept="text/csv,.csv" onChange={handleFile} className="sr-only" />
+        </label>
+        {dataset && (
+          <span className="text-gray-600">
+            {t(dataset.rows.length === 1 ? "replay.validRow" : "replay.validRows", { name: dataset.name, count: dataset.rows.length })}
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-gray-600">
+        {t("replay.columns")} <code>date,spot,domestic rate,foreign rate</code>{' '}
+        {t("replay.help", {
+          pair: pair.label,
+          domestic: inputs.domesticCurrency,
+          foreign: inputs.foreignCurrency,
+          tenor: tenorLabel,
+          days: MAX_REALIZED_GAP_DAYS
+        })}
+      </p>
+      
+      {dataset && <ValidationMessage errors={dataset.errors} />}
+      
+      {dataset && dataset.rows.length > 0 && !inputsValid && (
+        <p className="text-sm text-gray-600">{t("replay.invalidInputs")}</p>
+      )}
+      
+      {replay.length > 0 && (
+        <>
+          <div className="h-[360px]" role="img" aria-labelledby="replay-chart-description">
+            <p id="replay-chart-description" className="sr-only">
+              {t("replay.description", {
+                from: replay[0].date,
+                to: replay[replay.length - 1].date,
+                pair: pair.label,
+                tenor: tenorLabel,
+                matched: matched.length,
+                total: replay.length
+              })}
+            </p>
+            <ResponsiveContainer width="100%" height={360}>
+              <LineChart data={replay} margin={{ top: 20, right: 20, left: 20, bottom: 20 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="date" minTickGap={40} />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  tickFormatter={(value) => fmt.number(value, 4)}
+                  label={{ value: t("comparison.axis", { pair: pair.label }), angle: -90, position: 'insideLeft', dy: 60 }}
+                  width={80}
+                />
+                <Tooltip
+                  formatter={(value, name) => [fmt.number(value, 4), name]}
+                  labelFormatter={(label) => t("replay.tradeDate", { date: label })}
+                />
+                <Legend />
+                <Line type="monotone" dataKey="spot" name={t("comparison.spot")} stroke={colors.dark} strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="forward" name={t("replay.impliedForward", { tenor: tenorLabel })} stroke={colors.secondary} strokeWidth={2} dot={false} />
+                <Line
+                  type="monotone"
+                  dataKey="realized"
+                  name={t("replay.realized")}
+                  stroke={colors.accent}
+                  strokeWidth={2}
+                  strokeDasharray="5 3"
+                  dot={false}
+                  connectNulls={false}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          
+          {forwardStats ? (
+            <table className="text-sm">
+              <caption className="sr-only">{t("replay.statsCaption")}</caption>
+              <thead>
+                <tr className="border-b border-gray-300 text-left text-gray-600">
+                  <th scope="col" className="py-1 pr-6">{t("replay.predictor", { count: matched.length })}</th>
+                  <th scope="col" className="py-1 pr-6 text-right">{t("replay.meanError")}</th>
+                  <th scope="col" className="py-1 text-right">{t("replay.rmse")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[[t("replay.impliedForward", { tenor: tenorLabel }), forwardStats], [t("replay.todaysSpot"), spotStats]].map(([label, stats]) => (
+                  <tr key={label} className="border-b border-gray-100">
+                    <th scope="row" className="py-1 pr-6 text-left font-normal text-gray-700">{label}</th>
+                    <td className="py-1 pr-6 text-right font-mono">{fmt.signedPercent(stats.mean, 2)}</td>
+                    <td className="py-1 text-right font-mono">{fmt.percent(stats.rmse, 2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-gray-600">
+              {t("replay.noRealized", { tenor: tenorLabel })}
+            </p>
+          )}
+          
+          <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+            <strong>{t("replay.parityTitle")}</strong> {t("replay.parityNote")}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import { useMemo, useState, useCallback, useEffect, useRef } from "react";
+import { getCurrencyPair } from "../pricing/index.js";
+import { createMockProvider, createSnapshotProvider, isQuoteStale } from "../marketData/index.js";
+import { useI18n } from "./i18nContext.js";
+
+// Sources the Market Data card can fill the inputs from
+const MARKET_DATA_PROVIDERS = [
+  { id: "snapshot", create: () => createSnapshotProvider() },
+  { id: "mock", create: () => createMockProvider() }
+];
+
+// Fills spot and rates from a market-data provider, once per refresh or on every streamed tick.
+// Quotes are handed to `onQuote`; the card reports their age, staleness and provider errors.
+export function MarketDataPanel({ inputs, streaming, onStreamingChange, onQuote }) {
+  const { t, fmt } = useI18n();
+  const { domesticCurrency, foreignCurrency, quoteStyle } = inputs;
+  const pair = getCurrencyPair(inputs);
+  const [providerId, setProviderId] = useState(MARKET_DATA_PROVIDERS[0].id);
+  const provider = useMemo(() => MARKET_DATA_PROVIDERS.find(option => option.id === providerId).create(), [providerId]);
+  const request = useMemo(() => ({ domesticCurrency, foreignCurrency, quoteStyle }), [domesticCurrency, foreignCurrency, quoteStyle]);
+  const [feed, setFeed] = useState({ status: "idle", quote: null, error: null, refreshedAt: null });
+  const [now, setNow] = useState(() => Date.now());
+  // Bumped whenever the provider or pair changes so a late response for the old one is dropped
+  const generation = useRef(0);
+  
+  const receive = useCallback((quote) => {
+    setFeed({ status: "ready", quote, error: null, refreshedAt: Date.now() });
+    onQuote(quote);
+  }, [onQuote]);
+  const fail = useCallback((error) => {
+    setFeed(prev => ({ ...prev, status: "error", error: error.message }));
+  }, []);
+  
+  useEffect(() => {
+    generation.current += 1;
+  }, [provider, request]);
+  
+  useEffect(() => {
+    if (!streaming || !provider.subscribe) return undefined;
+    setFeed(prev => ({ ...prev, status: "loading", error: null }));
+    return provider.subscribe(request, {
+      onQuote: receive,
+      onError: (error) => {
+        fail(error);
+        onStreamingChange(false);
+      }
+    });
+  }, [streaming, provider, request, receive, fail, onStreamingChange]);
+  
+  // Ticks while a quote is shown so its age and staleness stay current
+  useEffect(() => {
+    if (!feed.quote) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [feed.quote]);
+  
+  const handleRefresh = () => {
+    const current = generation.current;
+    setFeed(prev => ({ ...prev, status: "loading", error: null }));
+    provider.fetchQuote(request)
+      .then(quote => current === generation.current && receive(quote))
+      .catch(error => current === generation.current && fail(error));
+  };
+  
+  const handleProviderChange = (id) => {
+    setProviderId(id);
+    setFeed({ status: "idle", quote: null, error: null, refreshedAt: null });
+    onStreamingChange(false);
+  };
+  
+  const { status, quote, error, refreshedAt } = feed;
+  const canStream = Boolean(provider.subscribe);
+  const stale = quote && isQuoteStale(quote, provider.maxAgeMs, Math.max(now, refreshedAt));
+  const scope = inputs.crossMode
+    ? t("market.fillsRatesOnly")
+    : inputs.rateMode === "curve"
+      ? t("market.fillsSpotOnly")
+      : t("market.fills", { pair: pair.label });
+  
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+        <div className="flex items-center gap-2">
+          <label htmlFor="market-provider" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("market.provider")}</label>
+          <select
+            id="market-provider"
+            value={providerId}
+            onChange={(e) => handleProviderChange(e.target.value)}
+            className="rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          >
+            {MARKET_DATA_PROVIDERS.map(option => (
+              <option key={option.id} value={option.id}>{t(`market.provider.${option.id}`)}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="button"
+          onClick={handleRefresh}
+          disabled={status === "loading" || streaming}
+          className="px-3 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-100 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          {t("market.refresh", { pair: pair.label })}
+        </button>
+        <div className="flex items-center gap-2">
+          <input
+            id="market-stream"
+            type="checkbox"
+            checked={streaming}
+            disabled={!canStream}
+            onChange={(e) => onStreamingChange(e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 disabled:opacity-50"
+            aria-describedby={canStream ? undefined : "market-stream-unavailable"}
+          />
+          <label htmlFor="market-stream" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("market.stream")}</label>
+          {streaming && status === "ready" && (
+            <span className="px-2 py-0.5 rounded-full bg-green-100 text-green-800 text-xs font-semibold">{t("market.live")}</span>
+          )}
+        </div>
+      </div>
+      
+      <p className="text-xs text-gray-600">
+        {scope}
+        {!canStream && <span id="market-stream-unavailable"> {t("market.streamUnavailable")}</span>}
+      </p>
+      
+      <div role="status" className="text-sm text-gray-700">
+        {status === "loading" && t("market.loading", { pair: pair.label })}
+        {status !== "loading" && !quote && !error && t("market.none")}
+      </div>
+      {quote && (
+        <p className="text-sm text-gray-700">
+          {provider.maxAgeMs === null
+            ? t("market.static", { pair: quote.pair, asOf: fmt.dateTime(quote.asOf) })
+            : t("market.asOf", { pair: quote.pair, asOf: fmt.dateTime(quote.asOf), refreshed: fmt.dateTime(refreshedAt) })}
+        </p>
+      )}
+      {quote && quote.pair !== pair.label && (
+        <p className="text-sm text-gray-700">{t("market.otherPair", { quotePair: quote.pair, pair: pair.label })}</p>
+      )}
+      {stale && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-900" role="status">
+          {t("market.stale", { age: fmt.age(Math.max(now, refreshedAt) - quote.asOf) })}
+        </div>
+      )}
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800" role="alert">
+          {t("market.error", { message: error })}
+        </div>
+      )}
+    </div>
+  );
+}
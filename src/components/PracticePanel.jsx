@@ -0,0 +1,167 @@
+import { useMemo, useState, useEffect } from "react";
+import {
+  ARBITRAGE_CHOICES,
+  QUIZ_QUESTION_TYPES,
+  calculateForwardExchangeRate,
+  formatIsoDate,
+  generateQuizProblem,
+  gradeQuizAnswer
+} from "../pricing/index.js";
+import { useI18n } from "./i18nContext.js";
+import { NumberInput, ToggleGroup } from "./controls.jsx";
+import { WorkedSolution } from "./WorkedSolution.jsx";
+import { ArbitrageSection } from "./ArbitrageSection.jsx";
+
+const QUIZ_SCORE_STORAGE_KEY = "fx-forward-quiz-score";
+
+function loadQuizScore() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(QUIZ_SCORE_STORAGE_KEY));
+    return Number.isInteger(stored?.correct) && Number.isInteger(stored?.attempted) ? stored : { correct: 0, attempted: 0 };
+  } catch {
+    return { correct: 0, attempted: 0 };
+  }
+}
+
+function formatQuizAnswer(problem, { t, tm, fmt }) {
+  if (problem.type === "arbitrage") return t(`arbitrageChoice.${problem.answer}`);
+  return `${fmt.number(problem.answer, problem.decimals)} ${tm(problem.unit)}`;
+}
+
+export function PracticePanel() {
+  const i18n = useI18n();
+  const { t, tm, fmt } = i18n;
+  const quizTypeOptions = ["any", ...QUIZ_QUESTION_TYPES.map(option => option.value)]
+    .map(value => ({ value, label: t(`quizType.${value}`) }));
+  const [questionType, setQuestionType] = useState("any");
+  const [problem, setProblem] = useState(() => generateQuizProblem({ valuationDate: formatIsoDate(new Date()) }));
+  const [answer, setAnswer] = useState("");
+  const [result, setResult] = useState(null);
+  const [score, setScore] = useState(loadQuizScore);
+  const model = useMemo(() => calculateForwardExchangeRate(problem.inputs), [problem]);
+  const isArbitrage = problem.type === "arbitrage";
+  
+  useEffect(() => {
+    window.localStorage.setItem(QUIZ_SCORE_STORAGE_KEY, JSON.stringify(score));
+  }, [score]);
+  
+  const nextProblem = (type = questionType) => {
+    setProblem(generateQuizProblem({ type: type === "any" ? undefined : type, valuationDate: formatIsoDate(new Date()) }));
+    setAnswer("");
+    setResult(null);
+  };
+  
+  const handleTypeChange = (type) => {
+    setQuestionType(type);
+    nextProblem(type);
+  };
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (result || answer === "") return;
+    const correct = gradeQuizAnswer(problem, isArbitrage ? answer : parseFloat(answer));
+    setResult({ correct });
+    setScore(prev => ({ correct: prev.correct + (correct ? 1 : 0), attempted: prev.attempted + 1 }));
+  };
+  
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-sm text-gray-600">{t("quiz.question")}</span>
+          <ToggleGroup label={t("quiz.questionType")} options={quizTypeOptions} value={questionType} onChange={handleTypeChange} />
+        </div>
+        <div className="flex items-center gap-3 text-sm">
+          <span>
+            {t("quiz.score")} <strong>{score.correct} / {score.attempted}</strong>
+            {score.attempted > 0 && ` (${fmt.percent((score.correct / score.attempted) * 100, 0)})`}
+          </span>
+          <button
+            type="button"
+            onClick={() => setScore({ correct: 0, attempted: 0 })}
+            disabled={score.attempted === 0}
+            className="text-gray-600 hover:underline disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+          >
+            {t("quiz.resetScore")}
+          </button>
+        </div>
+      </div>
+      
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <p id="quiz-prompt" className="p-4 bg-gray-50 rounded-lg text-gray-800 leading-relaxed">{tm(problem.prompt)}</p>
+        
+        {isArbitrage ? (
+          <fieldset aria-describedby="quiz-prompt">
+            <legend className="sr-only">{t("quiz.yourAnswer")}</legend>
+            <div className="flex flex-wrap gap-4">
+              {ARBITRAGE_CHOICES.map(choice => (
+                <label key={choice.value} className="inline-flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name="quiz-choice"
+                    value={choice.value}
+                    checked={answer === choice.value}
+                    onChange={(e) => setAnswer(e.target.value)}
+                    disabled={Boolean(result)}
+                    className="text-blue-600 focus:ring-blue-500"
+                  />
+                  {t(`arbitrageChoice.${choice.value}`)}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+        ) : (
+          <div className="flex items-center gap-2">
+            <label htmlFor="quiz-answer" className="text-sm font-medium text-gray-700">{t("quiz.yourAnswer")}</label>
+            <NumberInput
+              id="quiz-answer"
+              step="any"
+              value={answer}
+              onChange={(value) => setAnswer(value)}
+              disabled={Boolean(result)}
+              aria-describedby="quiz-prompt"
+              className="w-40 p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <span className="text-sm text-gray-600">{tm(problem.unit)}</span>
+          </div>
+        )}
+        
+        <div className="flex flex-wrap gap-3">
+          <button
+            type="submit"
+            disabled={Boolean(result) || answer === ""}
+            className="px-3 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+          >
+            {t("quiz.check")}
+          </button>
+          <button
+            type="button"
+            onClick={() => nextProblem()}
+            className="px-3 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {t(result ? "quiz.next" : "quiz.skip")}
+          </button>
+        </div>
+      </form>
+      
+      {result && (
+        <div className="space-y-4">
+          <div
+            role="status"
+            className={`p-3 rounded-lg border text-sm ${result.correct ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'}`}
+          >
+            <strong>{t(result.correct ? "quiz.correct" : "quiz.incorrect")}</strong>
+            {' '}{isArbitrage
+              ? t("quiz.answer", { answer: formatQuizAnswer(problem, i18n) })
+              : t("quiz.answerWithTolerance", {
+                  answer: formatQuizAnswer(problem, i18n),
+                  tolerance: fmt.number(problem.tolerance, problem.decimals)
+                })}
+          </div>
+          {isArbitrage && <ArbitrageSection model={model} inputs={problem.inputs} />}
+          <WorkedSolution model={model} inputs={problem.inputs} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+import { getCompounding, getCurrencyPair } from "../pricing/index.js";
+import { useI18n } from "./i18nContext.js";
+import { formatQuote } from "./utils.js";
+
+// Numerator rate belongs to the quote currency, denominator rate to the base currency
+function ForwardFormula({ compounding, pair }) {
+  const { value, periodsPerYear } = getCompounding(compounding);
+  const r_q = <>r<sub>{pair.quote}</sub></>;
+  const r_b = <>r<sub>{pair.base}</sub></>;
+  
+  if (value === "continuous") {
+    return <>F = S × e<sup>({r_q} - {r_b})T</sup></>;
+  }
+  if (value === "simple") {
+    return <>F = S × (1 + {r_q}T) / (1 + {r_b}T)</>;
+  }
+  if (periodsPerYear === 1) {
+    return <>F = S × (1 + {r_q})<sup>T</sup> / (1 + {r_b})<sup>T</sup></>;
+  }
+  return (
+    <>
+      F = S × (1 + {r_q}/{periodsPerYear})<sup>{periodsPerYear}T</sup> / (1 + {r_b}/{periodsPerYear})<sup>{periodsPerYear}T</sup>
+    </>
+  );
+}
+
+export function ResultsSection({ model, inputs, solved = null }) {
+  const { t, fmt } = useI18n();
+  const pair = getCurrencyPair(inputs);
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = inputs;
+  const solvedLabel = solved && (solved.field === "spotRate"
+    ? t("results.solvedSpot", { pair: pair.label })
+    : t("results.solvedRate", { currency: solved.field === "domesticRate" ? domestic : foreign }));
+  
+  return (
+    <div className="space-y-6">
+      {/* Unknown solved from a quoted forward */}
+      {solved && (
+        <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
+          <div className="text-3xl font-serif text-amber-700 mb-2">
+            {solved.field === "spotRate" ? fmt.number(solved.value, 4) : fmt.percent(solved.value, 3)}
+          </div>
+          <div className="text-sm text-gray-700">
+            <strong>{t("results.implied", { label: solvedLabel })}</strong>
+            {t("results.solvedNote", { pair: pair.label, forward: fmt.number(model.forwardRate, 4) })}
+          </div>
+        </div>
+      )}
+
+      {/* Forward Rate Result */}
+      <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+        <div className="text-3xl font-serif text-blue-600 mb-2">{fmt.number(model.forwardRate, 4)}</div>
+        <div className="text-sm text-gray-700">
+          <div>
+            <strong>{t("results.forwardTitle", { pair: pair.label })}</strong>
+            {t("results.forwardNote", { quote: pair.quote, base: pair.base })}
+          </div>
+          <div className="mt-2">
+            <div className="mb-2 text-xs">
+              {t("results.formulaIntro", { compounding: t(`compounding.${getCompounding(inputs.compounding).value}`).toLowerCase() })}
+            </div>
+            <div className="font-mono text-xs bg-white px-2 py-1 rounded border">
+              <ForwardFormula compounding={inputs.compounding} pair={pair} />
+            </div>
+            <div className="mt-2 text-xs">
+              {t("results.yearFraction", { years: fmt.number(model.years, 4), tenor: model.tenorLabel, dayCount: inputs.dayCount })}
+            </div>
+            {inputs.rateMode === "curve" && (
+              <div className="mt-1 text-xs">
+                r<sub>{domestic}</sub>, r<sub>{foreign}</sub>{' '}
+                {t(inputs.interpolation === "loglinear" ? "results.curveRatesLogLinear" : "results.curveRatesLinear", { tenor: model.tenorLabel })}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Forward points as a dealer would quote them */}
+      <div className="p-4 bg-white rounded-lg border border-gray-200">
+        <div className="font-semibold text-gray-800 mb-2 text-sm">{t("results.pointsTitle", { pair: pair.label })}</div>
+        <dl className="text-xs text-gray-700 grid grid-cols-2 gap-y-1">
+          <dt>{t("results.spot")}</dt>
+          <dd className="text-right font-mono">{fmt.number(inputs.spotRate, 4)}</dd>
+          <dt>{t("results.tenorPoints", { tenor: model.tenorLabel })}</dt>
+          <dd className="text-right font-mono">{fmt.signed(model.forwardPoints, 2)}</dd>
+          <dt>{t("results.outright")}</dt>
+          <dd className="text-right font-mono">{fmt.number(model.forwardRate, 4)}</dd>
+          {model.marketQuote && (
+            <>
+              <dt>{t("results.marketPoints")}</dt>
+              <dd className="text-right font-mono">
+                {[model.marketQuote.bid, model.marketQuote.ask]
+                  .filter((quote, index, quotes) => index === 0 || quote !== quotes[0])
+                  .map(quote => fmt.signed((quote - inputs.spotRate) / model.pipSize, 2))
+                  .join(' / ')}
+              </dd>
+            </>
+          )}
+          <dt>{t("results.annualized")}</dt>
+          <dd className="text-right font-mono">{t("results.perAnnum", { value: fmt.signedPercent(model.forwardPremium, 3) })}</dd>
+        </dl>
+        <div className="text-xs text-gray-500 mt-1">{t("results.pip", { size: fmt.number(model.pipSize, model.pipSize < 0.01 ? 4 : 2), quote: pair.quote })}</div>
+        <div className="text-xs text-gray-800 mt-2 pt-1 border-t border-gray-200">
+          {Math.abs(model.forwardPoints) < 0.005
+            ? t("results.flat", { base: pair.base, quote: pair.quote })
+            : t(model.forwardPoints > 0 ? "results.premium" : "results.discount", {
+                base: pair.base,
+                quote: pair.quote,
+                premium: fmt.percent(Math.abs(model.forwardPremium), 3)
+              })}
+        </div>
+      </div>
+
+      {/* Strategy Comparison */}
+      <div className="space-y-4">
+        <div className="p-4 bg-green-50 rounded-lg border border-green-200">
+          <div className="font-semibold text-green-800 mb-2 text-sm">{t("results.investmentTitle", { currency: domestic })}</div>
+          <div className="text-xs text-green-700 space-y-1">
+            <div>
+              {t("results.investDomestic", {
+                amount: fmt.currency(inputs.notional, domestic),
+                rate: fmt.percent(model.domesticZeroRate, 3),
+                tenor: model.tenorLabel
+              })}
+            </div>
+            <div className="font-semibold pt-1 border-t border-green-300">
+              {t("results.final", { amount: fmt.currency(model.domesticEndingValue, domestic) })}
+            </div>
+          </div>
+        </div>
+        
+        <div className="p-4 bg-purple-50 rounded-lg border border-purple-200">
+          <div className="font-semibold text-purple-800 mb-2 text-sm">{t("results.investmentTitle", { currency: foreign })}</div>
+          <div className="text-xs text-purple-700 space-y-1">
+            <div>{t("results.investForeign", { foreign, domestic, rate: fmt.percent(model.foreignZeroRate, 3), tenor: model.tenorLabel })}</div>
+            <div className="font-semibold pt-1 border-t border-purple-300">
+              {t("results.final", { amount: fmt.currency(model.domesticEquivalent, domestic) })}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Uncovered parity: hedged vs unhedged foreign leg */}
+      {model.uip && (
+        <div className="p-4 bg-amber-50 rounded-lg border border-amber-200">
+          <div className="font-semibold text-amber-900 mb-2 text-sm">{t("results.uipTitle")}</div>
+          <dl className="text-xs text-amber-900 grid grid-cols-2 gap-y-1">
+            <dt>{t("results.expectedSpot")}</dt>
+            <dd className="text-right font-mono">{fmt.number(model.uip.expectedSpot, 4)}</dd>
+            <dt>{t("results.hedgedLeg", { currency: foreign })}</dt>
+            <dd className="text-right font-mono">{fmt.currency(model.uip.hedgedPayoff, domestic)}</dd>
+            <dt>{t("results.unhedgedExpected")}</dt>
+            <dd className="text-right font-mono">{fmt.currency(model.uip.unhedgedExpected, domestic)}</dd>
+            <dt>{t("results.riskPremium")}</dt>
+            <dd className="text-right font-mono">{t("results.perAnnum", { value: fmt.signedPercent(model.uip.riskPremium, 3) })}</dd>
+          </dl>
+          <div className="text-xs text-amber-900 mt-2 pt-1 border-t border-amber-300">
+            {Math.abs(model.uip.riskPremium) < 0.0005
+              ? t("results.uipHolds", { foreign })
+              : t(model.uip.riskPremium > 0 ? "results.uipEarn" : "results.uipLose", {
+                  foreign,
+                  pair: pair.label,
+                  premium: fmt.percent(Math.abs(model.uip.riskPremium), 3)
+                })}
+          </div>
+        </div>
+      )}
+
+      {/* No-arbitrage band from two-way quotes */}
+      {model.forwardBand && (
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <div className="font-semibold text-gray-800 mb-2 text-sm">{t("results.bandTitle")}</div>
+          <div className="text-xs text-gray-700 space-y-1">
+            <div>{t("results.bandLower", { value: fmt.number(model.forwardBand.lower, 4) })}</div>
+            <div>{t("results.bandUpper", { value: fmt.number(model.forwardBand.upper, 4) })}</div>
+            {model.marketQuote && (
+              <div className={`font-semibold pt-1 border-t border-gray-300 ${model.noArbitrage ? 'text-green-700' : 'text-red-700'}`}>
+                {t(model.noArbitrage ? "results.quoteInside" : "results.quoteOutside", { quote: formatQuote(model.marketQuote, fmt) })}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import { useState, useEffect } from "react";
+import { formatTenor, getCurrencyPair } from "../pricing/index.js";
+import { useI18n } from "./i18nContext.js";
+import { copyToClipboard, downloadFile } from "./utils.js";
+import { normalizeInputs, createScenarioId, scenarioName } from "../scenarioState.js";
+
+const SCENARIO_STORAGE_KEY = "fx-forward-scenarios";
+
+function loadSavedScenarios() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SCENARIO_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+// Accepts either an exported list or a single { name, inputs } scenario; returns null for
+// JSON that holds anything else
+function parseScenarioFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : [data];
+  if (list.some(item => !item || typeof item !== "object" || !item.inputs)) return null;
+  return list.map((item, index) => ({
+    id: createScenarioId(),
+    name: typeof item.name === "string" && item.name.trim()
+      ? item.name.trim()
+      : { key: "scenarios.importedName", values: { number: index + 1 } },
+    savedAt: item.savedAt || new Date().toISOString(),
+    inputs: normalizeInputs(item.inputs)
+  }));
+}
+
+export function ScenarioManager({ inputs, onLoad }) {
+  const { t, tm, fmt } = useI18n();
+  const [scenarios, setScenarios] = useState(loadSavedScenarios);
+  const [name, setName] = useState("");
+  const [message, setMessage] = useState(null);
+  
+  useEffect(() => {
+    window.localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+  }, [scenarios]);
+  
+  const handleSave = () => {
+    const savedName = name.trim() || { key: "scenarios.defaultName", values: { number: scenarios.length + 1 } };
+    setScenarios(prev => [...prev, { id: createScenarioId(), name: savedName, savedAt: new Date().toISOString(), inputs }]);
+    setName("");
+    setMessage({ type: "success", message: { key: "scenarios.saved", values: { name: savedName } } });
+  };
+  
+  const handleRename = (id, newName) => {
+    setScenarios(prev => prev.map(scenario => (scenario.id === id ? { ...scenario, name: newName } : scenario)));
+  };
+  
+  const handleDuplicate = (scenario) => {
+    setScenarios(prev => [...prev, { ...scenario, id: createScenarioId(), name: { key: "scenarios.copyName", values: { name: scenario.name } }, savedAt: new Date().toISOString() }]);
+  };
+  
+  const handleDelete = (id) => {
+    setScenarios(prev => prev.filter(scenario => scenario.id !== id));
+  };
+  
+  const handleCopyLink = () => {
+    copyToClipboard(window.location.href)
+      .then(() => setMessage({ type: "success", message: { key: "scenarios.linkCopied" } }))
+      .catch(() => setMessage({ type: "error", message: { key: "scenarios.linkFailed" } }));
+  };
+  
+  const handleExport = () => {
+    const named = scenarios.map(scenario => ({ ...scenario, name: scenarioName(scenario.name, tm) }));
+    downloadFile(JSON.stringify(named, null, 2), "fx-forward-scenarios.json", "application/json");
+  };
+  
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    
+    file.text()
+      .then(text => {
+        const imported = parseScenarioFile(text);
+        if (!imported) {
+          setMessage({ type: "error", message: { key: "scenarios.importFailed", values: { error: { key: "scenarios.notScenarios" } } } });
+          return;
+        }
+        setScenarios(prev => [...prev, ...imported]);
+        setMessage({
+          type: "success",
+          message: { key: imported.length === 1 ? "scenarios.importedOne" : "scenarios.importedMany", values: { count: imported.length } }
+        });
+      })
+      .catch(error => setMessage({ type: "error", message: { key: "scenarios.importFailed", values: { error: error.message } } }));
+  };
+  
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-x-4 gap-y-2">
+        <div className="flex items-center gap-2">
+          <label htmlFor="scenario-name" className="font-medium text-gray-700 whitespace-nowrap text-sm">{t("scenarios.name")}</label>
+          <input
+            id="scenario-name"
+            type="text"
+            value={name}
+            placeholder={t("scenarios.defaultName", { number: scenarios.length + 1 })}
+            onChange={(e) => setName(e.target.value)}
+            className="block w-48 rounded-md shadow-sm px-2 py-2 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </div>
+        <button type="button" onClick={handleSave} className="px-3 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1">
+          {t("scenarios.save")}
+        </button>
+        <button type="button" onClick={handleCopyLink} className="px-3 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+          {t("scenarios.copyLink")}
+        </button>
+        <button type="button" onClick={handleExport} disabled={scenarios.length === 0} className="px-3 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-100 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500">
+          {t("scenarios.export")}
+        </button>
+        <label className="px-3 py-2 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-100 cursor-pointer focus-within:ring-2 focus-within:ring-blue-500">
+          {t("scenarios.import")}
+          <input type="file" accept="application/json,.json" onChange={handleImport} className="sr-only" />
+        </label>
+      </div>
+
+      {message && (
+        <div role="status" className={`text-sm ${message.type === "error" ? "text-red-700" : "text-green-700"}`}>
+          {tm(message.message)}
+        </div>
+      )}
+
+      {scenarios.length === 0 ? (
+        <p className="text-sm text-gray-600">{t("scenarios.empty")}</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {scenarios.map(scenario => (
+            <li key={scenario.id} className="py-2 flex flex-wrap items-center gap-3 text-sm">
+              <input
+                type="text"
+                value={scenarioName(scenario.name, tm)}
+                onChange={(e) => handleRename(scenario.id, e.target.value)}
+                className="block w-56 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                aria-label={t("scenarios.nameLabel")}
+              />
+              <span className="text-xs text-gray-500">
+                {t("scenarios.summary", {
+                  pair: getCurrencyPair(scenario.inputs).label,
+                  spot: fmt.input(scenario.inputs.spotRate),
+                  tenor: formatTenor(scenario.inputs.tenorValue, scenario.inputs.tenorUnit)
+                })}
+              </span>
+              <span className="flex gap-2 ml-auto">
+                <button type="button" onClick={() => onLoad(normalizeInputs(scenario.inputs))} className="text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded">
+                  {t("scenarios.load")}<span className="sr-only"> {scenarioName(scenario.name, tm)}</span>
+                </button>
+                <button type="button" onClick={() => handleDuplicate(scenario)} className="text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded">
+                  {t("scenarios.duplicate")}<span className="sr-only"> {scenarioName(scenario.name, tm)}</span>
+                </button>
+                <button type="button" onClick={() => handleDelete(scenario.id)} className="text-red-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded">
+                  {t("scenarios.delete")}<span className="sr-only"> {scenarioName(scenario.name, tm)}</span>
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,283 @@
+import { useState } from "react";
+import {
+  ResponsiveContainer,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  LineChart,
+  ReferenceLine,
+  ReferenceDot
+} from "recharts";
+import { calculateForwardExchangeRate, getCurrencyPair } from "../pricing/index.js";
+import { usePalette, mixWithWhite } from "./theme.js";
+import { useI18n } from "./i18nContext.js";
+import { NumberInput, ToggleGroup, ValidationMessage } from "./controls.jsx";
+
+const SENSITIVITY_VARIABLES = ["domesticRate", "foreignRate", "differential", "spotRate"];
+
+const HEATMAP_SIZE = 9;
+
+// Sweeps run on flat rates equal to the zero rates at T, so curve scenarios
+// and flat scenarios share one set of axes
+function flattenAtTenor(inputs, model) {
+  return {
+    ...inputs,
+    rateMode: "flat",
+    domesticRate: model.domesticZeroRate,
+    foreignRate: model.foreignZeroRate,
+    marketForward: null,
+    twoWay: false
+  };
+}
+
+function sweepValue(variable, inputs) {
+  if (variable === "differential") return inputs.foreignRate - inputs.domesticRate;
+  return inputs[variable];
+}
+
+function applySweepValue(variable, inputs, value) {
+  if (variable === "differential") return { ...inputs, foreignRate: inputs.domesticRate + value };
+  return { ...inputs, [variable]: value };
+}
+
+function defaultSweepRange(variable, current) {
+  if (variable === "spotRate") {
+    return { from: +(current * 0.9).toFixed(4), to: +(current * 1.1).toFixed(4) };
+  }
+  return { from: +(current - 2).toFixed(2), to: +(current + 2).toFixed(2) };
+}
+
+function ForwardPointsHeatmap({ baseInputs, pair }) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const [stepBp, setStepBp] = useState(50);
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = baseInputs;
+  const offsets = Array.from({ length: HEATMAP_SIZE }, (_, i) => (i - (HEATMAP_SIZE - 1) / 2) * stepBp / 100);
+  const domesticRates = offsets.map(offset => baseInputs.domesticRate + offset);
+  const foreignRates = offsets.map(offset => baseInputs.foreignRate + offset);
+  const grid = domesticRates.map(domesticRate => foreignRates.map(foreignRate => {
+    const model = calculateForwardExchangeRate({ ...baseInputs, domesticRate, foreignRate });
+    return model.isValid ? model.forwardPoints : null;
+  }));
+  const maxAbs = Math.max(...grid.flat().filter(points => points !== null).map(Math.abs), 1e-9);
+  const center = (HEATMAP_SIZE - 1) / 2;
+  
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-end gap-4 text-sm">
+        <label className="flex items-center gap-2 text-gray-700">
+          {t("sensitivity.gridStep")}
+          <NumberInput
+            step="5"
+            value={stepBp}
+            onChange={(value) => setStepBp(Math.max(1, +value || 1))}
+            className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </label>
+        <div className="flex items-center gap-2 text-xs text-gray-600" aria-hidden="true">
+          <span className="inline-block w-3 h-3" style={{ backgroundColor: colors.accent }}></span>{t("sensitivity.discount", { currency: pair.base })}
+          <span className="inline-block w-3 h-3 ml-2" style={{ backgroundColor: colors.primary }}></span>{t("sensitivity.premium", { currency: pair.base })}
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="text-xs border-collapse">
+          <caption className="sr-only">
+            {t("sensitivity.heatmapCaption", { pair: pair.label, domestic, foreign })}
+          </caption>
+          <thead>
+            <tr>
+              <th scope="col" className="p-1 text-left text-gray-600 font-normal">{domestic} ↓ / {foreign} →</th>
+              {foreignRates.map(rate => (
+                <th key={rate} scope="col" className="p-1 text-right text-gray-600 font-mono font-normal">{fmt.percent(rate, 2)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {grid.map((row, i) => (
+              <tr key={domesticRates[i]}>
+                <th scope="row" className="p-1 text-right text-gray-600 font-mono font-normal">{fmt.percent(domesticRates[i], 2)}</th>
+                {row.map((points, j) => {
+                  const intensity = points === null ? 0 : Math.abs(points) / maxAbs;
+                  const isCurrent = i === center && j === center;
+                  return (
+                    <td
+                      key={foreignRates[j]}
+                      className={`p-1 text-right font-mono ${isCurrent ? 'outline outline-2 outline-gray-900' : ''}`}
+                      style={{
+                        backgroundColor: points === null ? '#f3f4f6' : mixWithWhite(points < 0 ? colors.accent : colors.primary, intensity * 0.85),
+                        color: intensity > 0.6 ? '#ffffff' : colors.text
+                      }}
+                    >
+                      {points === null ? '–' : fmt.signed(points, 2)}
+                      {isCurrent && <span className="sr-only"> {t("sensitivity.currentMarker")}</span>}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export function SensitivityPanel({ inputs, model }) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const baseInputs = flattenAtTenor(inputs, model);
+  const [variable, setVariable] = useState("differential");
+  const [range, setRange] = useState(() => defaultSweepRange("differential", sweepValue("differential", baseInputs)));
+  const [steps, setSteps] = useState(21);
+  const [yMode, setYMode] = useState("outright");
+  const pair = getCurrencyPair(inputs);
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = inputs;
+  const current = sweepValue(variable, baseInputs);
+  const isSpot = variable === "spotRate";
+  const xLabel = t(`sensitivity.axis.${variable}`, { domestic, foreign, pair: pair.label });
+  const variableOptions = SENSITIVITY_VARIABLES.map(value => ({ value, label: t(`sensitivity.variable.${value}`) }));
+  
+  const errors = {};
+  if (!(range.from < range.to)) errors.range = t("sensitivity.rangeOrder");
+  if (!Number.isInteger(steps) || steps < 2 || steps > 101) errors.steps = t("sensitivity.steps", { min: 2, max: 101 });
+  if (isSpot && range.from <= 0) errors.range = t("sensitivity.spotPositive");
+  
+  const data = Object.keys(errors).length > 0 ? [] : Array.from({ length: steps }, (_, i) => {
+    const x = range.from + (range.to - range.from) * i / (steps - 1);
+    const point = calculateForwardExchangeRate(applySweepValue(variable, baseInputs, x));
+    return point.isValid ? { x, forward: point.forwardRate, points: point.forwardPoints } : { x, forward: null, points: null };
+  });
+  const dataKey = yMode === "outright" ? "forward" : "points";
+  const currentY = yMode === "outright" ? model.forwardRate : model.forwardPoints;
+  const format = (value) => (yMode === "outright" ? fmt.number(value, 4) : fmt.signed(value, 2));
+  const valid = data.filter(point => point[dataKey] !== null);
+  
+  const handleVariableChange = (value) => {
+    setVariable(value);
+    setRange(defaultSweepRange(value, sweepValue(value, baseInputs)));
+  };
+  
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end gap-x-6 gap-y-4 text-sm">
+        <ToggleGroup label={t("sensitivity.sweep")} options={variableOptions} value={variable} onChange={handleVariableChange} />
+        <label className="flex items-center gap-2 text-gray-700">
+          {t("sensitivity.from")}
+          <NumberInput
+            step={isSpot ? "0.0001" : "0.05"}
+            value={range.from}
+            onChange={(value) => setRange(prev => ({ ...prev, from: +value }))}
+            className="block w-24 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-gray-700">
+          {t("sensitivity.to")}
+          <NumberInput
+            step={isSpot ? "0.0001" : "0.05"}
+            value={range.to}
+            onChange={(value) => setRange(prev => ({ ...prev, to: +value }))}
+            className="block w-24 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-gray-700">
+          {t("sensitivity.stepsLabel")}
+          <NumberInput
+            value={steps}
+            onChange={(value) => setSteps(+value)}
+            className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+          />
+        </label>
+        <button
+          type="button"
+          onClick={() => setRange(defaultSweepRange(variable, current))}
+          className="text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+        >
+          {t("sensitivity.centre")}
+        </button>
+        <ToggleGroup
+          label={t("sensitivity.plot")}
+          options={[{ value: "outright", label: t("sensitivity.outright") }, { value: "points", label: t("sensitivity.points") }]}
+          value={yMode}
+          onChange={setYMode}
+        />
+      </div>
+      
+      <ValidationMessage errors={errors} />
+      
+      {inputs.rateMode === "curve" && (
+        <p className="text-xs text-gray-600">
+          {t("sensitivity.flattened", {
+            tenor: model.tenorLabel,
+            domestic,
+            foreign,
+            domesticRate: fmt.percent(model.domesticZeroRate, 3),
+            foreignRate: fmt.percent(model.foreignZeroRate, 3)
+          })}
+        </p>
+      )}
+      
+      <div className="grid gap-6 lg:grid-cols-2">
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">
+            {t(yMode === "outright" ? "sensitivity.titleOutright" : "sensitivity.titlePoints", { tenor: model.tenorLabel, pair: pair.label, x: xLabel })}
+          </h3>
+          {valid.length > 0 && (
+            <div className="h-[320px]" role="img" aria-labelledby="sensitivity-chart-description">
+              <p id="sensitivity-chart-description" className="sr-only">
+                {t(yMode === "outright" ? "sensitivity.descriptionOutright" : "sensitivity.descriptionPoints", {
+                  tenor: model.tenorLabel,
+                  x: xLabel,
+                  from: fmt.input(range.from),
+                  to: fmt.input(range.to),
+                  start: format(valid[0][dataKey]),
+                  end: format(valid[valid.length - 1][dataKey]),
+                  current: fmt.number(current, isSpot ? 4 : 3),
+                  value: format(currentY)
+                })}
+              </p>
+              <ResponsiveContainer width="100%" height={320}>
+                <LineChart data={data} margin={{ top: 20, right: 20, left: 20, bottom: 30 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    type="number"
+                    dataKey="x"
+                    domain={[range.from, range.to]}
+                    tickFormatter={(value) => fmt.number(value, isSpot ? 4 : 2)}
+                    label={{ value: xLabel, position: 'insideBottom', dy: 20 }}
+                  />
+                  <YAxis domain={['auto', 'auto']} tickFormatter={format} width={80} />
+                  <Tooltip
+                    formatter={(value) => [format(value), t(yMode === "outright" ? "sensitivity.forward" : "sensitivity.forwardPoints")]}
+                    labelFormatter={(label) => `${xLabel}: ${fmt.number(label, isSpot ? 4 : 3)}`}
+                  />
+                  <Line type="monotone" dataKey={dataKey} stroke={colors.secondary} strokeWidth={3} dot={false} connectNulls={false} />
+                  <ReferenceLine x={current} stroke={colors.text} strokeDasharray="4 2" ifOverflow="hidden" />
+                  <ReferenceDot
+                    x={current}
+                    y={currentY}
+                    r={6}
+                    fill={colors.accent}
+                    stroke={colors.outline}
+                    ifOverflow="hidden"
+                    label={{ value: t("sensitivity.current"), position: 'top', fontSize: 12 }}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+        
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-2">{t("sensitivity.heatmapTitle", { tenor: model.tenorLabel, domestic, foreign })}</h3>
+          <ForwardPointsHeatmap baseInputs={baseInputs} pair={pair} />
+        </div>
+      </div>
+      
+      <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+        <strong>{t("sensitivity.readingTitle")}</strong> {t("sensitivity.readingNote")}
+      </div>
+    </div>
+  );
+}
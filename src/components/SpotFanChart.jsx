@@ -0,0 +1,95 @@
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Line,
+  Area,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from "recharts";
+import { getCurrencyPair } from "../pricing/index.js";
+import { usePalette } from "./theme.js";
+import { useI18n } from "./i18nContext.js";
+
+export function SpotFanChart({ model, inputs }) {
+  const colors = usePalette();
+  const { t, fmt } = useI18n();
+  const pair = getCurrencyPair(inputs);
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = inputs;
+  const { fan, outcomes } = model.uip;
+  const data = fan.map(point => ({ ...point, name: fmt.number(point.years, 2) }));
+  const [low, high] = fan[fan.length - 1].outer;
+  
+  return (
+    <div className="grid gap-6 lg:grid-cols-3">
+      <div className="lg:col-span-2 h-[340px]" role="img" aria-labelledby="fan-chart-description">
+        <p id="fan-chart-description" className="sr-only">
+          {t("fan.description", {
+            pair: pair.label,
+            tenor: model.tenorLabel,
+            spot: fmt.number(inputs.spotRate, 4),
+            expected: fmt.number(model.uip.expectedSpot, 4),
+            low: fmt.number(low, 4),
+            high: fmt.number(high, 4),
+            forward: fmt.number(model.forwardRate, 4)
+          })}
+        </p>
+        <ResponsiveContainer width="100%" height={340}>
+          <ComposedChart data={data} margin={{ top: 20, right: 20, left: 20, bottom: 30 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" label={{ value: t("fan.years"), position: 'insideBottom', dy: 20 }} />
+            <YAxis
+              domain={['auto', 'auto']}
+              tickFormatter={(value) => fmt.number(value, 4)}
+              label={{ value: t("fan.spotAxis", { pair: pair.label }), angle: -90, position: 'insideLeft', dy: 50 }}
+              width={80}
+            />
+            <Tooltip
+              formatter={(value, name) => [Array.isArray(value) ? value.map(v => fmt.number(v, 4)).join(' – ') : fmt.number(value, 4), name]}
+              labelFormatter={(label) => t("fan.tooltipTime", { years: label })}
+            />
+            <Legend />
+            <Area dataKey="outer" name={t("fan.outer")} stroke="none" fill={colors.accent} fillOpacity={0.2} />
+            <Area dataKey="inner" name={t("fan.inner")} stroke="none" fill={colors.accent} fillOpacity={0.35} />
+            <Line dataKey="median" name={t("fan.median")} stroke={colors.accent} strokeWidth={2} dot={false} />
+            <Line dataKey="forward" name={t("fan.forward")} stroke={colors.secondary} strokeWidth={2} strokeDasharray="5 3" dot={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      
+      <div className="text-sm">
+        <table className="w-full text-xs">
+          <caption className="text-left text-gray-700 font-medium mb-2">
+            {t("fan.caption", { currency: foreign, volatility: fmt.percent(inputs.spotVolatility, 1) })}
+          </caption>
+          <thead>
+            <tr className="border-b border-gray-300 text-left text-gray-600">
+              <th scope="col" className="py-1 pr-2">{t("fan.percentile")}</th>
+              <th scope="col" className="py-1 pr-2 text-right">{t("fan.spot")}</th>
+              <th scope="col" className="py-1 text-right">{t("fan.payoff", { currency: domestic })}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {outcomes.map(outcome => {
+              const diff = outcome.payoff - model.uip.hedgedPayoff;
+              return (
+                <tr key={outcome.percentile} className="border-b border-gray-100">
+                  <th scope="row" className="py-1 pr-2 text-left font-normal text-gray-700">{t("fan.percentileValue", { percentile: outcome.percentile })}</th>
+                  <td className="py-1 pr-2 text-right font-mono">{fmt.number(outcome.spot, 4)}</td>
+                  <td className={`py-1 text-right font-mono ${diff >= 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {fmt.number(outcome.payoff, 2)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <p className="mt-2 text-xs text-gray-600">
+          {t("fan.hedgedNote", { amount: fmt.currency(model.uip.hedgedPayoff, domestic) })}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+import { useState } from "react";
+import { getCompounding, growthFactor, getCurrencyPair } from "../pricing/index.js";
+import { useI18n } from "./i18nContext.js";
+import { copyToClipboard } from "./utils.js";
+
+// Small math tree for the worked solution: strings are literal text, arrays are
+// sequences, and { type } nodes are variables, powers and fractions. One tree
+// renders as JSX, plain text or LaTeX so the three never drift apart.
+const mathVar = (name, sub) => ({ type: "var", name, sub });
+
+const mathPow = (base, exponent) => ({ type: "pow", base, exponent });
+
+const mathFrac = (num, den) => ({ type: "frac", num, den });
+
+function mathToText(node) {
+  if (Array.isArray(node)) return node.map(mathToText).join('');
+  if (typeof node === "string") return node;
+  if (node.type === "var") return node.sub ? `${node.name}_${node.sub}` : node.name;
+  if (node.type === "pow") return `${mathToText(node.base)}^(${mathToText(node.exponent)})`;
+  const wrap = text => (/^[\w.]+$/.test(text) ? text : `(${text})`);
+  return `${wrap(mathToText(node.num))} / ${wrap(mathToText(node.den))}`;
+}
+
+function mathToLatex(node) {
+  if (Array.isArray(node)) return node.map(mathToLatex).join('');
+  if (typeof node === "string") {
+    return node
+      .replace(/\b([a-z]{2,})\b/g, '\\text{$1}').replace(/ ([A-Z]{3})\b/g, '\\ \\text{$1}')
+      .replace(/×/g, '\\times ').replace(/−/g, '-').replace(/÷/g, '\\div ').replace(/≈/g, '\\approx ')
+      .replace(/%/g, '\\%').replace(/,/g, '{,}').replace(/[\u00a0\u202f]/g, '\\,');
+  }
+  if (node.type === "var") return node.sub ? `${node.name}_{\\text{${node.sub}}}` : node.name;
+  if (node.type === "pow") return `{${mathToLatex(node.base)}}^{${mathToLatex(node.exponent)}}`;
+  return `\\frac{${mathToLatex(node.num)}}{${mathToLatex(node.den)}}`;
+}
+
+function MathNode({ node }) {
+  if (Array.isArray(node)) return node.map((child, index) => <MathNode key={index} node={child} />);
+  if (typeof node === "string") return node;
+  if (node.type === "var") {
+    return <><i>{node.name}</i>{node.sub && <sub>{node.sub}</sub>}</>;
+  }
+  if (node.type === "pow") {
+    return <><MathNode node={node.base} /><sup><MathNode node={node.exponent} /></sup></>;
+  }
+  return (
+    <span className="inline-flex flex-col items-center align-middle mx-1 text-[0.9em]">
+      <span className="px-1"><MathNode node={node.num} /></span>
+      <span className="px-1 border-t border-gray-700"><MathNode node={node.den} /></span>
+    </span>
+  );
+}
+
+// Steps from inputs to forward to the two investment legs, with the user's numbers substituted
+function buildWorkingSteps(model, inputs, { t, fmt }) {
+  const pair = getCurrencyPair(inputs);
+  const { domesticCurrency: domestic, foreignCurrency: foreign, notional, quoteStyle } = inputs;
+  const { value: compounding, periodsPerYear: m } = getCompounding(inputs.compounding);
+  const isDirect = quoteStyle === "direct";
+  const rate = code => (code === domestic ? model.domesticZeroRate : model.foreignZeroRate) / 100;
+  const rq = rate(pair.quote);
+  const rb = rate(pair.base);
+  const T = model.years;
+  const basis = { "ACT/360": 360, "ACT/365": 365, "30/360": 360 }[inputs.dayCount];
+  const growth = r => growthFactor(r, compounding, T);
+  const ratio = growth(rq) / growth(rb);
+  const num = (value, digits = 6) => fmt.number(value, digits);
+  const money = value => fmt.number(value, 2);
+  const S = mathVar("S");
+  const F = mathVar("F");
+  const Tv = mathVar("T");
+  const rVar = code => mathVar("r", code);
+  const G = code => mathVar("G", code);
+  
+  // Growth factor for simple and periodic compounding with the numbers substituted
+  const growthExpr = (r, years) => (compounding === "simple"
+    ? `(1 + ${r} × ${years})`
+    : mathPow(["(1 + ", mathFrac(r, String(m)), ")"], `${m} × ${years}`));
+  
+  const steps = [
+    {
+      title: t("working.decimals"),
+      lines: [
+        [rVar(pair.quote), ` = ${fmt.percent(rq * 100, 3)} = ${num(rq)}`],
+        [rVar(pair.base), ` = ${fmt.percent(rb * 100, 3)} = ${num(rb)}`]
+      ],
+      note: inputs.rateMode === "curve" ? t("working.curveNote", { tenor: model.tenorLabel }) : null
+    },
+    {
+      title: t("working.years"),
+      lines: [[Tv, " = ", mathFrac(String(Math.round(T * basis)), String(basis)), ` = ${num(T)}`]],
+      note: t("working.yearsNote", { tenor: model.tenorLabel, dayCount: inputs.dayCount })
+    }
+  ];
+  
+  if (compounding === "continuous") {
+    const exponent = (rq - rb) * T;
+    steps.push(
+      {
+        title: t("working.exponent"),
+        lines: [["(", rVar(pair.quote), " − ", rVar(pair.base), ")", Tv, ` = (${num(rq)} − ${num(rb)}) × ${num(T)} = ${num(exponent, 8)}`]]
+      },
+      {
+        title: t("working.ratio"),
+        lines: [[mathPow("e", num(exponent, 8)), ` = ${num(ratio, 8)}`]]
+      }
+    );
+  } else {
+    steps.push({
+      title: t("working.growth"),
+      lines: [
+        [G(pair.quote), " = ", growthExpr(num(rq), num(T)), ` = ${num(growth(rq), 8)}`],
+        [G(pair.base), " = ", growthExpr(num(rb), num(T)), ` = ${num(growth(rb), 8)}`],
+        [mathFrac(G(pair.quote), G(pair.base)), " = ", mathFrac(num(growth(rq), 8), num(growth(rb), 8)), ` = ${num(ratio, 8)}`]
+      ]
+    });
+  }
+  
+  steps.push(
+    {
+      title: t("working.forward"),
+      lines: [[F, " = ", S, ` × ${num(ratio, 8)} = ${num(inputs.spotRate, 4)} × ${num(ratio, 8)} = ${num(model.forwardRate)} ≈ ${num(model.forwardRate, 4)}`]],
+      note: t("working.forwardNote", { quote: pair.quote, base: pair.base })
+    },
+    {
+      title: t("working.points"),
+      lines: [[mathFrac([F, " − ", S], t("working.pip")), " = ", mathFrac(`${num(model.forwardRate)} − ${num(inputs.spotRate, 4)}`, num(model.pipSize, model.pipSize < 0.01 ? 4 : 2)), ` = ${fmt.signed(model.forwardPoints, 2)}`]]
+    }
+  );
+  
+  const domesticGrowth = growth(model.domesticZeroRate / 100);
+  const foreignGrowth = growth(model.foreignZeroRate / 100);
+  const foreignAmount = isDirect ? notional / inputs.spotRate : notional * inputs.spotRate;
+  const foreignMaturity = foreignAmount * foreignGrowth;
+  steps.push(
+    {
+      title: t("working.leg", { currency: domestic }),
+      lines: [[`${money(notional)} × `, G(domestic), ` = ${money(notional)} × ${num(domesticGrowth)} = ${money(model.domesticEndingValue)} ${domestic}`]]
+    },
+    {
+      title: t("working.leg", { currency: foreign }),
+      lines: [
+        [`${money(notional)} ${isDirect ? '÷' : '×'} `, S, ` = ${money(notional)} ${isDirect ? '÷' : '×'} ${num(inputs.spotRate, 4)} = ${money(foreignAmount)} ${foreign}`],
+        [`${money(foreignAmount)} × `, G(foreign), ` = ${money(foreignAmount)} × ${num(foreignGrowth)} = ${money(foreignMaturity)} ${foreign}`],
+        [`${money(foreignMaturity)} ${isDirect ? '×' : '÷'} `, F, ` = ${money(foreignMaturity)} ${isDirect ? '×' : '÷'} ${num(model.forwardRate)} = ${money(model.domesticEquivalent)} ${domestic}`]
+      ],
+      note: t("working.foreignLegNote", { currency: foreign })
+    },
+    {
+      title: t("working.parity"),
+      lines: [[`${money(model.domesticEndingValue)} ${domestic} = ${money(model.domesticEquivalent)} ${domestic}`]],
+      note: t("working.parityNote")
+    }
+  );
+  
+  return steps;
+}
+
+function workingAsText(steps) {
+  return steps.map((step, index) => [
+    `${index + 1}. ${step.title}${step.note ? ` (${step.note})` : ''}`,
+    ...step.lines.map(line => `   ${mathToText(line)}`)
+  ].join('\n')).join('\n\n');
+}
+
+function workingAsLatex(steps) {
+  return steps.map((step, index) => [
+    `% ${index + 1}. ${step.title}${step.note ? ` (${step.note})` : ''}`,
+    '\\begin{align*}',
+    step.lines.map(line => `  ${mathToLatex(line).replace(' = ', ' &= ')}`).join(' \\\\\n'),
+    '\\end{align*}'
+  ].join('\n')).join('\n\n');
+}
+
+export function WorkedSolution({ model, inputs }) {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const [message, setMessage] = useState(null);
+  const steps = buildWorkingSteps(model, inputs, i18n);
+  
+  const handleCopy = (format) => {
+    const text = format === "latex" ? workingAsLatex(steps) : workingAsText(steps);
+    copyToClipboard(text)
+      .then(() => setMessage({ type: "success", key: format === "latex" ? "working.copiedLatex" : "working.copiedText" }))
+      .catch(() => setMessage({ type: "error", key: "working.copyFailed" }));
+  };
+  
+  return (
+    <details className="group">
+      <summary className="cursor-pointer text-sm font-medium text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded w-fit">
+        {t("working.show")}
+      </summary>
+      <div className="mt-4 space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <button type="button" onClick={() => handleCopy("text")} className="px-3 py-1 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            {t("working.copyText")}
+          </button>
+          <button type="button" onClick={() => handleCopy("latex")} className="px-3 py-1 text-sm rounded-md border border-gray-300 bg-white hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500">
+            {t("working.copyLatex")}
+          </button>
+          {message && (
+            <span role="status" className={`text-sm ${message.type === "error" ? "text-red-700" : "text-green-700"}`}>
+              {t(message.key)}
+            </span>
+          )}
+        </div>
+        <ol className="space-y-4">
+          {steps.map((step, index) => (
+            <li key={step.title} className="text-sm">
+              <div className="font-semibold text-gray-800">
+                {index + 1}. {step.title}
+                {step.note && <span className="font-normal text-gray-500"> ({step.note})</span>}
+              </div>
+              {step.lines.map((line, lineIndex) => (
+                <div key={lineIndex} className="mt-1 ml-4 font-serif text-base text-gray-900 leading-relaxed">
+                  <MathNode node={line} />
+                </div>
+              ))}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,251 @@
+import { useState, useEffect, useId } from "react";
+import { useI18n } from "./i18nContext.js";
+import { validationMessageId } from "./utils.js";
+
+// Text input for numbers typed with the locale's decimal separator. It reports the
+// parsed value as a plain string ('' when blank, 'NaN' when unreadable) for callers to
+// coerce with +, storing blanks as null; the typed text is kept while the field has
+// focus so partial entries like "1," are not reformatted away.
+export function NumberInput({ value, onChange, step, onBlur, ...props }) {
+  const { fmt, parseNumber } = useI18n();
+  const [draft, setDraft] = useState(null);
+  const display = value === null || value === undefined || value === '' || Number.isNaN(value) ? '' : fmt.input(value);
+  
+  const emit = text => onChange(text.trim() === '' ? '' : String(parseNumber(text)));
+  
+  // Arrow keys step the value like a native number input
+  const handleKeyDown = (e) => {
+    if (!step || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    const current = parseNumber(draft ?? display);
+    if (!Number.isFinite(current)) return;
+    e.preventDefault();
+    const decimals = (String(step).split('.')[1] || '').length;
+    const next = Number((current + (e.key === 'ArrowUp' ? 1 : -1) * Number(step)).toFixed(decimals));
+    setDraft(fmt.input(next));
+    onChange(String(next));
+  };
+  
+  return (
+    <input
+      {...props}
+      type="text"
+      inputMode="decimal"
+      autoComplete="off"
+      value={draft ?? display}
+      onChange={(e) => {
+        setDraft(e.target.value);
+        emit(e.target.value);
+      }}
+      onKeyDown={handleKeyDown}
+      onBlur={(e) => {
+        if (draft !== null && !Number.isNaN(parseNumber(draft))) setDraft(null);
+        if (onBlur) onBlur(e);
+      }}
+    />
+  );
+}
+
+export function Card({ title, children, className = "" }) {
+  return (
+    <div className={`bg-white rounded-2xl shadow-md p-5 border border-gray-100 print:shadow-none print:break-inside-avoid ${className}`}>
+      <h2 className="font-serif text-xl text-slate-800 mb-3">{title}</h2>
+      <div className="font-sans text-sm text-black/80">{children}</div>
+    </div>
+  );
+}
+
+export function ToggleGroup({ label, options, value, onChange }) {
+  return (
+    <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-xs" role="group" aria-label={label}>
+      {options.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => onChange(option.value)}
+          aria-pressed={value === option.value}
+          className={`px-3 py-1 ${value === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-100'} focus:outline-none focus:ring-2 focus:ring-blue-500`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// A bare aria-label is not announced on a span, so the asterisk is hidden and the word spelled out
+export function RequiredMark() {
+  const { t } = useI18n();
+  return (
+    <>
+      <span className="text-red-500 ml-1" aria-hidden="true">*</span>
+      <span className="sr-only">{t("common.required")}</span>
+    </>
+  );
+}
+
+export function InfoIcon({ children, id }) {
+  const { t } = useI18n();
+  const [showTooltip, setShowTooltip] = useState(false);
+  
+  // Escape dismisses the tooltip wherever focus is (WCAG 1.4.13)
+  useEffect(() => {
+    if (!showTooltip) return undefined;
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setShowTooltip(false);
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [showTooltip]);
+  
+  // Hover is tracked on the wrapper so the pointer can move onto the tooltip without it closing.
+  // The tooltip stays in the DOM while hidden so the button's description is always resolvable.
+  return (
+    <div
+      className="relative inline-block ml-1"
+      onMouseEnter={() => setShowTooltip(true)}
+      onMouseLeave={() => setShowTooltip(false)}
+    >
+      <button
+        type="button"
+        className="w-4 h-4 rounded-full bg-gray-400 text-white text-xs font-bold hover:bg-gray-500 focus:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-1"
+        onFocus={() => setShowTooltip(true)}
+        onBlur={() => setShowTooltip(false)}
+        aria-describedby={`${id}-tooltip`}
+        aria-label={t("common.moreInfo")}
+      >
+        ?
+      </button>
+      
+      <div
+        id={`${id}-tooltip`}
+        role="tooltip"
+        hidden={!showTooltip}
+        className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded whitespace-nowrap z-10 max-w-xs"
+      >
+        {children}
+        <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-4 border-r-4 border-t-4 border-l-transparent border-r-transparent border-t-gray-800"></div>
+      </div>
+    </div>
+  );
+}
+
+export function CurveEditor({ id, title, pillars, describedBy, onChange, onAdd, onRemove }) {
+  const { t } = useI18n();
+  
+  return (
+    <fieldset className="min-w-[220px]" aria-describedby={describedBy}>
+      <legend className="font-medium text-gray-700 text-sm mb-2">{title}</legend>
+      <table className="text-sm">
+        <thead>
+          <tr className="text-xs text-gray-600">
+            <th scope="col" className="text-left font-medium pr-2">{t("curve.tenorYears")}</th>
+            <th scope="col" className="text-left font-medium pr-2">{t("curve.rate")}</th>
+            <th scope="col"><span className="sr-only">{t("curve.remove")}</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          {pillars.map((pillar, index) => (
+            <tr key={index}>
+              <td className="pr-2 pb-1">
+                <NumberInput
+                  id={`${id}-years-${index}`}
+                  step="0.25"
+                  value={pillar.years}
+                  onChange={(value) => onChange(index, 'years', value)}
+                  className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                  aria-label={t("curve.pillarTenor", { title, n: index + 1 })}
+                />
+              </td>
+              <td className="pr-2 pb-1">
+                <NumberInput
+                  id={`${id}-rate-${index}`}
+                  step="0.001"
+                  value={pillar.rate}
+                  onChange={(value) => onChange(index, 'rate', value)}
+                  className="block w-20 rounded-md shadow-sm px-2 py-1 text-sm border-gray-300 focus:border-blue-500 focus:ring-blue-500"
+                  aria-label={t("curve.pillarRate", { title, n: index + 1 })}
+                />
+              </td>
+              <td className="pb-1">
+                <button
+                  type="button"
+                  onClick={() => onRemove(index)}
+                  disabled={pillars.length <= 1}
+                  className="px-2 text-gray-500 hover:text-red-600 disabled:opacity-30 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                  aria-label={t("curve.removePillar", { title, n: index + 1 })}
+                >
+                  ×
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        type="button"
+        onClick={onAdd}
+        className="mt-1 text-xs text-blue-600 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+      >
+        {t("curve.add")}
+      </button>
+    </fieldset>
+  );
+}
+
+// Paired optional inputs for a two-way quote; blanks fall back to the mid
+export function BidAskInput({ id, label, info, bidLabel, askLabel, fields, values, step, placeholder, errors, warnings = {}, messageIdPrefix, onChange }) {
+  const { t } = useI18n();
+  const [bidField, askField] = fields;
+  const hasError = errors[bidField] || errors[askField];
+  const hasWarning = warnings[bidField] || warnings[askField];
+  
+  return (
+    <fieldset className="flex items-center gap-2">
+      <legend className="sr-only">{label}</legend>
+      <span className="font-medium text-gray-700 whitespace-nowrap flex items-center text-sm" aria-hidden="true">
+        {label}
+        <InfoIcon id={id}>{info}</InfoIcon>
+      </span>
+      {[[bidField, "bid", bidLabel || t("common.bid")], [askField, "ask", askLabel || t("common.ask")]].map(([field, side, sideLabel]) => (
+        <div key={field} className="w-24">
+          <NumberInput
+            id={`${id}-${side}`}
+            step={step}
+            placeholder={`${sideLabel} ${placeholder}`}
+            value={values[field] ?? ''}
+            onChange={(value) => onChange(field, value)}
+            className={`block w-full rounded-md shadow-sm px-2 py-2 text-sm ${
+              hasError ? 'border-red-300' : hasWarning ? 'border-amber-300' : 'border-gray-300'
+            } focus:border-blue-500 focus:ring-blue-500`}
+            aria-label={`${label} ${sideLabel}`}
+            aria-invalid={errors[field] ? 'true' : 'false'}
+            aria-describedby={errors[field] || warnings[field] ? validationMessageId(messageIdPrefix, field) : undefined}
+          />
+        </div>
+      ))}
+    </fieldset>
+  );
+}
+
+// Messages are either text or { key, values } from the pricing engine
+export function ValidationMessage({ errors, warnings = {}, idPrefix }) {
+  const { t, tm } = useI18n();
+  const ownPrefix = useId();
+  const prefix = idPrefix ?? ownPrefix;
+  const groups = [
+    { messages: errors || {}, role: "alert", heading: t("validation.heading"), className: "bg-red-50 border-red-200 text-red-800" },
+    { messages: warnings, role: "status", heading: t("validation.warningHeading"), className: "bg-amber-50 border-amber-200 text-amber-900" }
+  ].filter(group => Object.keys(group.messages).length > 0);
+  if (groups.length === 0) return null;
+  
+  return groups.map(group => (
+    <div key={group.role} className={`mt-3 p-3 border rounded-lg ${group.className}`} role={group.role}>
+      <h3 className="font-semibold text-sm mb-2">{group.heading}</h3>
+      <ul className="text-sm space-y-1">
+        {Object.entries(group.messages).map(([field, message]) => (
+          <li key={field} id={validationMessageId(prefix, field)}>• {typeof message === "string" ? message : tm(message)}</li>
+        ))}
+      </ul>
+    </div>
+  ));
+}
@@ -0,0 +1,29 @@
+import { createContext, useContext } from "react";
+import { LOCALES, createFormatters, detectLocale, parseLocaleNumber, translate, translateMessage } from "../i18n/index.js";
+
+export const LOCALE_STORAGE_KEY = "fx-forward-locale";
+
+export function createI18n(locale) {
+  const fmt = createFormatters(locale);
+  return {
+    locale,
+    t: (key, vars) => translate(locale, key, vars),
+    // Messages built by the pricing engine as { key, values }
+    tm: message => translateMessage(locale, message, fmt),
+    fmt,
+    parseNumber: text => parseLocaleNumber(text, locale)
+  };
+}
+
+// English until the App provider supplies the chosen locale
+export const I18nContext = createContext(createI18n("en"));
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+export function loadLocale() {
+  const stored = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+  if (LOCALES.some(locale => locale.value === stored)) return stored;
+  return detectLocale(window.navigator?.languages || []);
+}
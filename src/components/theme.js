@@ -0,0 +1,50 @@
+import { createContext, useContext } from "react";
+
+// Chart colour roles. "standard" is the CFA-branded palette; "accessible" uses the
+// Okabe–Ito colour-blind-safe hues on black outlines, each at least 3:1 against white
+// except the spot and forward bar fills, which rely on their outline.
+export const PALETTES = {
+  standard: {
+    primary: "#4476ff",
+    secondary: "#7a46ff",
+    accent: "#ea792d",
+    dark: "#06005a",
+    darkAlt: "#38337b",
+    text: "#06005a",
+    spot: "#00bbff",
+    forward: "#50037f",
+    outline: "#06005a"
+  },
+  accessible: {
+    primary: "#0072b2",
+    secondary: "#009e73",
+    accent: "#d55e00",
+    dark: "#000000",
+    darkAlt: "#333333",
+    text: "#000000",
+    spot: "#56b4e9",
+    forward: "#e69f00",
+    outline: "#000000"
+  }
+};
+
+export const PALETTE_STORAGE_KEY = "fx-forward-palette";
+
+export const PaletteContext = createContext(PALETTES.standard);
+
+export function usePalette() {
+  return useContext(PaletteContext);
+}
+
+// A stored choice wins; otherwise users asking the OS for more contrast start on the accessible palette
+export function loadPalette() {
+  const stored = window.localStorage.getItem(PALETTE_STORAGE_KEY);
+  if (stored in PALETTES) return stored;
+  return window.matchMedia?.("(prefers-contrast: more)").matches ? "accessible" : "standard";
+}
+
+// Blends a hex color toward white; t = 0 is white, t = 1 the full color
+export function mixWithWhite(hex, t) {
+  const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return `rgb(${channels.map(c => Math.round(255 + (c - 255) * t)).join(', ')})`;
+}
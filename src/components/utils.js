@@ -0,0 +1,28 @@
+// Each message has an id so its input can point at it with aria-describedby. Several panels
+// validate fields of the same name, so the ids are prefixed per ValidationMessage.
+export const validationMessageId = (prefix, field) => `${prefix}-${field}-validation`;
+
+// navigator.clipboard only exists in secure contexts (https or localhost), so plain-http
+// hosting and some embeds reject here rather than throwing before the caller's .catch
+export function copyToClipboard(text) {
+  if (!navigator.clipboard?.writeText) return Promise.reject(new Error("Clipboard unavailable"));
+  return navigator.clipboard.writeText(text);
+}
+
+export function formatQuote({ bid, ask }, fmt) {
+  const format = value => (fmt ? fmt.number(value, 4) : value.toFixed(4));
+  return bid === ask ? format(bid) : `${format(bid)} / ${format(ask)}`;
+}
+
+export function downloadFile(content, filename, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  // Some browsers ignore clicks on detached links, and start the download only after the click returns
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
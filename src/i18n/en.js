@@ -0,0 +1,602 @@
+// English messages; also the fallback for any key another locale has not translated
+export default {
+  "app.title": "Forward Exchange Rate Calculator",
+  "app.language": "Language",
+  "app.palette": "Chart colours",
+  "app.palette.standard": "Standard",
+  "app.palette.accessible": "High contrast (colour-blind safe)",
+
+  "card.results": "Results",
+  "card.crossRates": "{pair} Cross via {common}",
+  "card.chart": "Forward Exchange Rate Analysis",
+  "card.report": "{pair} Forward Report",
+  "card.export": "Export",
+  "card.workedSolution": "Worked Solution",
+  "card.arbitrage": "Covered Interest Arbitrage",
+  "card.receivableHedge": "{currency} Receivable Hedge",
+  "card.payableHedge": "{currency} Payable Hedge",
+  "card.valuation": "Forward Valuation and FX Swaps",
+  "card.spotRisk": "Unhedged Spot Risk",
+  "card.sensitivity": "Sensitivity Analysis",
+  "card.marketData": "Market Data",
+  "card.inputs": "Inputs",
+  "card.comparison": "Scenario Comparison",
+  "card.replay": "Historical Replay",
+  "card.practice": "Practice Mode",
+  "card.scenarios": "Saved Scenarios",
+
+  "common.moreInfo": "More information",
+  "common.required": "required",
+  "common.optional": "Optional",
+  "common.bid": "Bid",
+  "common.ask": "Ask",
+
+  "comparison.open": "Compare scenarios against these inputs",
+  "comparison.close": "Close comparison",
+
+  "validation.heading": "Please correct the following:",
+  "validation.warningHeading": "Unusual inputs (results are still calculated):",
+  "validation.stale": "Some inputs are incomplete or invalid. The results below are for the last valid inputs.",
+  "validation.required": "Enter the {label}",
+  "validation.notNumber": "{Label} must be a number",
+  "validation.notInteger": "{Label} must be a whole number",
+  "validation.notPositive": "{Label} must be positive",
+  "validation.greaterThan": "{Label} must be greater than {min}",
+  "validation.atLeast": "{Label} must be at least {min}",
+  "validation.atMost": "{Label} cannot exceed {max}",
+  "validation.unusual": "{Label} of {value} is unusual (typically {range}); check it before relying on the results",
+  "validation.typicalAtMost": "at most {max}",
+  "validation.typicalAtLeast": "at least {min}",
+  "validation.typicalBetween": "{min} to {max}",
+  "validation.days": "{count} days",
+  "validation.months": "{count} months",
+  "validation.years": "{count} years",
+  "validation.valuationDate": "Enter a valid valuation date",
+  "validation.sameCurrency": "Domestic and foreign currencies must differ",
+  "validation.commonCurrency": "The common currency must differ from both currencies of the pair",
+  "validation.crossModeCurve": "Switch to flat rates to use three-currency mode",
+  "validation.crossModeSpot": "Spot is derived from the two legs in three-currency mode",
+  "validation.curveTenorsPositive": "{currency} curve tenors must be positive",
+  "validation.curveTenorsUnique": "{currency} curve tenors must be unique",
+  "validation.curveRates": "{currency} curve rates must be greater than {min} and at most {max}",
+  "validation.crossedSpot": "Spot quote: bid cannot exceed the ask",
+  "validation.crossedForward": "Forward quote: bid cannot exceed the ask",
+  "validation.crossedRates": "{currency} rates: deposit rate cannot exceed the borrowing rate",
+  "validation.remainingTooLong": "Remaining tenor cannot exceed the original tenor",
+
+  "field.spotRate": "{pair} spot rate",
+  "field.legSpot": "{currency} leg spot rate",
+  "field.interestRate": "{currency} interest rate",
+  "field.depositRate": "{currency} deposit rate",
+  "field.borrowRate": "{currency} borrowing rate",
+  "field.crossSpotQuote": "quoted cross spot {pair}",
+  "field.crossForwardQuote": "quoted cross forward {pair}",
+  "field.marketForward": "market forward {pair}",
+  "field.spotBid": "spot bid {pair}",
+  "field.spotAsk": "spot ask {pair}",
+  "field.forwardBid": "forward bid {pair}",
+  "field.forwardAsk": "forward ask {pair}",
+  "field.expectedSpot": "expected future spot {pair}",
+  "field.notional": "notional",
+  "field.exposureAmount": "{currency} exposure amount",
+  "field.spotVolatility": "spot volatility",
+  "field.tenor": "tenor",
+  "field.contractRate": "contract rate",
+  "field.contractNotional": "contract notional",
+  "field.originalTenor": "original tenor",
+  "field.remainingTenor": "remaining tenor",
+  "field.swapNotional": "swap notional",
+
+  "solve.pointsRequired": "Enter the quoted forward points",
+  "solve.forwardRequired": "Enter a positive quoted forward rate",
+  "solve.equalRates": "Forward points cannot determine spot when both rates are equal",
+  "solve.noSpot": "No positive spot rate is consistent with this forward and these rates",
+  "solve.flatRatesOnly": "Switch to flat rates to solve for an interest rate",
+  "solve.forwardNotPositive": "The forward implied by these points is not positive",
+  "solve.noRate": "No interest rate is consistent with this forward under the chosen compounding",
+
+  "arbitrage.strategy.borrowBase": "Borrow {borrowed}, convert at spot, invest in {invested}, sell {invested} forward",
+  "arbitrage.strategy.borrowQuote": "Borrow {borrowed}, convert at spot, invest in {invested}, buy {borrowed} forward",
+  "arbitrage.step.borrow": "Borrow {currency}",
+  "arbitrage.step.sellSpot": "Sell {currency} at spot",
+  "arbitrage.step.buySpot": "Buy {currency} at spot",
+  "arbitrage.step.invest": "Invest {currency}",
+  "arbitrage.step.depositMatures": "{currency} deposit matures",
+  "arbitrage.step.deliverForward": "Deliver {currency} on forward",
+  "arbitrage.step.payForward": "Pay {currency} on forward",
+  "arbitrage.step.receiveForward": "Receive {currency} on forward",
+  "arbitrage.step.repay": "Repay {currency} loan",
+
+  "compounding.simple": "Simple",
+  "compounding.annual": "Annual",
+  "compounding.semiannual": "Semi-annual",
+  "compounding.quarterly": "Quarterly",
+  "compounding.monthly": "Monthly",
+  "compounding.continuous": "Continuous",
+  "tenorUnit.days": "Days",
+  "tenorUnit.months": "Months",
+  "tenorUnit.years": "Years",
+  "interpolation.linear": "Linear (zero rates)",
+  "interpolation.loglinear": "Log-linear (discount factors)",
+  "exposure.none": "None",
+  "exposure.receivable": "Receivable",
+  "exposure.payable": "Payable",
+  "quoteStyle.indirect": "indirect",
+  "quoteStyle.direct": "direct",
+
+  "results.implied": "Implied {label}",
+  "results.solvedSpot": "{pair} Spot Rate",
+  "results.solvedRate": "{currency} Interest Rate",
+  "results.solvedNote": " - the value that makes the quoted {pair} forward of {forward} satisfy covered parity",
+  "results.forwardTitle": "Implied {pair} Forward Rate",
+  "results.forwardNote": " - the no-arbitrage forward, in {quote} per 1 {base}",
+  "results.formulaIntro": "Using Covered Interest Rate Parity ({compounding} compounding):",
+  "results.yearFraction": "T = {years} years ({tenor}, {dayCount})",
+  "results.curveRatesLinear": "are {tenor} zero rates interpolated linearly in zero rates",
+  "results.curveRatesLogLinear": "are {tenor} zero rates interpolated log-linearly in discount factors",
+  "results.pointsTitle": "{pair} Forward Points",
+  "results.spot": "Spot",
+  "results.tenorPoints": "{tenor} points",
+  "results.outright": "Outright",
+  "results.marketPoints": "Market points",
+  "results.annualized": "Annualized",
+  "results.perAnnum": "{value} p.a.",
+  "results.pip": "1 pip = {size} {quote}",
+  "results.flat": "{base} and {quote} trade flat: the forward equals spot.",
+  "results.premium": "{base} trades at a forward premium of {premium} p.a. against {quote}, so {quote} trades at a forward discount.",
+  "results.discount": "{base} trades at a forward discount of {premium} p.a. against {quote}, so {quote} trades at a forward premium.",
+  "results.investmentTitle": "{currency} Investment",
+  "results.investDomestic": "Invest {amount} at {rate} for {tenor}",
+  "results.investForeign": "Convert to {foreign} → invest at {rate} for {tenor} → convert back to {domestic} at the forward",
+  "results.final": "Final: {amount}",
+  "results.uipTitle": "Uncovered Interest Parity",
+  "results.expectedSpot": "Expected spot",
+  "results.hedgedLeg": "Hedged {currency} leg",
+  "results.unhedgedExpected": "Unhedged, expected",
+  "results.riskPremium": "FX risk premium",
+  "results.uipHolds": "UIP holds: the expected spot equals the forward, so leaving the {foreign} leg unhedged earns no expected reward for its currency risk.",
+  "results.uipEarn": "Leaving the {foreign} leg unhedged is expected to earn {premium} p.a. versus hedging at the forward, in exchange for bearing {pair} risk.",
+  "results.uipLose": "Leaving the {foreign} leg unhedged is expected to lose {premium} p.a. versus hedging at the forward, in exchange for bearing {pair} risk.",
+  "results.bandTitle": "No-Arbitrage Band",
+  "results.bandLower": "Lower: {value}",
+  "results.bandUpper": "Upper: {value}",
+  "results.quoteInside": "Quote {quote} is inside the band",
+  "results.quoteOutside": "Quote {quote} is outside the band",
+
+  "chart.view": "Chart view",
+  "chart.spotVsForward": "Spot vs Forward",
+  "chart.forwardCurve": "Forward Curve",
+  "chart.barLabels": "Bar labels",
+  "chart.outright": "Outright",
+  "chart.points": "Points",
+  "chart.legendSpot": "Spot {pair}: {value} (t=0)",
+  "chart.legendCurve": "Forward {pair} by tenor ({dayCount})",
+  "chart.legendForward": "Forward {pair}: {value} (t={tenor})",
+  "chart.legendBand": "No-Arbitrage Band: {lower} – {upper}",
+  "chart.zeroAt": " ({tenor} zero)",
+  "chart.title": "{pair} Exchange Rate and Interest Rate Data",
+  "chart.descriptionCurve": "Bar chart of implied {pair} forward rates ({quote} per 1 {base}) at standard tenors: {forwards}, alongside {domestic} zero rates ({domesticRates}) and {foreign} zero rates ({foreignRates}).",
+  "chart.descriptionSpot": "Bar chart comparing the {pair} spot rate ({quote} per 1 {base}; first bar, at t=0, value {spot}) versus the {pair} forward rate (second bar, at t={tenor}, value {forward}), alongside the {domestic} interest rate (line, {domesticRate}) and the {foreign} interest rate (line, {foreignRate}).",
+  "chart.descriptionHigher": "The forward rate is higher, so {base} trades at a forward premium against {quote}.",
+  "chart.descriptionLower": "The forward rate is lower, so {base} trades at a forward discount against {quote}.",
+  "chart.descriptionParity": "Under covered parity this reflects the interest rate differential, not a forecast of the future spot rate.",
+  "chart.descriptionBand": "A shaded band around the forward bar marks the no-arbitrage range from {lower} to {upper}.",
+  "chart.xTenor": "Tenor",
+  "chart.xTime": "Time Periods",
+  "chart.yExchange": "Exchange Rate ({pair})",
+  "chart.yInterest": "Interest Rate",
+  "chart.tooltipTenor": "Tenor: {label}",
+  "chart.tooltipTime": "Time: {label}",
+  "chart.exchangeRate": "Exchange Rate",
+  "chart.rateSeries": "{currency} Rate",
+  "chart.spotLabel": "Spot",
+  "chart.pointsLabel": "{points} pts",
+  "chart.noteTitle": "Covered Interest Rate Parity:",
+  "chart.noteBody": "The forward rate prevents arbitrage by ensuring both strategies yield identical returns when currency risk is hedged.",
+  "chart.display": "Display",
+  "chart.displayChart": "Chart",
+  "chart.displayTable": "Table",
+  "chart.tablePoints": "Points vs spot",
+  "chart.tableDifferential": "Rate differential (pp)",
+  "chart.tableNote": "Points are pips from today's spot; the differential is the {domestic} rate minus the {foreign} rate, in percentage points.",
+  "chart.keyboardInstructions": "Use the left and right arrow keys to move between points, Home and End to jump to the first or last point, and the up and down arrow keys to switch between the exchange rate and the two interest rates.",
+  "chart.pointAnnouncement": "{series} at {label}: {value} (point {position} of {count})",
+
+  "inputs.domestic": "Domestic",
+  "inputs.domesticInfo": "Currency of the investor",
+  "inputs.foreign": "Foreign",
+  "inputs.foreignInfo": "Currency invested in abroad",
+  "inputs.quote": "Quote",
+  "inputs.quoteInfo": "Direct: domestic per 1 foreign. Indirect: foreign per 1 domestic.",
+  "inputs.indirectOption": "Indirect ({foreign} per {domestic})",
+  "inputs.directOption": "Direct ({domestic} per {foreign})",
+  "inputs.marketConvention": "Market convention:",
+  "inputs.quoteAs": "Quote as {pair}",
+  "inputs.solveFor": "Solve For",
+  "inputs.solveForInfo": "Choose the unknown; the other three values are inputs",
+  "inputs.solveForward": "Forward",
+  "inputs.solveSpot": "Spot",
+  "inputs.solveRate": "{currency} rate",
+  "inputs.givenForward": "Forward {pair}",
+  "inputs.givenForwardInfo": "Quoted {tenor} forward as an outright rate or in points over spot",
+  "inputs.forwardQuotedAs": "Forward quoted as",
+  "inputs.outright": "Outright",
+  "inputs.points": "Points",
+  "inputs.spot": "Spot {pair}",
+  "inputs.spotInfo": "{quote} per 1 {base}",
+  "inputs.derivedSpotInfo": "Cross rate implied by the {legs} spot legs",
+  "inputs.notional": "Notional {currency}",
+  "inputs.notionalInfo": "Amount invested in each strategy leg and traded in the arbitrage",
+  "inputs.exposure": "Exposure",
+  "inputs.exposureInfo": "A {currency} amount you will receive or pay at the tenor",
+  "inputs.exposureAmount": "Exposure amount in {currency}",
+  "inputs.rates": "Rates",
+  "inputs.ratesInfo": "Flat rates or a yield curve per currency",
+  "inputs.flat": "Flat",
+  "inputs.curve": "Yield curve",
+  "inputs.rate": "{currency} Rate (%)",
+  "inputs.domesticRateInfo": "Annual rate for {currency} (domestic currency)",
+  "inputs.foreignRateInfo": "Annual rate for {currency} (foreign currency)",
+  "inputs.interpolation": "Interpolation",
+  "inputs.interpolationInfo": "How rates between curve pillars are filled in",
+  "inputs.twoWay": "Bid/Ask Quotes",
+  "inputs.twoWayInfo": "Use dealer bid/ask prices and deposit/borrowing rates",
+  "inputs.marketForward": "Market Forward",
+  "inputs.marketForwardInfo": "Optional quoted {pair} forward to test for arbitrage",
+  "inputs.uip": "Uncovered Parity",
+  "inputs.uipInfo": "Compare the hedged foreign leg with leaving it unhedged against an expected future spot",
+  "inputs.expectedSpot": "Expected Spot",
+  "inputs.expectedSpotInfo": "Your expected {pair} spot at maturity; blank assumes UIP (expected spot = forward)",
+  "inputs.forwardPlaceholder": "Forward",
+  "inputs.spotVolatility": "Spot Vol (%)",
+  "inputs.spotVolatilityInfo": "Annualized volatility of the spot rate, used for the scenario fan",
+  "inputs.crossMode": "Three Currencies",
+  "inputs.crossModeInfo": "Derive the spot from two quotes against a common currency and test a directly quoted cross for triangular arbitrage",
+  "inputs.commonCurrency": "Common",
+  "inputs.commonCurrencyInfo": "Currency both legs are quoted against, usually USD or EUR",
+  "inputs.commonRateInfo": "Annual rate for {currency} (common currency)",
+  "inputs.crossSpotQuote": "Quoted Cross Spot",
+  "inputs.crossSpotQuoteInfo": "Optional direct {pair} spot quote to test for triangular arbitrage",
+  "inputs.crossForwardQuote": "Quoted Cross Forward",
+  "inputs.crossForwardQuoteInfo": "Optional direct {pair} forward quote to test for triangular arbitrage",
+  "inputs.compounding": "Compounding",
+  "inputs.compoundingInfo": "Applied to the forward and both investment legs",
+  "inputs.tenor": "Tenor",
+  "inputs.tenorInfo": "Time to maturity of the forward contract",
+  "inputs.tenorUnit": "Tenor unit",
+  "inputs.dayCount": "Day Count",
+  "inputs.dayCountInfo": "Basis used to convert the tenor to a year fraction",
+  "inputs.valuationDate": "Valuation date",
+  "inputs.valuationDateInfo": "Trade date the tenor runs from. Actual day counts use it to count the days in month and year tenors.",
+  "inputs.spotQuote": "Spot",
+  "inputs.spotQuoteInfo": "Dealer bid/ask for {pair} spot",
+  "inputs.forwardQuoteInfo": "Optional dealer bid/ask for the {pair} forward",
+  "inputs.optionalPlaceholder": "(optional)",
+  "inputs.rateQuote": "{currency} (%)",
+  "inputs.rateQuoteInfo": "Deposit and borrowing rates for {currency}",
+  "inputs.deposit": "Deposit",
+  "inputs.borrow": "Borrow",
+  "inputs.curveTitle": "{currency} Curve",
+
+  "curve.tenorYears": "Tenor (years)",
+  "curve.rate": "Rate (%)",
+  "curve.remove": "Remove",
+  "curve.pillarTenor": "{title} pillar {n} tenor in years",
+  "curve.pillarRate": "{title} pillar {n} rate in percent",
+  "curve.removePillar": "Remove {title} pillar {n}",
+  "curve.add": "+ Add pillar",
+
+  "cross.diagram": "Triangle of {currencies} with the spot rate on each leg: {legs}",
+  "cross.caption": "Spot, forward points and {tenor} forward for each leg and the derived cross",
+  "cross.pair": "Pair",
+  "cross.forward": "{tenor} Forward",
+  "cross.derived": "{pair} via {common}",
+  "cross.sideSpot": "spot",
+  "cross.sideForward": "{tenor} forward",
+  "cross.comparison": "Quoted {pair} {side} {quoted} vs {derived} via {common} ({pips} pips).",
+  "cross.noArbitrage": "No triangular arbitrage is available.",
+  "cross.loop": "Triangular arbitrage on the {side}:",
+  "cross.step": "Sell {amountIn} for {amountOut} at {pair} {rate}",
+  "cross.profit": "Riskless profit: {profit} at {time} per {notional} notional",
+  "cross.noQuote": "Enter a quoted {pair} spot or forward to check it against the legs for triangular arbitrage.",
+
+  "market.provider": "Source",
+  "market.provider.snapshot": "Bundled snapshot",
+  "market.provider.mock": "Local mock feed (simulated)",
+  "market.refresh": "Refresh {pair}",
+  "market.stream": "Stream live quotes",
+  "market.streamUnavailable": "The bundled snapshot does not stream; choose the local mock feed to stream quotes.",
+  "market.live": "Live",
+  "market.fills": "Fills the {pair} spot and both interest rates.",
+  "market.fillsRatesOnly": "Three-currency mode derives the spot from its legs, so only the interest rates are filled.",
+  "market.fillsSpotOnly": "Curve mode keeps the entered curves, so only the spot is filled.",
+  "market.loading": "Fetching the {pair} quote…",
+  "market.none": "No quote loaded; the inputs below are as typed.",
+  "market.asOf": "{pair} quote as of {asOf}, refreshed {refreshed}.",
+  "market.static": "{pair} quote from the static offline snapshot dated {asOf}. It does not update, so its age is not checked.",
+  "market.otherPair": "The last quote was for {quotePair}; refresh to load {pair}.",
+  "market.stale": "This quote is stale: it was priced {age}. Refresh before relying on the results.",
+  "market.error": "The market data source failed: {message}",
+
+  "export.data": "Inputs and results:",
+  "export.dataGroup": "Download inputs and results",
+  "export.chart": "Chart:",
+  "export.chartGroup": "Download chart",
+  "export.print": "Print report",
+  "export.notRendered": "The chart has not rendered yet",
+  "export.pngFailed": "Could not render the chart as PNG",
+
+  "report.prepared": "Prepared {date}",
+  "report.pair": "Currency pair",
+  "report.quoteStyle": "Quote style",
+  "report.quoteStyleValue": "{quote} per 1 {base} ({style})",
+  "report.spotRate": "Spot rate",
+  "report.zeroCurve": "{currency} zero curve",
+  "report.interpolation": "Interpolation",
+  "report.interestRate": "{currency} interest rate (%)",
+  "report.compounding": "Compounding",
+  "report.tenor": "Tenor",
+  "report.dayCount": "Day count",
+  "report.valuationDate": "Valuation date",
+  "report.notional": "Notional ({currency})",
+  "report.marketForward": "Quoted forward",
+  "report.years": "Year fraction",
+  "report.forwardRate": "Forward rate ({quote} per {base})",
+  "report.forwardPoints": "Forward points (pips of {quote})",
+  "report.forwardPremium": "{base} forward premium (% p.a.)",
+  "report.zeroRate": "{currency} zero rate (%)",
+  "report.discountFactor": "{currency} discount factor",
+  "report.arbitrageStrategy": "Arbitrage strategy",
+  "report.arbitrageNone": "None",
+  "report.arbitrageProfit": "Arbitrage profit ({currency})",
+
+  "quizType.any": "Any",
+  "quizType.forward": "Forward rate",
+  "quizType.points": "Forward points",
+  "quizType.impliedRate": "Implied rate",
+  "quizType.arbitrage": "Arbitrage",
+  "arbitrageChoice.none": "No arbitrage",
+  "arbitrageChoice.borrowBase": "Borrow the base currency",
+  "arbitrageChoice.borrowQuote": "Borrow the quote currency",
+  "quiz.prompt.forward": "The {pair} spot rate is {spot} ({quote} per {base}), the {days}-day {base} rate is {baseRate} and the {days}-day {quote} rate is {quoteRate}. Money-market rates are simple annual rates on an Actual/360 basis. What is the {days}-day {pair} outright forward rate under covered interest parity?",
+  "quiz.prompt.points": "The {pair} spot rate is {spot} ({quote} per {base}), the {days}-day {base} rate is {baseRate} and the {days}-day {quote} rate is {quoteRate}. Money-market rates are simple annual rates on an Actual/360 basis. How many {days}-day forward points (in pips of {quote}, negative for a discount) does covered interest parity give?",
+  "quiz.prompt.impliedRate": "The {pair} spot rate is {spot} ({quote} per {base}) and the {days}-day outright forward is {forward}. The {days}-day {known} rate is {knownRate}. Money-market rates are simple annual rates on an Actual/360 basis. What {days}-day {unknown} rate (in %) does covered interest parity imply?",
+  "quiz.prompt.arbitrage": "The {pair} spot rate is {spot} ({quote} per {base}), the {days}-day {base} rate is {baseRate} and the {days}-day {quote} rate is {quoteRate}. Money-market rates are simple annual rates on an Actual/360 basis. A dealer quotes the {days}-day {pair} outright forward at {forward}. Is there a covered interest arbitrage, and if so which currency do you borrow?",
+  "quiz.unit.pips": "pips",
+  "quiz.unit.percent": "%",
+  "quiz.unit.quotePerBase": "{quote} per {base}",
+
+  "working.show": "Show working",
+  "working.copyText": "Copy as text",
+  "working.copyLatex": "Copy as LaTeX",
+  "working.copiedText": "Copied as plain text",
+  "working.copiedLatex": "Copied as LaTeX",
+  "working.copyFailed": "Could not copy to the clipboard",
+  "working.decimals": "Convert the rates to decimals",
+  "working.curveNote": "{tenor} zero rates read off the curves",
+  "working.years": "Convert the tenor to years",
+  "working.yearsNote": "{tenor} tenor, {dayCount} day count",
+  "working.exponent": "Compute the exponent",
+  "working.ratio": "Compute the growth ratio",
+  "working.growth": "Compute each currency's growth factor",
+  "working.forward": "Compute the forward",
+  "working.forwardNote": "{quote} per 1 {base}",
+  "working.points": "Express it in forward points",
+  "working.pip": "pip",
+  "working.leg": "Value the {currency} leg",
+  "working.foreignLegNote": "Convert at spot, invest at the {currency} rate, convert back at the forward",
+  "working.parity": "Check covered parity",
+  "working.parityNote": "Both legs end with the same amount, so neither earns a riskless profit",
+
+  "fan.description": "Fan chart of the future {pair} spot over {tenor}, with a median path from {spot} to the expected spot {expected} and a 90% range at maturity from {low} to {high}, compared with the covered-parity forward {forward}.",
+  "fan.years": "Years",
+  "fan.spotAxis": "Spot ({pair})",
+  "fan.tooltipTime": "t = {years} years",
+  "fan.outer": "5th–95th percentile",
+  "fan.inner": "25th–75th percentile",
+  "fan.median": "Expected (median) spot",
+  "fan.forward": "Forward (covered parity)",
+  "fan.caption": "Unhedged {currency} leg at maturity ({volatility} vol)",
+  "fan.percentile": "Spot percentile",
+  "fan.spot": "Spot",
+  "fan.payoff": "Payoff ({currency})",
+  "fan.percentileValue": "{percentile}th",
+  "fan.hedgedNote": "The hedged leg pays {amount} in every outcome; payoffs above it are shown in green.",
+  "hedging.spotUnchanged": "Spot unchanged at {spot}",
+  "hedging.expectedSpot": "Expected spot {spot}",
+  "hedging.above": "above",
+  "hedging.below": "below",
+  "hedging.summaryPayable": "Pay {amount} in {tenor}. Buying it forward at {rate} locks in a cost of {value}.",
+  "hedging.summaryReceivable": "Receive {amount} in {tenor}. Selling it forward at {rate} locks in {value}.",
+  "hedging.caption": "Hedged and unhedged outcomes in {currency}",
+  "hedging.spotAtMaturity": "Spot at maturity",
+  "hedging.unhedged": "Unhedged",
+  "hedging.hedged": "Hedged",
+  "hedging.pnl": "Hedge P&L",
+  "hedging.breakEven": "Break-even spot: {spot}",
+  "hedging.breakEvenNote": "— the hedge gains when {pair} ends {gains} the forward and costs when it ends {costs}. The unhedged outcome at today's spot is {amount}.",
+  "hedging.range": "Spot range ± (%)",
+  "hedging.descriptionPayable": "Payoff chart in {domestic} for a payable of {amount} across {pair} spot rates from {from} to {to}. The hedged outcome is flat at {hedged}; the unhedged line crosses it at the break-even spot {breakEven}.",
+  "hedging.descriptionReceivable": "Payoff chart in {domestic} for a receivable of {amount} across {pair} spot rates from {from} to {to}. The hedged outcome is flat at {hedged}; the unhedged line crosses it at the break-even spot {breakEven}.",
+  "hedging.spotAxis": "Spot at maturity ({pair})",
+  "hedging.tooltipSpot": "Spot {spot}",
+  "hedging.breakEvenLabel": "Break-even",
+
+  "valuation.nearLeg": "Near (spot)",
+  "valuation.farLeg": "Far ({tenor})",
+  "valuation.unit": "{label} unit",
+  "valuation.existingTitle": "Existing Forward",
+  "valuation.position": "Position in {currency}",
+  "valuation.position.buy": "Bought {currency}",
+  "valuation.position.sell": "Sold {currency}",
+  "valuation.notional": "Notional {currency}",
+  "valuation.contractRate": "Contract rate",
+  "valuation.originalTenor": "Original tenor",
+  "valuation.remaining": "Remaining",
+  "valuation.elapsed": "Elapsed",
+  "valuation.elapsedValue": "{elapsed} of {total} years",
+  "valuation.fairForward": "Fair {tenor} forward",
+  "valuation.maturityValue": "Value at maturity",
+  "valuation.discountFactor": "{currency} discount factor",
+  "valuation.mtm": "MTM today ({currency})",
+  "valuation.mtmNote": "The difference between the fair and contract forwards settles in {quote} at maturity, so it is discounted at the {tenor} {quote} rate and converted to {base} at today's spot {spot}.",
+  "valuation.swapTitle": "FX Swap ({tenor})",
+  "valuation.swapDirection": "Swap direction",
+  "valuation.buySell": "Buy/sell {currency}",
+  "valuation.sellBuy": "Sell/buy {currency}",
+  "valuation.swapCaption": "FX swap legs; positive amounts are received",
+  "valuation.leg": "Leg",
+  "valuation.rate": "Rate",
+  "valuation.swapPoints": "Swap points",
+  "valuation.net": "Net {currency} across both legs",
+  "valuation.swapNote": "The far rate is spot plus the swap points, so the net {quote} flow is the interest differential on the notional: the swap has zero value at inception and only moves {base} between dates.",
+
+  "cashFlow.title": "Arbitrage Cash Flows",
+  "cashFlow.description": "Bar chart of each arbitrage cash flow in {currency} terms: {flows}.",
+  "cashFlow.step": "Cash Flow Step",
+  "cashFlow.tooltip": "{value} ({domestic} terms, {currency} flow)",
+  "cashFlow.amount": "Amount",
+  "arbitrage.insideBand": "The quoted forward of {quote} lies inside the no-arbitrage band of {lower} to {upper}: after bid/ask costs no covered interest arbitrage is profitable.",
+  "arbitrage.atParity": "The quoted forward of {quote} matches the parity forward of {forward}: no covered interest arbitrage is available.",
+  "arbitrage.belowParity": "Quoted forward {quote} vs parity forward {forward} (below parity).",
+  "arbitrage.aboveParity": "Quoted forward {quote} vs parity forward {forward} (above parity).",
+  "arbitrage.outsideBand": "The quote lies outside the no-arbitrage band of {lower} to {upper}, so the trade below is profitable even after bid/ask costs.",
+  "arbitrage.strategy": "Strategy:",
+  "arbitrage.profit": "Riskless profit: {profit} at t = {tenor} per {notional} notional",
+  "arbitrage.caption": "Arbitrage cash flows per {notional} notional",
+  "arbitrage.time": "Time",
+  "arbitrage.stepHeader": "Step",
+  "arbitrage.currency": "Currency",
+  "arbitrage.net": "Net",
+
+  "scenarios.notScenarios": "File does not contain saved scenarios",
+  "scenarios.importedName": "Imported scenario {number}",
+  "scenarios.defaultName": "Scenario {number}",
+  "scenarios.saved": "Saved \"{name}\"",
+  "scenarios.copyName": "{name} (copy)",
+  "scenarios.linkCopied": "Link copied to clipboard",
+  "scenarios.linkFailed": "Could not copy the link; copy it from the address bar",
+  "scenarios.importedOne": "Imported {count} scenario",
+  "scenarios.importedMany": "Imported {count} scenarios",
+  "scenarios.importFailed": "Import failed: {error}",
+  "scenarios.name": "Name",
+  "scenarios.save": "Save current inputs",
+  "scenarios.copyLink": "Copy shareable link",
+  "scenarios.export": "Export JSON",
+  "scenarios.import": "Import JSON",
+  "scenarios.empty": "No saved scenarios yet.",
+  "scenarios.nameLabel": "Scenario name",
+  "scenarios.summary": "{pair} · spot {spot} · {tenor}",
+  "scenarios.load": "Load",
+  "scenarios.duplicate": "Duplicate",
+  "scenarios.delete": "Delete",
+
+  "comparison.spot": "Spot",
+  "comparison.forward": "Forward ({tenor})",
+  "comparison.chartTitle": "{pair} Spot and Forward by Scenario",
+  "comparison.chartDescription": "Grouped bar chart of spot and forward rates: {scenarios}.",
+  "comparison.chartScenario": "{name} spot {spot}, forward {forward}",
+  "comparison.axis": "Exchange Rate ({pair})",
+  "comparison.shiftName": "{currency} +50bp",
+  "comparison.base": "Base",
+  "comparison.metricSpot": "Spot ({pair})",
+  "comparison.metricRate": "{currency} rate (%)",
+  "comparison.metricForward": "Forward ({pair})",
+  "comparison.metricPoints": "Forward points",
+  "comparison.metricPremium": "{currency} premium/discount (% p.a.)",
+  "comparison.metricDomesticLeg": "{currency} leg ending value",
+  "comparison.metricForeignLeg": "{foreign} leg in {domestic}",
+  "comparison.invalidBase": "Correct the calculator inputs to compare scenarios.",
+  "comparison.variantLegend": "Scenario {name}",
+  "comparison.shift": "{currency} shift (bp)",
+  "comparison.remove": "Remove",
+  "comparison.add": "+ Add scenario",
+  "comparison.cannotPrice": "inputs cannot be priced",
+  "comparison.caption": "Scenario comparison; differences are relative to the base scenario",
+  "comparison.metric": "Metric",
+  "comparison.baseMarker": "(base)",
+  "replay.emptyFile": "The file is empty.",
+  "replay.missingColumn": "Missing column: {columns}. Expected a header of date, spot, domestic rate, foreign rate.",
+  "replay.missingColumns": "Missing columns: {columns}. Expected a header of date, spot, domestic rate, foreign rate.",
+  "replay.tooManyRows": "The file has {rows} data rows; the limit is {limit}.",
+  "replay.badDate": "date \"{date}\" is not YYYY-MM-DD",
+  "replay.duplicateDate": "date {date} appears more than once",
+  "replay.badSpot": "spot must be a positive number",
+  "replay.domesticNotNumber": "domestic rate must be a number",
+  "replay.foreignNotNumber": "foreign rate must be a number",
+  "replay.domesticOutOfRange": "domestic rate must be between -100% and 50%",
+  "replay.foreignOutOfRange": "foreign rate must be between -100% and 50%",
+  "replay.lineError": "Line {line}: {problems}",
+  "replay.problemList": "{first}; {next}",
+  "replay.moreErrors": "…and {count} more rows with errors",
+  "replay.noRows": "The file has a header but no data rows.",
+
+  "replay.readFailed": "Could not read the file: {error}",
+  "replay.load": "Load CSV",
+  "replay.validRow": "{name}: {count} valid row",
+  "replay.validRows": "{name}: {count} valid rows",
+  "replay.columns": "Columns:",
+  "replay.help": "with ISO dates, spot as {pair} and rates in % ({domestic} and {foreign}). Each row is priced at {tenor} with the calculator's compounding and day count, and compared with the first spot on or within {days} days after maturity.",
+  "replay.invalidInputs": "Correct the calculator inputs to replay the data.",
+  "replay.description": "Time series from {from} to {to} of the {pair} spot, the implied {tenor} forward on each date, and the spot realized at that forward's maturity. {matched} of {total} dates have a realized spot.",
+  "replay.tradeDate": "Trade date: {date}",
+  "replay.impliedForward": "Implied {tenor} forward",
+  "replay.realized": "Spot realized at maturity",
+  "replay.statsCaption": "Forecast error of the realized spot against each predictor",
+  "replay.predictor": "Predictor of spot at maturity ({count} dates)",
+  "replay.meanError": "Mean error",
+  "replay.rmse": "RMSE",
+  "replay.todaysSpot": "Today's spot",
+  "replay.noRealized": "The data does not extend {tenor} past any trade date, so no realized spots are available yet.",
+  "replay.parityTitle": "Covered vs uncovered parity:",
+  "replay.parityNote": "Each forward above is fixed by covered parity on its trade date, so it holds by construction. Uncovered parity would need the spot at maturity to match that forward on average; in practice the realized spot wanders far from it, and the forward is usually no better a forecast than today's spot.",
+
+  "quiz.question": "Question:",
+  "quiz.questionType": "Question type",
+  "quiz.score": "Score:",
+  "quiz.resetScore": "Reset score",
+  "quiz.yourAnswer": "Your answer",
+  "quiz.check": "Check answer",
+  "quiz.next": "Next problem",
+  "quiz.skip": "Skip",
+  "quiz.correct": "Correct.",
+  "quiz.incorrect": "Not quite.",
+  "quiz.answer": "The answer is {answer}.",
+  "quiz.answerWithTolerance": "The answer is {answer} (answers within ±{tolerance} are accepted).",
+
+  "sensitivity.gridStep": "Grid step (bp)",
+  "sensitivity.discount": "{currency} at a forward discount",
+  "sensitivity.premium": "{currency} at a forward premium",
+  "sensitivity.heatmapCaption": "Forward points ({pair}) by {domestic} rate (rows) and {foreign} rate (columns); the centre cell is the current scenario",
+  "sensitivity.currentMarker": "(current)",
+  "sensitivity.axis.domesticRate": "{domestic} rate (%)",
+  "sensitivity.axis.foreignRate": "{foreign} rate (%)",
+  "sensitivity.axis.differential": "{foreign} − {domestic} rate differential (%)",
+  "sensitivity.axis.spotRate": "Spot ({pair})",
+  "sensitivity.variable.domesticRate": "Domestic rate",
+  "sensitivity.variable.foreignRate": "Foreign rate",
+  "sensitivity.variable.differential": "Differential",
+  "sensitivity.variable.spotRate": "Spot",
+  "sensitivity.rangeOrder": "The sweep start must be below the sweep end.",
+  "sensitivity.steps": "Steps must be a whole number between {min} and {max}.",
+  "sensitivity.spotPositive": "Spot sweep must stay above zero.",
+  "sensitivity.sweep": "Sweep",
+  "sensitivity.from": "From",
+  "sensitivity.to": "To",
+  "sensitivity.stepsLabel": "Steps",
+  "sensitivity.centre": "Centre on current",
+  "sensitivity.plot": "Plot",
+  "sensitivity.outright": "Outright",
+  "sensitivity.points": "Points",
+  "sensitivity.flattened": "Curves are flattened at their {tenor} zero rates ({domestic} {domesticRate}, {foreign} {foreignRate}) for the sweep.",
+  "sensitivity.titleOutright": "{tenor} forward ({pair}) vs {x}",
+  "sensitivity.titlePoints": "{tenor} forward points vs {x}",
+  "sensitivity.descriptionOutright": "Line chart of the {tenor} forward outright as the {x} moves from {from} to {to}: {start} to {end}. The current input {current} gives {value}.",
+  "sensitivity.descriptionPoints": "Line chart of the {tenor} forward points as the {x} moves from {from} to {to}: {start} to {end}. The current input {current} gives {value}.",
+  "sensitivity.forward": "Forward",
+  "sensitivity.forwardPoints": "Forward points",
+  "sensitivity.current": "Current",
+  "sensitivity.heatmapTitle": "{tenor} forward points by {domestic} × {foreign} rate",
+  "sensitivity.readingTitle": "Reading the sweep:",
+  "sensitivity.readingNote": "For small rates the annualized forward premium is close to the rate differential, so forward points move almost linearly with it, while a move in spot scales the forward proportionally."
+};
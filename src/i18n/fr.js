@@ -0,0 +1,602 @@
+// French messages
+export default {
+  "app.title": "Calculateur de taux de change à terme",
+  "app.language": "Langue",
+  "app.palette": "Couleurs des graphiques",
+  "app.palette.standard": "Standard",
+  "app.palette.accessible": "Contraste élevé (adapté au daltonisme)",
+
+  "card.results": "Résultats",
+  "card.crossRates": "Cours croisé {pair} via {common}",
+  "card.chart": "Analyse du taux de change à terme",
+  "card.report": "Rapport à terme {pair}",
+  "card.export": "Exporter",
+  "card.workedSolution": "Solution détaillée",
+  "card.arbitrage": "Arbitrage couvert de taux d'intérêt",
+  "card.receivableHedge": "Couverture d'une créance en {currency}",
+  "card.payableHedge": "Couverture d'une dette en {currency}",
+  "card.valuation": "Valorisation des contrats à terme et swaps de change",
+  "card.spotRisk": "Risque de change non couvert",
+  "card.sensitivity": "Analyse de sensibilité",
+  "card.marketData": "Données de marché",
+  "card.inputs": "Données",
+  "card.comparison": "Comparaison de scénarios",
+  "card.replay": "Rejeu historique",
+  "card.practice": "Mode entraînement",
+  "card.scenarios": "Scénarios enregistrés",
+
+  "common.moreInfo": "Plus d'informations",
+  "common.required": "obligatoire",
+  "common.optional": "Facultatif",
+  "common.bid": "Achat",
+  "common.ask": "Vente",
+
+  "comparison.open": "Comparer des scénarios à ces données",
+  "comparison.close": "Fermer la comparaison",
+
+  "validation.heading": "Veuillez corriger les points suivants :",
+  "validation.warningHeading": "Données inhabituelles (les résultats sont tout de même calculés) :",
+  "validation.stale": "Certaines données sont incomplètes ou invalides. Les résultats ci-dessous correspondent aux dernières données valides.",
+  "validation.required": "Saisissez {label}",
+  "validation.notNumber": "{Label} doit être un nombre",
+  "validation.notInteger": "{Label} doit être un nombre entier",
+  "validation.notPositive": "{Label} doit être un nombre positif",
+  "validation.greaterThan": "{Label} doit valoir plus de {min}",
+  "validation.atLeast": "{Label} doit valoir au moins {min}",
+  "validation.atMost": "{Label} ne peut pas dépasser {max}",
+  "validation.unusual": "Valeur inhabituelle pour {label} : {value} (généralement {range}) ; vérifiez-la avant de vous fier aux résultats",
+  "validation.typicalAtMost": "au plus {max}",
+  "validation.typicalAtLeast": "au moins {min}",
+  "validation.typicalBetween": "de {min} à {max}",
+  "validation.days": "{count} jours",
+  "validation.months": "{count} mois",
+  "validation.years": "{count} ans",
+  "validation.valuationDate": "Saisissez une date de valorisation valide",
+  "validation.sameCurrency": "Les devises domestique et étrangère doivent être différentes",
+  "validation.commonCurrency": "La devise commune doit différer des deux devises de la paire",
+  "validation.crossModeCurve": "Passez à des taux fixes pour utiliser le mode à trois devises",
+  "validation.crossModeSpot": "En mode à trois devises, le comptant est déduit des deux jambes",
+  "validation.curveTenorsPositive": "Les échéances de la courbe {currency} doivent être positives",
+  "validation.curveTenorsUnique": "Les échéances de la courbe {currency} doivent être uniques",
+  "validation.curveRates": "Les taux de la courbe {currency} doivent être supérieurs à {min} et au plus égaux à {max}",
+  "validation.crossedSpot": "Cotation au comptant : le cours acheteur ne peut pas dépasser le cours vendeur",
+  "validation.crossedForward": "Cotation à terme : le cours acheteur ne peut pas dépasser le cours vendeur",
+  "validation.crossedRates": "Taux {currency} : le taux de dépôt ne peut pas dépasser le taux d'emprunt",
+  "validation.remainingTooLong": "L'échéance restante ne peut pas dépasser l'échéance initiale",
+
+  "field.spotRate": "le cours au comptant {pair}",
+  "field.legSpot": "le cours au comptant de la jambe {currency}",
+  "field.interestRate": "le taux d'intérêt {currency}",
+  "field.depositRate": "le taux de dépôt {currency}",
+  "field.borrowRate": "le taux d'emprunt {currency}",
+  "field.crossSpotQuote": "le cours croisé au comptant coté {pair}",
+  "field.crossForwardQuote": "le cours croisé à terme coté {pair}",
+  "field.marketForward": "le cours à terme de marché {pair}",
+  "field.spotBid": "le cours acheteur au comptant {pair}",
+  "field.spotAsk": "le cours vendeur au comptant {pair}",
+  "field.forwardBid": "le cours acheteur à terme {pair}",
+  "field.forwardAsk": "le cours vendeur à terme {pair}",
+  "field.expectedSpot": "le cours au comptant futur attendu {pair}",
+  "field.notional": "le notionnel",
+  "field.exposureAmount": "le montant de l'exposition en {currency}",
+  "field.spotVolatility": "la volatilité du comptant",
+  "field.tenor": "l'échéance",
+  "field.contractRate": "le cours du contrat",
+  "field.contractNotional": "le notionnel du contrat",
+  "field.originalTenor": "l'échéance initiale",
+  "field.remainingTenor": "l'échéance restante",
+  "field.swapNotional": "le notionnel du swap",
+
+  "solve.pointsRequired": "Saisissez les points de terme cotés",
+  "solve.forwardRequired": "Saisissez un cours à terme coté positif",
+  "solve.equalRates": "Les points de terme ne permettent pas de déterminer le comptant lorsque les deux taux sont égaux",
+  "solve.noSpot": "Aucun cours au comptant positif n'est cohérent avec ce cours à terme et ces taux",
+  "solve.flatRatesOnly": "Passez à des taux fixes pour résoudre un taux d'intérêt",
+  "solve.forwardNotPositive": "Le cours à terme impliqué par ces points n'est pas positif",
+  "solve.noRate": "Aucun taux d'intérêt n'est cohérent avec ce cours à terme selon la capitalisation choisie",
+
+  "arbitrage.strategy.borrowBase": "Emprunter des {borrowed}, les convertir au comptant, placer les {invested} et vendre les {invested} à terme",
+  "arbitrage.strategy.borrowQuote": "Emprunter des {borrowed}, les convertir au comptant, placer les {invested} et acheter les {borrowed} à terme",
+  "arbitrage.step.borrow": "Emprunter des {currency}",
+  "arbitrage.step.sellSpot": "Vendre des {currency} au comptant",
+  "arbitrage.step.buySpot": "Acheter des {currency} au comptant",
+  "arbitrage.step.invest": "Placer les {currency}",
+  "arbitrage.step.depositMatures": "Échéance du dépôt en {currency}",
+  "arbitrage.step.deliverForward": "Livrer les {currency} au titre du terme",
+  "arbitrage.step.payForward": "Payer les {currency} au titre du terme",
+  "arbitrage.step.receiveForward": "Recevoir les {currency} au titre du terme",
+  "arbitrage.step.repay": "Rembourser l'emprunt en {currency}",
+
+  "compounding.simple": "Simple",
+  "compounding.annual": "Annuelle",
+  "compounding.semiannual": "Semestrielle",
+  "compounding.quarterly": "Trimestrielle",
+  "compounding.monthly": "Mensuelle",
+  "compounding.continuous": "Continue",
+  "tenorUnit.days": "Jours",
+  "tenorUnit.months": "Mois",
+  "tenorUnit.years": "Années",
+  "interpolation.linear": "Linéaire (taux zéro)",
+  "interpolation.loglinear": "Log-linéaire (facteurs d'actualisation)",
+  "exposure.none": "Aucune",
+  "exposure.receivable": "Créance",
+  "exposure.payable": "Dette",
+  "quoteStyle.indirect": "indirecte",
+  "quoteStyle.direct": "directe",
+
+  "results.implied": "{label} implicite",
+  "results.solvedSpot": "Cours au comptant {pair}",
+  "results.solvedRate": "Taux d'intérêt {currency}",
+  "results.solvedNote": " - la valeur pour laquelle le terme coté {pair} de {forward} respecte la parité couverte",
+  "results.forwardTitle": "Cours à terme {pair} implicite",
+  "results.forwardNote": " - le cours à terme sans arbitrage, en {quote} pour 1 {base}",
+  "results.formulaIntro": "Selon la parité couverte des taux d'intérêt (composition {compounding}) :",
+  "results.yearFraction": "T = {years} an(s) ({tenor}, {dayCount})",
+  "results.curveRatesLinear": "sont les taux zéro {tenor}, interpolés linéairement sur les taux zéro",
+  "results.curveRatesLogLinear": "sont les taux zéro {tenor}, interpolés de façon log-linéaire sur les facteurs d'actualisation",
+  "results.pointsTitle": "Points de terme {pair}",
+  "results.spot": "Comptant",
+  "results.tenorPoints": "Points {tenor}",
+  "results.outright": "Cours à terme sec",
+  "results.marketPoints": "Points du marché",
+  "results.annualized": "Annualisé",
+  "results.perAnnum": "{value} par an",
+  "results.pip": "1 pip = {size} {quote}",
+  "results.flat": "{base} et {quote} cotent à plat : le cours à terme est égal au comptant.",
+  "results.premium": "{base} cote avec un report de {premium} par an contre {quote} ; {quote} cote donc avec un déport.",
+  "results.discount": "{base} cote avec un déport de {premium} par an contre {quote} ; {quote} cote donc avec un report.",
+  "results.investmentTitle": "Placement en {currency}",
+  "results.investDomestic": "Placer {amount} à {rate} pendant {tenor}",
+  "results.investForeign": "Convertir en {foreign} → placer à {rate} pendant {tenor} → reconvertir en {domestic} au cours à terme",
+  "results.final": "Valeur finale : {amount}",
+  "results.uipTitle": "Parité non couverte des taux d'intérêt",
+  "results.expectedSpot": "Comptant anticipé",
+  "results.hedgedLeg": "Jambe {currency} couverte",
+  "results.unhedgedExpected": "Non couverte, espérance",
+  "results.riskPremium": "Prime de risque de change",
+  "results.uipHolds": "La PTINC est vérifiée : le comptant anticipé est égal au cours à terme, donc laisser la jambe {foreign} non couverte ne rapporte aucune prime pour son risque de change.",
+  "results.uipEarn": "Laisser la jambe {foreign} non couverte devrait rapporter {premium} par an de plus que la couverture à terme, en contrepartie du risque {pair}.",
+  "results.uipLose": "Laisser la jambe {foreign} non couverte devrait coûter {premium} par an de plus que la couverture à terme, en contrepartie du risque {pair}.",
+  "results.bandTitle": "Bande de non-arbitrage",
+  "results.bandLower": "Borne basse : {value}",
+  "results.bandUpper": "Borne haute : {value}",
+  "results.quoteInside": "La cotation {quote} est dans la bande",
+  "results.quoteOutside": "La cotation {quote} est hors de la bande",
+
+  "chart.view": "Vue du graphique",
+  "chart.spotVsForward": "Comptant et terme",
+  "chart.forwardCurve": "Courbe à terme",
+  "chart.barLabels": "Étiquettes des barres",
+  "chart.outright": "Cours sec",
+  "chart.points": "Points",
+  "chart.legendSpot": "Comptant {pair} : {value} (t=0)",
+  "chart.legendCurve": "Terme {pair} par échéance ({dayCount})",
+  "chart.legendForward": "Terme {pair} : {value} (t={tenor})",
+  "chart.legendBand": "Bande de non-arbitrage : {lower} – {upper}",
+  "chart.zeroAt": " (zéro {tenor})",
+  "chart.title": "Données de change et de taux d'intérêt {pair}",
+  "chart.descriptionCurve": "Diagramme en barres des cours à terme {pair} implicites ({quote} pour 1 {base}) aux échéances standard : {forwards}, avec les taux zéro {domestic} ({domesticRates}) et les taux zéro {foreign} ({foreignRates}).",
+  "chart.descriptionSpot": "Diagramme en barres comparant le cours au comptant {pair} ({quote} pour 1 {base} ; première barre, à t=0, valeur {spot}) au cours à terme {pair} (seconde barre, à t={tenor}, valeur {forward}), avec le taux d'intérêt {domestic} (ligne, {domesticRate}) et le taux d'intérêt {foreign} (ligne, {foreignRate}).",
+  "chart.descriptionHigher": "Le cours à terme est plus élevé : {base} cote avec un report contre {quote}.",
+  "chart.descriptionLower": "Le cours à terme est plus bas : {base} cote avec un déport contre {quote}.",
+  "chart.descriptionParity": "Selon la parité couverte, cet écart reflète le différentiel de taux d'intérêt et non une prévision du comptant futur.",
+  "chart.descriptionBand": "Une bande ombrée autour de la barre à terme indique la zone de non-arbitrage de {lower} à {upper}.",
+  "chart.xTenor": "Échéance",
+  "chart.xTime": "Périodes",
+  "chart.yExchange": "Cours de change ({pair})",
+  "chart.yInterest": "Taux d'intérêt",
+  "chart.tooltipTenor": "Échéance : {label}",
+  "chart.tooltipTime": "Date : {label}",
+  "chart.exchangeRate": "Cours de change",
+  "chart.rateSeries": "Taux {currency}",
+  "chart.spotLabel": "Comptant",
+  "chart.pointsLabel": "{points} pts",
+  "chart.noteTitle": "Parité couverte des taux d'intérêt :",
+  "chart.noteBody": "Le cours à terme empêche l'arbitrage en garantissant que les deux stratégies rapportent autant lorsque le risque de change est couvert.",
+  "chart.display": "Affichage",
+  "chart.displayChart": "Graphique",
+  "chart.displayTable": "Tableau",
+  "chart.tablePoints": "Points contre comptant",
+  "chart.tableDifferential": "Différentiel de taux (pts de %)",
+  "chart.tableNote": "Les points sont exprimés en pips par rapport au comptant du jour ; le différentiel est le taux {domestic} moins le taux {foreign}, en points de pourcentage.",
+  "chart.keyboardInstructions": "Utilisez les flèches gauche et droite pour passer d'un point à l'autre, Début et Fin pour atteindre le premier ou le dernier point, et les flèches haut et bas pour passer du cours de change aux deux taux d'intérêt.",
+  "chart.pointAnnouncement": "{series} à {label} : {value} (point {position} sur {count})",
+
+  "inputs.domestic": "Nationale",
+  "inputs.domesticInfo": "Devise de l'investisseur",
+  "inputs.foreign": "Étrangère",
+  "inputs.foreignInfo": "Devise dans laquelle on investit à l'étranger",
+  "inputs.quote": "Cotation",
+  "inputs.quoteInfo": "Directe : nationale pour 1 étrangère. Indirecte : étrangère pour 1 nationale.",
+  "inputs.indirectOption": "Indirecte ({foreign} pour {domestic})",
+  "inputs.directOption": "Directe ({domestic} pour {foreign})",
+  "inputs.marketConvention": "Convention de marché :",
+  "inputs.quoteAs": "Coter en {pair}",
+  "inputs.solveFor": "Inconnue",
+  "inputs.solveForInfo": "Choisissez l'inconnue ; les trois autres valeurs sont des données",
+  "inputs.solveForward": "Cours à terme",
+  "inputs.solveSpot": "Comptant",
+  "inputs.solveRate": "Taux {currency}",
+  "inputs.givenForward": "Terme {pair}",
+  "inputs.givenForwardInfo": "Cours à terme {tenor} coté, en cours sec ou en points sur le comptant",
+  "inputs.forwardQuotedAs": "Terme coté en",
+  "inputs.outright": "Cours sec",
+  "inputs.points": "Points",
+  "inputs.spot": "Comptant {pair}",
+  "inputs.spotInfo": "{quote} pour 1 {base}",
+  "inputs.derivedSpotInfo": "Cours croisé implicite des cours au comptant {legs}",
+  "inputs.notional": "Nominal {currency}",
+  "inputs.notionalInfo": "Montant placé dans chaque jambe de la stratégie et traité dans l'arbitrage",
+  "inputs.exposure": "Exposition",
+  "inputs.exposureInfo": "Un montant en {currency} à recevoir ou à payer à l'échéance",
+  "inputs.exposureAmount": "Montant de l'exposition en {currency}",
+  "inputs.rates": "Taux",
+  "inputs.ratesInfo": "Taux uniques ou une courbe des taux par devise",
+  "inputs.flat": "Uniques",
+  "inputs.curve": "Courbe des taux",
+  "inputs.rate": "Taux {currency} (%)",
+  "inputs.domesticRateInfo": "Taux annuel en {currency} (devise nationale)",
+  "inputs.foreignRateInfo": "Taux annuel en {currency} (devise étrangère)",
+  "inputs.interpolation": "Interpolation",
+  "inputs.interpolationInfo": "Comment les taux entre les piliers de la courbe sont calculés",
+  "inputs.twoWay": "Cotations achat/vente",
+  "inputs.twoWayInfo": "Utiliser les prix achat/vente du teneur de marché et les taux de placement et d'emprunt",
+  "inputs.marketForward": "Terme du marché",
+  "inputs.marketForwardInfo": "Cours à terme {pair} coté, facultatif, pour tester l'arbitrage",
+  "inputs.uip": "Parité non couverte",
+  "inputs.uipInfo": "Comparer la jambe étrangère couverte à une jambe non couverte face à un comptant futur anticipé",
+  "inputs.expectedSpot": "Comptant anticipé",
+  "inputs.expectedSpotInfo": "Votre comptant {pair} anticipé à l'échéance ; vide, la PTINC est supposée (comptant anticipé = terme)",
+  "inputs.forwardPlaceholder": "Terme",
+  "inputs.spotVolatility": "Vol. comptant (%)",
+  "inputs.spotVolatilityInfo": "Volatilité annualisée du cours au comptant, utilisée pour l'éventail de scénarios",
+  "inputs.crossMode": "Trois devises",
+  "inputs.crossModeInfo": "Déduire le comptant de deux cotations contre une devise commune et tester un cours croisé coté directement pour un arbitrage triangulaire",
+  "inputs.commonCurrency": "Devise commune",
+  "inputs.commonCurrencyInfo": "Devise contre laquelle les deux jambes sont cotées, en général USD ou EUR",
+  "inputs.commonRateInfo": "Taux annuel en {currency} (devise commune)",
+  "inputs.crossSpotQuote": "Comptant croisé coté",
+  "inputs.crossSpotQuoteInfo": "Cotation directe facultative du comptant {pair} à tester pour un arbitrage triangulaire",
+  "inputs.crossForwardQuote": "Terme croisé coté",
+  "inputs.crossForwardQuoteInfo": "Cotation directe facultative du terme {pair} à tester pour un arbitrage triangulaire",
+  "inputs.compounding": "Composition",
+  "inputs.compoundingInfo": "Appliquée au cours à terme et aux deux jambes de placement",
+  "inputs.tenor": "Échéance",
+  "inputs.tenorInfo": "Durée jusqu'à l'échéance du contrat à terme",
+  "inputs.tenorUnit": "Unité d'échéance",
+  "inputs.dayCount": "Base de calcul",
+  "inputs.dayCountInfo": "Convention utilisée pour convertir l'échéance en fraction d'année",
+  "inputs.valuationDate": "Date de valorisation",
+  "inputs.valuationDateInfo": "Date de transaction à partir de laquelle court l'échéance. Les bases exactes l'utilisent pour compter les jours des échéances en mois et en années.",
+  "inputs.spotQuote": "Comptant",
+  "inputs.spotQuoteInfo": "Achat/vente du teneur de marché pour le comptant {pair}",
+  "inputs.forwardQuoteInfo": "Achat/vente facultatif du teneur de marché pour le terme {pair}",
+  "inputs.optionalPlaceholder": "(facultatif)",
+  "inputs.rateQuote": "{currency} (%)",
+  "inputs.rateQuoteInfo": "Taux de placement et d'emprunt en {currency}",
+  "inputs.deposit": "Placement",
+  "inputs.borrow": "Emprunt",
+  "inputs.curveTitle": "Courbe {currency}",
+
+  "curve.tenorYears": "Échéance (ans)",
+  "curve.rate": "Taux (%)",
+  "curve.remove": "Supprimer",
+  "curve.pillarTenor": "{title}, pilier {n}, échéance en années",
+  "curve.pillarRate": "{title}, pilier {n}, taux en pourcentage",
+  "curve.removePillar": "Supprimer le pilier {n} de {title}",
+  "curve.add": "+ Ajouter un pilier",
+
+  "cross.diagram": "Triangle {currencies} avec le cours au comptant de chaque jambe : {legs}",
+  "cross.caption": "Comptant, points de terme et terme {tenor} de chaque jambe et du cours croisé déduit",
+  "cross.pair": "Paire",
+  "cross.forward": "Terme {tenor}",
+  "cross.derived": "{pair} via {common}",
+  "cross.sideSpot": "comptant",
+  "cross.sideForward": "terme {tenor}",
+  "cross.comparison": "{pair} coté au {side} à {quoted} contre {derived} via {common} ({pips} pips).",
+  "cross.noArbitrage": "Aucun arbitrage triangulaire n'est possible.",
+  "cross.loop": "Arbitrage triangulaire au {side} :",
+  "cross.step": "Vendre {amountIn} contre {amountOut} au cours {pair} de {rate}",
+  "cross.profit": "Gain sans risque : {profit} à {time} pour un nominal de {notional}",
+  "cross.noQuote": "Saisissez un comptant ou un terme {pair} coté pour le comparer aux jambes et détecter un arbitrage triangulaire.",
+
+  "market.provider": "Source",
+  "market.provider.snapshot": "Instantané intégré",
+  "market.provider.mock": "Flux local simulé",
+  "market.refresh": "Actualiser {pair}",
+  "market.stream": "Cotations en continu",
+  "market.streamUnavailable": "L'instantané intégré ne diffuse pas en continu ; choisissez le flux local simulé pour recevoir les cotations.",
+  "market.live": "En direct",
+  "market.fills": "Renseigne le comptant {pair} et les deux taux d'intérêt.",
+  "market.fillsRatesOnly": "Le mode à trois devises déduit le comptant de ses jambes : seuls les taux d'intérêt sont renseignés.",
+  "market.fillsSpotOnly": "Le mode courbe conserve les courbes saisies : seul le comptant est renseigné.",
+  "market.loading": "Récupération de la cotation {pair}…",
+  "market.none": "Aucune cotation chargée ; les données ci-dessous sont celles saisies.",
+  "market.asOf": "Cotation {pair} du {asOf}, actualisée le {refreshed}.",
+  "market.static": "Cotation {pair} issue de l'instantané hors ligne statique du {asOf}. Il n'est jamais mis à jour, son ancienneté n'est donc pas contrôlée.",
+  "market.otherPair": "La dernière cotation portait sur {quotePair} ; actualisez pour charger {pair}.",
+  "market.stale": "Cette cotation est périmée : elle a été établie {age}. Actualisez-la avant de vous fier aux résultats.",
+  "market.error": "La source de données de marché a échoué : {message}",
+
+  "export.data": "Données et résultats :",
+  "export.dataGroup": "Télécharger les données et les résultats",
+  "export.chart": "Graphique :",
+  "export.chartGroup": "Télécharger le graphique",
+  "export.print": "Imprimer le rapport",
+  "export.notRendered": "Le graphique n'est pas encore affiché",
+  "export.pngFailed": "Impossible d'exporter le graphique en PNG",
+
+  "report.prepared": "Établi le {date}",
+  "report.pair": "Paire de devises",
+  "report.quoteStyle": "Type de cotation",
+  "report.quoteStyleValue": "{quote} pour 1 {base} ({style})",
+  "report.spotRate": "Cours au comptant",
+  "report.zeroCurve": "Courbe zéro {currency}",
+  "report.interpolation": "Interpolation",
+  "report.interestRate": "Taux d'intérêt {currency} (%)",
+  "report.compounding": "Composition",
+  "report.tenor": "Échéance",
+  "report.dayCount": "Base de calcul",
+  "report.valuationDate": "Date de valorisation",
+  "report.notional": "Nominal ({currency})",
+  "report.marketForward": "Cours à terme coté",
+  "report.years": "Fraction d'année",
+  "report.forwardRate": "Cours à terme ({quote} pour {base})",
+  "report.forwardPoints": "Points de terme (pips de {quote})",
+  "report.forwardPremium": "Report/déport de {base} (% par an)",
+  "report.zeroRate": "Taux zéro {currency} (%)",
+  "report.discountFactor": "Facteur d'actualisation {currency}",
+  "report.arbitrageStrategy": "Stratégie d'arbitrage",
+  "report.arbitrageNone": "Aucune",
+  "report.arbitrageProfit": "Gain d'arbitrage ({currency})",
+
+  "quizType.any": "Toutes",
+  "quizType.forward": "Cours à terme",
+  "quizType.points": "Points de terme",
+  "quizType.impliedRate": "Taux implicite",
+  "quizType.arbitrage": "Arbitrage",
+  "arbitrageChoice.none": "Pas d'arbitrage",
+  "arbitrageChoice.borrowBase": "Emprunter la devise de base",
+  "arbitrageChoice.borrowQuote": "Emprunter la devise de cotation",
+  "quiz.prompt.forward": "Le cours au comptant {pair} est de {spot} ({quote} pour 1 {base}), le taux {base} à {days} jours est de {baseRate} et le taux {quote} à {days} jours est de {quoteRate}. Les taux du marché monétaire sont des taux annuels simples en base Exact/360. Quel est le cours à terme sec {pair} à {days} jours selon la parité couverte des taux d'intérêt ?",
+  "quiz.prompt.points": "Le cours au comptant {pair} est de {spot} ({quote} pour 1 {base}), le taux {base} à {days} jours est de {baseRate} et le taux {quote} à {days} jours est de {quoteRate}. Les taux du marché monétaire sont des taux annuels simples en base Exact/360. Combien de points de terme à {days} jours (en pips de {quote}, négatifs pour un déport) donne la parité couverte des taux d'intérêt ?",
+  "quiz.prompt.impliedRate": "Le cours au comptant {pair} est de {spot} ({quote} pour 1 {base}) et le cours à terme sec à {days} jours est de {forward}. Le taux {known} à {days} jours est de {knownRate}. Les taux du marché monétaire sont des taux annuels simples en base Exact/360. Quel taux {unknown} à {days} jours (en %) la parité couverte des taux d'intérêt implique-t-elle ?",
+  "quiz.prompt.arbitrage": "Le cours au comptant {pair} est de {spot} ({quote} pour 1 {base}), le taux {base} à {days} jours est de {baseRate} et le taux {quote} à {days} jours est de {quoteRate}. Les taux du marché monétaire sont des taux annuels simples en base Exact/360. Un cambiste cote le terme sec {pair} à {days} jours à {forward}. Existe-t-il un arbitrage couvert de taux d'intérêt et, si oui, quelle devise empruntez-vous ?",
+  "quiz.unit.pips": "pips",
+  "quiz.unit.percent": "%",
+  "quiz.unit.quotePerBase": "{quote} pour 1 {base}",
+
+  "working.show": "Afficher le calcul",
+  "working.copyText": "Copier en texte",
+  "working.copyLatex": "Copier en LaTeX",
+  "working.copiedText": "Copié en texte brut",
+  "working.copiedLatex": "Copié en LaTeX",
+  "working.copyFailed": "Impossible de copier dans le presse-papiers",
+  "working.decimals": "Convertir les taux en décimales",
+  "working.curveNote": "taux zéro {tenor} lus sur les courbes",
+  "working.years": "Convertir l'échéance en années",
+  "working.yearsNote": "échéance {tenor}, base {dayCount}",
+  "working.exponent": "Calculer l'exposant",
+  "working.ratio": "Calculer le rapport de croissance",
+  "working.growth": "Calculer le facteur de croissance de chaque devise",
+  "working.forward": "Calculer le cours à terme",
+  "working.forwardNote": "{quote} pour 1 {base}",
+  "working.points": "L'exprimer en points de terme",
+  "working.pip": "pip",
+  "working.leg": "Valoriser la jambe {currency}",
+  "working.foreignLegNote": "Convertir au comptant, placer au taux {currency}, reconvertir au cours à terme",
+  "working.parity": "Vérifier la parité couverte",
+  "working.parityNote": "Les deux jambes aboutissent au même montant : aucune ne procure de profit sans risque",
+
+  "fan.description": "Graphique en éventail du cours au comptant {pair} futur sur {tenor}, avec une trajectoire médiane de {spot} jusqu'au comptant attendu {expected} et un intervalle à 90 % à l'échéance de {low} à {high}, comparé au cours à terme de la parité couverte {forward}.",
+  "fan.years": "Années",
+  "fan.spotAxis": "Comptant ({pair})",
+  "fan.tooltipTime": "t = {years} ans",
+  "fan.outer": "5e–95e centile",
+  "fan.inner": "25e–75e centile",
+  "fan.median": "Comptant attendu (médian)",
+  "fan.forward": "Terme (parité couverte)",
+  "fan.caption": "Jambe {currency} non couverte à l'échéance (volatilité {volatility})",
+  "fan.percentile": "Centile du comptant",
+  "fan.spot": "Comptant",
+  "fan.payoff": "Gain ({currency})",
+  "fan.percentileValue": "{percentile}e",
+  "fan.hedgedNote": "La jambe couverte rapporte {amount} dans tous les cas ; les gains supérieurs sont affichés en vert.",
+  "hedging.spotUnchanged": "Comptant inchangé à {spot}",
+  "hedging.expectedSpot": "Comptant attendu {spot}",
+  "hedging.above": "au-dessus",
+  "hedging.below": "en dessous",
+  "hedging.summaryPayable": "Payer {amount} dans {tenor}. L'acheter à terme à {rate} fixe un coût de {value}.",
+  "hedging.summaryReceivable": "Recevoir {amount} dans {tenor}. Le vendre à terme à {rate} garantit {value}.",
+  "hedging.caption": "Résultats couverts et non couverts en {currency}",
+  "hedging.spotAtMaturity": "Comptant à l'échéance",
+  "hedging.unhedged": "Non couvert",
+  "hedging.hedged": "Couvert",
+  "hedging.pnl": "Résultat de la couverture",
+  "hedging.breakEven": "Comptant d'équilibre : {spot}",
+  "hedging.breakEvenNote": "— la couverture gagne quand {pair} termine {gains} du cours à terme et coûte quand il termine {costs}. Le résultat non couvert au comptant du jour est de {amount}.",
+  "hedging.range": "Plage du comptant ± (%)",
+  "hedging.descriptionPayable": "Graphique des résultats en {domestic} pour une dette de {amount} selon le cours au comptant {pair} de {from} à {to}. Le résultat couvert est constant à {hedged} ; la courbe non couverte le croise au comptant d'équilibre {breakEven}.",
+  "hedging.descriptionReceivable": "Graphique des résultats en {domestic} pour une créance de {amount} selon le cours au comptant {pair} de {from} à {to}. Le résultat couvert est constant à {hedged} ; la courbe non couverte le croise au comptant d'équilibre {breakEven}.",
+  "hedging.spotAxis": "Comptant à l'échéance ({pair})",
+  "hedging.tooltipSpot": "Comptant {spot}",
+  "hedging.breakEvenLabel": "Équilibre",
+
+  "valuation.nearLeg": "Jambe proche (comptant)",
+  "valuation.farLeg": "Jambe lointaine ({tenor})",
+  "valuation.unit": "Unité : {label}",
+  "valuation.existingTitle": "Contrat à terme existant",
+  "valuation.position": "Position en {currency}",
+  "valuation.position.buy": "{currency} acheté",
+  "valuation.position.sell": "{currency} vendu",
+  "valuation.notional": "Notionnel {currency}",
+  "valuation.contractRate": "Cours du contrat",
+  "valuation.originalTenor": "Échéance initiale",
+  "valuation.remaining": "Restant",
+  "valuation.elapsed": "Écoulé",
+  "valuation.elapsedValue": "{elapsed} sur {total} ans",
+  "valuation.fairForward": "Cours à terme {tenor} équitable",
+  "valuation.maturityValue": "Valeur à l'échéance",
+  "valuation.discountFactor": "Facteur d'actualisation {currency}",
+  "valuation.mtm": "Valeur de marché du jour ({currency})",
+  "valuation.mtmNote": "L'écart entre le cours à terme équitable et celui du contrat se règle en {quote} à l'échéance ; il est donc actualisé au taux {quote} {tenor} et converti en {base} au comptant du jour {spot}.",
+  "valuation.swapTitle": "Swap de change ({tenor})",
+  "valuation.swapDirection": "Sens du swap",
+  "valuation.buySell": "Achat/vente {currency}",
+  "valuation.sellBuy": "Vente/achat {currency}",
+  "valuation.swapCaption": "Jambes du swap de change ; les montants positifs sont reçus",
+  "valuation.leg": "Jambe",
+  "valuation.rate": "Cours",
+  "valuation.swapPoints": "Points de swap",
+  "valuation.net": "{currency} net sur les deux jambes",
+  "valuation.swapNote": "Le cours lointain est le comptant plus les points de swap ; le flux net en {quote} est donc le différentiel de taux sur le notionnel : le swap a une valeur nulle à l'origine et ne fait que déplacer des {base} entre deux dates.",
+
+  "cashFlow.title": "Flux de l'arbitrage",
+  "cashFlow.description": "Diagramme en barres de chaque flux de l'arbitrage exprimé en {currency} : {flows}.",
+  "cashFlow.step": "Étape du flux",
+  "cashFlow.tooltip": "{value} (en {domestic}, flux en {currency})",
+  "cashFlow.amount": "Montant",
+  "arbitrage.insideBand": "Le cours à terme coté de {quote} se situe dans la bande de non-arbitrage de {lower} à {upper} : après les écarts acheteur/vendeur, aucun arbitrage couvert n'est rentable.",
+  "arbitrage.atParity": "Le cours à terme coté de {quote} correspond au cours de parité de {forward} : aucun arbitrage couvert n'est possible.",
+  "arbitrage.belowParity": "Cours à terme coté {quote} contre cours de parité {forward} (sous la parité).",
+  "arbitrage.aboveParity": "Cours à terme coté {quote} contre cours de parité {forward} (au-dessus de la parité).",
+  "arbitrage.outsideBand": "La cotation se situe hors de la bande de non-arbitrage de {lower} à {upper} ; l'opération ci-dessous est donc rentable même après les écarts acheteur/vendeur.",
+  "arbitrage.strategy": "Stratégie :",
+  "arbitrage.profit": "Profit sans risque : {profit} à t = {tenor} pour un notionnel de {notional}",
+  "arbitrage.caption": "Flux de l'arbitrage pour un notionnel de {notional}",
+  "arbitrage.time": "Date",
+  "arbitrage.stepHeader": "Étape",
+  "arbitrage.currency": "Devise",
+  "arbitrage.net": "Net",
+
+  "scenarios.notScenarios": "Le fichier ne contient pas de scénarios enregistrés",
+  "scenarios.importedName": "Scénario importé {number}",
+  "scenarios.defaultName": "Scénario {number}",
+  "scenarios.saved": "« {name} » enregistré",
+  "scenarios.copyName": "{name} (copie)",
+  "scenarios.linkCopied": "Lien copié dans le presse-papiers",
+  "scenarios.linkFailed": "Impossible de copier le lien ; copiez-le depuis la barre d'adresse",
+  "scenarios.importedOne": "{count} scénario importé",
+  "scenarios.importedMany": "{count} scénarios importés",
+  "scenarios.importFailed": "Échec de l'import : {error}",
+  "scenarios.name": "Nom",
+  "scenarios.save": "Enregistrer les paramètres actuels",
+  "scenarios.copyLink": "Copier le lien de partage",
+  "scenarios.export": "Exporter en JSON",
+  "scenarios.import": "Importer un JSON",
+  "scenarios.empty": "Aucun scénario enregistré pour l'instant.",
+  "scenarios.nameLabel": "Nom du scénario",
+  "scenarios.summary": "{pair} · comptant {spot} · {tenor}",
+  "scenarios.load": "Charger",
+  "scenarios.duplicate": "Dupliquer",
+  "scenarios.delete": "Supprimer",
+
+  "comparison.spot": "Comptant",
+  "comparison.forward": "Terme ({tenor})",
+  "comparison.chartTitle": "Comptant et terme {pair} par scénario",
+  "comparison.chartDescription": "Diagramme en barres groupées des cours au comptant et à terme : {scenarios}.",
+  "comparison.chartScenario": "{name} comptant {spot}, terme {forward}",
+  "comparison.axis": "Cours de change ({pair})",
+  "comparison.shiftName": "{currency} +50 pb",
+  "comparison.base": "Référence",
+  "comparison.metricSpot": "Comptant ({pair})",
+  "comparison.metricRate": "Taux {currency} (%)",
+  "comparison.metricForward": "Terme ({pair})",
+  "comparison.metricPoints": "Points de terme",
+  "comparison.metricPremium": "Report/déport {currency} (% par an)",
+  "comparison.metricDomesticLeg": "Valeur finale de la jambe {currency}",
+  "comparison.metricForeignLeg": "Jambe {foreign} en {domestic}",
+  "comparison.invalidBase": "Corrigez les paramètres du calculateur pour comparer des scénarios.",
+  "comparison.variantLegend": "Scénario {name}",
+  "comparison.shift": "Décalage {currency} (pb)",
+  "comparison.remove": "Retirer",
+  "comparison.add": "+ Ajouter un scénario",
+  "comparison.cannotPrice": "les paramètres ne peuvent pas être évalués",
+  "comparison.caption": "Comparaison des scénarios ; les écarts sont relatifs au scénario de référence",
+  "comparison.metric": "Indicateur",
+  "comparison.baseMarker": "(référence)",
+  "replay.emptyFile": "Le fichier est vide.",
+  "replay.missingColumn": "Colonne manquante : {columns}. En-tête attendu : date, spot, domestic rate, foreign rate.",
+  "replay.missingColumns": "Colonnes manquantes : {columns}. En-tête attendu : date, spot, domestic rate, foreign rate.",
+  "replay.tooManyRows": "Le fichier contient {rows} lignes de données ; la limite est de {limit}.",
+  "replay.badDate": "la date « {date} » n'est pas au format AAAA-MM-JJ",
+  "replay.duplicateDate": "la date {date} apparaît plusieurs fois",
+  "replay.badSpot": "le comptant doit être un nombre positif",
+  "replay.domesticNotNumber": "le taux domestique doit être un nombre",
+  "replay.foreignNotNumber": "le taux étranger doit être un nombre",
+  "replay.domesticOutOfRange": "le taux domestique doit être compris entre -100 % et 50 %",
+  "replay.foreignOutOfRange": "le taux étranger doit être compris entre -100 % et 50 %",
+  "replay.lineError": "Ligne {line} : {problems}",
+  "replay.problemList": "{first} ; {next}",
+  "replay.moreErrors": "…et {count} autres lignes en erreur",
+  "replay.noRows": "Le fichier a un en-tête mais aucune ligne de données.",
+
+  "replay.readFailed": "Impossible de lire le fichier : {error}",
+  "replay.load": "Charger un CSV",
+  "replay.validRow": "{name} : {count} ligne valide",
+  "replay.validRows": "{name} : {count} lignes valides",
+  "replay.columns": "Colonnes :",
+  "replay.help": "avec des dates ISO, le comptant en {pair} et les taux en % ({domestic} et {foreign}). Chaque ligne est évaluée à {tenor} avec la capitalisation et la base de calcul du calculateur, puis comparée au premier comptant observé à l'échéance ou dans les {days} jours qui suivent.",
+  "replay.invalidInputs": "Corrigez les paramètres du calculateur pour rejouer les données.",
+  "replay.description": "Série chronologique du {from} au {to} du comptant {pair}, du cours à terme {tenor} implicite à chaque date et du comptant observé à l'échéance de ce terme. {matched} dates sur {total} ont un comptant observé.",
+  "replay.tradeDate": "Date de transaction : {date}",
+  "replay.impliedForward": "Terme {tenor} implicite",
+  "replay.realized": "Comptant observé à l'échéance",
+  "replay.statsCaption": "Erreur de prévision du comptant observé pour chaque prédicteur",
+  "replay.predictor": "Prédicteur du comptant à l'échéance ({count} dates)",
+  "replay.meanError": "Erreur moyenne",
+  "replay.rmse": "REQM",
+  "replay.todaysSpot": "Comptant du jour",
+  "replay.noRealized": "Les données ne s'étendent pas {tenor} au-delà d'une date de transaction ; aucun comptant observé n'est encore disponible.",
+  "replay.parityTitle": "Parité couverte ou non couverte :",
+  "replay.parityNote": "Chaque cours à terme ci-dessus est fixé par la parité couverte à sa date de transaction ; elle tient donc par construction. La parité non couverte exigerait que le comptant à l'échéance corresponde en moyenne à ce cours à terme ; en pratique, le comptant observé s'en écarte largement et le cours à terme n'est généralement pas une meilleure prévision que le comptant du jour.",
+
+  "quiz.question": "Question :",
+  "quiz.questionType": "Type de question",
+  "quiz.score": "Score :",
+  "quiz.resetScore": "Réinitialiser le score",
+  "quiz.yourAnswer": "Votre réponse",
+  "quiz.check": "Vérifier la réponse",
+  "quiz.next": "Problème suivant",
+  "quiz.skip": "Passer",
+  "quiz.correct": "Correct.",
+  "quiz.incorrect": "Pas tout à fait.",
+  "quiz.answer": "La réponse est {answer}.",
+  "quiz.answerWithTolerance": "La réponse est {answer} (les réponses à ±{tolerance} près sont acceptées).",
+
+  "sensitivity.gridStep": "Pas de la grille (pb)",
+  "sensitivity.discount": "{currency} en déport",
+  "sensitivity.premium": "{currency} en report",
+  "sensitivity.heatmapCaption": "Points de terme ({pair}) selon le taux {domestic} (lignes) et le taux {foreign} (colonnes) ; la cellule centrale est le scénario actuel",
+  "sensitivity.currentMarker": "(actuel)",
+  "sensitivity.axis.domesticRate": "Taux {domestic} (%)",
+  "sensitivity.axis.foreignRate": "Taux {foreign} (%)",
+  "sensitivity.axis.differential": "Différentiel de taux {foreign} − {domestic} (%)",
+  "sensitivity.axis.spotRate": "Comptant ({pair})",
+  "sensitivity.variable.domesticRate": "Taux domestique",
+  "sensitivity.variable.foreignRate": "Taux étranger",
+  "sensitivity.variable.differential": "Différentiel",
+  "sensitivity.variable.spotRate": "Comptant",
+  "sensitivity.rangeOrder": "Le début du balayage doit être inférieur à sa fin.",
+  "sensitivity.steps": "Le nombre de pas doit être un entier compris entre {min} et {max}.",
+  "sensitivity.spotPositive": "Le balayage du comptant doit rester supérieur à zéro.",
+  "sensitivity.sweep": "Balayage",
+  "sensitivity.from": "De",
+  "sensitivity.to": "À",
+  "sensitivity.stepsLabel": "Pas",
+  "sensitivity.centre": "Centrer sur l'actuel",
+  "sensitivity.plot": "Tracé",
+  "sensitivity.outright": "Cours à terme",
+  "sensitivity.points": "Points",
+  "sensitivity.flattened": "Les courbes sont aplaties à leurs taux zéro {tenor} ({domestic} {domesticRate}, {foreign} {foreignRate}) pour le balayage.",
+  "sensitivity.titleOutright": "Cours à terme {tenor} ({pair}) selon : {x}",
+  "sensitivity.titlePoints": "Points de terme {tenor} selon : {x}",
+  "sensitivity.descriptionOutright": "Courbe du cours à terme {tenor} lorsque la variable « {x} » va de {from} à {to} : de {start} à {end}. La valeur actuelle {current} donne {value}.",
+  "sensitivity.descriptionPoints": "Courbe des points de terme {tenor} lorsque la variable « {x} » va de {from} à {to} : de {start} à {end}. La valeur actuelle {current} donne {value}.",
+  "sensitivity.forward": "Cours à terme",
+  "sensitivity.forwardPoints": "Points de terme",
+  "sensitivity.current": "Actuel",
+  "sensitivity.heatmapTitle": "Points de terme {tenor} selon les taux {domestic} × {foreign}",
+  "sensitivity.readingTitle": "Lecture du balayage :",
+  "sensitivity.readingNote": "Pour des taux faibles, le report annualisé est proche du différentiel de taux ; les points de terme évoluent donc presque linéairement avec lui, tandis qu'une variation du comptant modifie le cours à terme proportionnellement."
+};
@@ -0,0 +1,120 @@
+// Framework-free translation and locale formatting shared by the calculator UI
+import en from "./en.js";
+import fr from "./fr.js";
+
+export const LOCALES = [
+  { value: "en", label: "English", intlLocale: "en-US" },
+  { value: "fr", label: "Français", intlLocale: "fr-FR" }
+];
+
+const MESSAGES = { en, fr };
+
+export function getLocale(value) {
+  return LOCALES.find(locale => locale.value === value) || LOCALES[0];
+}
+
+// Picks the first supported language from the browser's preference list
+export function detectLocale(languages = []) {
+  const match = languages
+    .map(language => language.toLowerCase().split("-")[0])
+    .find(language => MESSAGES[language]);
+  return match || "en";
+}
+
+/**
+ * Looks up a message and fills its {placeholders}; a capitalized placeholder such as {Label}
+ * fills in `label` with its first letter capitalized, for values that start a sentence.
+ * Missing keys fall back to English, then to the key itself, so an untranslated string never
+ * renders blank.
+ * @param {string} locale - One of LOCALES
+ * @param {string} key - Message key, e.g. "results.forwardTitle"
+ * @param {Object<string, string|number>} [vars]
+ * @returns {string}
+ */
+export function translate(locale, key, vars = {}) {
+  const template = MESSAGES[locale]?.[key] ?? en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (name in vars) return String(vars[name]);
+    const lower = name.charAt(0).toLowerCase() + name.slice(1);
+    if (lower === name || !(lower in vars)) return match;
+    const value = String(vars[lower]);
+    return value.charAt(0).toUpperCase() + value.slice(1);
+  });
+}
+
+// [unit, its length in ms, ages below which it is used]
+const AGE_UNITS = [
+  ["second", 1000, 2 * 60 * 1000],
+  ["minute", 60 * 1000, 2 * 60 * 60 * 1000],
+  ["hour", 60 * 60 * 1000, 2 * 24 * 60 * 60 * 1000],
+  ["day", 24 * 60 * 60 * 1000, Infinity]
+];
+
+/**
+ * Intl formatting helpers for one locale. Percent values are in % (2.5 means 2.5%)
+ * to match the calculator's rate inputs.
+ * @param {string} locale - One of LOCALES
+ */
+export function createFormatters(locale) {
+  const intlLocale = getLocale(locale).intlLocale;
+  const cache = new Map();
+  const format = (options, value) => {
+    const key = JSON.stringify(options);
+    if (!cache.has(key)) cache.set(key, new Intl.NumberFormat(intlLocale, options));
+    return cache.get(key).format(value);
+  };
+  const fixed = decimals => ({ minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  const dateTime = new Intl.DateTimeFormat(intlLocale, { dateStyle: "medium", timeStyle: "medium" });
+  const relativeTime = new Intl.RelativeTimeFormat(intlLocale, { numeric: "auto" });
+
+  return {
+    number: (value, decimals = 4) => format(fixed(decimals), value),
+    signed: (value, decimals = 2) => format({ ...fixed(decimals), signDisplay: "exceptZero" }, value),
+    percent: (value, decimals = 3) => format({ style: "percent", ...fixed(decimals) }, value / 100),
+    signedPercent: (value, decimals = 3) => format({ style: "percent", ...fixed(decimals), signDisplay: "exceptZero" }, value / 100),
+    currency: (amount, currency, decimals = 2) => format({ style: "currency", currency, ...fixed(decimals) }, amount),
+    // Plain editable text for inputs: locale decimal separator, no grouping, no rounding
+    input: value => format({ useGrouping: false, maximumFractionDigits: 10 }, value),
+    dateTime: value => dateTime.format(value),
+    // How long ago something happened, given its age in ms, e.g. "5 minutes ago"
+    age: ms => {
+      const [unit, size] = AGE_UNITS.find(([, , below]) => ms < below);
+      return relativeTime.format(-Math.floor(ms / size), unit);
+    }
+  };
+}
+
+/**
+ * Translates a message built outside the UI, such as by the pricing engine. Numeric values
+ * arrive as { number, decimals } or { percent, decimals } and are formatted for the locale,
+ * nested messages are translated in turn and anything else is filled in as is.
+ * @param {string} locale - One of LOCALES
+ * @param {{ key: string, values?: Object }} message
+ * @param {ReturnType<typeof createFormatters>} [fmt] - Formatters for `locale`, to reuse a cached set
+ * @returns {string}
+ */
+export function translateMessage(locale, { key, values = {} }, fmt = createFormatters(locale)) {
+  const format = value => {
+    if (value === null || typeof value !== "object") return value;
+    if ("key" in value) return translateMessage(locale, value, fmt);
+    return "percent" in value ? fmt.percent(value.percent, value.decimals) : fmt.number(value.number, value.decimals);
+  };
+  return translate(locale, key, Object.fromEntries(Object.entries(values).map(([name, value]) => [name, format(value)])));
+}
+
+/**
+ * Parses a number typed with the locale's separators. Spaces (including the narrow
+ * no-break space French uses for grouping) are ignored, the locale's grouping character is
+ * dropped, and whichever of "," or "." remains is the decimal point.
+ * @param {string} text
+ * @param {string} locale - One of LOCALES
+ * @returns {number} NaN when the text is not a number
+ */
+export function parseLocaleNumber(text, locale) {
+  const parts = new Intl.NumberFormat(getLocale(locale).intlLocale).formatToParts(12345.6);
+  const group = parts.find(part => part.type === "group")?.value;
+  let normalized = String(text).trim().replace(/\s/g, "").replace(/−/g, "-");
+  if (group && !/\s/.test(group)) normalized = normalized.split(group).join("");
+  normalized = normalized.replace(/,/g, ".");
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(normalized) ? Number(normalized) : NaN;
+}
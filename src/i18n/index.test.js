@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import en from "./en.js";
+import fr from "./fr.js";
+import { createFormatters, detectLocale, parseLocaleNumber, translate, translateMessage } from "./index.js";
+
+// Intl uses narrow and regular no-break spaces in French; compare on plain spaces
+const plain = text => text.replace(/[\u00a0\u202f]/g, " ");
+
+describe("translate", () => {
+  it("fills placeholders", () => {
+    expect(translate("en", "results.forwardTitle", { pair: "EUR/USD" })).toBe("Implied EUR/USD Forward Rate");
+    expect(translate("fr", "results.forwardTitle", { pair: "EUR/USD" })).toBe("Cours à terme EUR/USD implicite");
+  });
+  
+  it("capitalizes a value that starts the sentence", () => {
+    expect(translate("en", "validation.notPositive", { label: "notional" })).toBe("Notional must be positive");
+    expect(translate("fr", "validation.notPositive", { label: "le notionnel" })).toBe("Le notionnel doit être un nombre positif");
+  });
+  
+  it("falls back to English, then to the key", () => {
+    expect(translate("de", "card.results")).toBe("Results");
+    expect(translate("fr", "missing.key")).toBe("missing.key");
+  });
+  
+  it("has a French message for every English key", () => {
+    expect(Object.keys(fr).sort()).toEqual(Object.keys(en).sort());
+  });
+});
+
+describe("translateMessage", () => {
+  it("formats numeric values for the locale and translates nested messages", () => {
+    const message = {
+      key: "quiz.prompt.points",
+      values: {
+        pair: "USD/JPY",
+        base: "USD",
+        quote: "JPY",
+        days: 90,
+        spot: { number: 150.5, decimals: 2 },
+        baseRate: { percent: 4.5, decimals: 2 },
+        quoteRate: { percent: 0.25, decimals: 2 }
+      }
+    };
+    expect(translateMessage("en", message)).toContain("The USD/JPY spot rate is 150.50 (JPY per USD), the 90-day USD rate is 4.50%");
+    expect(plain(translateMessage("fr", message))).toContain("150,50");
+    expect(translateMessage("en", { key: "quiz.unit.quotePerBase", values: { quote: "JPY", base: "USD" } })).toBe("JPY per USD");
+    const nested = { key: "validation.notPositive", values: { label: { key: "field.exposureAmount", values: { currency: "EUR" } } } };
+    expect(translateMessage("fr", nested)).toBe("Le montant de l'exposition en EUR doit être un nombre positif");
+  });
+});
+
+describe("detectLocale", () => {
+  it("picks the first supported browser language", () => {
+    expect(detectLocale(["de-DE", "fr-CA", "en"])).toBe("fr");
+    expect(detectLocale(["ja"])).toBe("en");
+  });
+});
+
+describe("createFormatters", () => {
+  it("formats numbers, percentages and currencies per locale", () => {
+    const enFmt = createFormatters("en");
+    const frFmt = createFormatters("fr");
+    expect(enFmt.number(1.26021, 4)).toBe("1.2602");
+    expect(frFmt.number(1.26021, 4)).toBe("1,2602");
+    expect(enFmt.percent(2.36, 3)).toBe("2.360%");
+    expect(plain(frFmt.percent(2.36, 3))).toBe("2,360 %");
+    expect(enFmt.signed(8.8231, 2)).toBe("+8.82");
+    expect(enFmt.currency(1023.88, "USD")).toBe("$1,023.88");
+    expect(plain(frFmt.currency(1023.88, "EUR"))).toBe("1 023,88 €");
+    expect(frFmt.input(1234.5)).toBe("1234,5");
+  });
+
+  it("describes ages in the largest sensible unit", () => {
+    const enFmt = createFormatters("en");
+    expect(enFmt.age(45 * 1000)).toBe("45 seconds ago");
+    expect(enFmt.age(90 * 60 * 1000)).toBe("90 minutes ago");
+    expect(enFmt.age(30 * 60 * 60 * 1000)).toBe("30 hours ago");
+    expect(createFormatters("fr").age(3 * 24 * 60 * 60 * 1000)).toBe("il y a 3 jours");
+  });
+});
+
+describe("parseLocaleNumber", () => {
+  it("reads the locale decimal separator and ignores grouping", () => {
+    expect(parseLocaleNumber("1,2602", "fr")).toBe(1.2602);
+    expect(parseLocaleNumber("1.2602", "fr")).toBe(1.2602);
+    expect(parseLocaleNumber("1 000,5", "fr")).toBe(1000.5);
+    expect(parseLocaleNumber("1,000.5", "en")).toBe(1000.5);
+    expect(parseLocaleNumber("-0.25", "en")).toBe(-0.25);
+  });
+  
+  it("returns NaN for text that is not a number", () => {
+    expect(parseLocaleNumber("abc", "en")).toBeNaN();
+    expect(parseLocaleNumber("1.2.3", "fr")).toBeNaN();
+  });
+});
@@ -0,0 +1,9 @@
+// Framework-free market-data providers that fill the calculator's spot and interest rates
+export {
+  createHttpProvider,
+  createSnapshotProvider,
+  isQuoteStale,
+  snapshotPayload,
+  toMarketQuote
+} from "./providers.js";
+export { createMockProvider, createMockTransport } from "./mock.js";
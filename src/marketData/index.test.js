@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  createHttpProvider,
+  createMockProvider,
+  createMockTransport,
+  createSnapshotProvider,
+  isQuoteStale,
+  toMarketQuote
+} from "./index.js";
+
+const USD_CAD = { domesticCurrency: "USD", foreignCurrency: "CAD", quoteStyle: "indirect" };
+const SNAPSHOT = {
+  asOf: "2025-01-15T17:00:00Z",
+  currencies: {
+    USD: { perUsd: 1, rate: 4.33 },
+    CAD: { perUsd: 1.437, rate: 3.28 },
+    EUR: { perUsd: 0.9713, rate: 2.9 },
+    JPY: { perUsd: 156.45, rate: 0.23 }
+  }
+};
+
+describe("createSnapshotProvider", () => {
+  it("fills the spot in the calculator's quote style and both rates", async () => {
+    const provider = createSnapshotProvider(SNAPSHOT);
+    expect(await provider.fetchQuote(USD_CAD)).toEqual({
+      pair: "USD/CAD",
+      spotRate: 1.437,
+      domesticRate: 4.33,
+      foreignRate: 3.28,
+      asOf: Date.parse("2025-01-15T17:00:00Z")
+    });
+    const direct = await provider.fetchQuote({ ...USD_CAD, quoteStyle: "direct" });
+    expect(direct.pair).toBe("CAD/USD");
+    expect(direct.spotRate).toBeCloseTo(1 / 1.437, 5);
+  });
+
+  it("crosses through USD and rounds to a tenth of a pip", async () => {
+    const quote = await createSnapshotProvider(SNAPSHOT).fetchQuote({ domesticCurrency: "EUR", foreignCurrency: "JPY", quoteStyle: "indirect" });
+    expect(quote.spotRate).toBe(161.073);
+  });
+
+  it("rejects currencies missing from the snapshot", async () => {
+    await expect(createSnapshotProvider(SNAPSHOT).fetchQuote({ ...USD_CAD, foreignCurrency: "MXN" }))
+      .rejects.toThrow("No MXN quote in the snapshot");
+  });
+});
+
+describe("toMarketQuote", () => {
+  it("inverts a quote for the reversed pair and rejects other pairs", () => {
+    const payload = { base: "CAD", quote: "USD", spot: 0.8, rates: { USD: 4, CAD: 3 }, asOf: "2025-01-15T17:00:00Z" };
+    expect(toMarketQuote(USD_CAD, payload).spotRate).toBeCloseTo(1.25, 12);
+    expect(() => toMarketQuote(USD_CAD, { ...payload, base: "EUR" })).toThrow("Received a EUR/USD quote for USD/CAD");
+    expect(() => toMarketQuote(USD_CAD, { ...payload, rates: { USD: 4 } })).toThrow("Malformed USD/CAD quote");
+  });
+});
+
+describe("isQuoteStale", () => {
+  it("compares the quote's age with the provider's limit", () => {
+    expect(isQuoteStale({ asOf: 1000 }, 500, 1400)).toBe(false);
+    expect(isQuoteStale({ asOf: 1000 }, 500, 1600)).toBe(true);
+    expect(isQuoteStale({ asOf: 1000 }, null, 1e12)).toBe(false);
+  });
+});
+
+describe("createHttpProvider", () => {
+  it("reports a failed request with its status", async () => {
+    const provider = createHttpProvider({
+      id: "test",
+      label: "Test",
+      baseUrl: "https://quotes.example",
+      streamUrl: "wss://quotes.example/stream",
+      fetch: async () => new Response("{}", { status: 503 })
+    });
+    await expect(provider.fetchQuote(USD_CAD)).rejects.toThrow("Quote request failed with status 503");
+  });
+});
+
+describe("mock provider", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const options = { tickMs: 1000, latencyMs: 100, random: () => 0.75, now: () => Date.parse("2025-01-15T17:00:00Z") };
+
+  it("answers HTTP requests from the snapshot with a fresh timestamp", async () => {
+    const provider = createMockProvider(options);
+    const pending = provider.fetchQuote(USD_CAD);
+    await vi.advanceTimersByTimeAsync(100);
+    const quote = await pending;
+    expect(quote.pair).toBe("USD/CAD");
+    expect(quote.spotRate).toBeGreaterThan(1);
+    expect(quote.asOf).toBe(Date.parse("2025-01-15T17:00:00Z"));
+  });
+
+  it("streams a quote on open and on every tick until unsubscribed", async () => {
+    const provider = createHttpProvider({
+      id: "mock",
+      label: "Mock",
+      baseUrl: "http://localhost/mock",
+      streamUrl: "ws://localhost/mock/stream",
+      ...createMockTransport({ snapshot: SNAPSHOT, ...options })
+    });
+    const quotes = [];
+    const onError = vi.fn();
+    const unsubscribe = provider.subscribe(USD_CAD, { onQuote: quote => quotes.push(quote), onError });
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(quotes.map(quote => quote.spotRate)).toEqual([1.437]);
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(quotes).toHaveLength(3);
+    // Every currency moves up against USD by half the volatility per tick
+    expect(quotes[2].spotRate).toBeCloseTo(1.437 * 1.00025 ** 2, 5);
+    expect(quotes[2].foreignRate).toBeCloseTo(3.29, 10);
+
+    unsubscribe();
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(quotes).toHaveLength(3);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it("reports a dropped stream once and a failed request", async () => {
+    const provider = createMockProvider({ ...options, failureRate: 1 });
+    const onError = vi.fn();
+    provider.subscribe(USD_CAD, { onQuote: () => {}, onError });
+    await vi.advanceTimersByTimeAsync(1100);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toBe("The quote stream failed");
+
+    const pending = provider.fetchQuote(USD_CAD);
+    const assertion = expect(pending).rejects.toThrow("status 503");
+    await vi.advanceTimersByTimeAsync(100);
+    await assertion;
+  });
+});
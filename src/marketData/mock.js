@@ -0,0 +1,116 @@
+// In-browser stand-in for a quote service: a fetch and a WebSocket that answer from a
+// random walk around a snapshot, with optional latency and failures
+import { createHttpProvider, snapshotPayload } from "./providers.js";
+import SNAPSHOT from "./snapshot.json";
+
+/**
+ * @param {Object} options
+ * @param {Object} options.snapshot - Starting levels, same shape as snapshot.json
+ * @param {number} [options.tickMs] - Interval between streamed quotes
+ * @param {number} [options.latencyMs] - Delay before a response or the socket opening
+ * @param {number} [options.volatility] - Largest relative move of each currency per tick
+ * @param {number} [options.failureRate] - Chance that a request fails or a tick drops the stream
+ * @param {() => number} [options.random]
+ * @param {() => number} [options.now]
+ * @returns {{ fetch: typeof fetch, WebSocket: typeof WebSocket }}
+ */
+export function createMockTransport({
+  snapshot,
+  tickMs = 1000,
+  latencyMs = 150,
+  volatility = 0.0005,
+  failureRate = 0,
+  random = Math.random,
+  now = Date.now
+}) {
+  // One market shared by every request and socket, so a refresh agrees with the stream
+  const market = structuredClone(snapshot.currencies);
+  const step = () => {
+    Object.entries(market).forEach(([code, level]) => {
+      if (code === "USD") return;
+      level.perUsd *= 1 + (random() * 2 - 1) * volatility;
+      level.rate = Number((level.rate + (random() * 2 - 1) * 0.01).toFixed(4));
+    });
+  };
+  const payload = (params) => ({
+    ...snapshotPayload({ currencies: market }, params.get("base"), params.get("quote")),
+    asOf: new Date(now()).toISOString()
+  });
+  const json = (body, status) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+  const mockFetch = (url) => new Promise(resolve => {
+    setTimeout(() => {
+      if (random() < failureRate) {
+        resolve(json({ error: "Service unavailable" }, 503));
+        return;
+      }
+      try {
+        resolve(json(payload(new URL(url).searchParams), 200));
+      } catch (error) {
+        resolve(json({ error: error.message }, 404));
+      }
+    }, latencyMs);
+  });
+
+  class MockWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 3;
+
+    constructor(url) {
+      this.url = url;
+      this.readyState = MockWebSocket.CONNECTING;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onerror = null;
+      this.onclose = null;
+      const params = new URL(url).searchParams;
+      const send = () => this.onmessage?.({ data: JSON.stringify(payload(params)) });
+
+      this.timer = setTimeout(() => {
+        this.readyState = MockWebSocket.OPEN;
+        this.onopen?.({});
+        send();
+        this.timer = setInterval(() => {
+          if (random() < failureRate) {
+            this.onerror?.({});
+            this.end(1011);
+            return;
+          }
+          step();
+          send();
+        }, tickMs);
+      }, latencyMs);
+    }
+
+    end(code) {
+      if (this.readyState === MockWebSocket.CLOSED) return;
+      clearTimeout(this.timer);
+      clearInterval(this.timer);
+      this.readyState = MockWebSocket.CLOSED;
+      this.onclose?.({ code, wasClean: code === 1000 });
+    }
+
+    close() {
+      this.end(1000);
+    }
+  }
+
+  return { fetch: mockFetch, WebSocket: MockWebSocket };
+}
+
+/**
+ * The HTTP/WebSocket client wired to createMockTransport, for trying streaming and error
+ * handling without a live feed.
+ * @param {Object} [options] - Passed to createMockTransport
+ * @returns {import("./providers.js").MarketDataProvider}
+ */
+export function createMockProvider(options = {}) {
+  return createHttpProvider({
+    id: "mock",
+    label: "Local mock feed",
+    baseUrl: "http://localhost/mock",
+    streamUrl: "ws://localhost/mock/stream",
+    ...createMockTransport({ snapshot: SNAPSHOT, ...options })
+  });
+}
@@ -0,0 +1,187 @@
+// Quote providers: the wire format, the snapshot provider and the HTTP/WebSocket client
+import { getCurrencyPair, getPipSize } from "../pricing/index.js";
+import SNAPSHOT from "./snapshot.json";
+
+/**
+ * The currencies a quote is requested for; a subset of the calculator inputs.
+ * @typedef {Object} QuoteRequest
+ * @property {string} domesticCurrency
+ * @property {string} foreignCurrency
+ * @property {"indirect"|"direct"} quoteStyle
+ */
+
+/**
+ * Wire format shared by the snapshot and the HTTP/WebSocket feed: `spot` is `quote` units per
+ * 1 `base`, rates are in % per currency code, `asOf` is an ISO timestamp.
+ * @typedef {Object} QuotePayload
+ * @property {string} base
+ * @property {string} quote
+ * @property {number} spot
+ * @property {Object<string, number>} rates
+ * @property {string} asOf
+ */
+
+/**
+ * @typedef {Object} MarketQuote
+ * @property {string} pair - Pair label the spot is quoted in, e.g. "USD/CAD"
+ * @property {number} spotRate - Quoted as the request's `quoteStyle`
+ * @property {number} domesticRate - In %
+ * @property {number} foreignRate - In %
+ * @property {number} asOf - When the provider priced the quote, in ms since the epoch
+ */
+
+/**
+ * @typedef {Object} MarketDataProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {number|null} maxAgeMs - Quotes older than this are reported as stale; null for
+ *   static data that is dated but never expected to update
+ * @property {(request: QuoteRequest) => Promise<MarketQuote>} fetchQuote
+ * @property {(request: QuoteRequest, handlers: { onQuote: (quote: MarketQuote) => void,
+ *   onError: (error: Error) => void }) => () => void} [subscribe] - Streams quotes until the
+ *   returned function is called; providers without it only support one-off refreshes
+ */
+
+const STREAM_MAX_AGE_MS = 10 * 1000;
+
+/**
+ * Prices a pair from a snapshot of USD rates, rounded to a tenth of a pip as a feed would.
+ * @param {{ asOf: string, currencies: Object<string, { perUsd: number, rate: number }> }} snapshot
+ * @param {string} base
+ * @param {string} quote
+ * @returns {QuotePayload}
+ */
+export function snapshotPayload(snapshot, base, quote) {
+  [base, quote].forEach(code => {
+    if (!snapshot.currencies[code]) throw new Error(`No ${code} quote in the snapshot`);
+  });
+  const decimals = -Math.log10(getPipSize({ quote })) + 1;
+  const spot = snapshot.currencies[quote].perUsd / snapshot.currencies[base].perUsd;
+  return {
+    base,
+    quote,
+    spot: Number(spot.toFixed(decimals)),
+    rates: { [base]: snapshot.currencies[base].rate, [quote]: snapshot.currencies[quote].rate },
+    asOf: snapshot.asOf
+  };
+}
+
+/**
+ * Converts a payload into calculator terms, inverting it when the feed quotes the pair the
+ * other way round.
+ * @param {QuoteRequest} request
+ * @param {QuotePayload} payload
+ * @returns {MarketQuote}
+ */
+export function toMarketQuote(request, payload) {
+  const pair = getCurrencyPair(request);
+  const { domesticCurrency: domestic, foreignCurrency: foreign } = request;
+  const inverted = payload.base === pair.quote && payload.quote === pair.base;
+  if (!inverted && (payload.base !== pair.base || payload.quote !== pair.quote)) {
+    throw new Error(`Received a ${payload.base}/${payload.quote} quote for ${pair.label}`);
+  }
+
+  const quote = {
+    pair: pair.label,
+    spotRate: inverted ? 1 / payload.spot : payload.spot,
+    domesticRate: payload.rates?.[domestic],
+    foreignRate: payload.rates?.[foreign],
+    asOf: Date.parse(payload.asOf)
+  };
+  const numbers = [quote.spotRate, quote.domesticRate, quote.foreignRate, quote.asOf];
+  if (!numbers.every(Number.isFinite) || !(payload.spot > 0)) {
+    throw new Error(`Malformed ${pair.label} quote`);
+  }
+  return quote;
+}
+
+/**
+ * @param {MarketQuote} quote
+ * @param {number|null} maxAgeMs - Null never goes stale
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isQuoteStale(quote, maxAgeMs, now = Date.now()) {
+  return maxAgeMs !== null && now - quote.asOf > maxAgeMs;
+}
+
+/**
+ * Serves quotes from a bundled end-of-day snapshot: static offline data that never streams
+ * and is not aged against the wall clock, since it never updates.
+ * @param {Object} [snapshot] - Same shape as snapshot.json
+ * @returns {MarketDataProvider}
+ */
+export function createSnapshotProvider(snapshot = SNAPSHOT) {
+  return {
+    id: "snapshot",
+    label: "Bundled snapshot",
+    maxAgeMs: null,
+    fetchQuote: async (request) => {
+      const { base, quote } = getCurrencyPair(request);
+      return toMarketQuote(request, snapshotPayload(snapshot, base, quote));
+    }
+  };
+}
+
+/**
+ * Client for a quote service with `GET {baseUrl}/quote?base=&quote=` returning a QuotePayload
+ * and a WebSocket at `{streamUrl}?base=&quote=` pushing one QuotePayload per message.
+ * @param {Object} options
+ * @param {string} options.id
+ * @param {string} options.label
+ * @param {string} options.baseUrl
+ * @param {string} options.streamUrl
+ * @param {number} [options.maxAgeMs]
+ * @param {typeof fetch} [options.fetch]
+ * @param {typeof WebSocket} [options.WebSocket]
+ * @returns {MarketDataProvider}
+ */
+export function createHttpProvider({
+  id,
+  label,
+  baseUrl,
+  streamUrl,
+  maxAgeMs = STREAM_MAX_AGE_MS,
+  fetch: fetchImpl = globalThis.fetch,
+  WebSocket: WebSocketImpl = globalThis.WebSocket
+}) {
+  const query = (request) => {
+    const { base, quote } = getCurrencyPair(request);
+    return new URLSearchParams({ base, quote }).toString();
+  };
+
+  return {
+    id,
+    label,
+    maxAgeMs,
+    fetchQuote: async (request) => {
+      const response = await fetchImpl(`${baseUrl}/quote?${query(request)}`);
+      if (!response.ok) throw new Error(`Quote request failed with status ${response.status}`);
+      return toMarketQuote(request, await response.json());
+    },
+    subscribe: (request, { onQuote, onError }) => {
+      const socket = new WebSocketImpl(`${streamUrl}?${query(request)}`);
+      // Only the first failure is reported; the socket's error event is followed by a close
+      let ended = false;
+      const fail = (error) => {
+        if (ended) return;
+        ended = true;
+        onError(error);
+      };
+
+      socket.onmessage = (event) => {
+        try {
+          onQuote(toMarketQuote(request, JSON.parse(event.data)));
+        } catch (error) {
+          fail(error);
+        }
+      };
+      socket.onerror = () => fail(new Error("The quote stream failed"));
+      socket.onclose = (event) => fail(new Error(`The quote stream closed (code ${event.code})`));
+      return () => {
+        ended = true;
+        socket.close();
+      };
+    }
+  };
+}
@@ -0,0 +1,144 @@
+// Compounding conventions; periodsPerYear is null for simple and continuous
+export const COMPOUNDING_OPTIONS = [
+  { value: "simple", label: "Simple", periodsPerYear: null },
+  { value: "annual", label: "Annual", periodsPerYear: 1 },
+  { value: "semiannual", label: "Semi-annual", periodsPerYear: 2 },
+  { value: "quarterly", label: "Quarterly", periodsPerYear: 4 },
+  { value: "monthly", label: "Monthly", periodsPerYear: 12 },
+  { value: "continuous", label: "Continuous", periodsPerYear: null },
+];
+
+export function getCompounding(value) {
+  return COMPOUNDING_OPTIONS.find(option => option.value === value) || COMPOUNDING_OPTIONS[COMPOUNDING_OPTIONS.length - 1];
+}
+
+// Value of 1 unit of currency after `years` at the given decimal rate
+export function growthFactor(rate, compounding, years = 1) {
+  const { value, periodsPerYear } = getCompounding(compounding);
+  if (value === "continuous") return Math.exp(rate * years);
+  if (value === "simple") return 1 + rate * years;
+  return Math.pow(1 + rate / periodsPerYear, periodsPerYear * years);
+}
+
+// Inverse of growthFactor: the rate that grows 1 unit into `growth` over `years`
+export function rateFromGrowth(growth, compounding, years) {
+  const { value, periodsPerYear } = getCompounding(compounding);
+  if (value === "continuous") return Math.log(growth) / years;
+  if (value === "simple") return (growth - 1) / years;
+  return periodsPerYear * (Math.pow(growth, 1 / (periodsPerYear * years)) - 1);
+}
+
+export const INTERPOLATION_OPTIONS = [
+  { value: "linear", label: "Linear (zero rates)" },
+  { value: "loglinear", label: "Log-linear (discount factors)" },
+];
+
+// Discount factor at `years` from a curve of { years, rate } pillars (rates in %).
+// Zero rates are held flat before the first and after the last pillar.
+export function discountFactor(curve, years, compounding, interpolation) {
+  const pillars = [...curve].sort((a, b) => a.years - b.years);
+  const pillarDiscount = (rate, t) => 1 / growthFactor(rate / 100, compounding, t);
+  const first = pillars[0];
+  const last = pillars[pillars.length - 1];
+  
+  if (years <= first.years) return pillarDiscount(first.rate, years);
+  if (years >= last.years) return pillarDiscount(last.rate, years);
+  
+  const index = pillars.findIndex(pillar => pillar.years >= years);
+  const left = pillars[index - 1];
+  const right = pillars[index];
+  const weight = (years - left.years) / (right.years - left.years);
+  
+  if (interpolation === "loglinear") {
+    const logLeft = Math.log(pillarDiscount(left.rate, left.years));
+    const logRight = Math.log(pillarDiscount(right.rate, right.years));
+    return Math.exp(logLeft + weight * (logRight - logLeft));
+  }
+  return pillarDiscount(left.rate + weight * (right.rate - left.rate), years);
+}
+
+export const TENOR_UNITS = [
+  { value: "days", label: "Days", suffix: "D" },
+  { value: "months", label: "Months", suffix: "M" },
+  { value: "years", label: "Years", suffix: "Y" },
+];
+
+export const DAY_COUNT_OPTIONS = ["ACT/360", "ACT/365", "30/360"];
+
+// Standard market tenors plotted on the forward curve
+export const STANDARD_TENORS = [
+  { tenorValue: 1, tenorUnit: "days", label: "O/N" },
+  { tenorValue: 7, tenorUnit: "days", label: "1W" },
+  { tenorValue: 1, tenorUnit: "months", label: "1M" },
+  { tenorValue: 3, tenorUnit: "months", label: "3M" },
+  { tenorValue: 6, tenorUnit: "months", label: "6M" },
+  { tenorValue: 9, tenorUnit: "months", label: "9M" },
+  { tenorValue: 1, tenorUnit: "years", label: "1Y" },
+  { tenorValue: 2, tenorUnit: "years", label: "2Y" },
+  { tenorValue: 3, tenorUnit: "years", label: "3Y" },
+  { tenorValue: 5, tenorUnit: "years", label: "5Y" },
+];
+
+export function formatTenor(tenorValue, tenorUnit) {
+  const unit = TENOR_UNITS.find(option => option.value === tenorUnit) || TENOR_UNITS[2];
+  return `${tenorValue}${unit.suffix}`;
+}
+
+// Local calendar date from "YYYY-MM-DD", or null when the text is not a real date
+export function parseIsoDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) return null;
+  const date = new Date(+match[1], +match[2] - 1, +match[3]);
+  return date.getMonth() === +match[2] - 1 ? date : null;
+}
+
+export function formatIsoDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// Valuation dates arrive as Date objects or, from the calculator's inputs and URL, as ISO text;
+// either way the time of day is dropped. Null when the value is not a date.
+export function toCalendarDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  return typeof value === "string" ? parseIsoDate(value) : null;
+}
+
+// Adds calendar months, clamping to month end (e.g. 31 Jan + 1M = 28/29 Feb)
+export function addMonths(date, months) {
+  const result = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(date.getDate(), lastDay));
+  return result;
+}
+
+export function tenorMonths(tenorValue, tenorUnit) {
+  return tenorUnit === "years" ? tenorValue * 12 : tenorUnit === "months" ? tenorValue : null;
+}
+
+// Maturity date of a tenor starting on startDate (time of day dropped)
+export function addTenor(startDate, tenorValue, tenorUnit) {
+  const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const months = tenorMonths(tenorValue, tenorUnit);
+  return months === null
+    ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + tenorValue)
+    : addMonths(start, months);
+}
+
+// Year fraction for a tenor starting on startDate (a Date or "YYYY-MM-DD") under the given
+// day-count basis. Month and year tenors under ACT bases count actual days from startDate, so
+// it is required for them rather than defaulting to today.
+export function yearFraction(tenorValue, tenorUnit, dayCount, startDate) {
+  const months = tenorMonths(tenorValue, tenorUnit);
+  
+  if (dayCount === "30/360") {
+    return months === null ? tenorValue / 360 : months / 12;
+  }
+  if (months === null) return tenorValue / (dayCount === "ACT/360" ? 360 : 365);
+  
+  const start = toCalendarDate(startDate);
+  if (!start) throw new Error("A valuation date is needed to count the days in a month or year tenor");
+  const days = Math.round((addTenor(start, tenorValue, tenorUnit) - start) / 86400000);
+  return days / (dayCount === "ACT/360" ? 360 : 365);
+}
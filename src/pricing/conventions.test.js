@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { addMonths, discountFactor, growthFactor, rateFromGrowth, toCalendarDate, yearFraction } from "./index.js";
+
+describe("yearFraction", () => {
+  const start = new Date(2024, 0, 31);
+  
+  it("counts calendar days for ACT bases", () => {
+    expect(yearFraction(1, "years", "ACT/365", new Date(2024, 0, 1))).toBeCloseTo(366 / 365, 12);
+    expect(yearFraction(90, "days", "ACT/360", start)).toBe(0.25);
+  });
+  
+  it("uses whole months for 30/360", () => {
+    expect(yearFraction(6, "months", "30/360", start)).toBe(0.5);
+    expect(yearFraction(45, "days", "30/360", start)).toBe(0.125);
+  });
+  
+  it("clamps month-end dates", () => {
+    expect(addMonths(start, 1)).toEqual(new Date(2024, 1, 29));
+    expect(yearFraction(1, "months", "ACT/365", start)).toBeCloseTo(29 / 365, 12);
+  });
+  
+  it("reads ISO valuation dates and needs one for ACT month tenors", () => {
+    expect(yearFraction(1, "years", "ACT/365", "2024-01-01")).toBeCloseTo(366 / 365, 12);
+    expect(yearFraction(30, "days", "ACT/360")).toBe(30 / 360);
+    expect(() => yearFraction(3, "months", "ACT/360")).toThrow("A valuation date is needed");
+    expect(() => yearFraction(3, "months", "ACT/360", "2024-02-30")).toThrow("A valuation date is needed");
+  });
+});
+
+describe("toCalendarDate", () => {
+  it("drops the time of day and rejects anything that is not a date", () => {
+    expect(toCalendarDate(new Date(2024, 1, 29, 18, 30))).toEqual(new Date(2024, 1, 29));
+    expect(toCalendarDate("2024-02-29")).toEqual(new Date(2024, 1, 29));
+    expect(toCalendarDate("2023-02-29")).toBeNull();
+    expect(toCalendarDate(new Date(NaN))).toBeNull();
+    expect(toCalendarDate(undefined)).toBeNull();
+  });
+});
+
+describe("growthFactor and rateFromGrowth", () => {
+  it.each(["simple", "annual", "semiannual", "quarterly", "monthly", "continuous"])("round-trip (%s)", (compounding) => {
+    expect(rateFromGrowth(growthFactor(-0.0125, compounding, 3.5), compounding, 3.5)).toBeCloseTo(-0.0125, 12);
+  });
+});
+
+describe("discountFactor", () => {
+  const curve = [{ years: 1, rate: 2 }, { years: 3, rate: 4 }];
+  
+  it("holds zero rates flat outside the pillars", () => {
+    expect(discountFactor(curve, 0.5, "continuous", "linear")).toBeCloseTo(Math.exp(-0.02 * 0.5), 12);
+    expect(discountFactor(curve, 5, "continuous", "linear")).toBeCloseTo(Math.exp(-0.04 * 5), 12);
+  });
+  
+  it("interpolates zero rates linearly", () => {
+    expect(discountFactor(curve, 2, "continuous", "linear")).toBeCloseTo(Math.exp(-0.03 * 2), 12);
+  });
+  
+  it("interpolates log discount factors", () => {
+    // ln DF is linear in time: halfway between -0.02 and -0.12
+    expect(discountFactor(curve, 2, "continuous", "loglinear")).toBeCloseTo(Math.exp(-0.07), 12);
+  });
+});
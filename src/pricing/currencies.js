@@ -0,0 +1,49 @@
+// ISO currencies in market priority order: the earlier code is the base of a market quote.
+// perUsd is a rough level (units per 1 USD) used only to flag implausible inputs.
+export const CURRENCIES = [
+  { code: "EUR", name: "Euro", perUsd: 0.92 },
+  { code: "GBP", name: "British Pound", perUsd: 0.79 },
+  { code: "AUD", name: "Australian Dollar", perUsd: 1.52 },
+  { code: "NZD", name: "New Zealand Dollar", perUsd: 1.66 },
+  { code: "USD", name: "US Dollar", perUsd: 1 },
+  { code: "CAD", name: "Canadian Dollar", perUsd: 1.37 },
+  { code: "CHF", name: "Swiss Franc", perUsd: 0.88 },
+  { code: "NOK", name: "Norwegian Krone", perUsd: 10.8 },
+  { code: "SEK", name: "Swedish Krona", perUsd: 10.6 },
+  { code: "CNY", name: "Chinese Yuan", perUsd: 7.2 },
+  { code: "HKD", name: "Hong Kong Dollar", perUsd: 7.8 },
+  { code: "SGD", name: "Singapore Dollar", perUsd: 1.34 },
+  { code: "INR", name: "Indian Rupee", perUsd: 84 },
+  { code: "MXN", name: "Mexican Peso", perUsd: 18.5 },
+  { code: "JPY", name: "Japanese Yen", perUsd: 150 },
+];
+
+// Forward points are quoted in pips of the quote currency: 0.01 for JPY, 0.0001 otherwise
+export function getPipSize(pair) {
+  return pair.quote === "JPY" ? 0.01 : 0.0001;
+}
+
+// Indirect quotes are foreign per 1 domestic (base = domestic); direct quotes are the inverse
+export function getCurrencyPair({ domesticCurrency, foreignCurrency, quoteStyle }) {
+  const [base, quote] = quoteStyle === "direct"
+    ? [foreignCurrency, domesticCurrency]
+    : [domesticCurrency, foreignCurrency];
+  const rank = code => CURRENCIES.findIndex(currency => currency.code === code);
+  const marketBase = rank(domesticCurrency) <= rank(foreignCurrency) ? domesticCurrency : foreignCurrency;
+  const marketQuote = marketBase === domesticCurrency ? foreignCurrency : domesticCurrency;
+  
+  return {
+    base,
+    quote,
+    label: `${base}/${quote}`,
+    marketLabel: `${marketBase}/${marketQuote}`,
+    marketQuoteStyle: marketBase === domesticCurrency ? "indirect" : "direct",
+    isMarketConvention: base === marketBase
+  };
+}
+
+// Approximate level of a pair (quote per 1 base) from the reference levels in CURRENCIES
+export function referenceSpot(pair) {
+  const perUsd = code => CURRENCIES.find(currency => currency.code === code)?.perUsd ?? 1;
+  return perUsd(pair.quote) / perUsd(pair.base);
+}
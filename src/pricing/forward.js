@@ -0,0 +1,472 @@
+import {
+  STANDARD_TENORS,
+  discountFactor,
+  formatTenor,
+  growthFactor,
+  rateFromGrowth,
+  yearFraction
+} from "./conventions.js";
+import { getCurrencyPair, getPipSize } from "./currencies.js";
+
+/**
+ * @typedef {"simple"|"annual"|"semiannual"|"quarterly"|"monthly"|"continuous"} Compounding
+ */
+
+/**
+ * A pair quoted as quote-currency units per 1 unit of the base currency.
+ * Rates are in percent (2.5 means 2.5%).
+ * @typedef {Object} ForwardInput
+ * @property {number} spot - Spot rate, quote per 1 base
+ * @property {number} baseRate - Base currency interest rate, %
+ * @property {number} quoteRate - Quote currency interest rate, %
+ * @property {number} years - Time to maturity as a year fraction
+ * @property {Compounding} [compounding="continuous"]
+ */
+
+/**
+ * @typedef {Object} TwoWayQuote
+ * @property {number} bid
+ * @property {number} ask
+ */
+
+/**
+ * @typedef {Object} RateSides
+ * @property {number} deposit - Rate earned on deposits, %
+ * @property {number} borrow - Rate paid on loans, %
+ */
+
+/**
+ * @typedef {Object} ArbitrageCashFlow
+ * @property {string} time - "t = 0" or the maturity label
+ * @property {import("./validation.js").Message} step
+ * @property {string} currency
+ * @property {boolean} isDomestic - True for base currency flows
+ * @property {number} amount - Signed amount in `currency`; positive is received
+ * @property {number} domesticValue - Amount in base currency terms
+ */
+
+/**
+ * @typedef {Object} ArbitrageTrade
+ * @property {"base"|"quote"} borrow - Currency borrowed; the base is the domestic currency in calculateForwardExchangeRate
+ * @property {import("./validation.js").Message} strategy
+ * @property {number} profit - Riskless profit in base currency at maturity
+ * @property {ArbitrageCashFlow[]} cashFlows
+ */
+
+/**
+ * Covered interest parity forward: F = S × G(quote) / G(base), where G is the
+ * growth of 1 unit over `years` under the compounding convention.
+ * @param {ForwardInput} input
+ * @returns {number} Forward rate, quote per 1 base
+ */
+export function forwardRate({ spot, baseRate, quoteRate, years, compounding = "continuous" }) {
+  return spot * growthFactor(quoteRate / 100, compounding, years) / growthFactor(baseRate / 100, compounding, years);
+}
+
+/**
+ * @param {{ spot: number, forward: number, pipSize?: number }} input
+ * @returns {number} Forward minus spot in pips; positive when the base currency is at a forward premium
+ */
+export function forwardPoints({ spot, forward, pipSize = 0.0001 }) {
+  return (forward - spot) / pipSize;
+}
+
+/**
+ * Interest rate that makes a quoted forward consistent with covered parity, given the other currency's rate.
+ * @param {Object} input
+ * @param {number} input.spot - Spot rate, quote per 1 base
+ * @param {number} input.forward - Quoted forward rate, quote per 1 base
+ * @param {number} input.knownRate - Rate of the currency not solved for, %
+ * @param {"base"|"quote"} input.solveFor - Currency whose rate is implied
+ * @param {number} input.years
+ * @param {Compounding} [input.compounding="continuous"]
+ * @returns {number} Implied rate, %
+ */
+export function impliedRate({ spot, forward, knownRate, solveFor, years, compounding = "continuous" }) {
+  const knownGrowth = growthFactor(knownRate / 100, compounding, years);
+  const growth = solveFor === "quote" ? forward / spot * knownGrowth : spot / forward * knownGrowth;
+  return rateFromGrowth(growth, compounding, years) * 100;
+}
+
+/**
+ * Looks for a covered interest arbitrage against a quoted forward. Single numbers are
+ * treated as mid quotes and mid rates; two-way quotes trade on their executable side.
+ * @param {Object} input
+ * @param {number|TwoWayQuote} input.spot - Quote per 1 base
+ * @param {number|TwoWayQuote} input.forward - Quote per 1 base
+ * @param {number|RateSides} input.baseRate - %
+ * @param {number|RateSides} input.quoteRate - %
+ * @param {number} input.years
+ * @param {Compounding} [input.compounding="continuous"]
+ * @param {number} [input.notional=1000000] - Base currency amount traded
+ * @param {{ base: string, quote: string }} [input.currencies]
+ * @param {string} [input.tenorLabel="T"] - Maturity label used in the cash flow times
+ * @returns {ArbitrageTrade|null} The profitable round trip, or null when the forward is inside the no-arbitrage band
+ */
+export function detectArbitrage({
+  spot,
+  forward,
+  baseRate,
+  quoteRate,
+  years,
+  compounding = "continuous",
+  notional = 1000000,
+  currencies = { base: "Base", quote: "Quote" },
+  tenorLabel = "T"
+}) {
+  const twoWay = quote => (typeof quote === "number" ? { bid: quote, ask: quote } : quote);
+  const sides = rate => (typeof rate === "number" ? { deposit: rate, borrow: rate } : rate);
+  const growth = rate => ({
+    deposit: growthFactor(sides(rate).deposit / 100, compounding, years),
+    borrow: growthFactor(sides(rate).borrow / 100, compounding, years)
+  });
+  
+  return buildArbitrageTrade({
+    notional,
+    spot: twoWay(spot),
+    forward: twoWay(forward),
+    domesticGrowth: growth(baseRate),
+    foreignGrowth: growth(quoteRate),
+    tenorLabel,
+    currencies: { domestic: currencies.base, foreign: currencies.quote }
+  });
+}
+
+// Builds the covered interest arbitrage trade against a quoted forward using the executable
+// side of each quote (spot and forward { bid, ask }, rate growth { deposit, borrow }).
+// Rates are foreign per 1 domestic; amounts are per `notional` units of domestic currency
+// and the profit lands in domestic currency at maturity.
+// Returns null when neither direction clears the 0.01 tolerance.
+export function buildArbitrageTrade({ notional, spot, forward, domesticGrowth, foreignGrowth, tenorLabel, currencies }) {
+  const { domestic, foreign } = currencies;
+  const maturity = `t = ${tenorLabel}`;
+  const flow = (time, step, isDomestic, amount, rate) => ({
+    time,
+    step: { key: `arbitrage.step.${step}`, values: { currency: isDomestic ? domestic : foreign } },
+    currency: isDomestic ? domestic : foreign,
+    isDomestic,
+    amount,
+    // Foreign flows are shown in domestic terms at the rate the trade uses on that date
+    domesticValue: isDomestic ? amount : amount / rate
+  });
+  
+  // Borrow domestic, invest foreign, buy back domestic forward at the ask
+  const foreignInvested = notional * spot.bid;
+  const foreignMaturity = foreignInvested * foreignGrowth.deposit;
+  const forwardDomestic = foreignMaturity / forward.ask;
+  const domesticOwed = notional * domesticGrowth.borrow;
+  if (forwardDomestic - domesticOwed >= 0.01) {
+    return {
+      borrow: "base",
+      strategy: { key: "arbitrage.strategy.borrowBase", values: { borrowed: domestic, invested: foreign } },
+      profit: forwardDomestic - domesticOwed,
+      cashFlows: [
+        flow("t = 0", "borrow", true, notional),
+        flow("t = 0", "sellSpot", true, -notional),
+        flow("t = 0", "buySpot", false, foreignInvested, spot.bid),
+        flow("t = 0", "invest", false, -foreignInvested, spot.bid),
+        flow(maturity, "depositMatures", false, foreignMaturity, forward.ask),
+        flow(maturity, "deliverForward", false, -foreignMaturity, forward.ask),
+        flow(maturity, "receiveForward", true, forwardDomestic),
+        flow(maturity, "repay", true, -domesticOwed)
+      ]
+    };
+  }
+  
+  // Borrow foreign, invest domestic, sell domestic forward at the bid
+  const foreignBorrowed = notional * spot.ask;
+  const foreignOwed = foreignBorrowed * foreignGrowth.borrow;
+  const domesticMaturity = notional * domesticGrowth.deposit;
+  const forwardCost = foreignOwed / forward.bid;
+  if (domesticMaturity - forwardCost >= 0.01) {
+    return {
+      borrow: "quote",
+      strategy: { key: "arbitrage.strategy.borrowQuote", values: { borrowed: foreign, invested: domestic } },
+      profit: domesticMaturity - forwardCost,
+      cashFlows: [
+        flow("t = 0", "borrow", false, foreignBorrowed, spot.ask),
+        flow("t = 0", "sellSpot", false, -foreignBorrowed, spot.ask),
+        flow("t = 0", "buySpot", true, notional),
+        flow("t = 0", "invest", true, -notional),
+        flow(maturity, "depositMatures", true, domesticMaturity),
+        flow(maturity, "payForward", true, -forwardCost),
+        flow(maturity, "receiveForward", false, foreignOwed, forward.bid),
+        flow(maturity, "repay", false, -foreignOwed, forward.bid)
+      ]
+    };
+  }
+  
+  return null;
+}
+
+export const EXPOSURE_TYPES = [
+  { value: "none", label: "None" },
+  { value: "receivable", label: "Receivable" },
+  { value: "payable", label: "Payable" }
+];
+
+// Domestic-currency cash flow of a foreign amount converted at a quoted rate; payables are negative
+export function exposureCashFlow(exposureType, amount, quotedRate, quoteStyle) {
+  const domesticAmount = quoteStyle === "direct" ? amount * quotedRate : amount / quotedRate;
+  return exposureType === "payable" ? -domesticAmount : domesticAmount;
+}
+
+// Standard normal quantiles for the future spot fan and outcome table
+export const SPOT_QUANTILES = [
+  { percentile: 5, z: -1.645 },
+  { percentile: 25, z: -0.674 },
+  { percentile: 50, z: 0 },
+  { percentile: 75, z: 0.674 },
+  { percentile: 95, z: 1.645 }
+];
+
+/**
+ * Full calculator model for the app's inputs: forward, points, both investment legs,
+ * arbitrage against a market quote, no-arbitrage band, UIP, hedge and chart series.
+ * Spot and quoted forwards follow `quoteStyle`; rates are in %. `valuationDate` (a Date or
+ * "YYYY-MM-DD") is required for month and year tenors under ACT day counts.
+ * @param {Object} inputs - Calculator inputs (see DEFAULT_INPUTS in App.jsx)
+ * @returns {Object} Model consumed by the results, chart and analysis panels
+ */
+export function calculateForwardExchangeRate({
+  spotRate: quotedSpot,
+  domesticRate,
+  foreignRate,
+  compounding,
+  tenorValue = 1,
+  tenorUnit = "years",
+  dayCount = "ACT/365",
+  rateMode = "flat",
+  domesticCurve,
+  foreignCurve,
+  interpolation = "linear",
+  marketForward: quotedForward = null,
+  twoWay = false,
+  spotBid: quotedSpotBid = null,
+  spotAsk: quotedSpotAsk = null,
+  forwardBid: quotedForwardBid = null,
+  forwardAsk: quotedForwardAsk = null,
+  domesticDepositRate = null,
+  domesticBorrowRate = null,
+  foreignDepositRate = null,
+  foreignBorrowRate = null,
+  domesticCurrency = "Domestic",
+  foreignCurrency = "Foreign",
+  quoteStyle = "indirect",
+  notional = 1000,
+  exposureType = "none",
+  exposureAmount = 0,
+  uipMode = false,
+  expectedSpot: quotedExpectedSpot = null,
+  spotVolatility = 0,
+  valuationDate
+}) {
+  // Price internally as foreign per 1 domestic. Direct quotes (domestic per 1 foreign)
+  // are inverted on the way in and out, which also swaps the bid and ask sides.
+  const isDirect = quoteStyle === "direct";
+  const invert = rate => (rate === null ? null : 1 / rate);
+  const toQuoted = rate => (isDirect ? invert(rate) : rate);
+  const spotRate = toQuoted(quotedSpot);
+  const marketForward = toQuoted(quotedForward);
+  const [spotBid, spotAsk] = isDirect
+    ? [invert(quotedSpotAsk), invert(quotedSpotBid)]
+    : [quotedSpotBid, quotedSpotAsk];
+  const [forwardBid, forwardAsk] = isDirect
+    ? [invert(quotedForwardAsk), invert(quotedForwardBid)]
+    : [quotedForwardBid, quotedForwardAsk];
+  
+  const years = yearFraction(tenorValue, tenorUnit, dayCount, valuationDate);
+  const tenorLabel = formatTenor(tenorValue, tenorUnit);
+  
+  // A flat rate is a single-pillar curve, so both modes share one pricing path
+  const curves = rateMode === "curve"
+    ? { domestic: domesticCurve, foreign: foreignCurve }
+    : { domestic: [{ years: 1, rate: domesticRate }], foreign: [{ years: 1, rate: foreignRate }] };
+  const growthAt = (curve, t) => 1 / discountFactor(curve, t, compounding, interpolation);
+  const zeroRateAt = (curve, t) => rateFromGrowth(growthAt(curve, t), compounding, t) * 100;
+  
+  // Forward and both investment legs share one convention so parity holds exactly
+  const domesticGrowth = growthAt(curves.domestic, years);
+  const foreignGrowth = growthAt(curves.foreign, years);
+  const forwardRate = spotRate * foreignGrowth / domesticGrowth;
+  const domesticZeroRate = zeroRateAt(curves.domestic, years);
+  const foreignZeroRate = zeroRateAt(curves.foreign, years);
+  
+  const domesticEndingValue = notional * domesticGrowth;
+  const foreignCurrencyAmount = notional * spotRate;
+  const foreignEndingValue = foreignCurrencyAmount * foreignGrowth;
+  const domesticEquivalent = foreignEndingValue / forwardRate;
+  
+  // Two-way quotes fall back to the mid wherever a side is left blank
+  const spot = twoWay
+    ? { bid: spotBid ?? spotRate, ask: spotAsk ?? spotRate }
+    : { bid: spotRate, ask: spotRate };
+  const quotedBid = twoWay ? forwardBid ?? forwardAsk : marketForward;
+  const quotedAsk = twoWay ? forwardAsk ?? forwardBid : marketForward;
+  const marketQuote = quotedBid !== null ? { bid: quotedBid, ask: quotedAsk, mid: (quotedBid + quotedAsk) / 2 } : null;
+  const sideGrowth = (rate, midGrowth) => (twoWay && rate !== null ? growthFactor(rate / 100, compounding, years) : midGrowth);
+  const domesticSides = {
+    deposit: sideGrowth(domesticDepositRate, domesticGrowth),
+    borrow: sideGrowth(domesticBorrowRate, domesticGrowth)
+  };
+  const foreignSides = {
+    deposit: sideGrowth(foreignDepositRate, foreignGrowth),
+    borrow: sideGrowth(foreignBorrowRate, foreignGrowth)
+  };
+  
+  // Outside [lower, upper] one of the two covered round trips earns a profit after costs
+  const forwardBand = twoWay
+    ? {
+        lower: spot.bid * foreignSides.deposit / domesticSides.borrow,
+        upper: spot.ask * foreignSides.borrow / domesticSides.deposit
+      }
+    : null;
+  
+  const arbitrage = marketQuote
+    ? buildArbitrageTrade({
+        notional,
+        spot,
+        forward: marketQuote,
+        domesticGrowth: domesticSides,
+        foreignGrowth: foreignSides,
+        tenorLabel,
+        currencies: { domestic: domesticCurrency, foreign: foreignCurrency }
+      })
+    : null;
+  const arbitrageDiff = arbitrage ? arbitrage.profit : 0;
+  const noArbitrage = !arbitrage;
+  
+  const chartData = [
+    {
+      name: "t = 0",
+      exchangeRate: quotedSpot,
+      domesticRate: domesticZeroRate,
+      foreignRate: foreignZeroRate,
+      type: "Spot Rate"
+    },
+    {
+      name: `t = ${tenorLabel}`,
+      exchangeRate: toQuoted(forwardRate),
+      domesticRate: domesticZeroRate,
+      foreignRate: foreignZeroRate,
+      type: "Forward Rate"
+    }
+  ];
+  
+  const curveData = STANDARD_TENORS.map(tenor => {
+    const t = yearFraction(tenor.tenorValue, tenor.tenorUnit, dayCount, valuationDate);
+    return {
+      name: tenor.label,
+      years: t,
+      exchangeRate: toQuoted(spotRate * growthAt(curves.foreign, t) / growthAt(curves.domestic, t)),
+      domesticRate: zeroRateAt(curves.domestic, t),
+      foreignRate: zeroRateAt(curves.foreign, t)
+    };
+  });
+  
+  // Uncovered parity: the foreign leg is left unhedged and converts back at the expected
+  // spot, which is treated as the median of a lognormal spot with the given volatility
+  let uip = null;
+  if (uipMode) {
+    const quotedForward = toQuoted(forwardRate);
+    const medianSpot = quotedExpectedSpot ?? quotedForward;
+    const sigma = spotVolatility / 100;
+    const spotAt = (t, z) => quotedSpot * Math.pow(medianSpot / quotedSpot, t / years) * Math.exp(z * sigma * Math.sqrt(t));
+    const unhedgedPayoff = quotedSpotAtMaturity => foreignEndingValue / toQuoted(quotedSpotAtMaturity);
+    const unhedgedExpected = unhedgedPayoff(medianSpot);
+    
+    uip = {
+      expectedSpot: medianSpot,
+      hedgedPayoff: domesticEquivalent,
+      unhedgedExpected,
+      riskPremium: (unhedgedExpected / domesticEquivalent - 1) / years * 100,
+      fan: Array.from({ length: 13 }, (_, i) => {
+        const t = years * i / 12;
+        return {
+          years: t,
+          forward: toQuoted(spotRate * growthAt(curves.foreign, t) / growthAt(curves.domestic, t)),
+          median: spotAt(t, 0),
+          outer: [spotAt(t, SPOT_QUANTILES[0].z), spotAt(t, SPOT_QUANTILES[4].z)],
+          inner: [spotAt(t, SPOT_QUANTILES[1].z), spotAt(t, SPOT_QUANTILES[3].z)]
+        };
+      }),
+      outcomes: SPOT_QUANTILES.map(({ percentile, z }) => {
+        const spotAtMaturity = spotAt(years, z);
+        return { percentile, spot: spotAtMaturity, payoff: unhedgedPayoff(spotAtMaturity) };
+      })
+    };
+  }
+  
+  // A foreign-currency receivable or payable at T, hedged at the forward or left open
+  const hedge = exposureType !== "none"
+    ? {
+        hedgedValue: exposureCashFlow(exposureType, exposureAmount, toQuoted(forwardRate), quoteStyle),
+        unhedgedAtSpot: exposureCashFlow(exposureType, exposureAmount, quotedSpot, quoteStyle),
+        breakEvenSpot: toQuoted(forwardRate)
+      }
+    : null;
+  
+  const quotedMarket = marketQuote && isDirect
+    ? { bid: invert(marketQuote.ask), ask: invert(marketQuote.bid) }
+    : marketQuote;
+  
+  // Points and premium are for the pair as quoted: a positive value means the base
+  // currency buys more of the quote currency forward than spot (base at a premium)
+  const pipSize = getPipSize(getCurrencyPair({ domesticCurrency, foreignCurrency, quoteStyle }));
+  const quotedForwardRate = toQuoted(forwardRate);
+  const forwardPoints = (quotedForwardRate - quotedSpot) / pipSize;
+  const forwardPremium = (quotedForwardRate / quotedSpot - 1) / years * 100;
+  
+  return {
+    years,
+    tenorLabel,
+    domesticZeroRate,
+    foreignZeroRate,
+    forwardRate: quotedForwardRate,
+    pipSize,
+    forwardPoints,
+    forwardPremium,
+    domesticEndingValue,
+    foreignEndingValue,
+    domesticEquivalent,
+    arbitrageDiff,
+    noArbitrage,
+    arbitrage,
+    marketQuote: quotedMarket && { ...quotedMarket, mid: (quotedMarket.bid + quotedMarket.ask) / 2 },
+    forwardBand: forwardBand && isDirect
+      ? { lower: invert(forwardBand.upper), upper: invert(forwardBand.lower) }
+      : forwardBand,
+    discountFactors: { domestic: 1 / domesticGrowth, foreign: 1 / foreignGrowth },
+    uip,
+    hedge,
+    chartData,
+    curveData,
+    isValid: spotRate > 0 && domesticGrowth > 0 && foreignGrowth > 0
+  };
+}
+
+// Values a forward on the base currency struck at contractRate: the fair forward for the
+// remaining tenor less the contract rate, paid in the quote currency at maturity and
+// discounted on the quote currency's curve, then converted to the base currency at spot
+export function valueForwardContract({ inputs, position, contractRate, notional, remainingTenor }) {
+  const fair = calculateForwardExchangeRate({
+    ...inputs,
+    tenorValue: remainingTenor.value,
+    tenorUnit: remainingTenor.unit,
+    marketForward: null,
+    twoWay: false,
+    uipMode: false,
+    exposureType: "none"
+  });
+  const quoteDiscount = inputs.quoteStyle === "direct" ? fair.discountFactors.domestic : fair.discountFactors.foreign;
+  const sign = position === "buy" ? 1 : -1;
+  const maturityValue = sign * notional * (fair.forwardRate - contractRate);
+  const quoteValue = maturityValue * quoteDiscount;
+  return {
+    fair,
+    quoteDiscount,
+    maturityValue,
+    quoteValue,
+    baseValue: quoteValue / inputs.spotRate
+  };
+}
@@ -0,0 +1,153 @@
+import { describe, expect, it } from "vitest";
+import {
+  COMPOUNDING_OPTIONS,
+  calculateForwardExchangeRate,
+  detectArbitrage,
+  forwardPoints,
+  forwardRate,
+  impliedRate,
+  yearFraction
+} from "./index.js";
+
+const BASE_INPUTS = {
+  spotRate: 1.2602,
+  domesticRate: 2.36,
+  foreignRate: 2.43,
+  compounding: "continuous",
+  tenorValue: 1,
+  tenorUnit: "years",
+  dayCount: "ACT/365",
+  domesticCurrency: "USD",
+  foreignCurrency: "CAD",
+  quoteStyle: "indirect",
+  valuationDate: new Date(2025, 0, 15)
+};
+
+describe("forwardRate", () => {
+  it("matches the textbook one-year example with simple interest", () => {
+    // USD/EUR spot 1.3650 (USD per EUR), USD 1.5%, EUR 2.0%
+    expect(forwardRate({ spot: 1.365, baseRate: 2, quoteRate: 1.5, years: 1, compounding: "simple" }))
+      .toBeCloseTo(1.358309, 6);
+  });
+  
+  it("matches the textbook 180-day Actual/360 example", () => {
+    const years = yearFraction(180, "days", "ACT/360");
+    expect(years).toBe(0.5);
+    expect(forwardRate({ spot: 1.35, baseRate: 1, quoteRate: 1.5, years, compounding: "simple" }))
+      .toBeCloseTo(1.353358, 6);
+  });
+  
+  it("uses the rate differential under continuous compounding", () => {
+    expect(forwardRate({ spot: 110, baseRate: 5, quoteRate: -0.1, years: 0.25 })).toBeCloseTo(108.606403, 5);
+  });
+  
+  it.each(COMPOUNDING_OPTIONS.map(option => option.value))("equals spot when rates are equal (%s)", (compounding) => {
+    expect(forwardRate({ spot: 1.1, baseRate: 3.7, quoteRate: 3.7, years: 2.5, compounding })).toBeCloseTo(1.1, 12);
+  });
+  
+  it("handles negative rates on both sides", () => {
+    // EUR/CHF with EUR at -0.5% and CHF at -0.75%: the franc still earns less, so the forward is below spot
+    const forward = forwardRate({ spot: 0.9, baseRate: -0.5, quoteRate: -0.75, years: 0.5, compounding: "simple" });
+    expect(forward).toBeCloseTo(0.898872, 6);
+    expect(forward).toBeLessThan(0.9);
+  });
+  
+  it("stays finite and positive at extreme rates and tenors", () => {
+    expect(forwardRate({ spot: 1, baseRate: 50, quoteRate: -99, years: 30, compounding: "monthly" })).toBeGreaterThan(0);
+    expect(forwardRate({ spot: 150, baseRate: 0, quoteRate: 50, years: 30, compounding: "continuous" })).toBeCloseTo(150 * Math.exp(15), 0);
+    expect(forwardRate({ spot: 1e-6, baseRate: 10, quoteRate: 0, years: 1 / 365 })).toBeCloseTo(1e-6 * Math.exp(-0.1 / 365), 12);
+  });
+});
+
+describe("forwardPoints", () => {
+  it("scales by the pip size", () => {
+    expect(forwardPoints({ spot: 1.2602, forward: 1.2611 })).toBeCloseTo(9, 6);
+    expect(forwardPoints({ spot: 150.25, forward: 149.8, pipSize: 0.01 })).toBeCloseTo(-45, 6);
+  });
+  
+  it("is zero when the forward equals spot", () => {
+    expect(forwardPoints({ spot: 1.5, forward: 1.5 })).toBe(0);
+  });
+});
+
+describe("impliedRate", () => {
+  it.each(COMPOUNDING_OPTIONS.map(option => option.value))("recovers the rate used to price the forward (%s)", (compounding) => {
+    const forward = forwardRate({ spot: 1.2602, baseRate: 2.36, quoteRate: -0.4, years: 0.75, compounding });
+    expect(impliedRate({ spot: 1.2602, forward, knownRate: 2.36, solveFor: "quote", years: 0.75, compounding })).toBeCloseTo(-0.4, 9);
+    expect(impliedRate({ spot: 1.2602, forward, knownRate: -0.4, solveFor: "base", years: 0.75, compounding })).toBeCloseTo(2.36, 9);
+  });
+  
+  it("returns the known rate when the forward equals spot", () => {
+    expect(impliedRate({ spot: 1.1, forward: 1.1, knownRate: 4, solveFor: "quote", years: 1, compounding: "annual" })).toBeCloseTo(4, 12);
+  });
+});
+
+describe("detectArbitrage", () => {
+  const market = { spot: 1.2602, baseRate: 2.36, quoteRate: 2.43, years: 1, currencies: { base: "USD", quote: "CAD" } };
+  const fair = forwardRate(market);
+  
+  it("finds nothing at the parity forward", () => {
+    expect(detectArbitrage({ ...market, forward: fair })).toBeNull();
+  });
+  
+  it("borrows the base currency when the forward is too low", () => {
+    const trade = detectArbitrage({ ...market, forward: fair - 0.01 });
+    expect(trade.borrow).toBe("base");
+    expect(trade.strategy).toEqual({ key: "arbitrage.strategy.borrowBase", values: { borrowed: "USD", invested: "CAD" } });
+    expect(trade.profit).toBeGreaterThan(0);
+  });
+  
+  it("borrows the quote currency when the forward is too high", () => {
+    const trade = detectArbitrage({ ...market, forward: fair + 0.01 });
+    expect(trade.borrow).toBe("quote");
+    expect(trade.strategy.values.borrowed).toBe("CAD");
+    expect(trade.profit).toBeGreaterThan(0);
+  });
+  
+  it("nets every currency to zero except the profit at maturity", () => {
+    const trade = detectArbitrage({ ...market, forward: fair - 0.01, tenorLabel: "1Y" });
+    const net = (time, isDomestic) => trade.cashFlows
+      .filter(flow => flow.time === time && flow.isDomestic === isDomestic)
+      .reduce((sum, flow) => sum + flow.amount, 0);
+    expect(net("t = 0", true)).toBeCloseTo(0, 6);
+    expect(net("t = 0", false)).toBeCloseTo(0, 6);
+    expect(net("t = 1Y", false)).toBeCloseTo(0, 6);
+    expect(net("t = 1Y", true)).toBeCloseTo(trade.profit, 6);
+  });
+  
+  it("respects the transaction-cost band of two-way quotes", () => {
+    const twoWay = {
+      ...market,
+      spot: { bid: 1.26, ask: 1.2604 },
+      baseRate: { deposit: 2.3, borrow: 2.42 },
+      quoteRate: { deposit: 2.37, borrow: 2.49 }
+    };
+    expect(detectArbitrage({ ...twoWay, forward: { bid: fair - 0.0005, ask: fair + 0.0005 } })).toBeNull();
+    expect(detectArbitrage({ ...twoWay, forward: { bid: fair + 0.01, ask: fair + 0.011 } })).not.toBeNull();
+  });
+});
+
+describe("calculateForwardExchangeRate", () => {
+  it("agrees with forwardRate and forwardPoints", () => {
+    const model = calculateForwardExchangeRate(BASE_INPUTS);
+    const forward = forwardRate({ spot: 1.2602, baseRate: 2.36, quoteRate: 2.43, years: model.years });
+    expect(model.forwardRate).toBeCloseTo(forward, 12);
+    expect(model.forwardPoints).toBeCloseTo(forwardPoints({ spot: 1.2602, forward }), 9);
+  });
+  
+  it.each(COMPOUNDING_OPTIONS.map(option => option.value))("makes both investment legs end equal (%s)", (compounding) => {
+    const model = calculateForwardExchangeRate({ ...BASE_INPUTS, compounding, domesticRate: -0.6, foreignRate: 11 });
+    expect(model.domesticEquivalent).toBeCloseTo(model.domesticEndingValue, 9);
+    expect(model.isValid).toBe(true);
+  });
+  
+  it("prices a direct quote as the inverse of the indirect one", () => {
+    const indirect = calculateForwardExchangeRate(BASE_INPUTS);
+    const direct = calculateForwardExchangeRate({ ...BASE_INPUTS, quoteStyle: "direct", spotRate: 1 / BASE_INPUTS.spotRate });
+    expect(direct.forwardRate).toBeCloseTo(1 / indirect.forwardRate, 12);
+  });
+  
+  it("flags growth that cannot be priced", () => {
+    expect(calculateForwardExchangeRate({ ...BASE_INPUTS, compounding: "simple", domesticRate: -99, tenorValue: 2 }).isValid).toBe(false);
+  });
+});
@@ -0,0 +1,35 @@
+// Framework-free FX forward pricing engine shared by the calculator and other tools
+export {
+  COMPOUNDING_OPTIONS,
+  DAY_COUNT_OPTIONS,
+  INTERPOLATION_OPTIONS,
+  STANDARD_TENORS,
+  TENOR_UNITS,
+  addMonths,
+  addTenor,
+  discountFactor,
+  formatIsoDate,
+  formatTenor,
+  getCompounding,
+  growthFactor,
+  parseIsoDate,
+  rateFromGrowth,
+  toCalendarDate,
+  yearFraction
+} from "./conventions.js";
+export { CURRENCIES, getCurrencyPair, getPipSize, referenceSpot } from "./currencies.js";
+export {
+  EXPOSURE_TYPES,
+  SPOT_QUANTILES,
+  calculateForwardExchangeRate,
+  detectArbitrage,
+  exposureCashFlow,
+  forwardPoints,
+  forwardRate,
+  impliedRate,
+  valueForwardContract
+} from "./forward.js";
+export { INPUT_SCHEMA, VALUATION_SCHEMA, checkField, checkInputs, checkValuationInputs, validateInputs } from "./validation.js";
+export { SOLVE_FOR_OPTIONS, solveForUnknown } from "./solve.js";
+export { calculateCrossRates, deriveCrossSpot } from "./triangular.js";
+export { ARBITRAGE_CHOICES, QUIZ_QUESTION_TYPES, generateQuizProblem, gradeQuizAnswer } from "./quiz.js";
@@ -0,0 +1,191 @@
+import { getCurrencyPair, getPipSize } from "./currencies.js";
+import { calculateForwardExchangeRate } from "./forward.js";
+import { solveForUnknown } from "./solve.js";
+
+export const QUIZ_QUESTION_TYPES = [
+  { value: "forward", label: "Forward rate" },
+  { value: "points", label: "Forward points" },
+  { value: "impliedRate", label: "Implied rate" },
+  { value: "arbitrage", label: "Arbitrage" }
+];
+
+// Money-market rate ranges (% p.a.) per currency, roughly where policy rates have sat in recent years
+const QUIZ_RATE_RANGES = {
+  USD: [3.5, 5.25],
+  EUR: [1.75, 3.75],
+  GBP: [3.75, 5.25],
+  JPY: [0, 0.75],
+  CAD: [2.5, 4.5],
+  AUD: [3.5, 4.5],
+  NZD: [3, 5.25],
+  CHF: [0, 1.5],
+  MXN: [8, 11]
+};
+
+// Liquid pairs in market convention with a plausible spot range
+const QUIZ_PAIRS = [
+  { base: "EUR", quote: "USD", spot: [1.05, 1.2] },
+  { base: "GBP", quote: "USD", spot: [1.22, 1.38] },
+  { base: "USD", quote: "JPY", spot: [140, 160] },
+  { base: "USD", quote: "CAD", spot: [1.32, 1.42] },
+  { base: "AUD", quote: "USD", spot: [0.62, 0.7] },
+  { base: "NZD", quote: "USD", spot: [0.56, 0.64] },
+  { base: "USD", quote: "CHF", spot: [0.78, 0.92] },
+  { base: "EUR", quote: "GBP", spot: [0.83, 0.89] },
+  { base: "USD", quote: "MXN", spot: [17, 20.5] }
+];
+
+const QUIZ_TENOR_DAYS = [30, 90, 180, 360];
+
+export const ARBITRAGE_CHOICES = [
+  { value: "none", label: "No arbitrage" },
+  { value: "borrowBase", label: "Borrow the base currency" },
+  { value: "borrowQuote", label: "Borrow the quote currency" }
+];
+
+/**
+ * @typedef {Object} QuizProblem
+ * @property {string} type - One of QUIZ_QUESTION_TYPES
+ * @property {import("./validation.js").Message} prompt - Question with every number the student needs
+ * @property {Object} inputs - Calculator inputs that reproduce the problem (with any solved rate filled in)
+ * @property {number|string} answer - Number for numeric questions, an ARBITRAGE_CHOICES value otherwise
+ * @property {number} tolerance - Largest accepted absolute error for numeric answers
+ * @property {number} decimals - Decimals used to display the answer
+ * @property {import("./validation.js").Message|null} unit - Unit shown next to the answer; null for arbitrage questions
+ */
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+const between = (random, [min, max], decimals) => Number((min + random() * (max - min)).toFixed(decimals));
+
+/**
+ * Generates a random covered interest parity problem on simple ACT/360 money-market rates.
+ * Answers come from the calculator's own pricing so the worked solution always agrees.
+ * @param {Object} options
+ * @param {string} [options.type] - Question type; random when omitted
+ * @param {() => number} [options.random=Math.random] - Uniform [0, 1) source, injectable for repeatable problems
+ * @param {Date|string} options.valuationDate - Trade date of the problem, used by the calculator's curve tenors
+ * @returns {QuizProblem}
+ * @throws {Error} When no valuation date is given
+ */
+export function generateQuizProblem({ type, random = Math.random, valuationDate } = {}) {
+  if (!valuationDate) throw new Error("A valuation date is needed to generate a quiz problem");
+  const questionType = type || pick(random, QUIZ_QUESTION_TYPES).value;
+  const { base, quote, spot: spotRange } = pick(random, QUIZ_PAIRS);
+  const pair = getCurrencyPair({ domesticCurrency: base, foreignCurrency: quote, quoteStyle: "indirect" });
+  const pipSize = getPipSize(pair);
+  const spotDecimals = pipSize === 0.01 ? 2 : 4;
+  const days = pick(random, QUIZ_TENOR_DAYS);
+  const baseRate = between(random, QUIZ_RATE_RANGES[base], 2);
+  const quoteRate = between(random, QUIZ_RATE_RANGES[quote], 2);
+
+  // The calculator's domestic currency is the base of an indirect quote
+  const inputs = {
+    spotRate: between(random, spotRange, spotDecimals),
+    domesticRate: baseRate,
+    foreignRate: quoteRate,
+    compounding: "simple",
+    tenorValue: days,
+    tenorUnit: "days",
+    dayCount: "ACT/360",
+    valuationDate,
+    rateMode: "flat",
+    marketForward: null,
+    twoWay: false,
+    domesticCurrency: base,
+    foreignCurrency: quote,
+    quoteStyle: "indirect",
+    notional: 1000,
+    exposureType: "none",
+    uipMode: false,
+    solveFor: "forward"
+  };
+  const fair = calculateForwardExchangeRate(inputs);
+  const given = {
+    pair: pair.label,
+    base,
+    quote,
+    days,
+    spot: { number: inputs.spotRate, decimals: spotDecimals },
+    baseRate: { percent: baseRate, decimals: 2 },
+    quoteRate: { percent: quoteRate, decimals: 2 }
+  };
+  const prompt = values => ({ key: `quiz.prompt.${questionType}`, values: { ...given, ...values } });
+
+  if (questionType === "points") {
+    return {
+      type: questionType,
+      prompt: prompt(),
+      inputs,
+      answer: fair.forwardPoints,
+      tolerance: 1,
+      decimals: 1,
+      unit: { key: "quiz.unit.pips" }
+    };
+  }
+
+  if (questionType === "impliedRate") {
+    const forward = Number(fair.forwardRate.toFixed(spotDecimals));
+    const [known, unknown, field] = random() < 0.5
+      ? [[base, baseRate], quote, "foreignRate"]
+      : [[quote, quoteRate], base, "domesticRate"];
+    const { inputs: solvedInputs, solved } = solveForUnknown({ ...inputs, solveFor: field, givenForward: forward });
+    const years = days / 360;
+    return {
+      type: questionType,
+      prompt: prompt({
+        forward: { number: forward, decimals: spotDecimals },
+        known: known[0],
+        knownRate: { percent: known[1], decimals: 2 },
+        unknown
+      }),
+      inputs: solvedInputs,
+      answer: solved.value,
+      // Allow the rate error that one pip of rounding in the forward produces, but at least 0.01%
+      tolerance: Math.max(0.01, (100 * pipSize) / (forward * years)),
+      decimals: 3,
+      unit: { key: "quiz.unit.percent" }
+    };
+  }
+
+  if (questionType === "arbitrage") {
+    // Mispricings of 0.1% to 0.5% either way, or none; quotes carry two extra decimals so a fair quote stays arbitrage-free
+    const shift = random() < 1 / 3 ? 0 : (random() < 0.5 ? -1 : 1) * between(random, [0.1, 0.5], 2) / 100;
+    const forwardDecimals = spotDecimals + 2;
+    const marketForward = Number((fair.forwardRate * (1 + shift)).toFixed(forwardDecimals));
+    const priced = { ...inputs, marketForward };
+    const { arbitrage } = calculateForwardExchangeRate(priced);
+    // The quoted pair's base is the calculator's domestic currency, so the trade's sides line up
+    const answer = !arbitrage ? "none" : arbitrage.borrow === "base" ? "borrowBase" : "borrowQuote";
+    return {
+      type: questionType,
+      prompt: prompt({ forward: { number: marketForward, decimals: forwardDecimals } }),
+      inputs: priced,
+      answer,
+      tolerance: 0,
+      decimals: 0,
+      unit: null
+    };
+  }
+
+  return {
+    type: "forward",
+    prompt: { key: "quiz.prompt.forward", values: given },
+    inputs,
+    answer: fair.forwardRate,
+    tolerance: pipSize,
+    decimals: spotDecimals,
+    unit: { key: "quiz.unit.quotePerBase", values: { quote, base } }
+  };
+}
+
+/**
+ * Grades an answer against a quiz problem: numeric answers within the tolerance,
+ * arbitrage answers by exact choice.
+ * @param {QuizProblem} problem
+ * @param {number|string} answer
+ * @returns {boolean}
+ */
+export function gradeQuizAnswer(problem, answer) {
+  if (problem.type === "arbitrage") return answer === problem.answer;
+  return Number.isFinite(answer) && Math.abs(answer - problem.answer) <= problem.tolerance + 1e-12;
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { calculateForwardExchangeRate, generateQuizProblem, gradeQuizAnswer, QUIZ_QUESTION_TYPES } from "./index.js";
+
+// Small deterministic generator so each run sees the same problems
+function seeded(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+const DATE = "2025-01-15";
+
+describe("generateQuizProblem", () => {
+  it("is repeatable for the same random source", () => {
+    expect(generateQuizProblem({ random: seeded(7), valuationDate: DATE })).toEqual(generateQuizProblem({ random: seeded(7), valuationDate: DATE }));
+  });
+  
+  it("asks for the valuation date it prices with", () => {
+    expect(() => generateQuizProblem()).toThrow("A valuation date is needed to generate a quiz problem");
+    expect(() => generateQuizProblem({ type: "forward" })).toThrow("valuation date");
+  });
+  
+  it.each(QUIZ_QUESTION_TYPES.map(option => option.value))("prices %s problems with the calculator", (type) => {
+    const random = seeded(42);
+    for (let i = 0; i < 50; i++) {
+      const problem = generateQuizProblem({ type, random, valuationDate: DATE });
+      const model = calculateForwardExchangeRate(problem.inputs);
+      expect(problem.type).toBe(type);
+      expect(model.isValid).toBe(true);
+      if (type === "forward") expect(problem.answer).toBe(model.forwardRate);
+      if (type === "points") expect(problem.answer).toBe(model.forwardPoints);
+      expect(problem.prompt.key).toBe(`quiz.prompt.${type}`);
+      expect(problem.prompt.values.days).toBe(problem.inputs.tenorValue);
+      if (type === "arbitrage") expect(["none", "borrowBase", "borrowQuote"]).toContain(problem.answer);
+    }
+  });
+  
+  it("solves implied-rate problems back to the quoted forward", () => {
+    const random = seeded(3);
+    for (let i = 0; i < 50; i++) {
+      const problem = generateQuizProblem({ type: "impliedRate", random, valuationDate: DATE });
+      const quoted = problem.prompt.values.forward.number;
+      expect(calculateForwardExchangeRate(problem.inputs).forwardRate).toBeCloseTo(quoted, 9);
+    }
+  });
+  
+  it("generates every arbitrage outcome", () => {
+    const random = seeded(11);
+    const answers = new Set(Array.from({ length: 60 }, () => generateQuizProblem({ type: "arbitrage", random, valuationDate: DATE }).answer));
+    expect([...answers].sort()).toEqual(["borrowBase", "borrowQuote", "none"]);
+  });
+});
+
+describe("gradeQuizAnswer", () => {
+  const problem = generateQuizProblem({ type: "forward", random: seeded(5), valuationDate: DATE });
+  
+  it("accepts numeric answers within the tolerance", () => {
+    expect(gradeQuizAnswer(problem, problem.answer + problem.tolerance * 0.9)).toBe(true);
+    expect(gradeQuizAnswer(problem, problem.answer - problem.tolerance * 1.5)).toBe(false);
+    expect(gradeQuizAnswer(problem, NaN)).toBe(false);
+  });
+  
+  it("grades arbitrage answers by choice", () => {
+    const arbitrage = generateQuizProblem({ type: "arbitrage", random: seeded(9), valuationDate: DATE });
+    expect(gradeQuizAnswer(arbitrage, arbitrage.answer)).toBe(true);
+    expect(gradeQuizAnswer(arbitrage, arbitrage.answer === "none" ? "borrowBase" : "none")).toBe(false);
+  });
+});
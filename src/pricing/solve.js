@@ -0,0 +1,77 @@
+import { toCalendarDate, yearFraction } from "./conventions.js";
+import { getCurrencyPair, getPipSize } from "./currencies.js";
+import { calculateForwardExchangeRate, impliedRate } from "./forward.js";
+
+export const SOLVE_FOR_OPTIONS = [
+  { value: "forward", label: "Forward" },
+  { value: "spotRate", label: "Spot" },
+  { value: "domesticRate", label: "Domestic rate" },
+  { value: "foreignRate", label: "Foreign rate" }
+];
+
+/**
+ * @typedef {Object} Solution
+ * @property {Object} inputs - Inputs with the unknown filled in, ready for calculateForwardExchangeRate
+ * @property {{ field: string, value: number }|null} solved - The solved field, or null when pricing the forward
+ * @property {Object<string, import("./validation.js").Message>} errors - Error message per input field when the unknown cannot be solved
+ */
+
+const message = key => ({ key: `solve.${key}` });
+
+/**
+ * Fills in whichever of spot, domestic rate or foreign rate is marked unknown by `solveFor`,
+ * using the quoted forward in `givenForward` (an outright, or points when `givenForwardType`
+ * is "points"). Rates can only be solved with flat rates.
+ * @param {Object} inputs - Calculator inputs
+ * @returns {Solution}
+ */
+export function solveForUnknown(inputs) {
+  const { solveFor = "forward", givenForward = null, givenForwardType = "outright" } = inputs;
+  const priced = { ...inputs, solveFor: "forward" };
+  const unsolved = errors => ({ inputs: priced, solved: null, errors });
+  if (solveFor === "forward") return unsolved({});
+  
+  const isPoints = givenForwardType === "points";
+  if (givenForward === null || !Number.isFinite(givenForward) || (!isPoints && givenForward <= 0)) {
+    return unsolved({ givenForward: message(isPoints ? "pointsRequired" : "forwardRequired") });
+  }
+  // checkInputs reports a missing valuation date; there is nothing to solve without it
+  if (!toCalendarDate(inputs.valuationDate)) return unsolved({});
+  const pipSize = getPipSize(getCurrencyPair(inputs));
+  
+  // The quoted forward is proportional to the quoted spot, so pricing a spot of 1 gives F/S
+  if (solveFor === "spotRate") {
+    const ratio = calculateForwardExchangeRate({ ...priced, spotRate: 1 }).forwardRate;
+    const spot = isPoints ? givenForward * pipSize / (ratio - 1) : givenForward / ratio;
+    if (!Number.isFinite(spot) || spot <= 0) {
+      return unsolved({
+        givenForward: message(isPoints && Math.abs(ratio - 1) < 1e-12 ? "equalRates" : "noSpot")
+      });
+    }
+    return { inputs: { ...priced, spotRate: spot }, solved: { field: "spotRate", value: spot }, errors: {} };
+  }
+  
+  if (inputs.rateMode === "curve") {
+    return unsolved({ solveFor: message("flatRatesOnly") });
+  }
+  if (!(inputs.spotRate > 0)) return unsolved({});
+  
+  const forward = isPoints ? inputs.spotRate + givenForward * pipSize : givenForward;
+  if (!(forward > 0)) return unsolved({ givenForward: message("forwardNotPositive") });
+  
+  // Quoted pairs are quote per 1 base; the domestic currency is the base of an indirect quote
+  const domesticIsBase = inputs.quoteStyle !== "direct";
+  const solvingDomestic = solveFor === "domesticRate";
+  const rate = impliedRate({
+    spot: inputs.spotRate,
+    forward,
+    knownRate: solvingDomestic ? inputs.foreignRate : inputs.domesticRate,
+    solveFor: solvingDomestic === domesticIsBase ? "base" : "quote",
+    years: yearFraction(inputs.tenorValue, inputs.tenorUnit, inputs.dayCount, inputs.valuationDate),
+    compounding: inputs.compounding
+  });
+  if (!Number.isFinite(rate)) {
+    return unsolved({ givenForward: message("noRate") });
+  }
+  return { inputs: { ...priced, [solveFor]: rate }, solved: { field: solveFor, value: rate }, errors: {} };
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { calculateForwardExchangeRate, solveForUnknown } from "./index.js";
+
+const INPUTS = {
+  spotRate: 1.2602,
+  domesticRate: 2.36,
+  foreignRate: 2.43,
+  compounding: "annual",
+  tenorValue: 6,
+  tenorUnit: "months",
+  dayCount: "30/360",
+  rateMode: "flat",
+  domesticCurrency: "USD",
+  foreignCurrency: "CAD",
+  quoteStyle: "indirect",
+  valuationDate: "2025-01-15"
+};
+const FORWARD = calculateForwardExchangeRate(INPUTS);
+
+describe("solveForUnknown", () => {
+  it("passes inputs through when solving for the forward", () => {
+    const { inputs, solved, errors } = solveForUnknown({ ...INPUTS, solveFor: "forward" });
+    expect(inputs.spotRate).toBe(INPUTS.spotRate);
+    expect(solved).toBeNull();
+    expect(errors).toEqual({});
+  });
+  
+  it.each(["indirect", "direct"])("recovers each unknown from an outright forward (%s quote)", (quoteStyle) => {
+    const base = { ...INPUTS, quoteStyle, spotRate: quoteStyle === "direct" ? 1 / INPUTS.spotRate : INPUTS.spotRate };
+    const givenForward = calculateForwardExchangeRate(base).forwardRate;
+    
+    [["spotRate", base.spotRate], ["domesticRate", 2.36], ["foreignRate", 2.43]].forEach(([field, expected]) => {
+      const { solved, errors } = solveForUnknown({ ...base, solveFor: field, givenForward, [field]: 99 });
+      expect(errors).toEqual({});
+      expect(solved.field).toBe(field);
+      expect(solved.value).toBeCloseTo(expected, 9);
+    });
+  });
+  
+  it("solves spot from forward points", () => {
+    const { solved } = solveForUnknown({ ...INPUTS, solveFor: "spotRate", givenForward: FORWARD.forwardPoints, givenForwardType: "points", spotRate: null });
+    expect(solved.value).toBeCloseTo(INPUTS.spotRate, 9);
+  });
+  
+  it("solves a negative implied rate from forward points", () => {
+    const inputs = { ...INPUTS, foreignRate: -0.5 };
+    const { forwardPoints } = calculateForwardExchangeRate(inputs);
+    const { solved } = solveForUnknown({ ...inputs, solveFor: "foreignRate", givenForward: forwardPoints, givenForwardType: "points" });
+    expect(solved.value).toBeCloseTo(-0.5, 9);
+  });
+  
+  it("cannot solve spot from points when rates are equal", () => {
+    const { errors } = solveForUnknown({ ...INPUTS, foreignRate: 2.36, solveFor: "spotRate", givenForward: 5, givenForwardType: "points" });
+    expect(errors).toHaveProperty("givenForward");
+  });
+  
+  it("requires the forward and flat rates", () => {
+    expect(solveForUnknown({ ...INPUTS, solveFor: "domesticRate", givenForward: null }).errors).toHaveProperty("givenForward");
+    expect(solveForUnknown({ ...INPUTS, solveFor: "domesticRate", givenForward: 1.27, rateMode: "curve" }).errors).toHaveProperty("solveFor");
+  });
+  
+  it("counts the days from the valuation date under ACT bases", () => {
+    // Six months from 15 Jan 2024 spans 29 February, one day more than from 15 Jan 2025
+    const inputs = { ...INPUTS, dayCount: "ACT/365", valuationDate: "2024-01-15" };
+    const { forwardRate, years } = calculateForwardExchangeRate(inputs);
+    expect(years).toBeCloseTo(182 / 365, 12);
+    expect(calculateForwardExchangeRate({ ...inputs, valuationDate: "2025-01-15" }).years).toBeCloseTo(181 / 365, 12);
+    const { solved } = solveForUnknown({ ...inputs, solveFor: "foreignRate", givenForward: forwardRate });
+    expect(solved.value).toBeCloseTo(2.43, 9);
+    expect(solveForUnknown({ ...inputs, solveFor: "foreignRate", givenForward: forwardRate, valuationDate: "" }).solved).toBeNull();
+  });
+});
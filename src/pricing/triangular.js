@@ -0,0 +1,178 @@
+import { getCurrencyPair, getPipSize } from "./currencies.js";
+import { calculateForwardExchangeRate } from "./forward.js";
+
+/**
+ * A rate quoted as `quote` units per 1 `base`.
+ * @typedef {Object} CrossQuote
+ * @property {string} label - e.g. "EUR/USD"
+ * @property {string} base
+ * @property {string} quote
+ * @property {number} spot
+ * @property {number} forward
+ * @property {number} forwardPoints - Forward minus spot in pips of the quote currency
+ */
+
+/**
+ * @typedef {Object} LoopStep
+ * @property {string} from - Currency sold
+ * @property {string} to - Currency bought
+ * @property {string} label - Pair the step trades
+ * @property {number} rate - Rate the step trades at, as quoted for that pair
+ * @property {number} amountIn - Amount of `from` sold
+ * @property {number} amountOut - Amount of `to` bought
+ */
+
+/**
+ * @typedef {Object} ArbitrageLoop
+ * @property {string} time - "t = 0" for spot, the maturity label for forwards
+ * @property {string[]} path - Currencies visited, starting and ending in the domestic currency
+ * @property {LoopStep[]} steps
+ * @property {number} profit - Domestic currency left over per notional
+ */
+
+// Converts an amount of `from` into the other currency of a quote
+function exchange(amount, from, { base, rate }) {
+  return from === base ? amount * rate : amount / rate;
+}
+
+// Common currency units per 1 unit of `currency`, from a leg quoted either way round
+function perCommon(leg, currency, rate) {
+  return leg.base === currency ? rate : 1 / rate;
+}
+
+// Market-convention pair of a currency against the common currency
+function legPair(currency, common) {
+  const { marketQuoteStyle } = getCurrencyPair({ domesticCurrency: currency, foreignCurrency: common, quoteStyle: "indirect" });
+  return { ...getCurrencyPair({ domesticCurrency: currency, foreignCurrency: common, quoteStyle: marketQuoteStyle }), quoteStyle: marketQuoteStyle };
+}
+
+// Calculator pair rate (as quoted by `quoteStyle`) from each currency's market-convention
+// rate against the common currency
+function crossFromLegs({ domesticCurrency, foreignCurrency, commonCurrency, quoteStyle }, domesticLegRate, foreignLegRate) {
+  const domesticPerCommon = perCommon(legPair(domesticCurrency, commonCurrency), domesticCurrency, domesticLegRate);
+  const foreignPerCommon = perCommon(legPair(foreignCurrency, commonCurrency), foreignCurrency, foreignLegRate);
+  // Foreign per 1 domestic is the ratio of their values in the common currency
+  const indirect = domesticPerCommon / foreignPerCommon;
+  return quoteStyle === "direct" ? 1 / indirect : indirect;
+}
+
+/**
+ * Cross spot for the calculator's pair from two spot legs against a common currency. Each leg
+ * is entered in market convention, e.g. EUR/USD and EUR/CAD for USD/CAD.
+ * @param {Object} inputs - Calculator inputs with `commonCurrency`, `domesticLegSpot` and `foreignLegSpot`
+ * @returns {number} Cross spot, quoted as `quoteStyle`
+ */
+export function deriveCrossSpot(inputs) {
+  return crossFromLegs(inputs, inputs.domesticLegSpot, inputs.foreignLegSpot);
+}
+
+// Runs the notional round the triangle both ways and keeps the direction that clears the
+// same 0.01 tolerance as covered interest arbitrage, or null when neither does
+function findLoop({ quotes, currencies, notional, time }) {
+  const [domestic, foreign, common] = currencies;
+  const [cross, domesticLeg, foreignLeg] = quotes;
+  const run = (path, route) => {
+    let amount = notional;
+    const steps = route.map((quote, index) => {
+      const amountOut = exchange(amount, path[index], quote);
+      const step = { from: path[index], to: path[index + 1], label: quote.label, rate: quote.rate, amountIn: amount, amountOut };
+      amount = amountOut;
+      return step;
+    });
+    return { time, path, steps, profit: amount - notional };
+  };
+
+  const loop = [
+    run([domestic, foreign, common, domestic], [cross, foreignLeg, domesticLeg]),
+    run([domestic, common, foreign, domestic], [domesticLeg, foreignLeg, cross])
+  ].find(candidate => candidate.profit >= 0.01);
+  return loop || null;
+}
+
+/**
+ * Three-currency mode: prices each currency's leg against the common currency with covered
+ * parity, derives the cross spot and forward from the legs, and checks optional direct cross
+ * quotes for a triangular arbitrage loop. Rates are flat; the cross is quoted as the calculator's
+ * pair (`quoteStyle`) and the legs in market convention.
+ * @param {Object} inputs - Calculator inputs (see DEFAULT_INPUTS in App.jsx)
+ * @returns {{ legs: CrossQuote[], cross: CrossQuote, quoted: { spot: number|null, forward: number|null },
+ *   spotArbitrage: ArbitrageLoop|null, forwardArbitrage: ArbitrageLoop|null, tenorLabel: string }}
+ */
+export function calculateCrossRates(inputs) {
+  const {
+    domesticCurrency,
+    foreignCurrency,
+    commonCurrency,
+    domesticRate,
+    foreignRate,
+    commonRate,
+    domesticLegSpot,
+    foreignLegSpot,
+    crossSpotQuote = null,
+    crossForwardQuote = null,
+    notional = 1000
+  } = inputs;
+
+  const priceLeg = (currency, rate, spotRate) => {
+    const pair = legPair(currency, commonCurrency);
+    const model = calculateForwardExchangeRate({
+      ...inputs,
+      spotRate,
+      domesticRate: rate,
+      foreignRate: commonRate,
+      rateMode: "flat",
+      domesticCurrency: currency,
+      foreignCurrency: commonCurrency,
+      quoteStyle: pair.quoteStyle,
+      marketForward: null,
+      twoWay: false,
+      uipMode: false,
+      exposureType: "none"
+    });
+    return {
+      label: pair.label,
+      base: pair.base,
+      quote: pair.quote,
+      spot: spotRate,
+      forward: model.forwardRate,
+      forwardPoints: model.forwardPoints,
+      tenorLabel: model.tenorLabel
+    };
+  };
+  const domesticLeg = priceLeg(domesticCurrency, domesticRate, domesticLegSpot);
+  const foreignLeg = priceLeg(foreignCurrency, foreignRate, foreignLegSpot);
+
+  const pair = getCurrencyPair(inputs);
+  const spot = crossFromLegs(inputs, domesticLegSpot, foreignLegSpot);
+  const forward = crossFromLegs(inputs, domesticLeg.forward, foreignLeg.forward);
+  const cross = {
+    label: pair.label,
+    base: pair.base,
+    quote: pair.quote,
+    spot,
+    forward,
+    forwardPoints: (forward - spot) / getPipSize(pair)
+  };
+
+  const loopAt = (side, crossRateQuoted, time) => (crossRateQuoted === null
+    ? null
+    : findLoop({
+        quotes: [
+          { ...cross, rate: crossRateQuoted },
+          { ...domesticLeg, rate: domesticLeg[side] },
+          { ...foreignLeg, rate: foreignLeg[side] }
+        ],
+        currencies: [domesticCurrency, foreignCurrency, commonCurrency],
+        notional,
+        time
+      }));
+
+  return {
+    legs: [domesticLeg, foreignLeg],
+    cross,
+    quoted: { spot: crossSpotQuote, forward: crossForwardQuote },
+    spotArbitrage: loopAt("spot", crossSpotQuote, "t = 0"),
+    forwardArbitrage: loopAt("forward", crossForwardQuote, `t = ${domesticLeg.tenorLabel}`),
+    tenorLabel: domesticLeg.tenorLabel
+  };
+}
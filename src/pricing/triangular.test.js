@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { calculateCrossRates, calculateForwardExchangeRate, deriveCrossSpot } from "./index.js";
+
+// USD/CAD through EUR: EUR/USD 1.0850 and EUR/CAD 1.4673 give a cross spot of 1.352350
+const CROSS_INPUTS = {
+  domesticRate: 2.36,
+  foreignRate: 2.43,
+  compounding: "continuous",
+  tenorValue: 1,
+  tenorUnit: "years",
+  dayCount: "ACT/365",
+  domesticCurrency: "USD",
+  foreignCurrency: "CAD",
+  quoteStyle: "indirect",
+  notional: 1000000,
+  commonCurrency: "EUR",
+  commonRate: 2.15,
+  domesticLegSpot: 1.085,
+  foreignLegSpot: 1.4673,
+  crossSpotQuote: null,
+  crossForwardQuote: null,
+  valuationDate: new Date(2025, 0, 15)
+};
+
+describe("deriveCrossSpot", () => {
+  it("divides the legs when both are quoted against the common currency as base", () => {
+    expect(deriveCrossSpot(CROSS_INPUTS)).toBeCloseTo(1.4673 / 1.085, 12);
+    expect(deriveCrossSpot({ ...CROSS_INPUTS, quoteStyle: "direct" })).toBeCloseTo(1.085 / 1.4673, 12);
+  });
+
+  it("multiplies the legs when the common currency sits between them", () => {
+    // EUR/JPY through USD: EUR/USD 1.0850 and USD/JPY 150.00
+    const spot = deriveCrossSpot({ ...CROSS_INPUTS, domesticCurrency: "EUR", foreignCurrency: "JPY", commonCurrency: "USD", domesticLegSpot: 1.085, foreignLegSpot: 150 });
+    expect(spot).toBeCloseTo(162.75, 10);
+  });
+});
+
+describe("calculateCrossRates", () => {
+  it("prices each leg with covered parity and labels it in market convention", () => {
+    const { legs } = calculateCrossRates(CROSS_INPUTS);
+    expect(legs.map(leg => leg.label)).toEqual(["EUR/USD", "EUR/CAD"]);
+    expect(legs[0].forward).toBeCloseTo(1.085 * Math.exp(0.0236 - 0.0215), 12);
+    expect(legs[1].forward).toBeCloseTo(1.4673 * Math.exp(0.0243 - 0.0215), 12);
+  });
+
+  it.each(["indirect", "direct"])("derives the same cross forward as pricing the pair directly (%s quote)", (quoteStyle) => {
+    const { cross } = calculateCrossRates({ ...CROSS_INPUTS, quoteStyle });
+    const direct = calculateForwardExchangeRate({ ...CROSS_INPUTS, quoteStyle, spotRate: cross.spot });
+    expect(cross.label).toBe(quoteStyle === "indirect" ? "USD/CAD" : "CAD/USD");
+    expect(cross.forward).toBeCloseTo(direct.forwardRate, 12);
+    expect(cross.forwardPoints).toBeCloseTo(direct.forwardPoints, 8);
+  });
+
+  it("reports no loop when the quoted cross matches the legs", () => {
+    const fair = calculateCrossRates(CROSS_INPUTS).cross;
+    const result = calculateCrossRates({ ...CROSS_INPUTS, crossSpotQuote: fair.spot, crossForwardQuote: fair.forward });
+    expect(result.spotArbitrage).toBeNull();
+    expect(result.forwardArbitrage).toBeNull();
+  });
+
+  it("sells the domestic currency through the cross when the quoted cross is rich", () => {
+    const fair = calculateCrossRates(CROSS_INPUTS).cross;
+    const { spotArbitrage } = calculateCrossRates({ ...CROSS_INPUTS, crossSpotQuote: fair.spot * 1.001 });
+    expect(spotArbitrage.path).toEqual(["USD", "CAD", "EUR", "USD"]);
+    expect(spotArbitrage.time).toBe("t = 0");
+    expect(spotArbitrage.profit).toBeCloseTo(1000, 6);
+    expect(spotArbitrage.steps.map(step => step.label)).toEqual(["USD/CAD", "EUR/CAD", "EUR/USD"]);
+    expect(spotArbitrage.steps[2].amountOut - spotArbitrage.steps[0].amountIn).toBeCloseTo(spotArbitrage.profit, 8);
+  });
+
+  it("checks the quoted cross forward in either quote style and direction", () => {
+    const fair = calculateCrossRates(CROSS_INPUTS).cross;
+    const { forwardArbitrage } = calculateCrossRates({ ...CROSS_INPUTS, quoteStyle: "direct", crossForwardQuote: 1 / (fair.forward * 1.002) });
+    expect(forwardArbitrage.path).toEqual(["USD", "CAD", "EUR", "USD"]);
+    expect(forwardArbitrage.time).toBe("t = 1Y");
+    expect(forwardArbitrage.profit).toBeGreaterThan(1900);
+
+    const cheap = calculateCrossRates({ ...CROSS_INPUTS, crossForwardQuote: fair.forward / 1.002 }).forwardArbitrage;
+    expect(cheap.path).toEqual(["USD", "EUR", "CAD", "USD"]);
+    expect(cheap.profit).toBeGreaterThan(1900);
+  });
+});
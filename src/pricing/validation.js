@@ -0,0 +1,305 @@
+import { toCalendarDate, yearFraction } from "./conventions.js";
+import { getCurrencyPair, referenceSpot } from "./currencies.js";
+
+/**
+ * Text for the UI to translate: a message key and its placeholder values. Numbers come as
+ * { number, decimals } or { percent, decimals } so they can be formatted for the reader's
+ * locale, and a value may itself be a Message.
+ * @typedef {Object} Message
+ * @property {string} key
+ * @property {Object} [values]
+ */
+
+/**
+ * Bounds for a numeric field. Any property may be left out.
+ * @typedef {Object} Bounds
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {boolean} [exclusiveMin] - Reject `min` itself
+ */
+
+/**
+ * Declarative rule for one numeric input. `label`, `limits` and `typical` may also be
+ * functions of the inputs, so limits can follow the selected currency pair.
+ * @typedef {Object} FieldRule
+ * @property {Message|((inputs: Object) => Message)} label - Field name used in messages
+ * @property {(inputs: Object) => boolean} [when] - The rule only applies when this returns true
+ * @property {boolean} [optional] - A blank (null) value is allowed
+ * @property {boolean} [integer]
+ * @property {(value: number, inputs: Object) => *} [quantity] - Message value for a number of
+ *   this field, e.g. a percentage; a plain number by default
+ * @property {Bounds} [limits] - Hard error outside these bounds; the inputs cannot be priced
+ * @property {Bounds|null} [typical] - Warning outside these bounds; the inputs are still priced
+ */
+
+const resolve = (value, inputs) => (typeof value === "function" ? value(inputs) : value);
+// Message values keep the decimals a number was entered with, up to four significant digits
+const decimalsOf = value => (String(Number(value.toPrecision(4))).split(".")[1] || "").length;
+const plainNumber = value => ({ number: value, decimals: decimalsOf(value) });
+const percent = value => ({ percent: value, decimals: decimalsOf(value) });
+
+const flatRates = inputs => inputs.rateMode !== "curve";
+const pairLabel = inputs => getCurrencyPair(inputs).label;
+const field = (key, values) => ({ key: `field.${key}`, values });
+const RATE_LIMITS = { min: -100, exclusiveMin: true, max: 50 };
+const TYPICAL_RATES = { min: -1, max: 20 };
+const MAX_TENOR = { days: 10950, months: 360, years: 30 };
+
+// Typical band around a level: within `factor` times either way
+const around = (level, factor) => (level > 0 ? { min: level / factor, max: level * factor } : null);
+
+// Spot legs of three-currency mode are quoted in market convention against the common currency
+const legReference = (inputs, currency) => {
+  const { marketQuoteStyle } = getCurrencyPair({ domesticCurrency: currency, foreignCurrency: inputs.commonCurrency, quoteStyle: "indirect" });
+  return referenceSpot(getCurrencyPair({ domesticCurrency: currency, foreignCurrency: inputs.commonCurrency, quoteStyle: marketQuoteStyle }));
+};
+
+const rateRule = (currency, when) => ({
+  label: inputs => field("interestRate", { currency: currency(inputs) }),
+  when,
+  quantity: percent,
+  limits: RATE_LIMITS,
+  typical: TYPICAL_RATES
+});
+
+const sideRateRule = (currency, side) => ({
+  label: inputs => field(`${side}Rate`, { currency: currency(inputs) }),
+  when: inputs => inputs.twoWay,
+  optional: true,
+  quantity: percent,
+  limits: RATE_LIMITS,
+  typical: TYPICAL_RATES
+});
+
+// Quotes of the pair itself are checked against the spot they should sit near
+const quoteRule = (key, when, factor) => ({
+  label: inputs => field(key, { pair: pairLabel(inputs) }),
+  when,
+  optional: true,
+  limits: { min: 0, exclusiveMin: true },
+  typical: inputs => around(inputs.spotRate, factor)
+});
+
+// Tenor lengths are reported in the unit chosen next to the field
+const tenorRule = (key, unitField) => ({
+  label: field(key),
+  integer: true,
+  quantity: (value, inputs) => ({ key: `validation.${inputs[unitField]}`, values: { count: value } }),
+  limits: inputs => ({ min: 0, exclusiveMin: true, max: MAX_TENOR[inputs[unitField]] })
+});
+
+/** @type {Object<string, FieldRule>} */
+export const INPUT_SCHEMA = {
+  // In three-currency mode the spot is derived from the legs, so the legs are checked instead
+  spotRate: {
+    label: inputs => field("spotRate", { pair: pairLabel(inputs) }),
+    when: inputs => !inputs.crossMode,
+    limits: { min: 0, exclusiveMin: true },
+    typical: inputs => around(referenceSpot(getCurrencyPair(inputs)), 2)
+  },
+  domesticLegSpot: {
+    label: inputs => field("legSpot", { currency: inputs.domesticCurrency }),
+    when: inputs => inputs.crossMode,
+    limits: { min: 0, exclusiveMin: true },
+    typical: inputs => around(legReference(inputs, inputs.domesticCurrency), 2)
+  },
+  foreignLegSpot: {
+    label: inputs => field("legSpot", { currency: inputs.foreignCurrency }),
+    when: inputs => inputs.crossMode,
+    limits: { min: 0, exclusiveMin: true },
+    typical: inputs => around(legReference(inputs, inputs.foreignCurrency), 2)
+  },
+  domesticRate: rateRule(inputs => inputs.domesticCurrency, flatRates),
+  foreignRate: rateRule(inputs => inputs.foreignCurrency, flatRates),
+  commonRate: rateRule(inputs => inputs.commonCurrency, inputs => inputs.crossMode),
+  crossSpotQuote: quoteRule("crossSpotQuote", inputs => inputs.crossMode, 1.1),
+  crossForwardQuote: quoteRule("crossForwardQuote", inputs => inputs.crossMode, 1.5),
+  marketForward: quoteRule("marketForward", inputs => !inputs.twoWay, 1.5),
+  spotBid: quoteRule("spotBid", inputs => inputs.twoWay, 1.1),
+  spotAsk: quoteRule("spotAsk", inputs => inputs.twoWay, 1.1),
+  forwardBid: quoteRule("forwardBid", inputs => inputs.twoWay, 1.5),
+  forwardAsk: quoteRule("forwardAsk", inputs => inputs.twoWay, 1.5),
+  domesticDepositRate: sideRateRule(inputs => inputs.domesticCurrency, "deposit"),
+  domesticBorrowRate: sideRateRule(inputs => inputs.domesticCurrency, "borrow"),
+  foreignDepositRate: sideRateRule(inputs => inputs.foreignCurrency, "deposit"),
+  foreignBorrowRate: sideRateRule(inputs => inputs.foreignCurrency, "borrow"),
+  notional: {
+    label: field("notional"),
+    limits: { min: 0, exclusiveMin: true }
+  },
+  exposureAmount: {
+    label: inputs => field("exposureAmount", { currency: inputs.foreignCurrency }),
+    when: inputs => inputs.exposureType !== "none",
+    limits: { min: 0, exclusiveMin: true }
+  },
+  expectedSpot: quoteRule("expectedSpot", inputs => inputs.uipMode, 2),
+  spotVolatility: {
+    label: field("spotVolatility"),
+    when: inputs => inputs.uipMode,
+    quantity: percent,
+    limits: { min: 0, max: 100 },
+    typical: { max: 40 }
+  },
+  tenorValue: tenorRule("tenor", "tenorUnit")
+};
+
+/**
+ * Rules for the forward valuation panel: an existing forward contract and an FX swap.
+ * @type {Object<string, FieldRule>}
+ */
+export const VALUATION_SCHEMA = {
+  contractRate: {
+    label: field("contractRate"),
+    limits: { min: 0, exclusiveMin: true }
+  },
+  notional: {
+    label: field("contractNotional"),
+    limits: { min: 0, exclusiveMin: true }
+  },
+  originalValue: tenorRule("originalTenor", "originalUnit"),
+  remainingValue: tenorRule("remainingTenor", "remainingUnit"),
+  swapNotional: {
+    label: field("swapNotional"),
+    limits: { min: 0, exclusiveMin: true }
+  }
+};
+
+const message = (key, values) => ({ key: `validation.${key}`, values });
+
+function checkCurve(curve, currency) {
+  const tenors = curve.map(pillar => pillar.years);
+  if (tenors.some(years => !(years > 0))) return message("curveTenorsPositive", { currency });
+  if (new Set(tenors).size !== tenors.length) return message("curveTenorsUnique", { currency });
+  if (curve.some(pillar => !(pillar.rate > RATE_LIMITS.min && pillar.rate <= RATE_LIMITS.max))) {
+    return message("curveRates", { currency, min: percent(RATE_LIMITS.min), max: percent(RATE_LIMITS.max) });
+  }
+  return null;
+}
+
+// Bid above ask (or deposit above borrowing) is reported on the bid field
+const crossedQuote = (bidField, askField, issue) => inputs => (
+  inputs.twoWay && inputs[bidField] > inputs[askField] ? [bidField, resolve(issue, inputs)] : null
+);
+
+// Rules spanning several inputs; each returns [field, message] or null
+const CROSS_FIELD_CHECKS = [
+  inputs => (toCalendarDate(inputs.valuationDate) === null
+    ? ["valuationDate", message("valuationDate")]
+    : null),
+  inputs => (inputs.domesticCurrency === inputs.foreignCurrency
+    ? ["foreignCurrency", message("sameCurrency")]
+    : null),
+  inputs => (inputs.crossMode && [inputs.domesticCurrency, inputs.foreignCurrency].includes(inputs.commonCurrency)
+    ? ["commonCurrency", message("commonCurrency")]
+    : null),
+  inputs => (inputs.crossMode && inputs.rateMode === "curve"
+    ? ["crossMode", message("crossModeCurve")]
+    : null),
+  inputs => (inputs.crossMode && inputs.solveFor === "spotRate"
+    ? ["solveFor", message("crossModeSpot")]
+    : null),
+  ...["domestic", "foreign"].map(side => inputs => {
+    if (inputs.rateMode !== "curve") return null;
+    const issue = checkCurve(inputs[`${side}Curve`], inputs[`${side}Currency`]);
+    return issue ? [`${side}Curve`, issue] : null;
+  }),
+  crossedQuote("spotBid", "spotAsk", message("crossedSpot")),
+  crossedQuote("forwardBid", "forwardAsk", message("crossedForward")),
+  crossedQuote("domesticDepositRate", "domesticBorrowRate", inputs => message("crossedRates", { currency: inputs.domesticCurrency })),
+  crossedQuote("foreignDepositRate", "foreignBorrowRate", inputs => message("crossedRates", { currency: inputs.foreignCurrency }))
+];
+
+const VALUATION_CHECKS = [
+  inputs => {
+    if (!(inputs.originalValue > 0 && inputs.remainingValue > 0)) return null;
+    const years = side => yearFraction(inputs[`${side}Value`], inputs[`${side}Unit`], inputs.dayCount, inputs.valuationDate);
+    return years("remaining") > years("original") ? ["remainingValue", message("remainingTooLong")] : null;
+  }
+];
+
+/**
+ * Checks one value against its rule.
+ * @param {FieldRule} rule
+ * @param {*} value
+ * @param {Object} inputs
+ * @returns {{ level: "error"|"warning", message: Message }|null}
+ */
+export function checkField(rule, value, inputs) {
+  const label = resolve(rule.label, inputs);
+  const quantity = number => (rule.quantity || plainNumber)(number, inputs);
+  const error = (key, values) => ({ level: "error", message: message(key, { label, ...values }) });
+
+  if (value === null || value === undefined || value === "") {
+    return rule.optional ? null : error("required");
+  }
+  if (typeof value !== "number" || Number.isNaN(value)) return error("notNumber");
+  if (rule.integer && !Number.isInteger(value)) return error("notInteger");
+
+  const { min, max, exclusiveMin } = resolve(rule.limits, inputs) || {};
+  if (min !== undefined && (exclusiveMin ? !(value > min) : !(value >= min))) {
+    if (exclusiveMin && min === 0) return error("notPositive");
+    return error(exclusiveMin ? "greaterThan" : "atLeast", { min: quantity(min) });
+  }
+  if (max !== undefined && value > max) return error("atMost", { max: quantity(max) });
+
+  const typical = resolve(rule.typical, inputs);
+  if (typical && ((typical.min !== undefined && value < typical.min) || (typical.max !== undefined && value > typical.max))) {
+    const range = typical.min === undefined
+      ? message("typicalAtMost", { max: quantity(typical.max) })
+      : typical.max === undefined
+        ? message("typicalAtLeast", { min: quantity(typical.min) })
+        : message("typicalBetween", { min: quantity(typical.min), max: quantity(typical.max) });
+    return { level: "warning", message: message("unusual", { label, value: quantity(value), range }) };
+  }
+  return null;
+}
+
+/**
+ * Checks calculator inputs against INPUT_SCHEMA and the cross-field rules. Errors block pricing;
+ * warnings flag unusual but priceable values.
+ * @param {Object} inputs - Calculator inputs (see DEFAULT_INPUTS in App.jsx)
+ * @returns {{ errors: Object<string, Message>, warnings: Object<string, Message> }} Message per input field
+ */
+export function checkInputs(inputs) {
+  return checkAgainst(INPUT_SCHEMA, CROSS_FIELD_CHECKS, inputs);
+}
+
+/**
+ * Checks the forward valuation panel's inputs against VALUATION_SCHEMA, including that the
+ * remaining tenor does not outlast the original one.
+ * @param {Object} inputs - The VALUATION_SCHEMA fields with their `originalUnit` and
+ *   `remainingUnit`, plus the calculator's `dayCount` and `valuationDate`
+ * @returns {{ errors: Object<string, Message>, warnings: Object<string, Message> }} Message per input field
+ */
+export function checkValuationInputs(inputs) {
+  return checkAgainst(VALUATION_SCHEMA, VALUATION_CHECKS, inputs);
+}
+
+function checkAgainst(schema, crossFieldChecks, inputs) {
+  const errors = {};
+  const warnings = {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (rule.when && !rule.when(inputs)) return;
+    const issue = checkField(rule, inputs[field], inputs);
+    if (issue) (issue.level === "error" ? errors : warnings)[field] = issue.message;
+  });
+
+  crossFieldChecks.forEach(check => {
+    const issue = check(inputs);
+    if (!issue || errors[issue[0]]) return;
+    errors[issue[0]] = issue[1];
+    delete warnings[issue[0]];
+  });
+
+  return { errors, warnings };
+}
+
+/**
+ * Checks calculator inputs before pricing. An empty result means the inputs can be priced.
+ * @param {Object} inputs - Calculator inputs (see DEFAULT_INPUTS in App.jsx)
+ * @returns {Object<string, Message>} Error message per input field
+ */
+export function validateInputs(inputs) {
+  return checkInputs(inputs).errors;
+}
@@ -0,0 +1,156 @@
+import { describe, expect, it } from "vitest";
+import { translateMessage } from "../i18n/index.js";
+import { checkInputs, checkValuationInputs, validateInputs } from "./index.js";
+
+// Messages are { key, values } for the UI to translate; compare them as English text
+const english = messages => Object.fromEntries(Object.entries(messages).map(([field, message]) => [field, translateMessage("en", message)]));
+
+const VALID_INPUTS = {
+  spotRate: 1.2602,
+  domesticRate: 2.36,
+  foreignRate: 2.43,
+  rateMode: "flat",
+  tenorValue: 1,
+  tenorUnit: "years",
+  twoWay: false,
+  marketForward: null,
+  notional: 1000,
+  exposureType: "none",
+  uipMode: false,
+  domesticCurrency: "USD",
+  foreignCurrency: "CAD",
+  valuationDate: "2025-01-15"
+};
+
+describe("validateInputs", () => {
+  it("accepts valid inputs", () => {
+    expect(validateInputs(VALID_INPUTS)).toEqual({});
+  });
+  
+  it("accepts negative and equal rates", () => {
+    expect(validateInputs({ ...VALID_INPUTS, domesticRate: -0.75, foreignRate: -0.75 })).toEqual({});
+  });
+  
+  it("rejects rates at or below -100% and above 50%", () => {
+    const errors = validateInputs({ ...VALID_INPUTS, domesticRate: -100, foreignRate: 50.01 });
+    expect(Object.keys(errors).sort()).toEqual(["domesticRate", "foreignRate"]);
+  });
+  
+  it("rejects a pair with the same currency twice", () => {
+    expect(validateInputs({ ...VALID_INPUTS, foreignCurrency: "USD" })).toHaveProperty("foreignCurrency");
+  });
+  
+  it("rejects fractional and overlong tenors", () => {
+    expect(validateInputs({ ...VALID_INPUTS, tenorValue: 1.5 })).toHaveProperty("tenorValue");
+    expect(english(validateInputs({ ...VALID_INPUTS, tenorValue: 361, tenorUnit: "months" }))).toEqual({ tenorValue: "Tenor cannot exceed 360 months" });
+  });
+  
+  it("requires a real valuation date", () => {
+    expect(english(validateInputs({ ...VALID_INPUTS, valuationDate: "" }))).toEqual({ valuationDate: "Enter a valid valuation date" });
+    expect(validateInputs({ ...VALID_INPUTS, valuationDate: "2025-02-29" })).toHaveProperty("valuationDate");
+  });
+  
+  it("rejects crossed two-way quotes", () => {
+    const errors = validateInputs({
+      ...VALID_INPUTS,
+      twoWay: true,
+      spotBid: 1.2605,
+      spotAsk: 1.26,
+      forwardBid: null,
+      forwardAsk: null,
+      domesticDepositRate: null,
+      domesticBorrowRate: null,
+      foreignDepositRate: 2.5,
+      foreignBorrowRate: 2.4
+    });
+    expect(Object.keys(errors).sort()).toEqual(["foreignDepositRate", "spotBid"]);
+  });
+  
+  it("checks the legs instead of the spot in three-currency mode", () => {
+    const cross = {
+      ...VALID_INPUTS,
+      spotRate: null,
+      crossMode: true,
+      commonCurrency: "EUR",
+      commonRate: 2.15,
+      domesticLegSpot: 1.085,
+      foreignLegSpot: 1.4673,
+      crossSpotQuote: null,
+      crossForwardQuote: null
+    };
+    expect(validateInputs(cross)).toEqual({});
+    const errors = validateInputs({ ...cross, commonCurrency: "CAD", foreignLegSpot: 0, crossSpotQuote: -1, solveFor: "spotRate" });
+    expect(Object.keys(errors).sort()).toEqual(["commonCurrency", "crossSpotQuote", "foreignLegSpot", "solveFor"]);
+  });
+});
+
+describe("checkInputs", () => {
+  it("prices USD/JPY near 150 without errors or warnings", () => {
+    const { errors, warnings } = checkInputs({ ...VALID_INPUTS, foreignCurrency: "JPY", spotRate: 150.25, foreignRate: 0.5 });
+    expect(errors).toEqual({});
+    expect(warnings).toEqual({});
+  });
+  
+  it("warns rather than rejects when the spot is far from the pair's usual level", () => {
+    const { errors, warnings } = checkInputs({ ...VALID_INPUTS, foreignCurrency: "JPY", spotRate: 1.5 });
+    expect(errors).toEqual({});
+    expect(english(warnings).spotRate).toMatch(/^USD\/JPY spot rate of 1\.5 is unusual \(typically 75 to 300\)/);
+    expect(checkInputs({ ...VALID_INPUTS, spotRate: 150 }).warnings).toHaveProperty("spotRate");
+  });
+  
+  it("warns on unusual rates and keeps hard limits as errors", () => {
+    const { errors, warnings } = checkInputs({ ...VALID_INPUTS, domesticRate: 25, foreignRate: 60 });
+    expect(english(warnings)).toEqual({ domesticRate: expect.stringContaining("USD interest rate of 25% is unusual (typically -1% to 20%)") });
+    expect(english(errors)).toEqual({ foreignRate: "CAD interest rate cannot exceed 50%" });
+  });
+  
+  it("reports blank and unreadable required fields as errors", () => {
+    const { errors } = checkInputs({ ...VALID_INPUTS, spotRate: null, notional: NaN, tenorValue: "" });
+    expect(english(errors)).toEqual({
+      spotRate: "Enter the USD/CAD spot rate",
+      notional: "Notional must be a number",
+      tenorValue: "Enter the tenor"
+    });
+  });
+  
+  it("checks quotes of the pair against the spot", () => {
+    const { errors, warnings } = checkInputs({ ...VALID_INPUTS, marketForward: 2.5 });
+    expect(errors).toEqual({});
+    expect(warnings).toHaveProperty("marketForward");
+    expect(checkInputs({ ...VALID_INPUTS, marketForward: 1.27 }).warnings).toEqual({});
+  });
+});
+
+describe("checkValuationInputs", () => {
+  const CONTRACT = {
+    contractRate: 1.27,
+    notional: 1000000,
+    originalValue: 1,
+    originalUnit: "years",
+    remainingValue: 6,
+    remainingUnit: "months",
+    swapNotional: 1000000,
+    dayCount: "ACT/365",
+    valuationDate: "2025-01-15"
+  };
+
+  it("accepts a contract part-way through its life", () => {
+    expect(checkValuationInputs(CONTRACT)).toEqual({ errors: {}, warnings: {} });
+  });
+
+  it("reports each field with the schema's messages", () => {
+    const { errors } = checkValuationInputs({ ...CONTRACT, contractRate: 0, notional: null, originalValue: 1.5, swapNotional: -1 });
+    expect(english(errors)).toEqual({
+      contractRate: "Contract rate must be positive",
+      notional: "Enter the contract notional",
+      originalValue: "Original tenor must be a whole number",
+      swapNotional: "Swap notional must be positive"
+    });
+  });
+
+  it("rejects a remaining tenor longer than the original one", () => {
+    const { errors } = checkValuationInputs({ ...CONTRACT, remainingValue: 18 });
+    expect(english(errors)).toEqual({ remainingValue: "Remaining tenor cannot exceed the original tenor" });
+    expect(checkValuationInputs({ ...CONTRACT, remainingValue: 12 }).errors).toEqual({});
+  });
+});
@@ -0,0 +1,186 @@
+import { useEffect, useRef } from "react";
+import {
+  COMPOUNDING_OPTIONS,
+  CURRENCIES,
+  DAY_COUNT_OPTIONS,
+  EXPOSURE_TYPES,
+  INTERPOLATION_OPTIONS,
+  SOLVE_FOR_OPTIONS,
+  TENOR_UNITS,
+  formatIsoDate,
+  parseIsoDate
+} from "./pricing/index.js";
+
+const DEFAULT_INPUTS = {
+  spotRate: 1.2602,
+  domesticRate: 2.360,
+  foreignRate: 2.430,
+  compounding: "continuous",
+  tenorValue: 1,
+  tenorUnit: "years",
+  dayCount: "ACT/365",
+  // Day counts for month and year tenors run from this date; it defaults to the day the page loads
+  valuationDate: formatIsoDate(new Date()),
+  rateMode: "flat",
+  interpolation: "linear",
+  domesticCurve: [
+    { years: 0.25, rate: 2.100 },
+    { years: 0.5, rate: 2.200 },
+    { years: 1, rate: 2.360 },
+    { years: 2, rate: 2.550 },
+    { years: 5, rate: 2.900 }
+  ],
+  foreignCurve: [
+    { years: 0.25, rate: 2.300 },
+    { years: 0.5, rate: 2.380 },
+    { years: 1, rate: 2.430 },
+    { years: 2, rate: 2.500 },
+    { years: 5, rate: 2.650 }
+  ],
+  marketForward: null,
+  twoWay: false,
+  spotBid: null,
+  spotAsk: null,
+  forwardBid: null,
+  forwardAsk: null,
+  domesticDepositRate: null,
+  domesticBorrowRate: null,
+  foreignDepositRate: null,
+  foreignBorrowRate: null,
+  domesticCurrency: "USD",
+  foreignCurrency: "CAD",
+  quoteStyle: "indirect",
+  notional: 1000,
+  exposureType: "none",
+  exposureAmount: 1000000,
+  uipMode: false,
+  expectedSpot: null,
+  spotVolatility: 8,
+  solveFor: "forward",
+  givenForward: null,
+  givenForwardType: "outright",
+  crossMode: false,
+  commonCurrency: "EUR",
+  commonRate: 2.150,
+  domesticLegSpot: 1.0850,
+  foreignLegSpot: 1.4673,
+  crossSpotQuote: null,
+  crossForwardQuote: null
+};
+
+// Allowed values for string inputs, as a list or a predicate; anything else in a URL or import
+// falls back to the default
+const INPUT_OPTIONS = {
+  compounding: COMPOUNDING_OPTIONS.map(option => option.value),
+  tenorUnit: TENOR_UNITS.map(option => option.value),
+  dayCount: DAY_COUNT_OPTIONS,
+  valuationDate: value => parseIsoDate(value) !== null,
+  rateMode: ["flat", "curve"],
+  interpolation: INTERPOLATION_OPTIONS.map(option => option.value),
+  domesticCurrency: CURRENCIES.map(currency => currency.code),
+  foreignCurrency: CURRENCIES.map(currency => currency.code),
+  commonCurrency: CURRENCIES.map(currency => currency.code),
+  quoteStyle: ["indirect", "direct"],
+  exposureType: EXPOSURE_TYPES.map(option => option.value),
+  solveFor: SOLVE_FOR_OPTIONS.map(option => option.value),
+  givenForwardType: ["outright", "points"],
+};
+
+// Coerces an untrusted object (URL query, imported JSON) into a complete inputs object.
+// Each field is typed by its default: arrays are curves, null defaults are optional numbers.
+export function normalizeInputs(raw) {
+  const inputs = { ...DEFAULT_INPUTS };
+  if (!raw || typeof raw !== "object") return inputs;
+  
+  Object.entries(DEFAULT_INPUTS).forEach(([field, fallback]) => {
+    const value = raw[field];
+    if (value === undefined) return;
+    
+    if (Array.isArray(fallback)) {
+      const curve = Array.isArray(value)
+        ? value.map(pillar => ({ years: Number(pillar && pillar.years), rate: Number(pillar && pillar.rate) }))
+        : [];
+      if (curve.length > 0 && curve.every(pillar => Number.isFinite(pillar.years) && Number.isFinite(pillar.rate))) {
+        inputs[field] = curve;
+      }
+    } else if (typeof fallback === "boolean") {
+      inputs[field] = value === true || value === "1" || value === "true";
+    } else if (typeof fallback === "string") {
+      const allowed = INPUT_OPTIONS[field];
+      if (typeof allowed === "function" ? allowed(value) : allowed.includes(value)) inputs[field] = value;
+    } else if (value === null || value === "") {
+      if (fallback === null) inputs[field] = null;
+    } else if (Number.isFinite(Number(value))) {
+      inputs[field] = Number(value);
+    }
+  });
+  
+  return inputs;
+}
+
+// Query string with every input; curves are written as years:rate pairs, e.g. 0.5:2.2,1:2.36
+function serializeScenario(inputs) {
+  const params = new URLSearchParams();
+  Object.keys(DEFAULT_INPUTS).forEach(field => {
+    const value = inputs[field];
+    if (value === null) return;
+    if (Array.isArray(value)) {
+      params.set(field, value.map(pillar => `${pillar.years}:${pillar.rate}`).join(","));
+    } else if (typeof value === "boolean") {
+      params.set(field, value ? "1" : "0");
+    } else {
+      params.set(field, String(value));
+    }
+  });
+  return params.toString();
+}
+
+export function parseScenarioQuery(search) {
+  const params = new URLSearchParams(search);
+  const raw = {};
+  params.forEach((value, field) => {
+    raw[field] = Array.isArray(DEFAULT_INPUTS[field])
+      ? value.split(",").map(pair => {
+          const [years, rate] = pair.split(":");
+          return { years, rate };
+        })
+      : value;
+  });
+  return normalizeInputs(raw);
+}
+
+// Mirrors inputs into the URL. A burst of edits (e.g. typing) shares one history entry,
+// so the browser back/forward buttons step through distinct edits. While quotes stream, every
+// tick replaces the current entry instead, so Back skips the ticks.
+export function useScenarioHistory(inputs, setInputs, streaming) {
+  const lastChange = useRef(null);
+  
+  useEffect(() => {
+    const search = `?${serializeScenario(inputs)}`;
+    if (search === window.location.search) return;
+    
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const now = Date.now();
+    if (streaming || lastChange.current === null || now - lastChange.current < 1000) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+    lastChange.current = now;
+  }, [inputs, streaming]);
+  
+  useEffect(() => {
+    const handlePopState = () => setInputs(parseScenarioQuery(window.location.search));
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [setInputs]);
+}
+
+export function createScenarioId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// A scenario name is the user's text, or a message for a default name so it follows the locale
+export function scenarioName(name, tm) {
+  return typeof name === "string" ? name : tm(name);
+}